@@ -0,0 +1,129 @@
+// App cache - What the service worker (sw.js) keeps so the app opens without a connection
+// The app shell, its modules and data files are cached when the worker installs. Pages come
+// from the network first so a new version shows whenever there is a connection; shell files
+// and CDN assets are answered from the cache straight away and refreshed in the background.
+// Everything else, API calls and service feeds included, goes straight to the network
+
+// Change the version to drop every cached file when the shell changes shape
+export const CACHE_NAME = 'navigator-v1';
+
+// Files the app needs to start, relative to sw.js; every module under js/ belongs here
+export const APP_SHELL = [
+  './',
+  './index.html',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './data/synonyms.json',
+  './data/poverty-guidelines.json',
+  './js/app-cache.js',
+  './js/components/filter-panel.js',
+  './js/components/results-list.js',
+  './js/components/service-map.js',
+  './js/data-service.js',
+  './js/data.js',
+  './js/dedup.js',
+  './js/dom-utils.js',
+  './js/eligibility.js',
+  './js/events.js',
+  './js/filter-state.js',
+  './js/gazetteer.js',
+  './js/geolocation.js',
+  './js/hsds-csv.js',
+  './js/hsds-export.js',
+  './js/hsds-import.js',
+  './js/offline.js',
+  './js/opening-hours.js',
+  './js/query-parser.js',
+  './js/result-sort.js',
+  './js/router.js',
+  './js/schedule.js',
+  './js/search-index.js',
+  './js/source-registry.js',
+  './js/storage-adapters.js',
+  './js/submissions.js',
+  './js/synonyms.js',
+  './js/url-state.js',
+  './js/zip-codes.js'
+];
+
+// Hosts of the styles, scripts and fonts the page loads from CDNs; they are cached the first
+// time they are used. Map tiles are left out, there are far too many of them
+export const CDN_HOSTS = [
+  'cdn.tailwindcss.com',
+  'unpkg.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com'
+];
+
+// Cache the app shell; the install fails, and is retried later, if any file can't be fetched
+export async function precache(caches) {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.addAll(APP_SHELL);
+}
+
+// Delete the caches left by earlier versions of the app
+export async function removeOldCaches(caches) {
+  const names = await caches.keys();
+  const old = names.filter(name => name.startsWith('navigator-') && name !== CACHE_NAME);
+  await Promise.all(old.map(name => caches.delete(name)));
+  return old;
+}
+
+// How a request is answered: 'network-first' for pages, 'stale-while-revalidate' for app
+// shell files and CDN assets, or null to leave it to the browser. base is the URL the shell
+// paths are relative to, the worker's own; a stale copy of service data or of a sync
+// request would hide changes, so other requests on the same origin are left alone
+export function cacheStrategy(request, base) {
+  if (request.method !== 'GET') {
+    return null;
+  }
+  if (request.mode === 'navigate') {
+    return 'network-first';
+  }
+
+  const url = new URL(request.url);
+  if (CDN_HOSTS.includes(url.hostname)) {
+    return 'stale-while-revalidate';
+  }
+  const shell = APP_SHELL.map(path => new URL(path, base).href);
+  return shell.includes(url.href) ? 'stale-while-revalidate' : null;
+}
+
+// Answer a request with the given strategy. waitUntil keeps the worker alive for the
+// background refresh after the cached copy has been returned
+export async function respond(request, { caches, fetch, strategy, waitUntil = () => {} }) {
+  const cache = await caches.open(CACHE_NAME);
+
+  if (strategy === 'network-first') {
+    try {
+      const response = await fetch(request);
+      if (response.ok) {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    } catch (error) {
+      // Pages all run the same shell, so any cached copy of it will do
+      const cached =
+        (await cache.match(request, { ignoreSearch: true })) || (await cache.match('./index.html'));
+      if (cached) {
+        return cached;
+      }
+      throw error;
+    }
+  }
+
+  const refresh = fetch(request).then(async response => {
+    // CDN assets loaded without CORS come back opaque, with status 0; they are still usable
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  const cached = await cache.match(request);
+  if (cached) {
+    waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
@@ -0,0 +1,140 @@
+// FilterPanel Component - A group of filter checkboxes built from the values in the data
+// Each option shows how many services it would match alongside the other active filters;
+// options that would match nothing are disabled unless already checked, so they can be cleared.
+// Options are rebuilt from setOptions(), so categories or sources added by an import appear
+// without markup changes
+
+import { EventEmitter } from '../events.js';
+
+export class FilterPanel extends EventEmitter {
+  constructor(container, options = {}) {
+    super();
+    this.container = typeof container === 'string' ? document.getElementById(container) : container;
+    this.options = [];
+    this.rows = new Map();
+
+    // Default configuration
+    this.config = {
+      name: 'filter',
+      selected: [],
+      emptyText: 'None available',
+      ...options
+    };
+    this.selected = new Set(this.config.selected);
+
+    this.listElement = document.createElement('div');
+    this.listElement.className = 'space-y-2';
+    this.listElement.setAttribute('role', 'group');
+    this.emptyElement = document.createElement('p');
+    this.emptyElement.className = 'text-sm text-gray-500';
+    this.emptyElement.textContent = this.config.emptyText;
+    this.container.replaceChildren(this.listElement, this.emptyElement);
+
+    this.handleChange = event => {
+      const input = event.target;
+      if (!input || input.name !== this.config.name) {
+        return;
+      }
+      if (input.checked) {
+        this.selected.add(input.value);
+      } else {
+        this.selected.delete(input.value);
+      }
+      this.updateRow(
+        this.rows.get(input.value),
+        this.options.find(option => option.value === input.value)
+      );
+      this.emit('change', this.getSelected());
+    };
+    this.container.addEventListener('change', this.handleChange);
+  }
+
+  // Replace the options with [{ value, count, label? }], in display order
+  // Checked values no longer in the data are dropped from the selection
+  setOptions(options) {
+    this.options = Array.isArray(options) ? options.map(option => ({ ...option })) : [];
+    const values = new Set(this.options.map(option => option.value));
+    this.selected.forEach(value => {
+      if (!values.has(value)) {
+        this.selected.delete(value);
+      }
+    });
+
+    // Reuse rows and only move the ones that changed place, so focus on a checkbox survives a
+    // count refresh; rows for values that went away end up last and are removed
+    const rows = new Map();
+    this.options.forEach((option, index) => {
+      const row = this.rows.get(option.value) || this.createRow(option);
+      this.updateRow(row, option);
+      rows.set(option.value, row);
+
+      const current = this.listElement.children[index] || null;
+      if (current !== row.label) {
+        this.listElement.insertBefore(row.label, current);
+      }
+    });
+    while (this.listElement.children.length > this.options.length) {
+      this.listElement.lastElementChild.remove();
+    }
+    this.rows = rows;
+    this.emptyElement.classList.toggle('hidden', this.options.length > 0);
+  }
+
+  createRow(option) {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = this.config.name;
+    input.value = option.value;
+    input.className = 'h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500';
+
+    const text = document.createElement('span');
+    text.className = 'ml-2 text-gray-700';
+    text.textContent = option.label || option.value;
+
+    const count = document.createElement('span');
+    count.className = 'ml-auto pl-2 text-xs text-gray-500 tabular-nums';
+
+    label.append(input, text, count);
+    return { label, input, count };
+  }
+
+  // Show an option's count and check state; zero-count options are disabled unless checked
+  updateRow(row, option) {
+    if (!row || !option) {
+      return;
+    }
+    const checked = this.selected.has(option.value);
+    const disabled = option.count === 0 && !checked;
+
+    row.input.checked = checked;
+    row.input.disabled = disabled;
+    row.count.textContent = String(option.count);
+    const cursor = disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer';
+    row.label.className = `flex items-center ${cursor}`;
+    row.label.title = disabled ? 'No services match with the other filters' : '';
+  }
+
+  // Checked values, in display order
+  getSelected() {
+    return this.options.map(option => option.value).filter(value => this.selected.has(value));
+  }
+
+  // Check exactly the given values
+  setSelected(values) {
+    this.selected = new Set(values);
+    this.options.forEach(option => this.updateRow(this.rows.get(option.value), option));
+  }
+
+  // Remove the panel and its listener
+  destroy() {
+    this.container.removeEventListener('change', this.handleChange);
+    this.container.replaceChildren();
+    this.rows.clear();
+    this.removeAllListeners();
+  }
+}
+
+export function createFilterPanel(container, options = {}) {
+  return new FilterPanel(container, options);
+}
@@ -0,0 +1,370 @@
+// ResultsList Component - Scrollable list of result cards that stays responsive with large feeds
+// Virtual mode renders only the cards in view, plus a few either side, between two spacers
+// sized from measured (or estimated) card heights; pages mode renders a page at a time behind a
+// "Load more" button. Replacing the items keeps the card at the top of the view in place
+
+import { SafeDOM } from '../dom-utils.js';
+import { EventEmitter } from '../events.js';
+
+export const LIST_MODES = {
+  VIRTUAL: 'virtual',
+  PAGES: 'pages'
+};
+
+export class ResultsList extends EventEmitter {
+  constructor(container, options = {}) {
+    super();
+    this.container = typeof container === 'string' ? document.getElementById(container) : container;
+    this.items = [];
+    this.heights = new Map();
+    this.rendered = new Map();
+    this.offsets = null;
+    this.range = { start: 0, end: 0 };
+    this.shownCount = 0;
+
+    // Default configuration
+    this.config = {
+      mode: LIST_MODES.VIRTUAL,
+      renderItem: item => SafeDOM.createResultCard(item),
+      getKey: item => item.id,
+      estimatedItemHeight: 180,
+      gap: 12,
+      overscan: 4,
+      pageSize: 20,
+      viewportHeight: 800,
+      ...options
+    };
+
+    if (!Object.values(LIST_MODES).includes(this.config.mode)) {
+      throw new Error(`Unknown list mode: ${this.config.mode}`);
+    }
+
+    this.topSpacer = document.createElement('div');
+    this.itemsElement = document.createElement('div');
+    this.itemsElement.className = 'space-y-3';
+    this.itemsElement.setAttribute('role', 'list');
+    this.bottomSpacer = document.createElement('div');
+    this.loadMoreButton = document.createElement('button');
+    this.loadMoreButton.type = 'button';
+    this.loadMoreButton.className =
+      'hidden mt-3 w-full py-2 rounded-md border border-gray-300 bg-white text-sm font-medium text-gray-700 hover:bg-gray-50';
+    this.loadMoreButton.addEventListener('click', () => this.loadMore());
+
+    this.container.replaceChildren(
+      this.topSpacer,
+      this.itemsElement,
+      this.bottomSpacer,
+      this.loadMoreButton
+    );
+
+    this.handleScroll = () => {
+      if (this.config.mode === LIST_MODES.VIRTUAL) {
+        this.render();
+      }
+    };
+    this.container.addEventListener('scroll', this.handleScroll);
+  }
+
+  // Replace the listed items
+  // scroll: 'keep' holds the card at the top of the view in place when it is still listed,
+  // 'top' returns to the start
+  setItems(items, { scroll = 'keep' } = {}) {
+    const anchor = scroll === 'keep' ? this.getScrollState() : null;
+
+    this.items = Array.isArray(items) ? [...items] : [];
+    this.rendered.clear();
+    this.offsets = null;
+    if (scroll === 'top' || this.shownCount === 0) {
+      this.shownCount = this.config.pageSize;
+    }
+
+    this.render();
+    if (anchor) {
+      this.restoreScrollState(anchor);
+    } else {
+      this.container.scrollTop = 0;
+      this.render();
+    }
+
+    this.emit('items-changed', this.items.length);
+  }
+
+  // Put an item at index, moving or replacing the listed item with the same key; index counts
+  // the other items. The card at the top of the view stays in place
+  placeItem(item, index) {
+    const key = this.config.getKey(item);
+    const anchor = this.getScrollState();
+
+    const others = this.items.filter(other => this.config.getKey(other) !== key);
+    others.splice(Math.max(0, Math.min(index, others.length)), 0, item);
+    this.items = others;
+    if (this.shownCount === 0) {
+      this.shownCount = this.config.pageSize;
+    }
+    this.rendered.delete(key);
+    this.heights.delete(key);
+    this.offsets = null;
+
+    this.restoreScrollState(anchor);
+    this.emit('items-changed', this.items.length);
+  }
+
+  // Take the item with a key out of the list; returns false when it isn't listed
+  removeItem(key) {
+    const index = this.indexOfKey(key);
+    if (index === -1) {
+      return false;
+    }
+
+    const anchor = this.getScrollState();
+    this.items.splice(index, 1);
+    this.rendered.delete(key);
+    this.heights.delete(key);
+    this.offsets = null;
+
+    this.restoreScrollState(anchor);
+    this.emit('items-changed', this.items.length);
+    return true;
+  }
+
+  // Keep the list in step with a DataService's service-added, service-updated and
+  // service-removed events. rank(service) is the service's position in the current results, or
+  // -1 when they leave it out; a service is listed before the first item ranked after it.
+  // Returns a function that stops following
+  followServices(dataService, rank) {
+    const place = service => {
+      const key = this.config.getKey(service);
+      const position = rank(service);
+      if (position === -1) {
+        this.removeItem(key);
+        return;
+      }
+
+      const others = this.items.filter(item => this.config.getKey(item) !== key);
+      const before = others.findIndex(item => rank(item) > position);
+      this.placeItem(service, before === -1 ? others.length : before);
+    };
+    const remove = service => this.removeItem(this.config.getKey(service));
+
+    const listeners = [
+      ['service-added', place],
+      ['service-updated', place],
+      ['service-removed', remove]
+    ];
+    listeners.forEach(([event, listener]) => dataService.on(event, listener));
+    return () => listeners.forEach(([event, listener]) => dataService.off(event, listener));
+  }
+
+  // Switch between LIST_MODES, optionally with a new page size
+  setMode(mode, { pageSize = this.config.pageSize } = {}) {
+    if (!Object.values(LIST_MODES).includes(mode)) {
+      throw new Error(`Unknown list mode: ${mode}`);
+    }
+
+    const anchor = this.getScrollState();
+    this.config.mode = mode;
+    this.config.pageSize = pageSize;
+    this.shownCount = pageSize;
+    this.rendered.clear();
+    this.render();
+    this.restoreScrollState(anchor);
+  }
+
+  // Show the next page in pages mode
+  loadMore() {
+    if (this.shownCount >= this.items.length) {
+      return false;
+    }
+
+    this.shownCount += this.config.pageSize;
+    this.render();
+    this.emit('load-more', this.range);
+    return true;
+  }
+
+  // Render the cards for the current mode and scroll position
+  render() {
+    if (this.config.mode === LIST_MODES.PAGES) {
+      this.renderRange(0, Math.min(this.shownCount, this.items.length));
+      if (this.measure()) {
+        this.offsets = null;
+      }
+      this.topSpacer.style.height = '0px';
+      this.bottomSpacer.style.height = '0px';
+      this.updateLoadMore();
+      return;
+    }
+
+    this.loadMoreButton.classList.add('hidden');
+    let { start, end } = this.visibleRange();
+    this.renderRange(start, end);
+
+    // Card heights are only known once rendered; when they differ from the estimate, work out
+    // the range again so the view is filled, then correct the spacers
+    if (this.measure()) {
+      this.offsets = null;
+      ({ start, end } = this.visibleRange());
+      this.renderRange(start, end);
+      if (this.measure()) {
+        this.offsets = null;
+      }
+    }
+    const offsets = this.getOffsets();
+    this.topSpacer.style.height = `${offsets[start]}px`;
+    this.bottomSpacer.style.height = `${offsets[this.items.length] - offsets[end]}px`;
+  }
+
+  // Indexes of the items to render in virtual mode, including the overscan
+  visibleRange() {
+    const offsets = this.getOffsets();
+    const top = this.container.scrollTop;
+    const bottom = top + (this.container.clientHeight || this.config.viewportHeight);
+
+    const first = indexAt(offsets, top);
+    const last = indexAt(offsets, bottom) + 1;
+    return {
+      start: Math.max(0, first - this.config.overscan),
+      end: Math.min(this.items.length, last + this.config.overscan)
+    };
+  }
+
+  // Put the cards for items start..end in the list, reusing cards already rendered
+  renderRange(start, end) {
+    const rendered = new Map();
+    const elements = this.items.slice(start, end).map((item, index) => {
+      const key = this.config.getKey(item);
+      const element = this.rendered.get(key) || this.config.renderItem(item, start + index);
+      element.setAttribute('role', 'listitem');
+      element.setAttribute('aria-setsize', String(this.items.length));
+      element.setAttribute('aria-posinset', String(start + index + 1));
+      rendered.set(key, element);
+      return element;
+    });
+
+    // Leave the cards alone when nothing changed, so focus inside them survives scrolling
+    const current = this.itemsElement.children;
+    const unchanged =
+      current.length === elements.length && elements.every((element, i) => current[i] === element);
+    if (!unchanged) {
+      this.itemsElement.replaceChildren(...elements);
+    }
+    this.rendered = rendered;
+    if (start !== this.range.start || end !== this.range.end) {
+      this.range = { start, end };
+      this.emit('range-changed', { ...this.range, total: this.items.length });
+    }
+  }
+
+  // Record the heights of rendered cards; returns whether any changed
+  measure() {
+    let changed = false;
+    this.rendered.forEach((element, key) => {
+      const height = element.offsetHeight;
+      if (height > 0 && this.heights.get(key) !== height) {
+        this.heights.set(key, height);
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  // Top offset of every item, plus the total height at the end
+  getOffsets() {
+    if (!this.offsets) {
+      const offsets = new Array(this.items.length + 1);
+      offsets[0] = 0;
+      this.items.forEach((item, index) => {
+        const height =
+          this.heights.get(this.config.getKey(item)) || this.config.estimatedItemHeight;
+        offsets[index + 1] = offsets[index] + height + this.config.gap;
+      });
+      this.offsets = offsets;
+    }
+    return this.offsets;
+  }
+
+  updateLoadMore() {
+    const remaining = this.items.length - this.shownCount;
+    this.loadMoreButton.classList.toggle('hidden', remaining <= 0);
+    this.loadMoreButton.textContent =
+      `Load ${Math.min(remaining, this.config.pageSize)} more ` +
+      `(showing ${Math.min(this.shownCount, this.items.length)} of ${this.items.length})`;
+  }
+
+  // The item at the top of the view and how far it is scrolled past, to restore later
+  // Returns { key, offset } or null when nothing is listed
+  getScrollState() {
+    if (this.items.length === 0) {
+      return null;
+    }
+
+    const offsets = this.getOffsets();
+    const scrollTop = this.container.scrollTop;
+    const index = Math.min(indexAt(offsets, scrollTop), this.items.length - 1);
+    return { key: this.config.getKey(this.items[index]), offset: scrollTop - offsets[index] };
+  }
+
+  // Scroll back to a getScrollState() result; an item no longer listed leaves the position alone
+  restoreScrollState(state) {
+    const index = state ? this.indexOfKey(state.key) : -1;
+    if (index === -1) {
+      this.render();
+      return false;
+    }
+
+    this.showIndex(index);
+    this.container.scrollTop = this.getOffsets()[index] + state.offset;
+    this.render();
+    return true;
+  }
+
+  // Scroll an item to the top of the view
+  scrollToItem(key) {
+    return this.restoreScrollState({ key, offset: 0 });
+  }
+
+  // The rendered card for an item, or null when it is out of view
+  getElement(key) {
+    return this.rendered.get(key) || null;
+  }
+
+  indexOfKey(key) {
+    return this.items.findIndex(item => this.config.getKey(item) === key);
+  }
+
+  // In pages mode, show enough pages to include the item
+  showIndex(index) {
+    if (this.config.mode === LIST_MODES.PAGES && index >= this.shownCount) {
+      const pages = Math.ceil((index + 1) / this.config.pageSize);
+      this.shownCount = pages * this.config.pageSize;
+      this.render();
+    }
+  }
+
+  // Remove the list and its scroll listener
+  destroy() {
+    this.container.removeEventListener('scroll', this.handleScroll);
+    this.container.replaceChildren();
+    this.rendered.clear();
+    this.removeAllListeners();
+  }
+}
+
+// Index of the item whose slot contains the position, by binary search over the offsets
+function indexAt(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (offsets[middle] <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+export function createResultsList(container, options = {}) {
+  return new ResultsList(container, options);
+}
@@ -7,6 +7,8 @@ export class ServiceMap {
     this.services = [];
     this.map = null;
     this.markers = [];
+    this.searchArea = null;
+    this.searchAreaLayers = [];
     this.eventListeners = new Map();
 
     // Default configuration
@@ -28,6 +30,7 @@ export class ServiceMap {
       markerWeight: 2,
       markerOpacity: 1,
       markerFillOpacity: 0.8,
+      searchAreaColor: '#2563EB',
 
       tileLayer: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
       tileAttribution: '© OpenStreetMap contributors',
@@ -73,6 +76,9 @@ export class ServiceMap {
         this.addServiceMarkers();
       }
 
+      // Draw a search area set before the map was ready
+      this.drawSearchArea();
+
       this.emit('map-ready');
       return true;
     } catch (error) {
@@ -92,7 +98,7 @@ export class ServiceMap {
     this.eventListeners.clear();
   }
 
-  // Update services and refresh markers
+  // Update services and refresh markers; markers follow the order of the services given
   updateServices(services) {
     this.services = Array.isArray(services) ? [...services] : [];
 
@@ -139,6 +145,51 @@ export class ServiceMap {
     return true;
   }
 
+  // Replace a service shown on the map and redraw its marker
+  updateService(service) {
+    const index = this.services.findIndex(s => s.id === service.id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.services[index] = service;
+
+    // Redraw the marker in its place, so the stacking order still follows the results
+    const markerIndex = this.markers.findIndex(m => m.serviceId === service.id);
+    if (markerIndex >= 0 && this.map) {
+      this.map.removeLayer(this.markers[markerIndex]);
+      this.markers.splice(markerIndex, 1);
+    }
+    if (this.addSingleMarker(service) && markerIndex >= 0) {
+      this.markers.splice(markerIndex, 0, this.markers.pop());
+    }
+
+    this.emit('service-updated', service);
+    return true;
+  }
+
+  // Keep the markers in step with a DataService's service-added, service-updated and
+  // service-removed events. rank(service) is the service's position in the current results, or
+  // -1 when they leave it out. Returns a function that stops following
+  followServices(dataService, rank) {
+    const place = service => {
+      if (rank(service) === -1) {
+        this.removeService(service.id);
+      } else if (!this.updateService(service)) {
+        this.addService(service);
+      }
+    };
+    const remove = service => this.removeService(service.id);
+
+    const listeners = [
+      ['service-added', place],
+      ['service-updated', place],
+      ['service-removed', remove]
+    ];
+    listeners.forEach(([event, listener]) => dataService.on(event, listener));
+    return () => listeners.forEach(([event, listener]) => dataService.off(event, listener));
+  }
+
   // Center map on a specific service
   centerOnService(serviceId) {
     const service = this.services.find(s => s.id === serviceId);
@@ -196,6 +247,16 @@ export class ServiceMap {
     };
   }
 
+  // Move to a view saved from getView(), such as one restored from a shared link
+  setView(view) {
+    if (!this.map || !view) {
+      return false;
+    }
+
+    this.map.setView([view.lat, view.lng], view.zoom);
+    return true;
+  }
+
   // Clear all markers
   clearMarkers() {
     if (this.map) {
@@ -212,9 +273,12 @@ export class ServiceMap {
 
     this.clearMarkers();
 
-    this.services.forEach(service => {
+    // Services arrive in result order; add the last result first so earlier results are drawn
+    // on top where markers overlap, then restore result order in this.markers
+    [...this.services].reverse().forEach(service => {
       this.addSingleMarker(service);
     });
+    this.markers.reverse();
   }
 
   // Add a single service marker
@@ -306,6 +370,61 @@ export class ServiceMap {
     return popupDiv;
   }
 
+  // Show the searched point and, with a radius in miles, the circle results are limited to
+  // Pass null to clear it; returns false when the area is unchanged
+  setSearchArea(center, radiusMiles = null) {
+    const area = center ? { center: [...center], radiusMiles: radiusMiles || null } : null;
+    if (sameSearchArea(area, this.searchArea)) {
+      return false;
+    }
+
+    this.searchArea = area;
+    this.drawSearchArea();
+    this.emit('search-area-changed', this.searchArea);
+    return true;
+  }
+
+  // Redraw the search area layers and bring the area into view
+  drawSearchArea() {
+    if (!this.map) {
+      return;
+    }
+
+    this.searchAreaLayers.forEach(layer => this.map.removeLayer(layer));
+    this.searchAreaLayers = [];
+    if (!this.searchArea) {
+      return;
+    }
+
+    const { center, radiusMiles } = this.searchArea;
+    const color = this.config.searchAreaColor;
+
+    if (radiusMiles) {
+      const circle = L.circle(center, {
+        radius: radiusMiles * METERS_PER_MILE,
+        color,
+        weight: 1,
+        fillColor: color,
+        fillOpacity: 0.08,
+        interactive: false
+      }).addTo(this.map);
+      this.searchAreaLayers.push(circle);
+      this.map.fitBounds(circle.getBounds(), { padding: [20, 20] });
+    } else {
+      this.map.setView(center, Math.max(this.config.defaultZoom, this.map.getZoom()));
+    }
+
+    const marker = L.circleMarker(center, {
+      radius: 6,
+      color,
+      weight: 3,
+      fillColor: '#ffffff',
+      fillOpacity: 1,
+      interactive: false
+    }).addTo(this.map);
+    this.searchAreaLayers.push(marker);
+  }
+
   // Get category color
   getCategoryColor(category) {
     return this.config.categoryColors[category] || this.config.categoryColors.default;
@@ -403,6 +522,17 @@ export class ServiceMap {
   }
 }
 
+const METERS_PER_MILE = 1609.344;
+
+function sameSearchArea(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+  return (
+    a.center[0] === b.center[0] && a.center[1] === b.center[1] && a.radiusMiles === b.radiusMiles
+  );
+}
+
 // Export singleton factory function for easy integration
 export function createServiceMap(containerId, options = {}) {
   return new ServiceMap(containerId, options);
@@ -2,29 +2,468 @@
 // Provides a centralized interface for service data operations
 
 import { mockServices } from './data.js';
+import { HSDSImporter } from './hsds-import.js';
+import { HSDSExporter } from './hsds-export.js';
+import { importDataPackage, writeZip } from './hsds-csv.js';
+import { SourceRegistry, SOURCE_STATUS } from './source-registry.js';
+import { Deduplicator, expandMerged } from './dedup.js';
+import { SearchIndex, containsPhrase } from './search-index.js';
+import { SynonymMap } from './synonyms.js';
+import { QueryParser } from './query-parser.js';
+import { isOpenAt, isOpenOn, parseHours } from './opening-hours.js';
+import { scheduleIssues, upcomingSessions } from './schedule.js';
+import { ELIGIBILITY, EligibilityScreener, hasAnswers } from './eligibility.js';
+import { Gazetteer } from './gazetteer.js';
+import { SORT_MODES, sortServices } from './result-sort.js';
+import { SubmissionQueue, toService } from './submissions.js';
+import { MemoryAdapter, createStorageAdapter } from './storage-adapters.js';
+import { EventEmitter, reportWarning } from './events.js';
 
-export class DataService {
+export class DataService extends EventEmitter {
   constructor() {
+    super();
     this.services = [];
     this.categories = new Set();
     this.sourceOrganizations = new Set();
     this.initialized = false;
+    this.lastImportReport = null;
+    this.sources = new SourceRegistry();
+    this.deduplicator = new Deduplicator({
+      distance: ([lat1, lng1], [lat2, lng2]) => this.calculateDistance(lat1, lng1, lat2, lng2)
+    });
+    this.duplicateReview = [];
+    this.synonyms = new SynonymMap();
+    this.searchIndex = new SearchIndex({ synonyms: this.synonyms });
+    this.eligibility = new EligibilityScreener();
+    this.gazetteer = new Gazetteer();
+    this.origin = null;
+    this.submissions = new SubmissionQueue();
+    this.storage = new MemoryAdapter();
+    this.storageError = null;
+    this.datasetCache = null;
+    this.syncedAt = null;
+    this.usingSavedDataset = false;
+    this.pendingChange = Promise.resolve();
+    this.queryParser = new QueryParser()
+      .registerField('open', {
+        description: 'Open now or at some point today, e.g. open:now or open:today',
+        apply: (criteria, value, { negated }) => {
+          const open = value.toLowerCase();
+          if (negated || !OPEN_FILTERS.includes(open)) {
+            throw new Error(`Use open:now or open:today instead of ${negated ? '-' : ''}open:${value}`);
+          }
+          criteria.open = open;
+        }
+      })
+      .registerField('near', {
+        description: 'Nearest first from a ZIP code or city, e.g. near:63043 or near:"St. Louis"',
+        apply: (criteria, value, { negated }) => {
+          if (negated) {
+            throw new Error(`-near:${value} isn't supported; use near: to sort by distance`);
+          }
+          const place = this.geocode(value);
+          if (!place) {
+            throw new Error(`Unknown location "${value}"; try a ZIP code or city name`);
+          }
+          criteria.near = place;
+        }
+      });
   }
 
   // Initialize the service with data
-  async init() {
+  // Pass { sources } to load a federated source list, { hsds } with an HSDS 3.0 JSON dataset
+  // or URL, or { hsdsPackage } with a CSV data package, to load it instead of the mock data.
+  // { storage } picks where added, changed and removed services are kept (see
+  // createStorageAdapter); they are applied over the loaded data.
+  // { cache } is a storage adapter, or its configuration, for the last loaded dataset: it is
+  // used when loading fails, and straight away, without trying to load, when { offline } is set
+  async init(options = {}) {
     if (this.initialized) return;
     
-    // Load services (currently from mock data, can be extended for API calls)
-    this.services = [...mockServices];
+    (options.sources || []).forEach(source => this.sources.register(source));
+    
+    if (options.storage) {
+      try {
+        this.storage = createStorageAdapter(options.storage);
+      } catch (error) {
+        // Such as IndexedDB in a private window; the services still load, kept in memory only
+        reportWarning('Could not open storage; changes will not be kept:', error);
+        this.storageError = error;
+      }
+    }
+    // Admin duplicate decisions have to be in place before the sources are merged
+    await this.loadDuplicateDecisions();
+
+    if (options.cache) {
+      try {
+        this.datasetCache = createStorageAdapter(options.cache);
+      } catch (error) {
+        reportWarning('Could not open the dataset cache; services will not be saved:', error);
+      }
+    }
+    const saved = options.offline ? await this.readSavedDataset() : null;
+    if (saved) {
+      this.useSavedDataset(saved);
+    } else {
+      await this.loadDataset(options);
+    }
+
+    await this.loadStoredChanges();
     
     // Build category and source organization indices
+    this.rebuildIndices();
+    
+    this.initialized = true;
+  }
+
+  // Load the configured data. When it loads, it is saved to the dataset cache; when it doesn't,
+  // the last saved dataset is used instead, if there is one
+  async loadDataset(options) {
+    let loaded = true;
+    let error = null;
+    try {
+      if (this.sources.size > 0) {
+        // Sync from where the saved dataset left off, fetching only what changed since
+        const saved = await this.readSavedDataset();
+        if (saved && saved.sourceSync) {
+          this.useSavedDataset(saved);
+        }
+        await this.syncSources();
+        loaded = this.sources.getAll().some(source => source.status === SOURCE_STATUS.READY);
+      } else if (options.hsds) {
+        await this.loadHSDS(options.hsds, options);
+      } else if (options.hsdsPackage) {
+        await this.loadHSDSDataPackage(options.hsdsPackage, options);
+      } else {
+        this.services = [...mockServices];
+      }
+    } catch (loadError) {
+      loaded = false;
+      error = loadError;
+    }
+
+    if (loaded) {
+      // Synced sources have saved the dataset already
+      if (this.sources.size === 0) {
+        this.syncedAt = new Date().toISOString();
+        await this.saveDataset();
+      }
+      return;
+    }
+
+    const saved = await this.readSavedDataset();
+    if (saved) {
+      reportWarning('Loading failed; showing the last saved services instead', error || '');
+      this.useSavedDataset(saved);
+    } else if (error) {
+      throw error;
+    }
+  }
+
+  // The dataset saved by the last successful load as { services, syncedAt, sourceSync }, or null
+  async readSavedDataset() {
+    if (!this.datasetCache) {
+      return null;
+    }
+    try {
+      const [saved] = await this.datasetCache.getAll();
+      return saved && Array.isArray(saved.services) ? saved : null;
+    } catch (error) {
+      reportWarning('The saved services could not be read:', error);
+      return null;
+    }
+  }
+
+  // Save the loaded services as one record, so a reader never sees half of a dataset
+  async saveDataset() {
+    if (!this.datasetCache) {
+      return;
+    }
+    try {
+      await this.datasetCache.put([
+        {
+          id: SAVED_DATASET_ID,
+          services: this.services,
+          syncedAt: this.syncedAt,
+          sourceSync: this.sources.getSyncState()
+        }
+      ]);
+    } catch (error) {
+      reportWarning('The loaded services could not be saved for offline use:', error);
+    }
+  }
+
+  useSavedDataset({ services, syncedAt, sourceSync = {} }) {
+    this.services = services;
+    this.syncedAt = syncedAt;
+    this.sources.restoreSyncState(sourceSync);
+    this.usingSavedDataset = true;
+  }
+
+  // Load all registered sources in parallel and merge the ones that succeed
+  // A failed source keeps the services from its last successful load
+  // Services listed by more than one source are merged afterwards
+  // Returns the per-source status list
+  async loadSources() {
+    this.replaceSourceServices(await this.sources.loadAll());
+    return this.getSourceStatus();
+  }
+
+  // Bring the sources up to date, fetching only the changes from those that support it (see
+  // SourceRegistry.sync), and save the result to the dataset cache. Emits services-changed when
+  // anything changed. Returns a report per source: { id, name, status, error, full,
+  // added, updated, removed }, with the source's own record ids
+  async syncSources() {
+    const results = await this.sources.syncAll();
+    const previous = expandMerged(this.services);
+
+    const changes = results.map(({ source, services, deleted, full }) => {
+      const change = { source, full, added: [], updated: [], removed: [] };
+      if (!services) {
+        return { ...change, services };
+      }
+
+      // Build the source's complete list of records from the changes
+      const before = new Map(
+        previous
+          .filter(service => service.sourceId === source.id)
+          .map(service => [recordId(service), service])
+      );
+      const after = full ? new Map() : new Map(before);
+      deleted.forEach(id => after.delete(id));
+      services.forEach(service => {
+        const existing = before.get(service.id);
+        if (!existing) {
+          change.added.push(service);
+        } else if (!service.lastModified || service.lastModified !== existing.lastModified) {
+          change.updated.push(service);
+        }
+        after.set(service.id, service);
+      });
+      before.forEach((service, id) => {
+        if (!after.has(id)) {
+          change.removed.push(service);
+        }
+      });
+
+      return {
+        ...change,
+        services: Array.from(after.values(), service => ({ ...service, id: recordId(service) }))
+      };
+    });
+
+    this.replaceSourceServices(changes);
+    const succeeded = changes.filter(change => change.services);
+    if (succeeded.length > 0) {
+      this.syncedAt = new Date().toISOString();
+      this.usingSavedDataset = false;
+      await this.saveDataset();
+    }
+
+    const added = changes.flatMap(change => change.added);
+    const updated = changes.flatMap(change => change.updated);
+    const removed = changes.flatMap(change => change.removed);
+    if (added.length + updated.length + removed.length > 0) {
+      this.emit('services-changed', { added, updated, removed });
+    }
+
+    const ids = services => services.map(recordId);
+    return changes.map(({ source, full, added, updated, removed }) => ({
+      id: source.id,
+      name: source.name,
+      status: source.status,
+      error: source.error,
+      full,
+      added: ids(added),
+      updated: ids(updated),
+      removed: ids(removed)
+    }));
+  }
+
+  // Replace the services of each source in results that loaded with its new services; a failed
+  // source keeps its services. Services listed by more than one source are merged afterwards
+  replaceSourceServices(results) {
+    const reloaded = new Set(results.filter(r => r.services).map(r => r.source.id));
+    const disabled = new Set(
+      this.sources.getAll().filter(s => s.status === SOURCE_STATUS.DISABLED).map(s => s.id)
+    );
+
+    this.services = expandMerged(this.services).filter(
+      service => !reloaded.has(service.sourceId) && !disabled.has(service.sourceId)
+    );
+
+    // Sources may reuse the same record IDs, so later sources get a namespaced ID
+    const takenIds = new Set(this.services.map(service => service.id));
+    results.forEach(({ source, services }) => {
+      (services || []).forEach(service => {
+        if (takenIds.has(service.id)) {
+          service.id = `${source.id}:${service.id}`;
+        }
+        takenIds.add(service.id);
+        this.services.push(service);
+      });
+    });
+
+    this.deduplicate();
+  }
+
+  // Merge services that several sources list into one canonical record with an alsoListedBy list
+  // Returns the borderline and admin-decided pairs waiting in the review queue
+  deduplicate() {
+    const { services, review } = this.deduplicator.run(this.services);
+    this.services = services;
+    this.duplicateReview = review;
+    this.rebuildIndices();
+    return review;
+  }
+
+  // Get possible duplicates for admin review, highest score first
+  getDuplicateReview() {
+    return [...this.duplicateReview];
+  }
+
+  // Override the match decision for a reviewed pair ('merge', 'separate', or null to undo).
+  // Decisions are kept in storage with the changed services, so they outlast a reload
+  async resolveDuplicate(pairKey, decision) {
+    return this.queueChange(async () => {
+      const previous = this.deduplicator.overrides.get(pairKey) || null;
+      this.deduplicator.setOverride(pairKey, decision);
+      try {
+        await this.persist([
+          { id: DUPLICATE_DECISIONS_ID, decisions: Array.from(this.deduplicator.overrides) }
+        ]);
+      } catch (error) {
+        this.deduplicator.setOverride(pairKey, previous);
+        throw error;
+      }
+      return this.deduplicate();
+    });
+  }
+
+  // Restore the duplicate decisions kept in storage. A storage that can't be read is reported
+  // by loadStoredChanges
+  async loadDuplicateDecisions() {
+    const records = await this.storage.getAll().catch(() => []);
+    const stored = records.find(record => record.id === DUPLICATE_DECISIONS_ID);
+    (stored ? stored.decisions : []).forEach(([key, decision]) =>
+      this.deduplicator.setOverride(key, decision)
+    );
+  }
+
+  // Get load status for each registered source
+  getSourceStatus() {
+    return this.sources.getStatus();
+  }
+
+  // Rebuild category and source organization indices from the current services
+  rebuildIndices() {
+    this.searchIndex.invalidate();
+    this.categories.clear();
+    this.sourceOrganizations.clear();
     this.services.forEach(service => {
+      this.categories.add(service.category);
+      listedBy(service).forEach(org => this.sourceOrganizations.add(org));
+    });
+    this.updateDistances();
+  }
+
+  // Load an HSDS 3.0 JSON dataset (object or URL) and merge its services
+  // Returns the import report listing skipped services and rows that could not be joined
+  async loadHSDS(source, options = {}) {
+    const json = typeof source === 'string' ? await this.fetchJSON(source) : source;
+    const importer = new HSDSImporter(options);
+    const { services, report } = importer.importJSON(json);
+
+    this.mergeServices(services);
+    this.lastImportReport = report;
+    return report;
+  }
+
+  // Load an HSDS CSV data package (datapackage.json URL, file map or zip) and merge its services
+  // CSV parse errors and rows that cannot be joined are listed in the returned report
+  async loadHSDSDataPackage(source, options = {}) {
+    const { services, report } = await importDataPackage(source, options);
+
+    this.mergeServices(services);
+    this.lastImportReport = report;
+    return report;
+  }
+
+  // Export all services, or those matching filterServices() filters, as HSDS 3.0
+  // format 'json' returns nested service records; 'csv' returns a { filename: text } data package,
+  // or a zip archive (Uint8Array) when zip is set
+  exportHSDS({ format = 'json', filters = null, zip = false, ...options } = {}) {
+    const services = filters ? this.filterServices(filters) : this.getAllServices();
+    const exporter = new HSDSExporter(options);
+
+    if (format === 'json') {
+      return exporter.toJSON(services);
+    }
+    if (format === 'csv') {
+      const files = exporter.toDataPackage(services);
+      return zip ? writeZip(files) : files;
+    }
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  // Fetch and parse a JSON document
+  async fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Apply the changes kept in storage: removed services are stored as { id, deleted: true }
+  // markers, everything else is a service added or changed here. If storage can't be read, the
+  // loaded data is used as it is and later changes are kept in memory only
+  async loadStoredChanges() {
+    let records;
+    try {
+      records = await this.storage.getAll();
+    } catch (error) {
+      reportWarning('Could not read stored services; changes will not be kept:', error);
+      this.storageError = error;
+      this.storage = new MemoryAdapter();
+      return;
+    }
+
+    records = records.filter(record => record.id !== DUPLICATE_DECISIONS_ID);
+    const removed = new Set(records.filter(record => record.deleted).map(record => record.id));
+    this.services = this.services.filter(service => !removed.has(service.id));
+    this.mergeServices(records.filter(record => !record.deleted));
+  }
+
+  // Run changes to the services one at a time, so each starts from where the last one left
+  // them even while a write to storage is in progress
+  queueChange(change) {
+    const result = this.pendingChange.then(change);
+    this.pendingChange = result.catch(() => {});
+    return result;
+  }
+
+  // Write records to storage; called before a change is made in memory, so a failed write
+  // leaves the services as they were
+  async persist(records) {
+    await this.storage.put(records);
+  }
+
+  // Add services, replacing any existing service with the same ID
+  mergeServices(services) {
+    this.searchIndex.invalidate();
+    const positions = new Map(this.services.map((existing, index) => [existing.id, index]));
+
+    services.forEach(service => {
+      if (positions.has(service.id)) {
+        this.services[positions.get(service.id)] = service;
+      } else {
+        positions.set(service.id, this.services.length);
+        this.services.push(service);
+      }
       this.categories.add(service.category);
       this.sourceOrganizations.add(service.sourceOrg);
     });
-    
-    this.initialized = true;
   }
 
   // Get all services
@@ -50,29 +489,44 @@ export class DataService {
     }
     
     return this.services.filter(service => 
-      sourceOrgs.includes(service.sourceOrg)
+      listedBy(service).some(org => sourceOrgs.includes(org))
     );
   }
 
-  // Search services by keyword (searches name, description, organization)
+  // Search services by keyword (searches name, organization, category, description, address)
+  // Every word must match; results are ranked by relevance
   searchServices(keyword) {
     if (!keyword || keyword.trim() === '') {
       return this.getAllServices();
     }
     
-    const searchTerm = keyword.toLowerCase().trim();
-    
-    return this.services.filter(service => 
-      service.name.toLowerCase().includes(searchTerm) ||
-      service.description.toLowerCase().includes(searchTerm) ||
-      service.organization.toLowerCase().includes(searchTerm) ||
-      service.address.toLowerCase().includes(searchTerm)
-    );
+    return this.searchWithMatches(keyword).map(result => result.service);
+  }
+
+  // Extend the search synonym and concept map from an object or a JSON URL
+  // such as data/synonyms.json; entries are added to those already loaded
+  async loadSynonyms(source) {
+    const config = typeof source === 'string' ? await this.fetchJSON(source) : source;
+    this.synonyms.load(config);
+    return this.synonyms.size;
+  }
+
+  // Ranked search results with the character spans each field matched, for highlighting
+  // Returns [{ service, score, matches: { name: [[start, end]], ... } }]
+  searchWithMatches(keyword) {
+    this.searchIndex.sync(this.services);
+    return this.searchIndex.search(keyword);
   }
 
-  // Get service by ID
+  // IDs of records merged into another source's listing resolve to the merged record. IDs are
+  // compared as text, since those read from a route or a form are always strings
   getServiceById(id) {
-    return this.services.find(service => service.id == id);
+    return (
+      this.services.find(service => String(service.id) === String(id)) ||
+      this.services.find(service =>
+        (service.mergedRecords || []).some(record => String(record.id) === String(id))
+      )
+    );
   }
 
   // Get all unique categories
@@ -99,22 +553,219 @@ export class DataService {
     // Filter by source organizations
     if (filters.sourceOrgs && filters.sourceOrgs.length > 0) {
       filteredServices = filteredServices.filter(service =>
-        filters.sourceOrgs.includes(service.sourceOrg)
+        listedBy(service).some(org => filters.sourceOrgs.includes(org))
+      );
+    }
+    
+    // Filter out excluded categories and source organizations
+    if (filters.excludeCategories && filters.excludeCategories.length > 0) {
+      filteredServices = filteredServices.filter(service =>
+        !filters.excludeCategories.includes(service.category)
+      );
+    }
+    
+    if (filters.excludeSourceOrgs && filters.excludeSourceOrgs.length > 0) {
+      filteredServices = filteredServices.filter(service =>
+        !listedBy(service).some(org => filters.excludeSourceOrgs.includes(org))
+      );
+    }
+    
+    // Filter by opening hours: 'now' or 'today', relative to filters.at (default: the current time)
+    if (filters.open) {
+      const at = filters.at || new Date();
+      const isOpen = filters.open === 'today' ? isOpenOn : isOpenAt;
+      filteredServices = filteredServices.filter(service => isOpen(service, at));
+    }
+    
+    // Filter to services within filters.radius miles of filters.near
+    if (filters.near && filters.radius) {
+      const [lat, lng] = filters.near.coordinates;
+      const within = new Set(this.getServicesWithinRadius(lat, lng, filters.radius));
+      filteredServices = filteredServices.filter(service => within.has(service));
+    }
+    
+    // Filter out services the client's questionnaire answers rule out
+    if (filters.eligibility && hasAnswers(filters.eligibility)) {
+      filteredServices = filteredServices.filter(service =>
+        this.checkEligibility(service, filters.eligibility).status !== ELIGIBILITY.INELIGIBLE
       );
     }
     
-    // Filter by keyword search
-    if (filters.keyword && filters.keyword.trim() !== '') {
-      const searchTerm = filters.keyword.toLowerCase().trim();
+    // Filter by exact phrases, field-scoped words and excluded words
+    (filters.phrases || []).forEach(phrase => {
+      filteredServices = filteredServices.filter(service => containsPhrase(service, phrase));
+    });
+    
+    (filters.fieldTerms || []).forEach(({ field, text, negated }) => {
       filteredServices = filteredServices.filter(service =>
-        service.name.toLowerCase().includes(searchTerm) ||
-        service.description.toLowerCase().includes(searchTerm) ||
-        service.organization.toLowerCase().includes(searchTerm) ||
-        service.address.toLowerCase().includes(searchTerm)
+        containsPhrase(service, text, [field]) !== negated
       );
+    });
+    
+    (filters.exclude || []).forEach(text => {
+      filteredServices = filteredServices.filter(service => !containsPhrase(service, text));
+    });
+    
+    // Filter by keyword search, keeping the relevance order
+    const hasKeyword = Boolean(filters.keyword && filters.keyword.trim() !== '');
+    if (hasKeyword) {
+      const remaining = new Set(filteredServices);
+      filteredServices = this.searchServices(filters.keyword).filter(service =>
+        remaining.has(service)
+      );
+    }
+    
+    // Sort by filters.sort (one of SORT_MODES); without one, a keyword search keeps its
+    // relevance order and a location search lists the nearest services first
+    const sort =
+      filters.sort || (filters.near && !hasKeyword ? SORT_MODES.DISTANCE : SORT_MODES.RELEVANCE);
+    return sortServices(filteredServices, sort, {
+      at: filters.at,
+      distance: filters.near && (service => this.distanceTo(service, filters.near.coordinates))
+    });
+  }
+
+  // One page of filtered services, for clients that load results a page at a time
+  // Returns { services, total, offset, limit, hasMore }
+  filterServicesPage(filters = {}, { offset = 0, limit = 20 } = {}) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error(`Invalid offset: ${offset}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+    
+    const services = this.filterServices(filters);
+    return {
+      services: services.slice(offset, offset + limit),
+      total: services.length,
+      offset,
+      limit,
+      hasMore: offset + limit < services.length
+    };
+  }
+
+  // How many services each category and source organization would match alongside the other
+  // filters; each facet ignores its own selection, so picking one option doesn't zero the rest
+  // Returns { categories: [{ value, count }], sourceOrgs: [{ value, count }] }
+  getFacetCounts(filters = {}) {
+    const unsorted = { ...filters, sort: SORT_MODES.RELEVANCE };
+    const byCategory = countBy(
+      this.filterServices({ ...unsorted, categories: [] }),
+      service => [service.category]
+    );
+    const bySource = countBy(this.filterServices({ ...unsorted, sourceOrgs: [] }), listedBy);
+    
+    return {
+      categories: this.getCategories().map(value => ({
+        value,
+        count: byCategory.get(value) || 0
+      })),
+      sourceOrgs: this.getSourceOrganizations().map(value => ({
+        value,
+        count: bySource.get(value) || 0
+      }))
+    };
+  }
+
+  // Parse advanced search syntax (category:Food -shelter "food bank") into filter criteria
+  // Returns { criteria, errors: [{ message, start, end }] }
+  parseQuery(query) {
+    return this.queryParser.parse(query, {
+      categories: this.getCategories(),
+      sourceOrgs: this.getSourceOrganizations()
+    });
+  }
+
+  // Run an advanced search query; a query with errors matches nothing so the errors get fixed
+  // rather than silently ignored
+  queryServices(query) {
+    const { criteria, errors } = this.parseQuery(query);
+    const services = errors.length > 0 ? [] : this.filterServices(criteria);
+    return { services, criteria, errors };
+  }
+
+  // Hours text the opening-hours parser can't read, and schedules that can't be expanded,
+  // for admins to correct
+  // Returns [{ service, day, text }]
+  getUnparsedHours() {
+    return this.services.flatMap(service => [
+      ...parseHours(service.hours).unparsed.map(({ day, text }) => ({ service, day, text })),
+      ...scheduleIssues(service).map(({ message }) => ({ service, day: 'Schedule', text: message }))
+    ]);
+  }
+
+  // Replace the poverty guidelines used for income rules from an object or a JSON URL such as
+  // data/poverty-guidelines.json; returns { year, base, perPerson, outdated }
+  async loadPovertyGuidelines(source) {
+    const config = typeof source === 'string' ? await this.fetchJSON(source) : source;
+    this.eligibility.setGuidelines(config);
+    return this.getPovertyGuidelines();
+  }
+
+  // The poverty guidelines in use, and whether a newer year's have been published since
+  getPovertyGuidelines(now = new Date()) {
+    return { ...this.eligibility.guidelines, outdated: this.eligibility.guidelinesOutdated(now) };
+  }
+
+  // Check a client's questionnaire answers ({ zip, county, age, householdSize, income, veteran })
+  // against a service's eligibility rules; returns { status, rules: [{ rule, result, message }] }
+  checkEligibility(serviceOrId, profile) {
+    const service =
+      typeof serviceOrId === 'object' ? serviceOrId : this.getServiceById(serviceOrId);
+    if (!service) {
+      throw new Error(`Service not found: ${serviceOrId}`);
+    }
+    return this.eligibility.check(service, profile);
+  }
+
+  // Next dated sessions of a service from its HSDS schedules or weekly hours, with holiday and
+  // listed closures marked; options are { from, days, limit }
+  getUpcomingSessions(id, options = {}) {
+    const service = this.getServiceById(id);
+    return service ? upcomingSessions(service, options) : [];
+  }
+
+  // Resolve a ZIP code, city or address with the bundled gazetteer, without a network
+  // Returns { kind, name, zip, city, state, county, coordinates } or null
+  geocode(query) {
+    return this.gazetteer.lookup(query);
+  }
+
+  // Set the point distances are measured from (a geocode() result or { coordinates }), or null
+  // to clear it; every service's distance label is recalculated
+  setOrigin(origin) {
+    this.origin = origin && origin.coordinates ? origin : null;
+    this.updateDistances();
+    return this.origin;
+  }
+
+  // Miles from a point to a service, or null when the service has no coordinates
+  distanceTo(service, [lat, lng]) {
+    if (!service.coordinates) {
+      return null;
     }
     
-    return filteredServices;
+    const [serviceLat, serviceLng] = service.coordinates;
+    return this.calculateDistance(lat, lng, serviceLat, serviceLng);
+  }
+
+  // Label every service with its distance from the origin
+  updateDistances() {
+    this.services.forEach(service => this.labelDistance(service));
+  }
+
+  // Label a service with its distance from the origin, e.g. "1.2 mi"; once the origin is
+  // cleared, labels it set are cleared too
+  labelDistance(service) {
+    if (this.origin) {
+      const miles = this.distanceTo(service, this.origin.coordinates);
+      service.distanceMiles = miles;
+      service.distance = miles === null ? 'Unknown' : formatMiles(miles);
+    } else if (service.distanceMiles !== undefined) {
+      delete service.distanceMiles;
+      service.distance = '';
+    }
   }
 
   // Get services within a specific radius (if location filtering is needed)
@@ -149,37 +800,192 @@ export class DataService {
     return degrees * (Math.PI / 180);
   }
 
-  // Add a new service (for future use with API)
+  // Queue a service sent through the Contribute form for review; it isn't added to the
+  // services, so it stays out of Browse until approved. Returns the pending submission with
+  // its tracking id, and throws with error.fieldErrors when fields are invalid. options.trackingId
+  // keeps a tracking id given up front, as for contributions that waited in the outbox
+  submitService(fields, options = {}) {
+    return this.submissions.submit(fields, options);
+  }
+
+  // A contributed service's submission and review status by tracking id, or null
+  getSubmission(trackingId) {
+    return this.submissions.get(trackingId);
+  }
+
+  // Publish an open submission as a User Contributed service, applying a moderator's edits
+  // first when fields are given; by names the moderator. The submission is only marked approved
+  // once the service is saved, so a failed save leaves it open to try again.
+  // Returns { submission, service }
+  async approveSubmission(trackingId, { by, fields = null } = {}) {
+    if (fields) {
+      this.submissions.edit(trackingId, fields, { by });
+    }
+    this.submissions.requireOpen(trackingId, by);
+    const open = this.submissions.get(trackingId);
+    const at = this.submissions.now();
+
+    const service = await this.addService({
+      ...toService(open.fields),
+      sourceOrg: USER_CONTRIBUTED,
+      provenance: [
+        { action: 'create', by: USER_CONTRIBUTED, at: open.submittedAt },
+        { action: 'approve', by: String(by).trim(), at }
+      ]
+    });
+
+    // Decided on while the service was being saved: take the service back down
+    let submission;
+    try {
+      submission = this.submissions.approve(trackingId, { by, serviceId: service.id, at });
+    } catch (error) {
+      await this.removeService(service.id);
+      throw error;
+    }
+    return { submission, service };
+  }
+
+  // Turn down an open submission with a reason the contributor can see
+  rejectSubmission(trackingId, { by, reason } = {}) {
+    return this.submissions.reject(trackingId, { by, reason });
+  }
+
+  // Ask a submission's contributor for more information before deciding
+  requestSubmissionInfo(trackingId, { by, reason } = {}) {
+    return this.submissions.requestInfo(trackingId, { by, reason });
+  }
+
+  // Add a new service, keeping it in the configured storage
+  // Emits service-added, then services-changed
   async addService(serviceData) {
-    // Validate required fields
-    const requiredFields = ['name', 'organization', 'address', 'category'];
-    for (const field of requiredFields) {
-      if (!serviceData[field]) {
-        throw new Error(`Missing required field: ${field}`);
+    const [service] = await this.addServices([serviceData]);
+    return service;
+  }
+
+  // Add several services; all are checked before any is added. Emits service-added for each,
+  // then services-changed once for the batch
+  async addServices(list) {
+    return this.queueChange(async () => {
+      // Generate new IDs (imported HSDS services use string IDs, which are skipped)
+      const taken = new Set(this.services.map(s => s.id));
+      let nextId = Math.max(...[...taken].filter(id => Number.isFinite(id)), 0) + 1;
+      const now = new Date().toISOString();
+
+      const added = list.map(serviceData => {
+        validateService(serviceData);
+        if (serviceData.id !== undefined && taken.has(serviceData.id)) {
+          throw new Error(`Service already exists: ${serviceData.id}`);
+        }
+
+        const newService = {
+          id: nextId,
+          lastModified: now,
+          ...serviceData,
+          // Set default values for optional fields
+          distance: serviceData.distance || 'Unknown',
+          sourceOrg: serviceData.sourceOrg || USER_CONTRIBUTED,
+          contact: serviceData.contact || {},
+          hours: serviceData.hours || {},
+          eligibility: serviceData.eligibility || 'Not specified',
+          application: serviceData.application || 'Contact service for details'
+        };
+        taken.add(newService.id);
+        while (taken.has(nextId)) {
+          nextId++;
+        }
+
+        // Record where the service came from so exports can carry its provenance
+        newService.provenance = serviceData.provenance || [
+          { action: 'create', by: newService.sourceOrg, at: now }
+        ];
+        return newService;
+      });
+      await this.persist(added);
+
+      added.forEach(service => {
+        this.labelDistance(service);
+        this.services.push(service);
+        this.categories.add(service.category);
+        listedBy(service).forEach(org => this.sourceOrganizations.add(org));
+      });
+      this.searchIndex.invalidate();
+
+      added.forEach(service => this.emit('service-added', service));
+      this.emit('services-changed', { added, updated: [], removed: [] });
+      return added;
+    });
+  }
+
+  // Change some of a service's fields; the id can't be changed and required fields can't be
+  // cleared. by is recorded in the service's provenance, defaulting to its source organization.
+  // Emits service-updated with the service before and after, then services-changed
+  async updateService(id, changes, options = {}) {
+    const [service] = await this.updateServices([{ ...changes, id }], options);
+    return service;
+  }
+
+  // Update several services, each given as { id, ...changes }; all are checked before any is
+  // changed. Emits service-updated for each, then services-changed once for the batch
+  async updateServices(updates, { by = null } = {}) {
+    return this.queueChange(async () => {
+      const now = new Date().toISOString();
+      const positions = new Map(this.services.map((service, index) => [service.id, index]));
+
+      const changes = updates.map(({ id, ...fields }) => {
+        if (!positions.has(id)) {
+          throw new Error(`Unknown service: ${id}`);
+        }
+        const previous = this.services[positions.get(id)];
+        const service = { ...previous, ...fields, id, lastModified: now };
+        validateService(service);
+        service.provenance = [
+          ...(previous.provenance || []),
+          { action: 'update', by: by || previous.sourceOrg, at: now }
+        ];
+        return { previous, service };
+      });
+      await this.persist(changes.map(({ service }) => service));
+
+      changes.forEach(({ service }) => {
+        this.services[positions.get(service.id)] = service;
+      });
+      this.rebuildIndices();
+
+      changes.forEach(({ service, previous }) => this.emit('service-updated', service, previous));
+      const updated = changes.map(({ service }) => service);
+      this.emit('services-changed', { added: [], updated, removed: [] });
+      return updated;
+    });
+  }
+
+  // Remove a service by ID; emits service-removed, then services-changed
+  async removeService(id) {
+    const [service] = await this.removeServices([id]);
+    return service;
+  }
+
+  // Remove several services; nothing is removed if any ID is unknown. Emits service-removed for
+  // each, then services-changed once for the batch
+  async removeServices(ids) {
+    return this.queueChange(async () => {
+      const known = new Set(this.services.map(service => service.id));
+      const unknown = ids.find(id => !known.has(id));
+      if (unknown !== undefined) {
+        throw new Error(`Unknown service: ${unknown}`);
       }
-    }
-    
-    // Generate new ID
-    const newId = Math.max(...this.services.map(s => s.id), 0) + 1;
-    
-    const newService = {
-      id: newId,
-      ...serviceData,
-      // Set default values for optional fields
-      distance: serviceData.distance || 'Unknown',
-      sourceOrg: serviceData.sourceOrg || 'User Contributed',
-      contact: serviceData.contact || {},
-      hours: serviceData.hours || {},
-      eligibility: serviceData.eligibility || 'Not specified',
-      application: serviceData.application || 'Contact service for details'
-    };
-    
-    this.services.push(newService);
-    this.categories.add(newService.category);
-    this.sourceOrganizations.add(newService.sourceOrg);
-    
-    // In a real implementation, this would make an API call
-    return newService;
+
+      const now = new Date().toISOString();
+      await this.persist(ids.map(id => ({ id, deleted: true, lastModified: now })));
+
+      const removing = new Set(ids);
+      const removed = this.services.filter(service => removing.has(service.id));
+      this.services = this.services.filter(service => !removing.has(service.id));
+      this.rebuildIndices();
+
+      removed.forEach(service => this.emit('service-removed', service));
+      this.emit('services-changed', { added: [], updated: [], removed });
+      return removed;
+    });
   }
 
   // Get statistics about the data
@@ -200,5 +1006,63 @@ export class DataService {
   }
 }
 
+// Fields every service needs
+const REQUIRED_FIELDS = ['name', 'organization', 'address', 'category'];
+
+// Throw when a service is missing a required field or has coordinates that can't be mapped
+function validateService(service) {
+  REQUIRED_FIELDS.forEach(field => {
+    if (!service[field]) {
+      throw new Error(`Missing required field: ${field}`);
+    }
+  });
+
+  const { coordinates } = service;
+  if (coordinates !== undefined && coordinates !== null) {
+    const [lat, lng] = Array.isArray(coordinates) ? coordinates : [];
+    if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+      throw new Error(`Invalid coordinates for ${service.name}; use [latitude, longitude]`);
+    }
+  }
+}
+
+// Key of the record the dataset cache keeps the last loaded services under
+const SAVED_DATASET_ID = 'services';
+
+// Id of the storage record holding the admin duplicate decisions as [pairKey, decision] pairs
+const DUPLICATE_DECISIONS_ID = 'duplicate-decisions';
+
+// Source organization for services published from the Contribute form
+const USER_CONTRIBUTED = 'User Contributed';
+
+// Values accepted by the open filter and the open: search field
+const OPEN_FILTERS = ['now', 'today'];
+
+// "0.4 mi", "12.3 mi"; anything closer than a tenth of a mile reads "< 0.1 mi"
+function formatMiles(miles) {
+  return miles < 0.1 ? '< 0.1 mi' : `${miles.toFixed(1)} mi`;
+}
+
+// A source's own id for one of its services, without the <sourceId>: prefix added when another
+// source uses the same id
+function recordId(service) {
+  const prefix = `${service.sourceId}:`;
+  return String(service.id).startsWith(prefix) ? service.id.slice(prefix.length) : service.id;
+}
+
+// Source organizations listing a service, including those merged into it
+function listedBy(service) {
+  return [service.sourceOrg, ...(service.alsoListedBy || []).map(entry => entry.sourceOrg)];
+}
+
+// Number of services under each value; a service counts once per distinct value
+function countBy(services, valuesOf) {
+  const counts = new Map();
+  services.forEach(service => {
+    new Set(valuesOf(service)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return counts;
+}
+
 // Export a singleton instance for use throughout the application
 export const dataService = new DataService();
\ No newline at end of file
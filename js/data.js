@@ -7,10 +7,10 @@ export const mockServices = [
     name: 'Community Food Pantry',
     organization: 'Maryland Heights Community Center',
     address: '2344 McKelvey Rd, Maryland Heights, MO 63043',
-    distance: '1.2 mi',
     description: 'Provides non-perishable food items to families and individuals in need. Proof of residency required.',
     category: 'Food',
     sourceOrg: 'Alpha Org',
+    lastModified: '2026-09-14T15:30:00Z',
     contact: { 
       phone: '(314) 555-1234', 
       email: 'contact@mhcc.org', 
@@ -26,6 +26,7 @@ export const mockServices = [
       Sunday: 'Closed' 
     },
     eligibility: 'Residents of 63043 zip code. Must provide a recent utility bill.',
+    eligibilityRules: [{ type: 'zip', values: ['63043'] }],
     application: 'Walk-in during open hours. First-time visitors need to fill out a short form.',
     coordinates: [38.7190, -90.4218]
   },
@@ -34,10 +35,10 @@ export const mockServices = [
     name: 'West County Legal Aid Clinic',
     organization: 'St. Louis Legal Services',
     address: '11977 St Charles Rock Rd, Bridgeton, MO 63044',
-    distance: '3.5 mi',
     description: 'Free legal advice and representation for low-income individuals in civil cases, including housing and family law.',
     category: 'Legal Aid',
     sourceOrg: 'Beta Community Group',
+    lastModified: '2026-10-02T18:05:00Z',
     contact: { 
       phone: '(314) 555-5678', 
       email: 'info@stlls.org', 
@@ -53,6 +54,7 @@ export const mockServices = [
       Sunday: 'Closed' 
     },
     eligibility: 'Income at or below 125% of the federal poverty line.',
+    eligibilityRules: [{ type: 'income', maxPercentFPL: 125 }],
     application: 'Call to schedule an intake appointment.',
     coordinates: [38.7661, -90.4218]
   },
@@ -61,10 +63,10 @@ export const mockServices = [
     name: 'Creve Coeur Mobile Food Market',
     organization: 'Operation Food Search',
     address: '12301 Olive Blvd, Creve Coeur, MO 63141',
-    distance: '4.1 mi',
     description: 'Mobile market offering fresh produce and groceries at no cost. Schedule varies, check website.',
     category: 'Food',
     sourceOrg: 'Gamma County Services',
+    lastModified: '2026-06-21T13:45:00Z',
     contact: { 
       phone: '(314) 555-9999', 
       email: 'mobile@operationfoodsearch.org', 
@@ -80,6 +82,7 @@ export const mockServices = [
       Sunday: 'Closed' 
     },
     eligibility: 'Open to all.',
+    eligibilityRules: [],
     application: 'No application needed. Please bring your own bags.',
     coordinates: [38.6620, -90.4218]
   },
@@ -88,10 +91,10 @@ export const mockServices = [
     name: 'Emergency Shelter Assistance',
     organization: 'County Crisis Intervention',
     address: '7150 Natural Bridge Rd, St. Louis, MO 63121',
-    distance: '8.9 mi',
     description: 'Provides temporary emergency shelter placement and resources for individuals and families experiencing homelessness.',
     category: 'Housing',
     sourceOrg: 'Gamma County Services',
+    lastModified: '2026-10-12T20:10:00Z',
     contact: { 
       phone: '(314) 555-4321', 
       email: 'shelter@co.st-louis.mo.us', 
@@ -106,7 +109,9 @@ export const mockServices = [
       Saturday: '24/7', 
       Sunday: '24/7' 
     },
+    closedOnHolidays: false,
     eligibility: 'Must be currently homeless within St. Louis County.',
+    eligibilityRules: [{ type: 'county', values: ['St. Louis County'] }],
     application: 'Call the 24/7 hotline for immediate assistance.',
     coordinates: [38.7301, -90.2259]
   }
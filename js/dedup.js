@@ -0,0 +1,386 @@
+// Deduplicator - Finds services listed by more than one federated source
+// Scores candidate pairs by name, address, phone and distance, merges confident matches into one
+// canonical record and queues borderline matches for admin review
+
+// Street words that sources abbreviate differently
+const ADDRESS_WORDS = {
+  st: 'street',
+  rd: 'road',
+  ave: 'avenue',
+  av: 'avenue',
+  blvd: 'boulevard',
+  dr: 'drive',
+  ln: 'lane',
+  ct: 'court',
+  hwy: 'highway',
+  pkwy: 'parkway',
+  pl: 'place',
+  ste: 'suite',
+  n: 'north',
+  s: 'south',
+  e: 'east',
+  w: 'west'
+};
+
+// Words that say nothing about which service a name refers to
+const NAME_STOPWORDS = new Set(['the', 'of', 'and', 'a', 'at', 'for', 'inc', 'llc']);
+
+// Relative weight of each signal; signals missing from either record are left out of the score
+const SIGNAL_WEIGHTS = { name: 0.4, address: 0.25, phone: 0.2, distance: 0.15 };
+
+// A normalized address ends in its postal code; ZIP+4 has lost its hyphen by then
+const POSTAL_CODE = /\b(\d{5})(?: \d{4})?$/;
+
+export const DUPLICATE_DECISIONS = { MERGE: 'merge', SEPARATE: 'separate' };
+
+export class Deduplicator {
+  constructor(options = {}) {
+    this.options = {
+      matchThreshold: 0.85,
+      reviewThreshold: 0.6,
+      maxDistanceMiles: 0.5,
+      maxBlockSize: 50,
+      distance: null,
+      ...options
+    };
+    this.overrides = new Map();
+  }
+
+  // Score how likely two services describe the same real-world service (0 - 1)
+  scorePair(a, b) {
+    const signals = {
+      name: nameSimilarity(a.name, b.name),
+      address: addressSimilarity(a.address, b.address),
+      phone: phoneMatch(a.contact, b.contact),
+      distance: this.distanceSimilarity(a.coordinates, b.coordinates)
+    };
+
+    let total = 0;
+    let weight = 0;
+    Object.entries(signals).forEach(([signal, value]) => {
+      if (value !== null) {
+        total += value * SIGNAL_WEIGHTS[signal];
+        weight += SIGNAL_WEIGHTS[signal];
+      }
+    });
+
+    return { score: weight > 0 ? round(total / weight) : 0, signals };
+  }
+
+  distanceSimilarity(from, to) {
+    if (!this.options.distance || !isCoordinate(from) || !isCoordinate(to)) {
+      return null;
+    }
+    const miles = this.options.distance(from, to);
+    return round(Math.max(0, 1 - miles / this.options.maxDistanceMiles));
+  }
+
+  // Scored pairs of services from different sources that share a phone, street number and
+  // postal code, map grid cell or pair of name words, at or above the review threshold.
+  // Blocks larger than maxBlockSize are skipped: a key that common (a busy grid cell, "food
+  // pantry") says little, and comparing everything in it would grow with the square of the feed
+  findCandidates(services) {
+    const blocks = new Map();
+    services.forEach((service, index) => {
+      blockingKeys(service).forEach(key => {
+        if (!blocks.has(key)) {
+          blocks.set(key, []);
+        }
+        blocks.get(key).push(index);
+      });
+    });
+
+    const seen = new Set();
+    const candidates = [];
+    blocks.forEach(indexes => {
+      if (indexes.length > this.options.maxBlockSize) {
+        return;
+      }
+      indexes.forEach((i, position) => {
+        indexes.slice(position + 1).forEach(j => {
+          const a = services[i];
+          const b = services[j];
+          const key = pairKey(a, b);
+          if (seen.has(key) || sourceKey(a) === sourceKey(b)) {
+            return;
+          }
+          seen.add(key);
+
+          const { score, signals } = this.scorePair(a, b);
+          if (score >= this.options.reviewThreshold || this.overrides.has(key)) {
+            candidates.push({ key, score, signals, records: [a, b] });
+          }
+        });
+      });
+    });
+
+    return candidates.sort((x, y) => y.score - x.score);
+  }
+
+  // Record an admin decision for a pair; null clears it so the score decides again
+  setOverride(key, decision) {
+    if (decision === null) {
+      this.overrides.delete(key);
+      return;
+    }
+    if (!Object.values(DUPLICATE_DECISIONS).includes(decision)) {
+      throw new Error(`Unknown duplicate decision: ${decision}`);
+    }
+    this.overrides.set(key, decision);
+  }
+
+  // Merge duplicates in a service list
+  // Returns { services, review } where review lists borderline and admin-decided pairs
+  run(services) {
+    const records = expandMerged(services);
+    const candidates = this.findCandidates(records);
+    const review = [];
+
+    const parent = records.map((record, index) => index);
+    const positions = new Map(records.map((record, index) => [recordKey(record), index]));
+    const find = index => {
+      while (parent[index] !== index) {
+        index = parent[index];
+      }
+      return index;
+    };
+
+    candidates.forEach(candidate => {
+      const decision = this.overrides.get(candidate.key) || null;
+      const isMatch =
+        decision === DUPLICATE_DECISIONS.MERGE ||
+        (decision === null && candidate.score >= this.options.matchThreshold);
+
+      if (isMatch) {
+        const [a, b] = candidate.records.map(record => find(positions.get(recordKey(record))));
+        parent[b] = a;
+      }
+      if (decision !== null || candidate.score < this.options.matchThreshold) {
+        review.push({ ...candidate, decision });
+      }
+    });
+
+    const clusters = new Map();
+    records.forEach((record, index) => {
+      const root = find(index);
+      if (!clusters.has(root)) {
+        clusters.set(root, []);
+      }
+      clusters.get(root).push(record);
+    });
+
+    return {
+      services: Array.from(clusters.values()).map(cluster =>
+        cluster.length === 1 ? cluster[0] : mergeRecords(cluster)
+      ),
+      review
+    };
+  }
+}
+
+// Undo earlier merges so records can be compared again
+export function expandMerged(services) {
+  return services.flatMap(service => service.mergedRecords || [service]);
+}
+
+// Stable key for a pair of records, independent of their order
+export function pairKey(a, b) {
+  return [recordKey(a), recordKey(b)].sort().join(' | ');
+}
+
+function recordKey(record) {
+  return `${sourceKey(record)}/${record.id}`;
+}
+
+function sourceKey(record) {
+  return record.sourceId || record.sourceOrg;
+}
+
+// Build one canonical record from a cluster of duplicates
+// The most complete record wins, with gaps filled from the others
+function mergeRecords(cluster) {
+  const [canonical, ...others] = [...cluster].sort(
+    (a, b) =>
+      completeness(b) - completeness(a) ||
+      String(b.lastModified || '').localeCompare(String(a.lastModified || ''))
+  );
+
+  const merged = {
+    ...canonical,
+    contact: { ...canonical.contact },
+    alsoListedBy: [],
+    mergedRecords: cluster
+  };
+
+  others.forEach(record => {
+    ['description', 'address'].forEach(field => {
+      merged[field] = merged[field] || record[field];
+    });
+    ['phone', 'email', 'website'].forEach(field => {
+      merged.contact[field] = merged.contact[field] || (record.contact || {})[field];
+    });
+    if (!isCoordinate(merged.coordinates) && isCoordinate(record.coordinates)) {
+      merged.coordinates = record.coordinates;
+    }
+    if (Object.keys(merged.hours || {}).length === 0) {
+      merged.hours = record.hours;
+    }
+
+    const listed = merged.alsoListedBy.some(entry => entry.sourceOrg === record.sourceOrg);
+    if (record.sourceOrg !== merged.sourceOrg && !listed) {
+      merged.alsoListedBy.push({
+        sourceOrg: record.sourceOrg,
+        sourceId: record.sourceId || null,
+        id: record.id
+      });
+    }
+  });
+
+  return merged;
+}
+
+function completeness(service) {
+  const contact = service.contact || {};
+  return [
+    service.description,
+    service.address,
+    contact.phone,
+    contact.email,
+    contact.website,
+    isCoordinate(service.coordinates),
+    Object.keys(service.hours || {}).length > 0
+  ].filter(Boolean).length;
+}
+
+function blockingKeys(service) {
+  const keys = namePairs(service.name).map(pair => `name:${pair}`);
+  const phone = normalizePhone((service.contact || {}).phone);
+  const address = normalizeAddress(service.address);
+  const streetNumber = address.match(/^\d+/);
+  const postalCode = address.match(POSTAL_CODE);
+
+  if (phone) {
+    keys.push(`phone:${phone}`);
+  }
+  if (streetNumber && postalCode) {
+    keys.push(`address:${postalCode[1]}:${streetNumber[0]}`);
+  }
+  if (isCoordinate(service.coordinates)) {
+    keys.push(`cell:${service.coordinates.map(value => Number(value).toFixed(2)).join(',')}`);
+  }
+  return keys;
+}
+
+// Every pair of significant name words, so "Northside Food Pantry" and "Food Pantry
+// (Northside)" share a block but two services that only have "food" in common don't.
+// A one-word name is its own key
+function namePairs(name) {
+  const tokens = [...new Set(nameTokens(name))].slice(0, 6).sort();
+  if (tokens.length === 1) {
+    return tokens;
+  }
+  return tokens.flatMap((token, index) =>
+    tokens.slice(index + 1).map(other => `${token} ${other}`)
+  );
+}
+
+function nameTokens(name) {
+  return normalizeText(name)
+    .split(' ')
+    .filter(token => token && !NAME_STOPWORDS.has(token));
+}
+
+// Dice coefficient over character bigrams of the significant name words
+export function nameSimilarity(a, b) {
+  const left = nameTokens(a).join(' ');
+  const right = nameTokens(b).join(' ');
+  if (!left || !right) {
+    return null;
+  }
+  if (left === right) {
+    return 1;
+  }
+  return round(dice(bigrams(left), bigrams(right)));
+}
+
+export function normalizeAddress(address) {
+  return normalizeText(address)
+    .split(' ')
+    .map(word => ADDRESS_WORDS[word] || word)
+    .join(' ');
+}
+
+// Same street number and postal code are required; the street text is then compared fuzzily.
+// ZIP+4 codes are cut to their first five digits, like the blocking keys
+export function addressSimilarity(a, b) {
+  const left = normalizeAddress(a).replace(POSTAL_CODE, '$1');
+  const right = normalizeAddress(b).replace(POSTAL_CODE, '$1');
+  if (!left || !right) {
+    return null;
+  }
+  if (left === right) {
+    return 1;
+  }
+
+  const number = text => (text.match(/^\d+/) || [''])[0];
+  const postal = text => (text.match(POSTAL_CODE) || ['', ''])[1];
+  if (number(left) !== number(right) || postal(left) !== postal(right)) {
+    return 0;
+  }
+  return round(dice(bigrams(left), bigrams(right)));
+}
+
+export function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
+function phoneMatch(a, b) {
+  const left = normalizePhone((a || {}).phone);
+  const right = normalizePhone((b || {}).phone);
+  if (!left || !right) {
+    return null;
+  }
+  return left === right ? 1 : 0;
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+function dice(left, right) {
+  if (left.length === 0 || right.length === 0) {
+    return 0;
+  }
+  const counts = new Map();
+  left.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+
+  let shared = 0;
+  right.forEach(pair => {
+    if (counts.get(pair) > 0) {
+      counts.set(pair, counts.get(pair) - 1);
+      shared++;
+    }
+  });
+  return (2 * shared) / (left.length + right.length);
+}
+
+function isCoordinate(value) {
+  return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
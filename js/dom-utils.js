@@ -1,9 +1,47 @@
 // Safe DOM manipulation utilities
 // Replaces innerHTML usage to prevent XSS vulnerabilities
 
+import { OPEN_STATES, describeOpenStatus, formatTime, openStatus } from './opening-hours.js';
+import { upcomingSessions } from './schedule.js';
+
+// Contribute form fields as moderators see them
+const SUBMISSION_LABELS = {
+  name: 'Service name',
+  organization: 'Organization',
+  address: 'Address',
+  category: 'Category',
+  phone: 'Phone',
+  email: 'Email',
+  website: 'Website',
+  description: 'Description',
+  eligibility: 'Eligibility'
+};
+
+// Moderation buttons as [action, label, classes]
+const REVIEW_ACTIONS = [
+  ['approve', 'Approve', 'bg-blue-600 text-white hover:bg-blue-700'],
+  ['edit', 'Edit', 'bg-gray-100 text-gray-800 hover:bg-gray-200'],
+  ['request-info', 'Request info', 'bg-gray-100 text-gray-800 hover:bg-gray-200'],
+  ['reject', 'Reject', 'bg-red-50 text-red-700 hover:bg-red-100']
+];
+const EDIT_ACTIONS = [
+  ['publish', 'Publish', 'bg-blue-600 text-white hover:bg-blue-700'],
+  ['cancel-edit', 'Cancel', 'bg-gray-100 text-gray-800 hover:bg-gray-200']
+];
+
+// How each moderation action reads in a submission's history
+const DECISION_LABELS = {
+  edit: 'Edited',
+  approve: 'Approved',
+  reject: 'Rejected',
+  'request-info': 'Asked for more info'
+};
+
 export class SafeDOM {
   // Safely create and populate a result card element
-  static createResultCard(service) {
+  // matches holds search match spans per field ({ name: [[start, end]] }) to highlight
+  // now sets the time the open/closed badge is worked out for
+  static createResultCard(service, matches = {}, now = new Date()) {
     const card = document.createElement('div');
     card.className = 'bg-white p-4 rounded-lg border border-gray-200 hover:shadow-md hover:border-blue-400 cursor-pointer transition-all duration-200';
     card.dataset.serviceId = service.id;
@@ -14,7 +52,7 @@ export class SafeDOM {
     
     const title = document.createElement('h3');
     title.className = 'font-bold text-lg text-gray-900';
-    title.textContent = service.name;
+    this.setHighlightedText(title, service.name, matches.name);
     
     const distance = document.createElement('span');
     distance.className = 'text-sm font-semibold text-gray-600';
@@ -26,12 +64,12 @@ export class SafeDOM {
     // Organization
     const org = document.createElement('p');
     org.className = 'text-sm text-gray-600 mb-2';
-    org.textContent = service.organization;
+    this.setHighlightedText(org, service.organization, matches.organization);
     
     // Description
     const desc = document.createElement('p');
     desc.className = 'text-sm text-gray-700 mb-3';
-    desc.textContent = service.description;
+    this.setHighlightedText(desc, service.description, matches.description);
     
     // Footer section
     const footer = document.createElement('div');
@@ -50,7 +88,23 @@ export class SafeDOM {
     sourceOrg.textContent = service.sourceOrg;
     
     sourceInfo.appendChild(sourceOrg);
+    
+    // Other sources that list the same service after duplicates were merged
+    if (service.alsoListedBy && service.alsoListedBy.length > 0) {
+      const alsoListed = document.createElement('span');
+      alsoListed.className = 'ml-1';
+      const sources = service.alsoListedBy.map(entry => entry.sourceOrg).join(', ');
+      alsoListed.textContent = `+ ${sources}`;
+      sourceInfo.appendChild(alsoListed);
+    }
+    
     footer.appendChild(categoryBadge);
+    
+    // Open or closed badge; omitted when the hours can't be read
+    const openBadge = this.createOpenBadge(service, now);
+    if (openBadge) {
+      footer.appendChild(openBadge);
+    }
     footer.appendChild(sourceInfo);
     
     // Assemble card
@@ -63,7 +117,8 @@ export class SafeDOM {
   }
   
   // Safely create modal content
-  static createModalContent(service) {
+  // now sets the time the open badge and upcoming sessions are worked out from
+  static createModalContent(service, now = new Date()) {
     const container = document.createElement('div');
     container.className = 'space-y-6';
     
@@ -144,9 +199,20 @@ export class SafeDOM {
     });
     
     hoursSection.appendChild(hoursTitle);
+    const openBadge = this.createOpenBadge(service, now);
+    if (openBadge) {
+      openBadge.className += ' inline-block text-xs mb-2';
+      hoursSection.appendChild(openBadge);
+    }
     hoursSection.appendChild(hoursTable);
     container.appendChild(hoursSection);
     
+    // Upcoming sessions, with holidays and listed closures
+    const sessions = upcomingSessions(service, { from: now, limit: 6 });
+    if (sessions.length > 0) {
+      container.appendChild(this.createUpcomingSessions(sessions));
+    }
+    
     // Eligibility section
     const eligibilitySection = this.createSection('Eligibility', service.eligibility);
     container.appendChild(eligibilitySection);
@@ -161,11 +227,82 @@ export class SafeDOM {
     sourceP.className = 'text-xs text-center text-gray-500 pt-4 border-t mt-6';
     sourceP.textContent = `Data provided by ${service.sourceOrg}`;
     sourceSection.appendChild(sourceP);
+    
+    if (service.alsoListedBy && service.alsoListedBy.length > 0) {
+      const alsoListedP = document.createElement('p');
+      alsoListedP.className = 'text-xs text-center text-gray-500 mt-1';
+      const sources = service.alsoListedBy.map(entry => entry.sourceOrg).join(', ');
+      alsoListedP.textContent = `Also listed by ${sources}`;
+      sourceSection.appendChild(alsoListedP);
+    }
     container.appendChild(sourceSection);
     
     return container;
   }
   
+  // Create the list of a service's next dated sessions, showing cancelled ones as closed
+  static createUpcomingSessions(sessions) {
+    const section = document.createElement('div');
+    const title = document.createElement('h4');
+    title.className = 'font-semibold text-gray-800 mb-2';
+    title.textContent = 'Upcoming Sessions';
+    section.appendChild(title);
+    
+    const list = document.createElement('ul');
+    list.className = 'text-sm text-gray-700 space-y-1';
+    sessions.forEach(session => {
+      const item = document.createElement('li');
+      item.className = session.closure ? 'text-gray-400 line-through' : '';
+      
+      const date = session.start.toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+      });
+      const times = `${formatTime(session.start)} - ${formatTime(session.end)}`;
+      const details = session.closure ? `Closed (${session.closure.reason})` : times;
+      item.textContent = [date, details, session.description].filter(Boolean).join(' · ');
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    
+    return section;
+  }
+  
+  // Fill an element with text, wrapping matched character spans in <mark> elements
+  static setHighlightedText(element, text, spans) {
+    if (!spans || spans.length === 0 || typeof text !== 'string') {
+      element.textContent = text;
+      return element;
+    }
+    
+    let position = 0;
+    const appendPart = (tagName, start, end) => {
+      const part = document.createElement(tagName);
+      part.textContent = text.slice(start, end);
+      if (tagName === 'mark') {
+        part.className = 'bg-yellow-100 text-inherit rounded-sm';
+      }
+      element.appendChild(part);
+    };
+    
+    spans.forEach(([start, end]) => {
+      if (start < position) {
+        return;
+      }
+      if (start > position) {
+        appendPart('span', position, start);
+      }
+      appendPart('mark', start, end);
+      position = end;
+    });
+    if (position < text.length) {
+      appendPart('span', position, text.length);
+    }
+    
+    return element;
+  }
+  
   // Helper method to create a simple text section
   static createSection(title, content) {
     const section = document.createElement('div');
@@ -182,6 +319,268 @@ export class SafeDOM {
     return section;
   }
   
+  // Create a duplicate review entry showing both records side by side
+  // The merge and keep-separate buttons carry the pair key and decision in their dataset
+  static createDuplicateReviewItem(pair) {
+    const item = document.createElement('div');
+    item.className = 'border border-gray-200 rounded-lg p-4';
+    item.dataset.pairKey = pair.key;
+    
+    const header = document.createElement('div');
+    header.className = 'flex justify-between items-center mb-3 text-sm';
+    
+    const score = document.createElement('span');
+    score.className = 'font-semibold text-gray-800';
+    score.textContent = `Match score ${Math.round(pair.score * 100)}%`;
+    
+    const status = document.createElement('span');
+    status.className = 'text-gray-500';
+    status.textContent = pair.decision ? `Decided: ${pair.decision}` : 'Needs review';
+    
+    header.appendChild(score);
+    header.appendChild(status);
+    item.appendChild(header);
+    
+    const records = document.createElement('div');
+    records.className = 'grid grid-cols-1 md:grid-cols-2 gap-4 text-sm';
+    pair.records.forEach(record => {
+      const column = document.createElement('div');
+      [
+        ['font-semibold text-gray-900', record.name],
+        ['text-gray-600', record.address],
+        ['text-gray-600', record.contact ? record.contact.phone : ''],
+        ['text-xs text-gray-500', `Source: ${record.sourceOrg}`]
+      ].forEach(([className, text]) => {
+        const line = document.createElement('p');
+        line.className = className;
+        line.textContent = text || '';
+        column.appendChild(line);
+      });
+      records.appendChild(column);
+    });
+    item.appendChild(records);
+    
+    const actions = document.createElement('div');
+    actions.className = 'flex gap-2 mt-3';
+    [
+      ['merge', 'Merge', 'bg-blue-600 text-white hover:bg-blue-700'],
+      ['separate', 'Keep separate', 'bg-gray-100 text-gray-800 hover:bg-gray-200']
+    ].forEach(([decision, label, className]) => {
+      const button = document.createElement('button');
+      button.className = `px-3 py-1 rounded-md text-sm ${className}`;
+      button.dataset.pairKey = pair.key;
+      button.dataset.decision = pair.decision === decision ? '' : decision;
+      button.textContent = pair.decision === decision ? `Undo ${label.toLowerCase()}` : label;
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+    
+    return item;
+  }
+  
+  // Create a badge saying whether a service is open at the given time, or null if unknown
+  static createOpenBadge(service, now = new Date()) {
+    const status = openStatus(service, now);
+    if (status.state === OPEN_STATES.UNKNOWN) {
+      return null;
+    }
+    
+    const colors = {
+      [OPEN_STATES.OPEN]: 'bg-emerald-100 text-emerald-800',
+      [OPEN_STATES.CLOSED]: 'bg-gray-100 text-gray-700',
+      [OPEN_STATES.APPOINTMENT]: 'bg-amber-100 text-amber-800'
+    };
+    const badge = document.createElement('span');
+    badge.className = `px-2 py-1 rounded-full font-medium ${colors[status.state]}`;
+    badge.dataset.openState = status.state;
+    badge.textContent = describeOpenStatus(status, now);
+    return badge;
+  }
+  
+  // Create the note explaining a questionnaire result on a result card, with a line per rule
+  static createEligibilityNote(check) {
+    const summaries = {
+      eligible: ['You appear to qualify', 'text-emerald-700'],
+      ineligible: ['You may not qualify', 'text-red-700'],
+      unknown: ['Check eligibility with the provider', 'text-amber-700']
+    };
+    const marks = { pass: '✓', fail: '✗', unknown: '?' };
+    
+    const note = document.createElement('div');
+    note.className = 'mt-2 text-xs';
+    note.dataset.eligibility = check.status;
+    
+    if (check.rules.length === 0) {
+      summaries.eligible[0] = 'Open to all';
+      summaries.unknown[0] = 'No eligibility rules listed; check with the provider';
+    }
+    
+    const [text, color] = summaries[check.status];
+    const summary = document.createElement('p');
+    summary.className = `font-semibold ${color}`;
+    summary.textContent = text;
+    note.appendChild(summary);
+    
+    if (check.rules.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'mt-1 space-y-0.5 text-gray-600';
+      check.rules.forEach(({ result, message }) => {
+        const item = document.createElement('li');
+        item.dataset.result = result;
+        item.textContent = `${marks[result]} ${message}`;
+        list.appendChild(item);
+      });
+      note.appendChild(list);
+    }
+    
+    return note;
+  }
+  
+  // Create a removable chip for an active filter ({ key, value, label } from FilterState)
+  static createFilterChip(chip) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className =
+      'inline-flex items-center gap-1 px-2 py-1 rounded-full bg-blue-50 text-xs font-medium text-blue-800 hover:bg-blue-100';
+    button.dataset.chipKey = chip.key;
+    button.dataset.chipValue = chip.value === null ? '' : String(chip.value);
+    button.setAttribute('aria-label', `Remove filter: ${chip.label}`);
+    
+    const label = document.createElement('span');
+    label.textContent = chip.label;
+    
+    const remove = document.createElement('span');
+    remove.setAttribute('aria-hidden', 'true');
+    remove.textContent = '×';
+    
+    button.appendChild(label);
+    button.appendChild(remove);
+    return button;
+  }
+  
+  // Create an admin moderation entry for a contributed service, with its decisions so far
+  // editing shows the fields as inputs so a moderator can correct them before publishing
+  static createSubmissionReviewItem(submission, { editing = false } = {}) {
+    const item = document.createElement(editing ? 'form' : 'div');
+    item.className = 'border border-gray-200 rounded-lg p-4';
+    item.dataset.trackingId = submission.trackingId;
+    
+    const header = document.createElement('div');
+    header.className = 'flex justify-between items-center mb-1 text-sm';
+    
+    const name = document.createElement('span');
+    name.className = 'font-semibold text-gray-900';
+    name.textContent = submission.fields.name;
+    
+    const status = document.createElement('span');
+    status.className = 'text-gray-500';
+    status.textContent = submission.status === 'needs-info' ? 'Waiting for more info' : 'Needs review';
+    
+    header.appendChild(name);
+    header.appendChild(status);
+    item.appendChild(header);
+    
+    const submitted = document.createElement('p');
+    submitted.className = 'text-xs text-gray-500 mb-3';
+    submitted.textContent = `${submission.trackingId} · Submitted ${formatDate(submission.submittedAt)}`;
+    item.appendChild(submitted);
+    
+    const fields = document.createElement('div');
+    fields.className = editing ? 'grid grid-cols-1 md:grid-cols-2 gap-3 text-sm' : 'text-sm space-y-1';
+    Object.entries(SUBMISSION_LABELS).forEach(([field, label]) => {
+      const value = submission.fields[field] || '';
+      if (editing) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'block text-gray-700';
+        wrapper.textContent = label;
+        
+        const input = document.createElement(['description', 'eligibility'].includes(field) ? 'textarea' : 'input');
+        input.className = 'mt-1 w-full p-2 border border-gray-300 rounded-md';
+        input.name = field;
+        input.value = value;
+        
+        wrapper.appendChild(input);
+        fields.appendChild(wrapper);
+      } else if (value) {
+        const line = document.createElement('p');
+        line.className = 'text-gray-700';
+        line.textContent = `${label}: ${value}`;
+        fields.appendChild(line);
+      }
+    });
+    item.appendChild(fields);
+    
+    const decisions = submission.history.filter(entry => entry.by);
+    if (decisions.length > 0) {
+      const history = document.createElement('ul');
+      history.className = 'mt-3 text-xs text-gray-500 space-y-1';
+      decisions.forEach(entry => history.appendChild(SafeDOM.createDecisionItem(entry)));
+      item.appendChild(history);
+    }
+    
+    if (!editing) {
+      const reason = document.createElement('label');
+      reason.className = 'block mt-3 text-sm text-gray-700';
+      reason.textContent = 'Reason or question for the contributor';
+      
+      const reasonInput = document.createElement('textarea');
+      reasonInput.className = 'mt-1 w-full p-2 border border-gray-300 rounded-md';
+      reasonInput.rows = 2;
+      reasonInput.name = 'reason';
+      
+      reason.appendChild(reasonInput);
+      item.appendChild(reason);
+    }
+    
+    const actions = document.createElement('div');
+    actions.className = 'flex flex-wrap gap-2 mt-3';
+    (editing ? EDIT_ACTIONS : REVIEW_ACTIONS).forEach(([action, label, className]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `px-3 py-1 rounded-md text-sm ${className}`;
+      button.dataset.trackingId = submission.trackingId;
+      button.dataset.action = action;
+      button.textContent = label;
+      actions.appendChild(button);
+    });
+    item.appendChild(actions);
+    
+    return item;
+  }
+  
+  // Create a moderation log line: what was decided on a submission, by whom and when
+  static createDecisionItem(entry) {
+    const item = document.createElement('li');
+    const summary = [
+      `${DECISION_LABELS[entry.action] || entry.action} by ${entry.by}`,
+      formatDate(entry.at)
+    ];
+    if (entry.name) {
+      summary.unshift(`${entry.name} (${entry.trackingId})`);
+    }
+    item.textContent = summary.join(' · ') + (entry.reason ? `: ${entry.reason}` : '');
+    return item;
+  }
+  
+  // Create an admin entry for hours text the opening-hours parser couldn't read
+  static createUnparsedHoursItem({ service, day, text }) {
+    const item = document.createElement('li');
+    item.className = 'flex justify-between gap-4 py-2 text-sm';
+    item.dataset.serviceId = service.id;
+    
+    const name = document.createElement('span');
+    name.className = 'font-medium text-gray-900';
+    name.textContent = `${service.name} · ${day}`;
+    
+    const hours = document.createElement('span');
+    hours.className = 'text-red-700';
+    hours.textContent = text;
+    
+    item.appendChild(name);
+    item.appendChild(hours);
+    return item;
+  }
+  
   // Get category-specific styling
   static getCategoryColor(category) {
     switch (category) {
@@ -195,4 +594,13 @@ export class SafeDOM {
         return 'bg-gray-100 text-gray-800';
     }
   }
-}
\ No newline at end of file
+}
+// A timestamp as "Mar 2, 3:00 PM"
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
@@ -0,0 +1,213 @@
+// EligibilityScreener - Matches a client's answers to each service's eligibility rules
+// Services list structured rules next to their free-text eligibility, e.g.
+//   eligibilityRules: [{ type: 'zip', values: ['63043'] }, { type: 'income', maxPercentFPL: 125 }]
+// An empty list means open to all; services without rules can't be screened.
+
+export const ELIGIBILITY = {
+  ELIGIBLE: 'eligible',
+  INELIGIBLE: 'ineligible',
+  UNKNOWN: 'unknown'
+};
+
+export const RULE_RESULTS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  UNKNOWN: 'unknown'
+};
+
+// HHS poverty guidelines for the 48 contiguous states and DC: base amount for one person plus
+// the amount for each additional household member. HHS publishes new figures each January; the
+// app loads them from data/poverty-guidelines.json and falls back to these
+export const POVERTY_GUIDELINES = { year: 2025, base: 15650, perPerson: 5500 };
+
+// Rule types: each checks a normalized client profile and returns [result, message]
+const RULE_TYPES = {
+  zip: (rule, profile) =>
+    matchPlace(rule.values, profile.zip, 'ZIP code', value => value.slice(0, 5)),
+
+  county: (rule, profile) =>
+    matchPlace(rule.values, profile.county, 'county', value =>
+      value.toLowerCase().replace(/\s+county$/, '')
+    ),
+
+  age: (rule, profile) =>
+    resultFor(
+      profile.age,
+      rule,
+      rangeLabel(rule, {
+        between: 'Ages {min}-{max}',
+        atLeast: 'Ages {min} and up',
+        atMost: 'Ages {max} and under'
+      }),
+      'your age'
+    ),
+
+  householdSize: (rule, profile) =>
+    resultFor(
+      profile.householdSize,
+      rule,
+      rangeLabel(rule, {
+        between: 'Households of {min}-{max} people',
+        atLeast: 'Households of {min} or more people',
+        atMost: 'Households of up to {max} people'
+      }),
+      'your household size'
+    ),
+
+  income: (rule, profile, screener) => {
+    const size = profile.householdSize || 1;
+    const limit = Math.floor((screener.povertyLine(size) * rule.maxPercentFPL) / 100);
+    const label =
+      `Household income at or below ${rule.maxPercentFPL}% of the federal poverty line ` +
+      `(${formatDollars(limit)} a year for ${size} ${size === 1 ? 'person' : 'people'})`;
+
+    if (profile.income === undefined) {
+      return [RULE_RESULTS.UNKNOWN, `${label}; enter your household income`];
+    }
+    return [profile.income <= limit ? RULE_RESULTS.PASS : RULE_RESULTS.FAIL, label];
+  },
+
+  veteran: (rule, profile) => {
+    const label = 'For veterans';
+    if (profile.veteran === undefined) {
+      return [RULE_RESULTS.UNKNOWN, `${label}; say whether you are a veteran`];
+    }
+    return [profile.veteran ? RULE_RESULTS.PASS : RULE_RESULTS.FAIL, label];
+  }
+};
+
+export class EligibilityScreener {
+  constructor(options = {}) {
+    this.setGuidelines({ ...POVERTY_GUIDELINES, ...options.guidelines });
+  }
+
+  // Replace the poverty guidelines: { year, base, perPerson }
+  setGuidelines({ year, base, perPerson }) {
+    if (!Number.isInteger(year)) {
+      throw new Error('Poverty guidelines need the year they apply to');
+    }
+    if (![base, perPerson].every(amount => Number.isFinite(amount) && amount > 0)) {
+      throw new Error('Poverty guidelines need positive base and perPerson amounts');
+    }
+    this.guidelines = { year, base, perPerson };
+  }
+
+  // Whether newer guidelines have been published since the ones in use
+  guidelinesOutdated(now = new Date()) {
+    return this.guidelines.year < now.getFullYear();
+  }
+
+  // Annual income at 100% of the federal poverty line for a household size
+  povertyLine(householdSize) {
+    const size = Math.max(1, Math.round(householdSize));
+    return this.guidelines.base + this.guidelines.perPerson * (size - 1);
+  }
+
+  // Check one rule against a client profile
+  // Returns { rule, result, message } with result one of RULE_RESULTS
+  checkRule(rule, profile) {
+    const evaluate = RULE_TYPES[rule.type];
+    if (!evaluate) {
+      return {
+        rule,
+        result: RULE_RESULTS.UNKNOWN,
+        message: `Unknown eligibility rule "${rule.type}"`
+      };
+    }
+
+    const [result, message] = evaluate(rule, normalizeProfile(profile), this);
+    return { rule, result, message };
+  }
+
+  // Check a service against a client profile
+  // Returns { status, rules: [{ rule, result, message }] }; any failed rule makes the client
+  // ineligible, and unanswered questions or missing rules leave the status unknown
+  check(service, profile) {
+    if (!Array.isArray(service.eligibilityRules)) {
+      return { status: ELIGIBILITY.UNKNOWN, rules: [] };
+    }
+
+    const rules = service.eligibilityRules.map(rule => this.checkRule(rule, profile));
+    let status = ELIGIBILITY.ELIGIBLE;
+    if (rules.some(rule => rule.result === RULE_RESULTS.FAIL)) {
+      status = ELIGIBILITY.INELIGIBLE;
+    } else if (rules.some(rule => rule.result === RULE_RESULTS.UNKNOWN)) {
+      status = ELIGIBILITY.UNKNOWN;
+    }
+    return { status, rules };
+  }
+
+  // Check many services; returns a Map of service -> check result
+  screen(services, profile) {
+    return new Map(services.map(service => [service, this.check(service, profile)]));
+  }
+}
+
+// Questionnaire answers arrive as form strings; blanks mean "not answered"
+export function normalizeProfile(profile = {}) {
+  const number = value => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return undefined;
+    }
+    const parsed = Number(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(parsed) ? parsed : undefined;
+  };
+  const text = value => (value === undefined || value === null ? '' : String(value).trim());
+
+  let veteran;
+  if (profile.veteran === true || profile.veteran === 'yes') {
+    veteran = true;
+  } else if (profile.veteran === false || profile.veteran === 'no') {
+    veteran = false;
+  }
+
+  return {
+    zip: text(profile.zip) || undefined,
+    county: text(profile.county) || undefined,
+    age: number(profile.age),
+    householdSize: number(profile.householdSize),
+    income: number(profile.income),
+    veteran
+  };
+}
+
+// Whether the profile answered any question
+export function hasAnswers(profile) {
+  return Object.values(normalizeProfile(profile)).some(value => value !== undefined);
+}
+
+function matchPlace(values = [], answer, label, normalize) {
+  const message = `Only for ${label === 'county' ? 'residents of' : label} ${values.join(', ')}`;
+  if (answer === undefined) {
+    return [RULE_RESULTS.UNKNOWN, `${message}; enter your ${label}`];
+  }
+
+  const allowed = values.map(value => normalize(String(value)));
+  return [allowed.includes(normalize(answer)) ? RULE_RESULTS.PASS : RULE_RESULTS.FAIL, message];
+}
+
+function resultFor(value, rule, label, question) {
+  if (value === undefined) {
+    return [RULE_RESULTS.UNKNOWN, `${label}; enter ${question}`];
+  }
+  return [inRange(value, rule) ? RULE_RESULTS.PASS : RULE_RESULTS.FAIL, label];
+}
+
+function inRange(value, { min, max }) {
+  return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+// Fill the label for a { min, max } range, e.g. "Ages {min}-{max}" -> "Ages 18-64"
+function rangeLabel({ min, max }, labels) {
+  let label = labels.atMost;
+  if (min !== undefined && max !== undefined) {
+    label = labels.between;
+  } else if (min !== undefined) {
+    label = labels.atLeast;
+  }
+  return label.replace('{min}', min).replace('{max}', max);
+}
+
+function formatDollars(amount) {
+  return `$${amount.toLocaleString('en-US')}`;
+}
@@ -0,0 +1,63 @@
+// Events - The on/off/emit event system the app's components and services share, and the one
+// place problems the app recovers from are reported: a listener that throws, storage that can't
+// be read or written. Problems go to the console unless setProblemReporter() sends them
+// elsewhere, such as an error monitoring service
+
+let reporter = consoleReporter;
+
+// Send problems to reporter(level, message, error), where level is 'warn' or 'error'; null
+// restores the console
+export function setProblemReporter(callback) {
+  reporter = callback || consoleReporter;
+}
+
+// Something failed and the app carried on without it
+export function reportError(message, error) {
+  reporter('error', message, error);
+}
+
+// Something didn't work as hoped, such as storage that is full or unavailable
+export function reportWarning(message, error) {
+  reporter('warn', message, error);
+}
+
+export class EventEmitter {
+  constructor() {
+    this.eventListeners = new Map();
+  }
+
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    const listeners = this.eventListeners.get(event) || [];
+    const index = listeners.indexOf(callback);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  // Call each listener in turn; one that throws is reported and the rest still run
+  emit(event, ...args) {
+    (this.eventListeners.get(event) || []).forEach(callback => {
+      try {
+        callback(...args);
+      } catch (error) {
+        reportError(`Error in ${event} event listener:`, error);
+      }
+    });
+  }
+
+  removeAllListeners() {
+    this.eventListeners.clear();
+  }
+}
+
+function consoleReporter(level, message, error) {
+  // eslint-disable-next-line no-console
+  console[level](message, error);
+}
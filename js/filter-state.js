@@ -0,0 +1,175 @@
+// FilterState - The one model of the Browse filters that every sidebar control reads and writes
+// Controls call set() with what changed and redraw from the 'change' event; toCriteria() turns
+// the state into DataService.filterServices() criteria, and getChips() lists the active filters
+// for the chips above the results. Typing can be debounced so a search runs once the user pauses
+
+import { EventEmitter } from './events.js';
+
+export const DEFAULT_FILTERS = {
+  keyword: '',
+  place: null,
+  radius: null,
+  categories: [],
+  sourceOrgs: [],
+  open: '',
+  eligibility: {},
+  sort: 'relevance'
+};
+
+const LIST_FIELDS = ['categories', 'sourceOrgs'];
+
+const OPEN_LABELS = { now: 'Open now', today: 'Open today' };
+
+export class FilterState extends EventEmitter {
+  constructor(initial = {}, options = {}) {
+    super();
+    this.config = {
+      debounceMs: 300,
+      ...options
+    };
+    this.state = normalize({ ...DEFAULT_FILTERS, ...initial });
+    this.pending = null;
+    this.timer = null;
+  }
+
+  // A copy of the current filters
+  get() {
+    return normalize(this.state);
+  }
+
+  // Change some filters; returns whether anything changed
+  // With { debounce: true } the 'change' event waits until no changes have come in for
+  // debounceMs, for search-as-you-type; any other set(), or flush(), sends it straight away
+  set(changes, { debounce = false } = {}) {
+    const unknown = Object.keys(changes).filter(key => !(key in DEFAULT_FILTERS));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown filter: ${unknown[0]}`);
+    }
+
+    const next = normalize({ ...this.state, ...changes });
+    // A radius means nothing without a place to measure from
+    if (!next.place) {
+      next.radius = null;
+    }
+    const changed = Object.keys(DEFAULT_FILTERS).filter(
+      key => !sameValue(this.state[key], next[key])
+    );
+    if (changed.length > 0) {
+      this.state = next;
+      this.pending = new Set([...(this.pending || []), ...changed]);
+    }
+
+    if (!debounce) {
+      this.flush();
+    } else if (changed.length > 0) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), this.config.debounceMs);
+    }
+    return changed.length > 0;
+  }
+
+  // Send any debounced change now; returns whether there was one
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.pending) {
+      return false;
+    }
+
+    const changed = [...this.pending];
+    this.pending = null;
+    this.emit('change', this.get(), changed);
+    return true;
+  }
+
+  // Clear every filter, keeping the sort order
+  reset() {
+    return this.set({ ...DEFAULT_FILTERS, sort: this.state.sort });
+  }
+
+  // Criteria for DataService.filterServices(); fields set in the parsed search query
+  // (category:, source:, open:, near:) take precedence over the sidebar
+  toCriteria(query = {}) {
+    const criteria = { ...query };
+    LIST_FIELDS.forEach(key => {
+      if (!criteria[key] || criteria[key].length === 0) {
+        criteria[key] = [...this.state[key]];
+      }
+    });
+    if (!criteria.open) {
+      criteria.open = this.state.open;
+    }
+    criteria.near = criteria.near || this.state.place;
+    criteria.radius = criteria.near ? this.state.radius : null;
+    criteria.eligibility = { ...this.state.eligibility };
+
+    // Distance sorting waits for a location; best match is the default order
+    const sort = this.state.sort;
+    if (sort !== 'relevance' && (sort !== 'distance' || criteria.near)) {
+      criteria.sort = sort;
+    }
+    return criteria;
+  }
+
+  // The active filters as [{ key, value, label }], one per category and source
+  getChips() {
+    const { keyword, place, radius, open, eligibility } = this.state;
+    const chips = [];
+
+    if (keyword) {
+      chips.push({ key: 'keyword', value: keyword, label: `“${keyword}”` });
+    }
+    if (place) {
+      chips.push({ key: 'place', value: place.name, label: `Near ${place.name}` });
+    }
+    if (radius) {
+      chips.push({ key: 'radius', value: radius, label: `Within ${radius} mi` });
+    }
+    LIST_FIELDS.forEach(key => {
+      this.state[key].forEach(value => chips.push({ key, value, label: value }));
+    });
+    if (open) {
+      chips.push({ key: 'open', value: open, label: OPEN_LABELS[open] || open });
+    }
+    if (Object.keys(eligibility).length > 0) {
+      chips.push({ key: 'eligibility', value: null, label: 'Eligibility answers' });
+    }
+    return chips;
+  }
+
+  // Clear the filter behind a chip; categories and sources drop just the one value
+  removeChip({ key, value }) {
+    if (LIST_FIELDS.includes(key)) {
+      return this.set({ [key]: this.state[key].filter(item => item !== value) });
+    }
+    return this.set({ [key]: DEFAULT_FILTERS[key] });
+  }
+
+  // Stop any pending debounced change
+  destroy() {
+    clearTimeout(this.timer);
+    this.pending = null;
+    this.removeAllListeners();
+  }
+}
+
+// Copy the state, trimming the keyword, dropping blank eligibility answers and turning an
+// empty radius into null
+function normalize(state) {
+  return {
+    ...state,
+    keyword: String(state.keyword || '').trim(),
+    radius: Number(state.radius) || null,
+    categories: [...(state.categories || [])],
+    sourceOrgs: [...(state.sourceOrgs || [])],
+    open: state.open || '',
+    eligibility: Object.fromEntries(
+      Object.entries(state.eligibility || {}).filter(([, answer]) => String(answer).trim() !== '')
+    ),
+    sort: state.sort || DEFAULT_FILTERS.sort
+  };
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,102 @@
+// Gazetteer - Resolves a ZIP code, city or street address to map coordinates without a network
+// Looks places up in the bundled ZIP table; an address resolves through its ZIP code, or
+// through the city it names when the ZIP is missing or not in the table
+
+import { ZIP_CODES } from './zip-codes.js';
+
+const ZIP_PATTERN = /\b(\d{5})(?:-\d{4})?\b/g;
+
+export class Gazetteer {
+  constructor(zipCodes = ZIP_CODES) {
+    this.zips = new Map(zipCodes.map(entry => [entry.zip, entry]));
+    this.cityPlaces = groupCities(zipCodes);
+  }
+
+  // Resolve free text such as "63043", "Maryland Heights, MO" or
+  // "2344 McKelvey Rd, Maryland Heights, MO 63043"
+  // Returns { kind: 'zip' | 'city', name, zip, city, state, county, coordinates } or null
+  lookup(query) {
+    const text = String(query ?? '').trim();
+    if (text === '') {
+      return null;
+    }
+
+    // A five-digit street number comes before the ZIP, so the last known ZIP in the text wins
+    const zip = Array.from(text.matchAll(ZIP_PATTERN), match => match[1])
+      .filter(candidate => this.zips.has(candidate))
+      .pop();
+    if (zip) {
+      const entry = this.zips.get(zip);
+      return {
+        kind: 'zip',
+        name: `${entry.city}, ${entry.state} ${entry.zip}`,
+        zip: entry.zip,
+        city: entry.city,
+        state: entry.state,
+        county: entry.county,
+        coordinates: entry.coordinates
+      };
+    }
+
+    return this.lookupCity(text);
+  }
+
+  // The longest city name found in the text, so "East St. Louis" wins over "St. Louis"
+  lookupCity(text) {
+    const padded = ` ${normalizePlace(text)} `;
+    const matches = this.cityPlaces.filter(({ key }) => padded.includes(` ${key} `));
+    if (matches.length === 0) {
+      return null;
+    }
+
+    const [longest] = matches.sort((a, b) => b.key.length - a.key.length);
+    return longest.place;
+  }
+
+  // "City, ST" names for location suggestions
+  cities() {
+    return this.cityPlaces.map(({ place }) => place.name).sort();
+  }
+}
+
+// Lowercase words without punctuation, with "Saint" and "St" treated alike
+export function normalizePlace(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\bsaint\b/g, 'st')
+    .trim();
+}
+
+// One place per city, centred on the average of its ZIP centroids
+function groupCities(zipCodes) {
+  const cities = new Map();
+  zipCodes.forEach(entry => {
+    const name = `${entry.city}, ${entry.state}`;
+    if (!cities.has(name)) {
+      cities.set(name, { entry, zips: [] });
+    }
+    cities.get(name).zips.push(entry);
+  });
+
+  return Array.from(cities, ([name, { entry, zips }]) => ({
+    key: normalizePlace(entry.city),
+    place: {
+      kind: 'city',
+      name,
+      zip: null,
+      city: entry.city,
+      state: entry.state,
+      county: entry.county,
+      coordinates: [
+        average(zips.map(zip => zip.coordinates[0])),
+        average(zips.map(zip => zip.coordinates[1]))
+      ]
+    }
+  }));
+}
+
+function average(values) {
+  return Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(4));
+}
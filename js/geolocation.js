@@ -0,0 +1,46 @@
+// Geolocation - Finds the user's position for "Use my location"
+// Wraps the browser Geolocation API in a promise and turns its failures, including denied
+// permission, into errors with a code and a message the sidebar can show as-is
+
+export const GEOLOCATION_ERRORS = {
+  unsupported: 'This browser can’t share your location. Enter a ZIP code or city instead.',
+  denied:
+    'Location access is blocked for this site. Allow it in your browser settings, or enter a ZIP code or city instead.',
+  unavailable: 'Your location isn’t available right now. Try again, or enter a ZIP code or city.',
+  timeout: 'Finding your location took too long. Try again, or enter a ZIP code or city.'
+};
+
+// GeolocationPositionError codes
+const ERROR_CODES = { 1: 'denied', 2: 'unavailable', 3: 'timeout' };
+
+// Resolve to { kind: 'device', name, coordinates: [lat, lng], accuracy } where accuracy is in
+// meters; rejects with an Error whose code is a key of GEOLOCATION_ERRORS
+export function getCurrentLocation(options = {}, geolocation = defaultGeolocation()) {
+  if (!geolocation) {
+    return Promise.reject(locationError('unsupported'));
+  }
+
+  return new Promise((resolve, reject) => {
+    geolocation.getCurrentPosition(
+      position =>
+        resolve({
+          kind: 'device',
+          name: 'your location',
+          coordinates: [position.coords.latitude, position.coords.longitude],
+          accuracy: position.coords.accuracy
+        }),
+      error => reject(locationError(ERROR_CODES[error.code] || 'unavailable')),
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000, ...options }
+    );
+  });
+}
+
+function locationError(code) {
+  const error = new Error(GEOLOCATION_ERRORS[code]);
+  error.code = code;
+  return error;
+}
+
+function defaultGeolocation() {
+  return typeof navigator !== 'undefined' && navigator.geolocation ? navigator.geolocation : null;
+}
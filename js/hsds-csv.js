@@ -0,0 +1,367 @@
+// HSDS CSV Data Packages - Reads HSDS exports published as CSV tables
+// Supports a datapackage.json descriptor served from a folder URL, an in-memory file map or a zip,
+// and writes CSV tables and zip archives for exports
+
+import { HSDS_TABLES, HSDSImporter } from './hsds-import.js';
+
+const DESCRIPTOR = 'datapackage.json';
+
+// Parse RFC 4180 CSV text into row objects keyed by the header row
+// Returns { rows, errors } where errors list malformed lines instead of throwing
+export function parseCSV(text) {
+  const records = [];
+  const errors = [];
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    if (!(record.length === 1 && record[0] === '')) {
+      records.push({ line: recordLine, values: record });
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: recordLine, message: 'Unterminated quoted field' });
+  } else if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  if (records.length === 0) {
+    return { rows: [], errors };
+  }
+
+  const header = records[0].values.map(name => name.trim());
+  const rows = [];
+  records.slice(1).forEach(({ line: rowLine, values }) => {
+    if (values.length !== header.length) {
+      errors.push({
+        line: rowLine,
+        message: `Expected ${header.length} fields but found ${values.length}`
+      });
+      return;
+    }
+
+    const row = {};
+    header.forEach((name, index) => {
+      row[name] = values[index];
+    });
+    rows.push(row);
+  });
+
+  return { rows, errors };
+}
+
+// Read an HSDS data package into table collections
+// source: URL of datapackage.json (or its folder), a { filename: text } map, or zip data
+// Returns { tables, issues } where issues carry CSV parse errors and missing resources
+export async function readDataPackage(source) {
+  const files = await openPackage(source);
+  const descriptor = JSON.parse(await files.read(DESCRIPTOR));
+  const tables = {};
+  const issues = [];
+
+  for (const resource of descriptor.resources || []) {
+    const table = resource.name;
+    if (!HSDS_TABLES.includes(table)) {
+      continue;
+    }
+
+    const paths = Array.isArray(resource.path) ? resource.path : [resource.path];
+    tables[table] = [];
+
+    for (const path of paths) {
+      let text;
+      try {
+        text = await files.read(path);
+      } catch (error) {
+        issues.push({ table, id: null, message: `Missing resource ${path}: ${error.message}` });
+        continue;
+      }
+
+      const { rows, errors } = parseCSV(text);
+      tables[table].push(...rows);
+      errors.forEach(({ line, message }) => {
+        issues.push({ table, id: null, message: `${path} line ${line}: ${message}` });
+      });
+    }
+  }
+
+  if (!tables.service) {
+    throw new Error('Data package does not contain a service resource');
+  }
+
+  return { tables, issues };
+}
+
+// Read a data package and join its tables into navigator services
+// Returns { services, report } like HSDSImporter, with CSV issues listed first
+export async function importDataPackage(source, options = {}) {
+  const { tables, issues } = await readDataPackage(source);
+  const { services, report } = new HSDSImporter(options).importTables(tables);
+  report.issues = [...issues, ...report.issues];
+  return { services, report };
+}
+
+// Resolve the package source into a reader of package-relative paths
+async function openPackage(source) {
+  if (typeof source === 'string') {
+    if (/\.zip$/i.test(source)) {
+      const response = await fetchOk(source);
+      return fileMapReader(await readZip(await response.arrayBuffer()));
+    }
+
+    const descriptorUrl = source.endsWith(DESCRIPTOR)
+      ? source
+      : `${source.replace(/\/?$/, '/')}${DESCRIPTOR}`;
+    const base = descriptorUrl.slice(0, descriptorUrl.length - DESCRIPTOR.length);
+    return {
+      read: async path => (await fetchOk(path === DESCRIPTOR ? descriptorUrl : base + path)).text()
+    };
+  }
+
+  if (
+    Object.prototype.toString.call(source) === '[object ArrayBuffer]' ||
+    ArrayBuffer.isView(source)
+  ) {
+    return fileMapReader(await readZip(source));
+  }
+
+  if (source && typeof source.arrayBuffer === 'function') {
+    return fileMapReader(await readZip(await source.arrayBuffer()));
+  }
+
+  if (source && typeof source === 'object') {
+    return fileMapReader(source);
+  }
+
+  throw new Error('Unsupported data package source');
+}
+
+// Files may sit in a subfolder (e.g. a zipped export folder), so resolve paths
+// relative to wherever datapackage.json was found
+function fileMapReader(files) {
+  const names = Object.keys(files);
+  const descriptorName = names.find(name => name === DESCRIPTOR || name.endsWith(`/${DESCRIPTOR}`));
+  if (!descriptorName) {
+    throw new Error(`Data package is missing ${DESCRIPTOR}`);
+  }
+
+  const base = descriptorName.slice(0, descriptorName.length - DESCRIPTOR.length);
+  return {
+    read: async path => {
+      const content = files[base + path.replace(/^\.\//, '')];
+      if (content === undefined) {
+        throw new Error('file not found');
+      }
+      return content;
+    }
+  };
+}
+
+async function fetchOk(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response;
+}
+
+// Extract a zip archive into a { filename: text } map
+// Stored entries are copied; deflated entries use the browser's DecompressionStream
+export async function readZip(data) {
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // The end of central directory record sits in the last 22 bytes plus an optional comment
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = {};
+
+  for (let n = 0; n < entryCount; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    const dataStart =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const content = bytes.subarray(dataStart, dataStart + compressedSize);
+    files[name] = decoder.decode(await inflate(content, method));
+  }
+
+  return files;
+}
+
+async function inflate(content, method) {
+  if (method === 0) {
+    return content;
+  }
+  if (method !== 8) {
+    throw new Error(`Unsupported zip compression method ${method}`);
+  }
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Compressed zip archives are not supported in this browser');
+  }
+
+  const stream = new Blob([content]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Serialize row objects as RFC 4180 CSV with the given column order
+export function toCSV(rows, columns) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escape).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+}
+
+// Pack a { filename: text } map into an uncompressed zip archive
+export function writeZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
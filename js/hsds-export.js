@@ -0,0 +1,386 @@
+// HSDS Exporter - Converts navigator services back into Open Referral HSDS 3.0
+// Produces nested HSDS JSON service records or a CSV data package with provenance metadata
+
+import { toCSV } from './hsds-csv.js';
+import { SCHEDULE_FIELDS } from './hsds-import.js';
+
+// Columns written for each exported table, in data package order
+export const EXPORT_COLUMNS = {
+  organization: ['id', 'name', 'description', 'email', 'website'],
+  service: [
+    'id',
+    'organization_id',
+    'name',
+    'description',
+    'url',
+    'email',
+    'status',
+    'eligibility_description',
+    'minimum_age',
+    'maximum_age',
+    'application_process',
+    'last_modified'
+  ],
+  location: ['id', 'organization_id', 'name', 'location_type', 'latitude', 'longitude'],
+  service_at_location: ['id', 'service_id', 'location_id'],
+  address: [
+    'id',
+    'location_id',
+    'address_1',
+    'city',
+    'state_province',
+    'postal_code',
+    'country',
+    'address_type'
+  ],
+  phone: ['id', 'service_id', 'number', 'extension'],
+  schedule: ['id', 'service_id', ...SCHEDULE_FIELDS],
+  taxonomy_term: ['id', 'code', 'name', 'taxonomy'],
+  attribute: ['id', 'link_id', 'link_type', 'link_entity', 'taxonomy_term_id'],
+  metadata: [
+    'id',
+    'resource_id',
+    'resource_type',
+    'last_action_date',
+    'last_action_type',
+    'field_name',
+    'previous_value',
+    'replacement_value',
+    'updated_by'
+  ]
+};
+
+const DAY_CODES = {
+  Monday: 'MO',
+  Tuesday: 'TU',
+  Wednesday: 'WE',
+  Thursday: 'TH',
+  Friday: 'FR',
+  Saturday: 'SA',
+  Sunday: 'SU'
+};
+
+const ORDINALS = { '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5, last: -1 };
+
+export class HSDSExporter {
+  constructor(options = {}) {
+    this.options = {
+      packageName: 'community-services-navigator',
+      taxonomy: 'navigator-categories',
+      country: 'US',
+      ...options
+    };
+  }
+
+  // Build HSDS table collections from navigator services
+  toTables(services) {
+    const tables = {};
+    Object.keys(EXPORT_COLUMNS).forEach(name => {
+      tables[name] = [];
+    });
+
+    const organizations = new Map();
+    const terms = new Map();
+    const exportedAt = new Date().toISOString();
+
+    services.forEach(service => {
+      const serviceId = String(service.id);
+      const contact = service.contact || {};
+
+      // Services from the same organization share one organization record
+      const orgName = service.organization || '';
+      if (!organizations.has(orgName)) {
+        const org = { id: `org-${slugify(orgName) || organizations.size + 1}`, name: orgName };
+        organizations.set(orgName, org);
+        tables.organization.push(org);
+      }
+      const organization = organizations.get(orgName);
+      organization.email = organization.email || contact.email || '';
+      organization.website = organization.website || contact.website || '';
+
+      tables.service.push({
+        id: serviceId,
+        organization_id: organization.id,
+        name: service.name,
+        description: service.description || '',
+        url: contact.website || '',
+        email: contact.email || '',
+        status: 'active',
+        eligibility_description: service.eligibility || '',
+        ...exportAgeRange(service.eligibilityRules),
+        application_process: service.application || '',
+        last_modified: service.lastModified || ''
+      });
+
+      if (service.address || service.coordinates) {
+        const locationId = `${serviceId}-location`;
+        const [latitude, longitude] = service.coordinates || ['', ''];
+        tables.location.push({
+          id: locationId,
+          organization_id: organization.id,
+          name: service.name,
+          location_type: 'physical',
+          latitude,
+          longitude
+        });
+        tables.service_at_location.push({
+          id: `${serviceId}-sal`,
+          service_id: serviceId,
+          location_id: locationId
+        });
+        if (service.address) {
+          tables.address.push({
+            id: `${serviceId}-address`,
+            location_id: locationId,
+            ...parseAddress(service.address),
+            country: this.options.country,
+            address_type: 'physical'
+          });
+        }
+      }
+
+      if (contact.phone) {
+        const [number, extension = ''] = contact.phone.split(/\s+ext\.?\s+/i);
+        tables.phone.push({ id: `${serviceId}-phone`, service_id: serviceId, number, extension });
+      }
+
+      // Imported HSDS schedules carry recurrence the hours strings can't, so they take precedence
+      const schedules =
+        service.schedules && service.schedules.length > 0
+          ? service.schedules
+          : hoursToSchedules(service.hours);
+      schedules.forEach((schedule, index) => {
+        tables.schedule.push({
+          id: `${serviceId}-schedule-${index + 1}`,
+          service_id: serviceId,
+          ...schedule
+        });
+      });
+
+      if (service.category) {
+        const termId = `category-${slugify(service.category)}`;
+        if (!terms.has(termId)) {
+          const term = {
+            id: termId,
+            code: slugify(service.category),
+            name: service.category,
+            taxonomy: this.options.taxonomy
+          };
+          terms.set(termId, term);
+          tables.taxonomy_term.push(term);
+        }
+        tables.attribute.push({
+          id: `${serviceId}-category`,
+          link_id: serviceId,
+          link_type: 'service',
+          link_entity: 'service',
+          taxonomy_term_id: termId
+        });
+      }
+
+      this.provenanceFor(service, exportedAt).forEach((entry, index) => {
+        tables.metadata.push({ id: `${serviceId}-metadata-${index + 1}`, ...entry });
+      });
+    });
+
+    return tables;
+  }
+
+  // HSDS metadata rows describing where each record came from
+  provenanceFor(service, exportedAt) {
+    const history = service.provenance || [
+      { action: 'create', by: service.sourceOrg, at: service.lastModified || exportedAt }
+    ];
+
+    return history.map(entry => ({
+      resource_id: String(service.id),
+      resource_type: 'service',
+      last_action_date: entry.at || exportedAt,
+      last_action_type: entry.action || 'create',
+      field_name: '',
+      previous_value: '',
+      replacement_value: '',
+      updated_by: entry.by || service.sourceOrg || ''
+    }));
+  }
+
+  // HSDS 3.0 JSON: one nested service record per navigator service
+  toJSON(services) {
+    const tables = this.toTables(services);
+    const byKey = (name, key) => {
+      const groups = new Map();
+      tables[name].forEach(row => {
+        if (!groups.has(row[key])) {
+          groups.set(row[key], []);
+        }
+        groups.get(row[key]).push(row);
+      });
+      return key => groups.get(key) || [];
+    };
+
+    const organizations = new Map(tables.organization.map(org => [org.id, org]));
+    const locations = new Map(tables.location.map(location => [location.id, location]));
+    const terms = new Map(tables.taxonomy_term.map(term => [term.id, term]));
+    const phones = byKey('phone', 'service_id');
+    const schedules = byKey('schedule', 'service_id');
+    const serviceAtLocations = byKey('service_at_location', 'service_id');
+    const addresses = byKey('address', 'location_id');
+    const attributes = byKey('attribute', 'link_id');
+    const metadata = byKey('metadata', 'resource_id');
+
+    return tables.service.map(service => ({
+      ...service,
+      organization: organizations.get(service.organization_id),
+      phones: phones(service.id),
+      schedules: schedules(service.id),
+      service_at_locations: serviceAtLocations(service.id).map(sal => ({
+        ...sal,
+        location: {
+          ...locations.get(sal.location_id),
+          addresses: addresses(sal.location_id)
+        }
+      })),
+      attributes: attributes(service.id).map(attribute => ({
+        ...attribute,
+        taxonomy_term: terms.get(attribute.taxonomy_term_id)
+      })),
+      metadata: metadata(service.id)
+    }));
+  }
+
+  // CSV data package as a { filename: text } map, ready for writeZip or a folder upload
+  toDataPackage(services) {
+    const tables = this.toTables(services);
+    const files = {};
+    const resources = Object.entries(EXPORT_COLUMNS).map(([name, columns]) => {
+      files[`${name}.csv`] = toCSV(tables[name], columns);
+      return {
+        name,
+        path: `${name}.csv`,
+        profile: 'tabular-data-resource',
+        format: 'csv',
+        mediatype: 'text/csv',
+        schema: { fields: columns.map(column => ({ name: column, type: 'string' })) }
+      };
+    });
+
+    files['datapackage.json'] = JSON.stringify(
+      {
+        name: this.options.packageName,
+        profile: 'tabular-data-package',
+        created: new Date().toISOString(),
+        resources
+      },
+      null,
+      2
+    );
+
+    return files;
+  }
+}
+
+// Split "2344 McKelvey Rd, Maryland Heights, MO 63043" into HSDS address fields
+export function parseAddress(address) {
+  const parts = String(address)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+  const region =
+    parts.length >= 3
+      ? parts[parts.length - 1].match(/^([A-Za-z]{2})\s*(\d{5}(?:-\d{4})?)?$/)
+      : null;
+
+  if (!region) {
+    return { address_1: String(address), city: '', state_province: '', postal_code: '' };
+  }
+
+  return {
+    address_1: parts.slice(0, -2).join(', '),
+    city: parts[parts.length - 2],
+    state_province: region[1].toUpperCase(),
+    postal_code: region[2] || ''
+  };
+}
+
+// Convert the navigator's day -> hours strings into HSDS schedule rows
+// Days with identical hours share a row; unreadable text is kept as the schedule description
+export function hoursToSchedules(hours) {
+  const groups = new Map();
+
+  Object.entries(hours || {}).forEach(([day, text]) => {
+    const code = DAY_CODES[day];
+    if (!code || !text || /^closed$/i.test(String(text).trim())) {
+      return;
+    }
+
+    String(text)
+      .split(/,\s*/)
+      .forEach(part => {
+        const { ordinal, ...schedule } = parseHoursText(part);
+        const key = Object.values(schedule).join('|');
+        if (!groups.has(key)) {
+          groups.set(key, { ...schedule, byday: [] });
+        }
+        groups.get(key).byday.push(`${ordinal}${code}`);
+      });
+  });
+
+  return Array.from(groups.values()).map(schedule => ({
+    ...schedule,
+    byday: schedule.byday.join(',')
+  }));
+}
+
+const TIME = '(\\d{1,2}(?::\\d{2})?\\s*[ap]m)';
+const HOURS_PATTERN = new RegExp(`^${TIME}\\s*-\\s*${TIME}(?:\\s*\\(Every (\\S+) \\w+\\))?$`, 'i');
+
+// "9am - 3pm" or "10am - 1pm (Every 2nd Saturday)"; anything else becomes a description
+function parseHoursText(text) {
+  const match = String(text).trim().match(HOURS_PATTERN);
+  if (!match) {
+    return {
+      freq: 'WEEKLY',
+      opens_at: '',
+      closes_at: '',
+      description: String(text).trim(),
+      ordinal: ''
+    };
+  }
+
+  const ordinal = ORDINALS[String(match[3]).toLowerCase()] || '';
+  return {
+    freq: ordinal ? 'MONTHLY' : 'WEEKLY',
+    opens_at: to24Hour(match[1]),
+    closes_at: to24Hour(match[2]),
+    description: '',
+    ordinal
+  };
+}
+
+// "1:30pm" -> "13:30"
+function to24Hour(text) {
+  const [, hourText, minutes = '00', period] = text
+    .toLowerCase()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]m)$/);
+  let hour = Number(hourText) % 12;
+  if (period === 'pm') {
+    hour += 12;
+  }
+  return `${String(hour).padStart(2, '0')}:${minutes}`;
+}
+
+// The age rule of a service's eligibility rules as HSDS minimum_age/maximum_age
+function exportAgeRange(rules) {
+  const age = (rules || []).find(rule => rule.type === 'age');
+  return {
+    minimum_age: age && age.min !== undefined ? age.min : '',
+    maximum_age: age && age.max !== undefined ? age.max : ''
+  };
+}
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
@@ -0,0 +1,585 @@
+// HSDS Importer - Converts Open Referral HSDS 3.0 datasets into navigator services
+// Joins the HSDS tables by foreign key and reports rows that cannot be joined
+
+// HSDS table names, in the singular form used by the specification
+export const HSDS_TABLES = [
+  'organization',
+  'service',
+  'location',
+  'service_at_location',
+  'phone',
+  'schedule',
+  'address',
+  'taxonomy_term',
+  'attribute',
+  'metadata'
+];
+
+// Plural collection keys as they appear in HSDS API responses
+const TABLE_ALIASES = {
+  organizations: 'organization',
+  services: 'service',
+  locations: 'location',
+  service_at_locations: 'service_at_location',
+  phones: 'phone',
+  schedules: 'schedule',
+  addresses: 'address',
+  taxonomy_terms: 'taxonomy_term',
+  attributes: 'attribute',
+  metadata: 'metadata'
+};
+
+// Foreign keys checked while joining: table -> { column: referenced table }
+const FOREIGN_KEYS = {
+  service: { organization_id: 'organization' },
+  service_at_location: { service_id: 'service', location_id: 'location' },
+  phone: {
+    service_id: 'service',
+    location_id: 'location',
+    organization_id: 'organization',
+    service_at_location_id: 'service_at_location'
+  },
+  schedule: {
+    service_id: 'service',
+    location_id: 'location',
+    service_at_location_id: 'service_at_location'
+  },
+  address: { location_id: 'location' },
+  attribute: { taxonomy_term_id: 'taxonomy_term' }
+};
+
+// Schedule fields kept on imported services: RFC 5545 recurrence plus opening times
+export const SCHEDULE_FIELDS = [
+  'valid_from',
+  'valid_to',
+  'dtstart',
+  'until',
+  'count',
+  'freq',
+  'interval',
+  'byday',
+  'bymonthday',
+  'opens_at',
+  'closes_at',
+  'description'
+];
+
+const WEEKDAYS = {
+  MO: 'Monday',
+  TU: 'Tuesday',
+  WE: 'Wednesday',
+  TH: 'Thursday',
+  FR: 'Friday',
+  SA: 'Saturday',
+  SU: 'Sunday'
+};
+
+const INACTIVE_STATUSES = ['inactive', 'defunct'];
+
+export class HSDSImporter {
+  constructor(options = {}) {
+    this.options = {
+      sourceOrg: 'HSDS Import',
+      categories: ['Food', 'Housing', 'Legal Aid', 'Healthcare'],
+      categoryMap: {},
+      defaultCategory: 'Other',
+      // Holidays the source's services close for: true for every federal holiday, or a list
+      // of holiday names. HSDS has no field for this, so it is set per source
+      closedOnHolidays: null,
+      ...options
+    };
+  }
+
+  // Import any supported HSDS JSON shape (table collections, nested services or an API page)
+  importJSON(json) {
+    return this.importTables(HSDSImporter.toTables(json));
+  }
+
+  // Join HSDS tables into navigator services
+  // Returns { services, report } where report lists every row that could not be joined
+  importTables(tables) {
+    const report = { imported: 0, skipped: 0, issues: [] };
+    const rows = name => tables[name] || [];
+
+    this.checkForeignKeys(tables, report);
+
+    const lookup = {
+      organizations: indexBy(rows('organization'), 'id'),
+      locations: indexBy(rows('location'), 'id'),
+      taxonomyTerms: indexBy(rows('taxonomy_term'), 'id'),
+      serviceAtLocations: groupBy(rows('service_at_location'), 'service_id'),
+      addresses: groupBy(rows('address'), 'location_id'),
+      attributes: groupBy(rows('attribute'), 'link_id'),
+      metadata: groupBy(rows('metadata'), 'resource_id'),
+      phones: {
+        service_id: groupBy(rows('phone'), 'service_id'),
+        service_at_location_id: groupBy(rows('phone'), 'service_at_location_id'),
+        location_id: groupBy(rows('phone'), 'location_id'),
+        organization_id: groupBy(rows('phone'), 'organization_id')
+      },
+      schedules: {
+        service_id: groupBy(rows('schedule'), 'service_id'),
+        service_at_location_id: groupBy(rows('schedule'), 'service_at_location_id'),
+        location_id: groupBy(rows('schedule'), 'location_id')
+      }
+    };
+
+    const services = [];
+    rows('service').forEach(service => {
+      if (!service.id || !service.name) {
+        report.skipped++;
+        report.issues.push(issue('service', service.id, 'Service is missing an id or name'));
+        return;
+      }
+
+      if (INACTIVE_STATUSES.includes(String(service.status).toLowerCase())) {
+        report.skipped++;
+        report.issues.push(issue('service', service.id, `Service status is ${service.status}`));
+        return;
+      }
+
+      services.push(this.buildService(service, lookup));
+      report.imported++;
+    });
+
+    return { services, report };
+  }
+
+  // Record rows whose foreign keys do not resolve, or that link to nothing at all
+  checkForeignKeys(tables, report) {
+    const ids = {};
+    HSDS_TABLES.forEach(name => {
+      ids[name] = new Set((tables[name] || []).map(row => row.id));
+    });
+
+    Object.entries(FOREIGN_KEYS).forEach(([table, keys]) => {
+      (tables[table] || []).forEach(row => {
+        const linked = Object.keys(keys).filter(column => !isBlank(row[column]));
+
+        if (linked.length === 0 && table !== 'service' && table !== 'attribute') {
+          report.issues.push(issue(table, row.id, `${table} is not linked to any record`));
+          return;
+        }
+
+        linked.forEach(column => {
+          const parent = keys[column];
+          if (!ids[parent].has(row[column])) {
+            report.issues.push(
+              issue(table, row.id, `${column} references unknown ${parent} ${row[column]}`)
+            );
+          }
+        });
+      });
+    });
+  }
+
+  // Build a navigator service from an HSDS service row and its joined records
+  buildService(service, lookup) {
+    const organization = lookup.organizations.get(service.organization_id) || {};
+    const serviceAtLocations = lookup.serviceAtLocations.get(service.id) || [];
+    const locations = serviceAtLocations
+      .map(sal => lookup.locations.get(sal.location_id))
+      .filter(Boolean);
+    const location = locations.find(loc => toCoordinates(loc)) || locations[0] || null;
+    const addresses = location ? lookup.addresses.get(location.id) || [] : [];
+
+    const salIds = serviceAtLocations.map(sal => sal.id);
+    const locationIds = locations.map(loc => loc.id);
+
+    // Prefer the most specific record: service, then service at location, then location
+    const phone = firstLinked(lookup.phones, [
+      ['service_id', [service.id]],
+      ['service_at_location_id', salIds],
+      ['location_id', locationIds],
+      ['organization_id', [organization.id]]
+    ])[0];
+
+    const schedules = firstLinked(lookup.schedules, [
+      ['service_id', [service.id]],
+      ['service_at_location_id', salIds],
+      ['location_id', locationIds]
+    ]);
+
+    return {
+      id: service.id,
+      name: service.name,
+      organization: organization.name || '',
+      address: formatAddress(pickAddress(addresses)),
+      distance: 'Unknown',
+      description: service.description || '',
+      category: this.resolveCategory(service, lookup),
+      sourceOrg: this.options.sourceOrg,
+      contact: {
+        phone: formatPhone(phone),
+        email: service.email || organization.email || '',
+        website: service.url || organization.website || ''
+      },
+      hours: schedulesToHours(schedules),
+      eligibility: service.eligibility_description || 'Not specified',
+      application: service.application_process || 'Contact service for details',
+      coordinates: toCoordinates(location),
+      lastModified: service.last_modified || null,
+      ...keepSchedules(schedules),
+      ...(this.options.closedOnHolidays ? { closedOnHolidays: this.options.closedOnHolidays } : {}),
+      ...ageRules(service),
+      ...this.buildProvenance(service, lookup)
+    };
+  }
+
+  // Change history from HSDS metadata rows, in the shape DataService records for contributions
+  buildProvenance(service, lookup) {
+    const metadata = lookup.metadata.get(service.id);
+    if (!metadata) {
+      return {};
+    }
+
+    return {
+      provenance: metadata.map(row => ({
+        action: row.last_action_type || 'update',
+        by: row.updated_by || '',
+        at: row.last_action_date || null
+      }))
+    };
+  }
+
+  // Map a service's taxonomy terms onto a navigator category
+  resolveCategory(service, lookup) {
+    const { categories, categoryMap, defaultCategory } = this.options;
+    const terms = (lookup.attributes.get(service.id) || [])
+      .map(attribute => lookup.taxonomyTerms.get(attribute.taxonomy_term_id))
+      .filter(Boolean);
+
+    for (const term of terms) {
+      const mapped = categoryMap[term.code] || categoryMap[term.name];
+      if (mapped) {
+        return mapped;
+      }
+
+      const known = categories.find(
+        category => category.toLowerCase() === String(term.name).toLowerCase()
+      );
+      if (known) {
+        return known;
+      }
+    }
+
+    return terms.length > 0 && terms[0].name ? terms[0].name : defaultCategory;
+  }
+
+  // Normalize the supported HSDS JSON shapes into table collections
+  static toTables(json) {
+    if (!json || typeof json !== 'object') {
+      throw new Error('HSDS dataset must be an object or an array of services');
+    }
+
+    if (Array.isArray(json)) {
+      return flattenServices(json);
+    }
+
+    // Paginated HSDS API response
+    if (Array.isArray(json.contents)) {
+      return flattenServices(json.contents);
+    }
+
+    const collected = {};
+    Object.entries(json).forEach(([key, value]) => {
+      const table = TABLE_ALIASES[key] || (HSDS_TABLES.includes(key) ? key : null);
+      if (table && Array.isArray(value)) {
+        collected[table] = value;
+      }
+    });
+
+    if (!collected.service) {
+      throw new Error('HSDS dataset does not contain any service records');
+    }
+
+    // Service rows may still carry nested records, so flatten them and merge the tables
+    const tables = flattenServices(collected.service);
+    HSDS_TABLES.filter(name => name !== 'service' && collected[name]).forEach(name => {
+      tables[name] = uniqueById([...collected[name], ...tables[name]]);
+    });
+
+    return tables;
+  }
+}
+
+// Flatten HSDS 3.0 nested service objects into table collections
+function flattenServices(services) {
+  const tables = {};
+  HSDS_TABLES.forEach(name => {
+    tables[name] = [];
+  });
+
+  services.forEach(entry => {
+    const {
+      organization,
+      service_at_locations: serviceAtLocations,
+      phones,
+      schedules,
+      attributes,
+      metadata,
+      ...service
+    } = entry;
+
+    if (organization && typeof organization === 'object') {
+      const { phones: orgPhones, ...org } = organization;
+      tables.organization.push(org);
+      (orgPhones || []).forEach(phone => tables.phone.push({ ...phone, organization_id: org.id }));
+      service.organization_id = service.organization_id || org.id;
+    }
+
+    tables.service.push(service);
+    (phones || []).forEach(phone => tables.phone.push({ ...phone, service_id: service.id }));
+    (schedules || []).forEach(schedule =>
+      tables.schedule.push({ ...schedule, service_id: service.id })
+    );
+
+    (metadata || []).forEach(row =>
+      tables.metadata.push({ ...row, resource_id: row.resource_id || service.id })
+    );
+
+    (attributes || []).forEach(({ taxonomy_term: term, ...attribute }) => {
+      if (term) {
+        tables.taxonomy_term.push(term);
+      }
+      tables.attribute.push({
+        ...attribute,
+        link_id: attribute.link_id || service.id,
+        taxonomy_term_id: attribute.taxonomy_term_id || (term && term.id)
+      });
+    });
+
+    (serviceAtLocations || []).forEach(entryAtLocation => {
+      const { location, phones: salPhones, schedules: salSchedules, ...sal } = entryAtLocation;
+      sal.service_id = service.id;
+      sal.location_id = sal.location_id || (location && location.id);
+      tables.service_at_location.push(sal);
+
+      (salPhones || []).forEach(phone =>
+        tables.phone.push({ ...phone, service_at_location_id: sal.id })
+      );
+      (salSchedules || []).forEach(schedule =>
+        tables.schedule.push({ ...schedule, service_at_location_id: sal.id })
+      );
+
+      if (location) {
+        const { addresses, phones: locPhones, schedules: locSchedules, ...loc } = location;
+        tables.location.push(loc);
+        (addresses || []).forEach(address =>
+          tables.address.push({ ...address, location_id: loc.id })
+        );
+        (locPhones || []).forEach(phone => tables.phone.push({ ...phone, location_id: loc.id }));
+        (locSchedules || []).forEach(schedule =>
+          tables.schedule.push({ ...schedule, location_id: loc.id })
+        );
+      }
+    });
+  });
+
+  HSDS_TABLES.forEach(name => {
+    tables[name] = uniqueById(tables[name]);
+  });
+
+  return tables;
+}
+
+// HSDS minimum_age/maximum_age as a structured eligibility rule
+function ageRules(service) {
+  const min = isBlank(service.minimum_age) ? undefined : Number(service.minimum_age);
+  const max = isBlank(service.maximum_age) ? undefined : Number(service.maximum_age);
+  if (min === undefined && max === undefined) {
+    return {};
+  }
+
+  const rule = { type: 'age' };
+  if (min !== undefined) {
+    rule.min = min;
+  }
+  if (max !== undefined) {
+    rule.max = max;
+  }
+  return { eligibilityRules: [rule] };
+}
+
+// Keep the recurrence fields of HSDS schedules, which hours strings can't express
+// (date ranges, intervals, month days), for upcoming-session calendars
+function keepSchedules(schedules) {
+  if (!schedules || schedules.length === 0) {
+    return {};
+  }
+
+  return {
+    schedules: schedules.map(schedule =>
+      Object.fromEntries(
+        SCHEDULE_FIELDS.filter(field => !isBlank(schedule[field])).map(field => [
+          field,
+          schedule[field]
+        ])
+      )
+    )
+  };
+}
+
+// Convert HSDS weekly/monthly schedules into the navigator's day -> hours strings
+export function schedulesToHours(schedules) {
+  const hours = {};
+  const weekly = (schedules || []).filter(schedule => !isBlank(schedule.byday));
+
+  if (weekly.length === 0) {
+    return hours;
+  }
+
+  Object.values(WEEKDAYS).forEach(day => {
+    hours[day] = [];
+  });
+
+  weekly.forEach(schedule => {
+    String(schedule.byday)
+      .split(',')
+      .map(code => code.trim().toUpperCase())
+      .forEach(code => {
+        const match = code.match(/^(-?\d)?(MO|TU|WE|TH|FR|SA|SU)$/);
+        if (!match) {
+          return;
+        }
+
+        const day = WEEKDAYS[match[2]];
+        let text = formatTimeRange(schedule.opens_at, schedule.closes_at) || schedule.description;
+        if (!text) {
+          return;
+        }
+        if (match[1]) {
+          text += ` (Every ${ordinal(Number(match[1]))} ${day})`;
+        }
+        hours[day].push(text);
+      });
+  });
+
+  Object.keys(hours).forEach(day => {
+    hours[day] = hours[day].length > 0 ? hours[day].join(', ') : 'Closed';
+  });
+
+  return hours;
+}
+
+function formatTimeRange(opensAt, closesAt) {
+  if (isBlank(opensAt) || isBlank(closesAt)) {
+    return null;
+  }
+  return `${formatTime(opensAt)} - ${formatTime(closesAt)}`;
+}
+
+// Format an HSDS time ("13:30" or "13:30:00") the way the navigator writes hours ("1:30pm")
+function formatTime(value) {
+  const [hourText, minuteText = '00'] = String(value).split(':');
+  const hour = Number(hourText);
+  const suffix = hour >= 12 ? 'pm' : 'am';
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return minuteText === '00' ? `${displayHour}${suffix}` : `${displayHour}:${minuteText}${suffix}`;
+}
+
+function ordinal(n) {
+  if (n < 0) {
+    return 'last';
+  }
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${n}${suffixes[n] || 'th'}`;
+}
+
+function pickAddress(addresses) {
+  return (
+    addresses.find(address => address.address_type === 'physical') ||
+    addresses.find(address => address.address_type !== 'postal') ||
+    addresses[0] ||
+    null
+  );
+}
+
+function formatAddress(address) {
+  if (!address) {
+    return '';
+  }
+
+  const street = [address.address_1, address.address_2].filter(part => !isBlank(part)).join(' ');
+  const region = [address.state_province, address.postal_code]
+    .filter(part => !isBlank(part))
+    .join(' ');
+  return [street, address.city, region].filter(part => !isBlank(part)).join(', ');
+}
+
+function formatPhone(phone) {
+  if (!phone || isBlank(phone.number)) {
+    return '';
+  }
+  return isBlank(phone.extension) ? phone.number : `${phone.number} ext. ${phone.extension}`;
+}
+
+function toCoordinates(location) {
+  if (!location || isBlank(location.latitude) || isBlank(location.longitude)) {
+    return null;
+  }
+
+  const lat = Number(location.latitude);
+  const lng = Number(location.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return [lat, lng];
+}
+
+// Find the first foreign key whose linked rows are non-empty
+function firstLinked(groups, candidates) {
+  for (const [column, ids] of candidates) {
+    const linked = ids.flatMap(id => groups[column].get(id) || []);
+    if (linked.length > 0) {
+      return linked;
+    }
+  }
+  return [];
+}
+
+function indexBy(rows, key) {
+  const index = new Map();
+  rows.forEach(row => {
+    if (!isBlank(row[key])) {
+      index.set(row[key], row);
+    }
+  });
+  return index;
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (isBlank(row[key])) {
+      return;
+    }
+    if (!groups.has(row[key])) {
+      groups.set(row[key], []);
+    }
+    groups.get(row[key]).push(row);
+  });
+  return groups;
+}
+
+function uniqueById(rows) {
+  const seen = new Set();
+  return rows.filter(row => {
+    if (isBlank(row.id)) {
+      return true;
+    }
+    if (seen.has(row.id)) {
+      return false;
+    }
+    seen.add(row.id);
+    return true;
+  });
+}
+
+function issue(table, id, message) {
+  return { table, id: id === undefined ? null : id, message };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
@@ -0,0 +1,191 @@
+// Offline support - Work that waits for a connection, and how old the data on screen is
+// The Outbox keeps contributions made without a connection and sends them, in the order they
+// were made, once the connection returns: POSTed to a URL, or handed to a deliver function such
+// as one that adds them to the local review queue. It survives page reloads through Web Storage
+
+import { EventEmitter, reportWarning } from './events.js';
+
+const OUTBOX_KEY = 'navigator.outbox';
+
+// Client errors that can be retried; any other 4xx means the server won't take the item
+const RETRYABLE_STATUSES = [408, 429];
+
+export class Outbox extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      url: null,
+      // deliver(item) sends an item in place of the POST; it may call post(item) itself
+      deliver: null,
+      headers: {},
+      fetch: typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null,
+      storage: null,
+      isOnline: () => typeof navigator === 'undefined' || navigator.onLine !== false,
+      now: () => new Date(),
+      ...options
+    };
+    if (!this.config.url && !this.config.deliver) {
+      throw new Error('The outbox needs the URL or a deliver function to send items to');
+    }
+    this.items = [];
+    this.flushing = null;
+
+    this.load();
+  }
+
+  // Keep waiting items in a Web Storage-like store, such as localStorage, and read back what it
+  // already holds
+  setStorage(storage) {
+    this.config.storage = storage;
+    this.load();
+  }
+
+  // Queue a payload under an id, replacing a waiting item with the same id, and send it
+  // straight away when online. Returns the queued item
+  add(id, payload) {
+    const item = { id, payload, queuedAt: this.config.now().toISOString(), attempts: 0 };
+    this.items = [...this.items.filter(waiting => waiting.id !== id), item];
+    this.save();
+    this.emit('queued', copy(item));
+
+    if (this.config.isOnline()) {
+      this.flush();
+    }
+    return copy(item);
+  }
+
+  // Items still waiting to be sent, oldest first
+  list() {
+    return this.items.map(copy);
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  // Send the waiting items in order, stopping at the first one that fails so it is retried
+  // first next time. Items the server refuses outright are dropped and reported as rejected.
+  // Calls made while a flush is running share it. Resolves with the items sent
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.sendAll().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async sendAll() {
+    const sent = [];
+    while (this.items.length > 0) {
+      const [item] = this.items;
+      try {
+        await this.send(item);
+      } catch (error) {
+        if (!isRefusal(error)) {
+          item.attempts += 1;
+          item.lastError = error.message;
+          this.save();
+          this.emit('failed', copy(item), error);
+          break;
+        }
+        this.remove(item);
+        this.emit('rejected', copy(item), error);
+        continue;
+      }
+      this.remove(item);
+      sent.push(copy(item));
+      this.emit('sent', copy(item));
+    }
+    return sent;
+  }
+
+  // Hand an item to the deliver function, or POST it
+  async send(item) {
+    return this.config.deliver ? this.config.deliver(copy(item)) : this.post(item);
+  }
+
+  // POST an item's payload as JSON; its id goes in an Idempotency-Key header so the server
+  // can recognise a retry of an item it already received
+  async post(item) {
+    if (!this.config.url) {
+      throw new Error('The outbox has no URL to POST items to');
+    }
+
+    const response = await this.config.fetch(this.config.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': String(item.id),
+        ...this.config.headers
+      },
+      body: JSON.stringify(item.payload)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`POST ${this.config.url} failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  remove(item) {
+    this.items = this.items.filter(waiting => waiting !== item);
+    this.save();
+  }
+
+  load() {
+    const { storage } = this.config;
+    if (!storage) {
+      return;
+    }
+
+    try {
+      const items = JSON.parse(storage.getItem(OUTBOX_KEY));
+      if (Array.isArray(items)) {
+        this.items = items.filter(item => item && item.id !== undefined);
+      }
+    } catch (error) {
+      reportWarning('Waiting items could not be read:', error);
+    }
+  }
+
+  save() {
+    const { storage } = this.config;
+    if (!storage) {
+      return;
+    }
+
+    try {
+      storage.setItem(OUTBOX_KEY, JSON.stringify(this.items));
+    } catch (error) {
+      reportWarning('Waiting items could not be saved:', error);
+    }
+  }
+}
+
+// "just now", "5 minutes ago", "3 hours ago", "2 days ago"
+export function formatDataAge(since, now = new Date()) {
+  const minutes = Math.floor((now - new Date(since)) / 60000);
+  if (minutes < 1) {
+    return 'just now';
+  }
+
+  const [count, unit] =
+    minutes < 60
+      ? [minutes, 'minute']
+      : minutes < 60 * 24
+        ? [Math.floor(minutes / 60), 'hour']
+        : [Math.floor(minutes / (60 * 24)), 'day'];
+  return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+}
+
+// A 4xx response other than a timeout or rate limit; sending the item again won't help
+function isRefusal(error) {
+  return error.status >= 400 && error.status < 500 && !RETRYABLE_STATUSES.includes(error.status);
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
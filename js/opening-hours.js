@@ -0,0 +1,333 @@
+// OpeningHours - Reads the free-text hours on each service
+// Turns strings such as '9am - 3pm', '10am - 1pm (Every 2nd Tuesday)', '24/7' and 'Closed'
+// into time intervals, so services can be filtered by whether they are open
+// Times are read in the browser's local time zone, and holidays and listed closures count as closed
+// Services with HSDS schedules are open when those schedules run, which the weekly hours can't
+// always say (every other week, or only between valid dates)
+
+import { closureOn, hasTimedSchedules, scheduledIntervalsOn } from './schedule.js';
+
+export const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// How far ahead nextOpening() looks; covers hours that repeat once a month
+const SEARCH_DAYS = 42;
+
+const ORDINALS = { '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5, last: -1 };
+
+const TIME = '(\\d{1,2}(?::\\d{2})?\\s*(?:[ap]\\.?m\\.?)?|noon|midnight)';
+const EVERY = '\\(\\s*every\\s+(1st|2nd|3rd|4th|5th|last)\\s+\\w+\\s*\\)';
+const RANGE_PATTERN = new RegExp(`^${TIME}\\s*(?:-|–|—|to)\\s*${TIME}(?:\\s*${EVERY})?$`, 'i');
+const CLOSED_PATTERN = /^(closed|none|n\/a|-)?$/i;
+const ALWAYS_OPEN_PATTERN = /^(24\/7|24 hours|open 24 hours|always open)$/i;
+const APPOINTMENT_PATTERN = /^(by )?appointment( only)?$/i;
+
+export const OPEN_STATES = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+  APPOINTMENT: 'appointment',
+  UNKNOWN: 'unknown'
+};
+
+// Parsed hours are cached per hours object; services are replaced rather than edited in place
+const cache = new WeakMap();
+
+// Parse one day's hours text
+// Returns { intervals: [{ opens, closes, week }], appointment, unparsed: [text] }
+// opens/closes are minutes after midnight (closes may pass 1440 for overnight hours) and week
+// is null for every week, 1-5 for the nth weekday of the month or -1 for the last one
+export function parseDayHours(text) {
+  const day = { intervals: [], appointment: false, unparsed: [] };
+
+  String(text ?? '')
+    .split(/\s*(?:,|;|&|\band\b)\s*/i)
+    .map(part => part.trim())
+    .forEach(part => {
+      if (CLOSED_PATTERN.test(part)) {
+        return;
+      }
+      if (ALWAYS_OPEN_PATTERN.test(part)) {
+        day.intervals.push({ opens: 0, closes: MINUTES_PER_DAY, week: null });
+        return;
+      }
+      if (APPOINTMENT_PATTERN.test(part)) {
+        day.appointment = true;
+        return;
+      }
+
+      const interval = parseRange(part);
+      if (interval) {
+        day.intervals.push(interval);
+      } else {
+        day.unparsed.push(part);
+      }
+    });
+
+  return day;
+}
+
+// Parse a service's day -> text hours
+// Returns { days: [parsed day by Date#getDay()], unparsed: [{ day, text }], known }
+export function parseHours(hours) {
+  if (!hours || typeof hours !== 'object') {
+    return { days: DAYS.map(() => parseDayHours('')), unparsed: [], known: false };
+  }
+  if (cache.has(hours)) {
+    return cache.get(hours);
+  }
+
+  const days = DAYS.map(() => parseDayHours(''));
+  const unparsed = [];
+
+  Object.entries(hours).forEach(([name, text]) => {
+    const index = dayIndex(name);
+    if (index === -1) {
+      unparsed.push({ day: name, text: `Unknown day "${name}": ${text}` });
+      return;
+    }
+
+    days[index] = parseDayHours(text);
+    days[index].unparsed.forEach(part => unparsed.push({ day: DAYS[index], text: part }));
+  });
+
+  const parsed = { days, unparsed, known: Object.keys(hours).length > 0 };
+  cache.set(hours, parsed);
+  return parsed;
+}
+
+// Whether the service is open at the given moment
+export function isOpenAt(service, date = new Date()) {
+  return currentInterval(weekFor(service), date) !== null;
+}
+
+// Whether the service opens at any time on the given date
+export function isOpenOn(service, date = new Date()) {
+  return intervalsOn(weekFor(service), date).length > 0;
+}
+
+// The next time the service opens after the given moment, or null if it does not open in the
+// next six weeks; a service that is open now returns the current opening time
+export function nextOpening(service, date = new Date()) {
+  const week = weekFor(service);
+  const current = currentInterval(week, date);
+  if (current) {
+    return current.opensAt;
+  }
+
+  const minutes = minutesOf(date);
+  for (let offset = 0; offset <= SEARCH_DAYS; offset++) {
+    const day = addDays(date, offset);
+    const upcoming = intervalsOn(week, day)
+      .filter(interval => offset > 0 || interval.opens > minutes)
+      .sort((a, b) => a.opens - b.opens);
+    if (upcoming.length > 0) {
+      return atMinutes(day, upcoming[0].opens);
+    }
+  }
+
+  return null;
+}
+
+// Summary of whether a service is open, for badges
+// Returns { state, closesAt, opensAt, closure } where state is one of OPEN_STATES and closure
+// gives the reason a service that would normally open today is closed
+export function openStatus(service, date = new Date()) {
+  const parsed = weekFor(service);
+  if (!parsed.known) {
+    return { state: OPEN_STATES.UNKNOWN, closesAt: null, opensAt: null };
+  }
+
+  const current = currentInterval(parsed, date);
+  if (current) {
+    return { state: OPEN_STATES.OPEN, closesAt: current.closesAt, opensAt: current.opensAt };
+  }
+
+  const opensAt = nextOpening(service, date);
+  if (!opensAt && parsed.days.some(day => day.appointment)) {
+    return { state: OPEN_STATES.APPOINTMENT, closesAt: null, opensAt: null };
+  }
+  if (!opensAt && parsed.unparsed.length > 0) {
+    return { state: OPEN_STATES.UNKNOWN, closesAt: null, opensAt: null };
+  }
+  const closure = closureOn(service, date);
+  return { state: OPEN_STATES.CLOSED, closesAt: null, opensAt, closure: closure && closure.reason };
+}
+
+// Short label for an openStatus() result, e.g. "Open until 3pm" or "Closed · Opens Tue 9am"
+export function describeOpenStatus(status, date = new Date()) {
+  if (status.state === OPEN_STATES.OPEN) {
+    return status.closesAt ? `Open until ${formatTime(status.closesAt)}` : 'Open 24 hours';
+  }
+  if (status.state === OPEN_STATES.APPOINTMENT) {
+    return 'By appointment';
+  }
+  if (status.state === OPEN_STATES.CLOSED) {
+    const closed = status.closure ? `Closed for ${status.closure}` : 'Closed';
+    return status.opensAt ? `${closed} · Opens ${formatWhen(status.opensAt, date)}` : closed;
+  }
+  return '';
+}
+
+// Format a Date as "9am" or "1:30pm"
+export function formatTime(date) {
+  const hour = date.getHours();
+  const minutes = date.getMinutes();
+  const suffix = hour >= 12 ? 'pm' : 'am';
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  return minutes === 0
+    ? `${displayHour}${suffix}`
+    : `${displayHour}:${String(minutes).padStart(2, '0')}${suffix}`;
+}
+
+function formatWhen(opensAt, date) {
+  const days = Math.round((startOfDay(opensAt) - startOfDay(date)) / (MINUTES_PER_DAY * 60000));
+  if (days === 0) {
+    return formatTime(opensAt);
+  }
+  if (days === 1) {
+    return `tomorrow ${formatTime(opensAt)}`;
+  }
+  if (days < 7) {
+    return `${DAYS[opensAt.getDay()].slice(0, 3)} ${formatTime(opensAt)}`;
+  }
+  return `${opensAt.getMonth() + 1}/${opensAt.getDate()} ${formatTime(opensAt)}`;
+}
+
+// The interval containing the date, including overnight hours carried over from the day before
+// Returns { opensAt, closesAt } with closesAt null for hours that never close, or null
+function currentInterval(week, date) {
+  const minutes = minutesOf(date);
+  const yesterday = addDays(date, -1);
+
+  const today = intervalsOn(week, date).find(
+    interval => interval.opens <= minutes && minutes < interval.closes
+  );
+  if (today) {
+    return toDates(date, today, week.days);
+  }
+
+  const overnight = intervalsOn(week, yesterday).find(
+    interval => minutes + MINUTES_PER_DAY < interval.closes
+  );
+  return overnight ? toDates(yesterday, overnight, week.days) : null;
+}
+
+function toDates(day, interval, days) {
+  const alwaysOpen = days.every(entry =>
+    entry.intervals.some(other => other.opens === 0 && other.closes >= MINUTES_PER_DAY)
+  );
+  return {
+    opensAt: atMinutes(day, interval.opens),
+    closesAt: alwaysOpen ? null : atMinutes(day, interval.closes)
+  };
+}
+
+// Parsed hours together with the service, whose closures and schedules apply on top of them
+function weekFor(service) {
+  const parsed = parseHours(service.hours);
+  return { ...parsed, known: parsed.known || hasTimedSchedules(service), service };
+}
+
+// Intervals that apply on a date, taking schedules, monthly (nth weekday) hours and closures
+// into account
+function intervalsOn({ days, service }, date) {
+  if (closureOn(service, date)) {
+    return [];
+  }
+  const scheduled = scheduledIntervalsOn(service, date);
+  if (scheduled) {
+    return scheduled;
+  }
+  return days[date.getDay()].intervals.filter(
+    interval => interval.week === null || isWeekOfMonth(date, interval.week)
+  );
+}
+
+// Whether the date falls on the nth (or, for -1, the last) of its weekday in the month
+function isWeekOfMonth(date, week) {
+  if (week === -1) {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return date.getDate() + 7 > daysInMonth;
+  }
+  return Math.ceil(date.getDate() / 7) === week;
+}
+
+// "9am - 3pm", "9:30 am to 5 pm", "9-11am", "8pm - 2am", "10am - 1pm (Every 2nd Tuesday)"
+function parseRange(text) {
+  const match = text.match(RANGE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const closes = parseTime(match[2]);
+  let opens = parseTime(match[1], closes && closes.period);
+  if (!opens || !closes) {
+    return null;
+  }
+
+  // "9 - 3pm" borrows the closing period only when that keeps the opening time earlier
+  if (!opens.explicit && opens.minutes >= closes.minutes) {
+    opens = parseTime(match[1], 'am');
+  }
+
+  let closing = closes.minutes;
+  if (closing <= opens.minutes) {
+    closing += MINUTES_PER_DAY;
+  }
+
+  return {
+    opens: opens.minutes,
+    closes: closing,
+    week: match[3] ? ORDINALS[match[3].toLowerCase()] : null
+  };
+}
+
+// Minutes after midnight for "9am", "1:30 p.m.", "noon" or "midnight"
+// A time without am/pm uses the given default period, and is unreadable without one
+function parseTime(text, defaultPeriod = null) {
+  const value = text.toLowerCase().replace(/\./g, '').trim();
+  if (value === 'noon') {
+    return { minutes: 12 * 60, period: 'pm', explicit: true };
+  }
+  if (value === 'midnight') {
+    return { minutes: 0, period: 'am', explicit: true };
+  }
+
+  const [, hourText, minuteText = '0', periodText] = value.match(
+    /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/
+  );
+  const period = periodText || defaultPeriod;
+  const hour = Number(hourText);
+  if (!period || hour < 1 || hour > 12 || Number(minuteText) > 59) {
+    return null;
+  }
+
+  return {
+    minutes: ((hour % 12) + (period === 'pm' ? 12 : 0)) * 60 + Number(minuteText),
+    period,
+    explicit: Boolean(periodText)
+  };
+}
+
+// Accepts "Monday", "monday", "Mon" or "Mon."
+function dayIndex(name) {
+  const prefix = String(name).trim().replace(/\.$/, '').toLowerCase();
+  return prefix.length < 3 ? -1 : DAYS.findIndex(day => day.toLowerCase().startsWith(prefix));
+}
+
+function minutesOf(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function atMinutes(day, minutes) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+}
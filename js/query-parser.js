@@ -0,0 +1,272 @@
+// QueryParser - Advanced search syntax for the keyword box
+// Compiles queries such as  category:Food source:"Gamma County Services" -shelter
+// into the criteria DataService.filterServices() understands
+//
+//   word, "quoted phrase"     must match (phrases must appear as written)
+//   -word, -"quoted phrase"   must not match
+//   field:value               scoped to a field, e.g. category:Food or name:"food bank"
+//   -field:value              excludes services matching the field value
+
+import { editDistance } from './search-index.js';
+
+// Services fields that words can be scoped to, with the names accepted in queries
+const TEXT_FIELDS = {
+  name: ['name', 'title'],
+  organization: ['organization', 'org'],
+  description: ['description', 'desc'],
+  address: ['address', 'addr']
+};
+
+// Criteria produced by an empty query
+export function emptyCriteria() {
+  return {
+    keyword: '',
+    categories: [],
+    excludeCategories: [],
+    sourceOrgs: [],
+    excludeSourceOrgs: [],
+    phrases: [],
+    exclude: [],
+    fieldTerms: []
+  };
+}
+
+export class QueryParser {
+  constructor() {
+    this.fields = new Map();
+    this.aliases = new Map();
+
+    this.registerField('category', {
+      aliases: ['cat'],
+      description: 'Service category, e.g. category:Food',
+      apply: (criteria, value, { negated, context }) => {
+        const category = matchKnown(value, context.categories, 'category');
+        (negated ? criteria.excludeCategories : criteria.categories).push(category);
+      }
+    });
+
+    this.registerField('source', {
+      aliases: ['src'],
+      description: 'Data source organization, e.g. source:"Alpha Org"',
+      apply: (criteria, value, { negated, context }) => {
+        const source = matchKnown(value, context.sourceOrgs, 'source');
+        (negated ? criteria.excludeSourceOrgs : criteria.sourceOrgs).push(source);
+      }
+    });
+
+    Object.entries(TEXT_FIELDS).forEach(([field, [name, ...aliases]]) => {
+      this.registerField(name, {
+        aliases,
+        description: `Words in the service ${field}, e.g. ${name}:pantry`,
+        apply: (criteria, value, { negated }) => {
+          criteria.fieldTerms.push({ field, text: value, negated });
+        }
+      });
+    });
+  }
+
+  // Add a field:value handler; apply(criteria, value, { negated, quoted, context }) updates the
+  // criteria, or throws an Error whose message is shown to the user
+  registerField(name, { aliases = [], description = '', apply }) {
+    const key = name.toLowerCase();
+    if (typeof apply !== 'function') {
+      throw new Error(`Search field ${name} needs an apply function`);
+    }
+
+    this.fields.set(key, { name: key, aliases, description, apply });
+    [key, ...aliases].forEach(alias => this.aliases.set(alias.toLowerCase(), key));
+    return this;
+  }
+
+  // Field names and descriptions, for help text
+  getFields() {
+    return Array.from(this.fields.values()).map(({ name, aliases, description }) => ({
+      name,
+      aliases,
+      description
+    }));
+  }
+
+  // Parse a query into filter criteria
+  // context lists the known { categories, sourceOrgs } used to check field values
+  // Returns { criteria, errors: [{ message, start, end }] }
+  parse(query, context = {}) {
+    const text = String(query ?? '');
+    const criteria = emptyCriteria();
+    const tokenized = tokenizeQuery(text);
+    const keywords = [];
+
+    // A word: that isn't a field or close to one is an ordinary word, such as a URL or
+    // "Re: housing", so it is searched for as written instead of being reported
+    const asWord = ({ negated, start, end }) => ({
+      field: null,
+      value: text.slice(negated ? start + 1 : start, end),
+      negated,
+      quoted: false,
+      start,
+      end
+    });
+    const errors = [];
+    const tokens = tokenized.tokens.map(token =>
+      token.field === null || this.isFieldLike(token.field) ? token : asWord(token)
+    );
+    tokenized.errors.forEach(({ field, ...error }) => {
+      if (field && !this.isFieldLike(field)) {
+        tokens.push(asWord({ ...error, negated: text[error.start] === '-' }));
+      } else {
+        errors.push(error);
+      }
+    });
+    tokens.sort((a, b) => a.start - b.start);
+
+    tokens.forEach(token => {
+      const { field, value, negated, quoted, start, end } = token;
+
+      if (field === null) {
+        if (negated) {
+          criteria.exclude.push(value);
+          return;
+        }
+        if (quoted) {
+          criteria.phrases.push(value);
+        }
+        keywords.push(value);
+        return;
+      }
+
+      const name = this.aliases.get(field.toLowerCase());
+      if (!name) {
+        errors.push({
+          message: `Unknown search field "${field}". Try ${this.listFields()}.`,
+          start,
+          end
+        });
+        return;
+      }
+
+      try {
+        this.fields.get(name).apply(criteria, value, { negated, quoted, context });
+      } catch (error) {
+        errors.push({ message: error.message, start, end });
+      }
+    });
+
+    criteria.keyword = keywords.join(' ');
+    return { criteria, errors: errors.sort((a, b) => a.start - b.start) };
+  }
+
+  // A registered field name or alias, or one typed with a letter or two wrong
+  isFieldLike(name) {
+    const key = name.toLowerCase();
+    if (this.aliases.has(key)) {
+      return true;
+    }
+    if (key.length < 4) {
+      return false;
+    }
+    const allowed = key.length >= 7 ? 2 : 1;
+    return Array.from(this.aliases.keys()).some(
+      alias => editDistance(key, alias, allowed) <= allowed
+    );
+  }
+
+  listFields() {
+    const names = Array.from(this.fields.keys()).map(name => `${name}:`);
+    return `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+  }
+}
+
+// Split a query into [-][field:](word | "phrase") tokens with their character positions
+// An error for a field given no value names the field, as it may turn out to be a plain word
+export function tokenizeQuery(query) {
+  const text = String(query ?? '');
+  const tokens = [];
+  const errors = [];
+  let position = 0;
+
+  while (position < text.length) {
+    if (/\s/.test(text[position])) {
+      position++;
+      continue;
+    }
+
+    const start = position;
+    const negated = text[position] === '-';
+    if (negated) {
+      position++;
+    }
+
+    const fieldMatch = text.slice(position).match(/^([a-z][\w-]*):/i);
+    const field = fieldMatch ? fieldMatch[1] : null;
+    if (fieldMatch) {
+      position += fieldMatch[0].length;
+    }
+
+    let value;
+    let quoted = false;
+    if (text[position] === '"') {
+      const close = text.indexOf('"', position + 1);
+      if (close === -1) {
+        errors.push({
+          message: `Missing closing quote after ${text.slice(position)}`,
+          start,
+          end: text.length
+        });
+        break;
+      }
+      value = text.slice(position + 1, close).trim();
+      quoted = true;
+      position = close + 1;
+    } else {
+      const end = text.slice(position).search(/\s/);
+      value = end === -1 ? text.slice(position) : text.slice(position, position + end);
+      position += value.length;
+    }
+
+    if (value === '') {
+      errors.push({
+        message: emptyValueMessage(field, negated),
+        start,
+        end: position,
+        ...(field ? { field } : {})
+      });
+      continue;
+    }
+
+    tokens.push({ field, value, negated, quoted, start, end: position });
+  }
+
+  return { tokens, errors };
+}
+
+function emptyValueMessage(field, negated) {
+  if (field) {
+    return `${field}: needs a value, e.g. ${field}:"two words"`;
+  }
+  if (negated) {
+    return '"-" must be followed by a word or phrase to exclude';
+  }
+  return 'Empty quotes match nothing; put a phrase between them';
+}
+
+// Resolve a value against the known values of a field, ignoring case
+// Unknown values are rejected with the closest known value as a suggestion
+function matchKnown(value, known = [], label) {
+  if (known.length === 0) {
+    return value;
+  }
+
+  const match = known.find(option => option.toLowerCase() === value.toLowerCase());
+  if (match) {
+    return match;
+  }
+
+  const [closest] = known
+    .map(option => ({ option, distance: editDistance(value.toLowerCase(), option.toLowerCase()) }))
+    .sort((a, b) => a.distance - b.distance);
+  const suggestion =
+    closest.distance <= Math.max(2, Math.floor(value.length / 3))
+      ? `Did you mean "${closest.option}"?`
+      : `Choose one of: ${known.join(', ')}.`;
+  throw new Error(`Unknown ${label} "${value}". ${suggestion}`);
+}
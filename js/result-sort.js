@@ -0,0 +1,70 @@
+// ResultSort - Orders filtered services for the results list and map
+// Every mode breaks ties by name and then ID, so equal services always come out in the same
+// order; services missing the value a mode sorts on (no coordinates, no update date, no known
+// opening) go last
+
+import { nextOpening } from './opening-hours.js';
+
+export const SORT_MODES = {
+  RELEVANCE: 'relevance',
+  DISTANCE: 'distance',
+  NAME: 'name',
+  UPDATED: 'updated',
+  OPENS: 'opens'
+};
+
+// Sort keys: each returns a number to sort ascending, or null when the service has no value
+const SORT_KEYS = {
+  distance: (service, { distance }) => (distance ? distance(service) : null),
+
+  updated: service => {
+    const time = Date.parse(service.lastModified);
+    return Number.isNaN(time) ? null : -time;
+  },
+
+  opens: (service, { at }) => {
+    // Services open now all count as opening now
+    const opensAt = nextOpening(service, at);
+    return opensAt ? Math.max(opensAt.getTime(), at.getTime()) : null;
+  }
+};
+
+// Sort services by one of SORT_MODES; returns a new array
+// 'relevance' keeps the incoming order, which is the search ranking; options are
+// { distance: service => miles | null, at: Date } for the distance and opens modes
+export function sortServices(services, mode = SORT_MODES.RELEVANCE, options = {}) {
+  if (!Object.values(SORT_MODES).includes(mode)) {
+    throw new Error(`Unknown sort mode: ${mode}`);
+  }
+  if (mode === SORT_MODES.RELEVANCE) {
+    return [...services];
+  }
+
+  const context = { ...options, at: options.at || new Date() };
+  const key = SORT_KEYS[mode];
+  return services
+    .map(service => ({ service, value: key ? key(service, context) : null }))
+    .sort((a, b) => compareValues(a.value, b.value) || compareServices(a.service, b.service))
+    .map(entry => entry.service);
+}
+
+// Alphabetical by name, then by ID
+export function compareServices(a, b) {
+  return (
+    String(a.name || '').localeCompare(String(b.name || ''), undefined, { sensitivity: 'base' }) ||
+    String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+  );
+}
+
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null) {
+    return 1;
+  }
+  if (b === null) {
+    return -1;
+  }
+  return a - b;
+}
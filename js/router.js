@@ -0,0 +1,137 @@
+// Router - Hash routes for the app's sections and service detail pages
+// Routes are patterns like '/browse' or '/service/:id' matched against the URL hash
+// (#/service/3), each with optional enter and leave hooks. Every navigation is a history entry,
+// so sections and services can be bookmarked and back and forward move between them; the query
+// string is left alone for the Browse search
+
+import { EventEmitter, reportError } from './events.js';
+
+export class Router extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      window: typeof window !== 'undefined' ? window : null,
+      defaultPath: '/browse',
+      ...options
+    };
+    this.routes = [];
+    this.current = null;
+
+    this.handleHashChange = () => this.resolve();
+  }
+
+  // Add a route; ':name' segments match one path segment and are passed to the hooks as
+  // params.name. enter(params, from) runs when the route becomes current and leave(params, to)
+  // when another takes over, where from and to are the other { route, params, path } or null
+  add(pattern, { enter = () => {}, leave = () => {} } = {}) {
+    const names = [];
+    const source = pattern
+      .split('/')
+      .map(segment => {
+        if (segment.startsWith(':')) {
+          names.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+
+    this.routes.push({ pattern, names, regex: new RegExp(`^${source}/?$`), enter, leave });
+    return this;
+  }
+
+  // The route and params for a path, or null when no route matches. A param that isn't valid
+  // percent-encoding, such as a hand-edited %E0%A4, matches nothing either
+  match(path) {
+    for (const route of this.routes) {
+      const found = route.regex.exec(path);
+      if (found) {
+        const params = {};
+        try {
+          route.names.forEach((name, index) => {
+            params[name] = decodeURIComponent(found[index + 1]);
+          });
+        } catch (error) {
+          if (error instanceof URIError) {
+            return null;
+          }
+          throw error;
+        }
+        return { route, params, path };
+      }
+    }
+    return null;
+  }
+
+  // Start following the hash and enter the route for the current URL
+  start() {
+    this.config.window.addEventListener('hashchange', this.handleHashChange);
+    this.resolve();
+  }
+
+  // The path in the URL hash, '/browse' for '#/browse'
+  getPath() {
+    return this.config.window.location.hash.replace(/^#/, '') || this.config.defaultPath;
+  }
+
+  // Go to a path; replace swaps the current history entry instead of adding one
+  navigate(path, { replace = false } = {}) {
+    const { location, history } = this.config.window;
+    if (replace) {
+      history.replaceState(history.state, '', `${location.pathname}${location.search}#${path}`);
+      this.resolve();
+    } else if (location.hash === `#${path}`) {
+      this.resolve();
+    } else {
+      // Resolved by the hashchange event
+      location.hash = path;
+    }
+  }
+
+  // Leave the current route and enter the one for the URL; an unknown path goes to the default
+  resolve() {
+    const path = this.getPath();
+    if (this.current && this.current.path === path) {
+      return this.current;
+    }
+
+    const next = this.match(path);
+    if (!next) {
+      if (path === this.config.defaultPath) {
+        throw new Error(`No route for the default path: ${path}`);
+      }
+      this.emit('not-found', path);
+      this.navigate(this.config.defaultPath, { replace: true });
+      return this.current;
+    }
+
+    const previous = this.current;
+    this.current = next;
+    if (previous) {
+      this.runHook(previous, 'leave', next);
+    }
+    this.runHook(next, 'enter', previous);
+    this.emit('route-changed', next, previous);
+    return next;
+  }
+
+  runHook(match, hook, other) {
+    try {
+      match.route[hook](match.params, other);
+    } catch (error) {
+      reportError(`Error in ${hook} hook for ${match.route.pattern}:`, error);
+    }
+  }
+
+  // Stop following the hash
+  destroy() {
+    if (this.config.window) {
+      this.config.window.removeEventListener('hashchange', this.handleHashChange);
+    }
+    this.removeAllListeners();
+  }
+}
+
+export function createRouter(options = {}) {
+  return new Router(options);
+}
@@ -0,0 +1,397 @@
+// Schedule - Recurring sessions from HSDS schedules
+// Expands HSDS 3.0 schedule rows, which use RFC 5545 RRULE fields (freq, interval, byday,
+// bymonthday, count, until, dtstart) plus valid_from/valid_to, into dated sessions.
+// Sessions on a service's listed closures, or on the public holidays it closes for, are marked
+// closed.
+
+import { hoursToSchedules } from './hsds-export.js';
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rules for COUNT are walked from dtstart; stop after ten years of days
+const MAX_WALK_DAYS = 3660;
+
+// US federal holidays; fixed-date holidays on a weekend are observed on the Friday or Monday
+export const FEDERAL_HOLIDAYS = [
+  { name: 'New Year’s Day', rrule: 'FREQ=YEARLY;BYMONTH=1;BYMONTHDAY=1', observed: true },
+  { name: 'Martin Luther King Jr. Day', rrule: 'FREQ=YEARLY;BYMONTH=1;BYDAY=3MO' },
+  { name: 'Presidents’ Day', rrule: 'FREQ=YEARLY;BYMONTH=2;BYDAY=3MO' },
+  { name: 'Memorial Day', rrule: 'FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO' },
+  { name: 'Juneteenth', rrule: 'FREQ=YEARLY;BYMONTH=6;BYMONTHDAY=19', observed: true },
+  { name: 'Independence Day', rrule: 'FREQ=YEARLY;BYMONTH=7;BYMONTHDAY=4', observed: true },
+  { name: 'Labor Day', rrule: 'FREQ=YEARLY;BYMONTH=9;BYDAY=1MO' },
+  { name: 'Columbus Day', rrule: 'FREQ=YEARLY;BYMONTH=10;BYDAY=2MO' },
+  { name: 'Veterans Day', rrule: 'FREQ=YEARLY;BYMONTH=11;BYMONTHDAY=11', observed: true },
+  { name: 'Thanksgiving Day', rrule: 'FREQ=YEARLY;BYMONTH=11;BYDAY=4TH' },
+  { name: 'Christmas Day', rrule: 'FREQ=YEARLY;BYMONTH=12;BYMONTHDAY=25', observed: true }
+];
+
+// Parse an RRULE string such as "FREQ=MONTHLY;BYDAY=1SA,3SA" into HSDS schedule fields
+export function parseRRule(text) {
+  const fields = {};
+
+  String(text)
+    .trim()
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .filter(Boolean)
+    .forEach(part => {
+      const [key, value] = part.split('=');
+      if (!key || value === undefined) {
+        throw new Error(`Invalid RRULE part "${part}"`);
+      }
+      fields[key.trim().toLowerCase()] = value.trim();
+    });
+
+  return fields;
+}
+
+// Normalize HSDS schedule fields (or parseRRule output) into a rule
+// Throws for frequencies and BYDAY values this module can't expand
+export function toRule(schedule) {
+  const freq = String(schedule.freq || '').toUpperCase();
+  if (!FREQUENCIES.includes(freq)) {
+    throw new Error(`Unsupported schedule frequency "${schedule.freq}"`);
+  }
+
+  return {
+    freq,
+    interval: Math.max(1, Number(schedule.interval) || 1),
+    byday: splitList(schedule.byday).map(parseByDay),
+    bymonthday: splitList(schedule.bymonthday).map(Number),
+    bymonth: splitList(schedule.bymonth).map(Number),
+    count: Number(schedule.count) || null,
+    dtstart: parseDate(schedule.dtstart),
+    until: parseDate(schedule.until)
+  };
+}
+
+// Whether a rule has an occurrence on the date's day; ordinal BYDAY values such as 2TU or -1MO
+// count within the month
+export function occursOn(rule, date) {
+  const day = startOfDay(date);
+  if ((rule.dtstart && day < rule.dtstart) || (rule.until && day > rule.until)) {
+    return false;
+  }
+  if (rule.bymonth.length > 0 && !rule.bymonth.includes(day.getMonth() + 1)) {
+    return false;
+  }
+  return matchesInterval(rule, day) && matchesDay(rule, day);
+}
+
+// Dates, at midnight, on which a rule occurs between from and to inclusive
+export function expandRule(rule, from, to) {
+  const first = startOfDay(from);
+  const last = startOfDay(to);
+  const dates = [];
+
+  // COUNT limits occurrences from dtstart, so earlier ones have to be counted too
+  let day = rule.count && rule.dtstart ? rule.dtstart : first;
+  let seen = 0;
+  for (let walked = 0; day <= last && walked <= MAX_WALK_DAYS; walked++) {
+    if (occursOn(rule, day)) {
+      seen++;
+      if (rule.count && seen > rule.count) {
+        break;
+      }
+      if (day >= first) {
+        dates.push(day);
+      }
+    }
+    day = addDays(day, 1);
+  }
+
+  return dates;
+}
+
+// Name of the holiday on a date, including weekend holidays observed on the Friday or Monday
+export function holidayOn(date, holidays = FEDERAL_HOLIDAYS) {
+  const day = startOfDay(date);
+
+  for (const holiday of holidays) {
+    const rule = holidayRule(holiday);
+    if (occursOn(rule, day)) {
+      return holiday.name;
+    }
+    if (!holiday.observed) {
+      continue;
+    }
+    const weekday = day.getDay();
+    if (
+      (weekday === 5 && occursOn(rule, addDays(day, 1))) ||
+      (weekday === 1 && occursOn(rule, addDays(day, -1)))
+    ) {
+      return `${holiday.name} (observed)`;
+    }
+  }
+
+  return null;
+}
+
+// Why a service is closed on a date, or null
+// Services list closures as [{ from: '2026-12-24', to: '2026-12-26', reason }] (or { date }).
+// Holidays only close services that say so: closedOnHolidays: true for every holiday, or a
+// list of the holiday names they close for
+export function closureOn(service, date, holidays = FEDERAL_HOLIDAYS) {
+  const day = startOfDay(date);
+
+  const closure = (service.closures || []).find(entry => {
+    const from = parseDate(entry.from || entry.date);
+    const to = parseDate(entry.to || entry.from || entry.date);
+    return from && day >= from && day <= to;
+  });
+  if (closure) {
+    return { reason: closure.reason || 'Closed', holiday: false };
+  }
+
+  const holiday = holidayOn(day, holidaysClosed(service.closedOnHolidays, holidays));
+  if (holiday) {
+    return { reason: holiday, holiday: true };
+  }
+
+  return null;
+}
+
+function holidaysClosed(closedOnHolidays, holidays) {
+  if (closedOnHolidays === true) {
+    return holidays;
+  }
+  if (Array.isArray(closedOnHolidays)) {
+    return holidays.filter(holiday => closedOnHolidays.includes(holiday.name));
+  }
+  return [];
+}
+
+// The schedules a service runs on: its HSDS schedules, or ones derived from its weekly hours
+export function serviceSchedules(service) {
+  if (Array.isArray(service.schedules) && service.schedules.length > 0) {
+    return service.schedules;
+  }
+  return hoursToSchedules(service.hours);
+}
+
+// Sessions a service runs, in order, from now (or options.from) over the next options.days days
+// Returns [{ start, end, description, closure }] with closure { reason } for cancelled sessions;
+// schedules without opening times have no sessions
+export function upcomingSessions(service, options = {}) {
+  const { from = new Date(), days = 60, limit = 10, holidays = FEDERAL_HOLIDAYS } = options;
+  const to = addDays(from, days);
+  const sessions = [];
+
+  timedSchedules(serviceSchedules(service)).forEach(timed => {
+    const { schedule, rule, opens, closes, validFrom, validTo } = timed;
+    const start = validFrom && validFrom > from ? validFrom : from;
+    const end = validTo && validTo < to ? validTo : to;
+
+    expandRule(rule, start, end).forEach(day => {
+      const session = {
+        start: atMinutes(day, opens),
+        end: atMinutes(day, closes),
+        description: schedule.description || '',
+        closure: closureOn(service, day, holidays)
+      };
+      if (session.end > from) {
+        sessions.push(session);
+      }
+    });
+  });
+
+  return sessions.sort((a, b) => a.start - b.start).slice(0, limit);
+}
+
+// Opening times a service's HSDS schedules give on a date's day, as [{ opens, closes }] in
+// minutes after midnight (closes past midnight runs over 24 * 60), honouring the rules' interval
+// and dtstart and the schedules' valid dates. Null when the service has no schedules with
+// opening times, so its weekly hours apply instead
+export function scheduledIntervalsOn(service, date) {
+  if (!hasTimedSchedules(service)) {
+    return null;
+  }
+
+  const day = startOfDay(date);
+  return timedSchedules(service.schedules)
+    .filter(
+      ({ rule, validFrom, validTo }) =>
+        (!validFrom || day >= validFrom) && (!validTo || day <= validTo) && occursOn(rule, day)
+    )
+    .map(({ opens, closes }) => ({ opens, closes }));
+}
+
+// Whether a service has HSDS schedules with opening times to tell when it is open
+export function hasTimedSchedules(service) {
+  return timedSchedules(service.schedules).length > 0;
+}
+
+// Schedules with opening times that can be expanded, with their rule, times and valid dates
+// read once per list of schedules
+const timedCache = new WeakMap();
+function timedSchedules(schedules) {
+  if (!Array.isArray(schedules)) {
+    return [];
+  }
+  if (!timedCache.has(schedules)) {
+    const timed = schedules
+      .filter(schedule => !scheduleIssue(schedule))
+      .map(schedule => {
+        const opens = parseTime(schedule.opens_at);
+        const closes = parseTime(schedule.closes_at);
+        return {
+          schedule,
+          rule: toRule(schedule),
+          opens,
+          closes: closes > opens ? closes : closes + 24 * 60,
+          validFrom: parseDate(schedule.valid_from),
+          validTo: parseDate(schedule.valid_to)
+        };
+      })
+      .filter(({ opens }) => opens !== null);
+    timedCache.set(schedules, timed);
+  }
+  return timedCache.get(schedules);
+}
+
+// Schedules on a service that can't be expanded, for admins to correct
+// Returns [{ schedule, message }]
+export function scheduleIssues(service) {
+  return (service.schedules || [])
+    .map(schedule => ({ schedule, message: scheduleIssue(schedule) }))
+    .filter(issue => issue.message);
+}
+
+function scheduleIssue(schedule) {
+  try {
+    toRule(schedule);
+  } catch (error) {
+    return error.message;
+  }
+  if ((parseTime(schedule.opens_at) === null) !== (parseTime(schedule.closes_at) === null)) {
+    return 'Schedule needs both opens_at and closes_at';
+  }
+  return null;
+}
+
+function matchesInterval(rule, day) {
+  if (rule.interval === 1 || !rule.dtstart) {
+    return true;
+  }
+
+  const start = rule.dtstart;
+  let elapsed;
+  if (rule.freq === 'DAILY') {
+    elapsed = Math.round((day - start) / DAY_MS);
+  } else if (rule.freq === 'WEEKLY') {
+    elapsed = Math.round((weekStart(day) - weekStart(start)) / (7 * DAY_MS));
+  } else if (rule.freq === 'MONTHLY') {
+    elapsed = (day.getFullYear() - start.getFullYear()) * 12 + day.getMonth() - start.getMonth();
+  } else {
+    elapsed = day.getFullYear() - start.getFullYear();
+  }
+  return elapsed % rule.interval === 0;
+}
+
+function matchesDay(rule, day) {
+  const date = day.getDate();
+  const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+
+  if (rule.bymonthday.length > 0) {
+    const matchesMonthDay = rule.bymonthday.some(monthDay =>
+      monthDay > 0 ? date === monthDay : date === daysInMonth + monthDay + 1
+    );
+    if (!matchesMonthDay) {
+      return false;
+    }
+  }
+
+  if (rule.byday.length > 0) {
+    return rule.byday.some(({ weekday, nth }) => {
+      if (weekday !== day.getDay()) {
+        return false;
+      }
+      if (nth === null || rule.freq === 'WEEKLY' || rule.freq === 'DAILY') {
+        return true;
+      }
+      return nth > 0
+        ? Math.ceil(date / 7) === nth
+        : Math.floor((daysInMonth - date) / 7) === -nth - 1;
+    });
+  }
+
+  if (rule.bymonthday.length > 0 || rule.freq === 'DAILY') {
+    return true;
+  }
+
+  // Without BYDAY or BYMONTHDAY a rule repeats on its start date's weekday, day or date
+  const start = rule.dtstart;
+  if (!start) {
+    return false;
+  }
+  if (rule.freq === 'WEEKLY') {
+    return day.getDay() === start.getDay();
+  }
+  if (rule.freq === 'MONTHLY') {
+    return date === start.getDate();
+  }
+  return date === start.getDate() && day.getMonth() === start.getMonth();
+}
+
+// "MO" -> { weekday: 1, nth: null }; "2TU" -> { weekday: 2, nth: 2 }; "-1FR" -> { nth: -1 }
+function parseByDay(code) {
+  const match = code.toUpperCase().match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match) {
+    throw new Error(`Invalid BYDAY value "${code}"`);
+  }
+  return { weekday: DAY_CODES.indexOf(match[2]), nth: match[1] ? Number(match[1]) : null };
+}
+
+const holidayRules = new WeakMap();
+
+function holidayRule(holiday) {
+  if (!holidayRules.has(holiday)) {
+    holidayRules.set(holiday, toRule(parseRRule(holiday.rrule)));
+  }
+  return holidayRules.get(holiday);
+}
+
+function splitList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Local midnight for "2026-11-07", "20261107", "2026-11-07T10:00:00" or a Date
+function parseDate(value) {
+  if (value instanceof Date) {
+    return startOfDay(value);
+  }
+  const match = String(value ?? '').match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+// Minutes after midnight for an HSDS time such as "09:00" or "13:30:00"
+function parseTime(value) {
+  const match = String(value ?? '').match(/^(\d{1,2}):(\d{2})/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Monday of the date's week (RRULE's default WKST)
+function weekStart(day) {
+  return addDays(day, -((day.getDay() + 6) % 7));
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function atMinutes(day, minutes) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+}
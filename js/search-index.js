@@ -0,0 +1,383 @@
+// SearchIndex - Ranked full-text search over services
+// Inverted index with light stemming, per-field weights and BM25F relevance scoring
+// Results carry character spans of the matched words for highlighting
+
+// Searchable fields and their weights; a match in the name counts most
+export const SEARCH_FIELDS = {
+  name: 3,
+  organization: 2,
+  category: 1.5,
+  description: 1.5,
+  address: 1
+};
+
+// Query words ignored unless the query has nothing else
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'in', 'on', 'at', 'to', 'or']);
+
+// Matches on a word that merely starts with the query word score lower than whole-word matches,
+// and matches through a synonym or a typo lower still
+const PREFIX_BOOST = 0.5;
+const SYNONYM_BOOST = 0.8;
+const FUZZY_BOOST = 0.4;
+
+export class SearchIndex {
+  constructor(options = {}) {
+    this.options = {
+      fields: SEARCH_FIELDS,
+      synonyms: null,
+      k1: 1.2,
+      b: 0.75,
+      ...options
+    };
+    this.clear();
+  }
+
+  clear() {
+    this.services = [];
+    this.source = null;
+    this.postings = new Map();
+    this.terms = [];
+    this.fieldLengths = [];
+    this.averageLengths = {};
+    this.stale = true;
+  }
+
+  // Mark the index for rebuilding on the next search
+  invalidate() {
+    this.stale = true;
+  }
+
+  // Rebuild when the service list was replaced, grew or shrank, or was invalidated
+  sync(services) {
+    if (this.stale || services !== this.source || services.length !== this.services.length) {
+      this.build(services);
+    }
+  }
+
+  // Index every searchable field of each service
+  build(services) {
+    this.clear();
+    this.source = services;
+    this.services = [...services];
+
+    const totals = {};
+    Object.keys(this.options.fields).forEach(field => {
+      totals[field] = 0;
+    });
+
+    this.services.forEach((service, doc) => {
+      const lengths = {};
+      Object.keys(this.options.fields).forEach(field => {
+        const tokens = tokenize(service[field]);
+        lengths[field] = tokens.length;
+        totals[field] += tokens.length;
+
+        tokens.forEach(({ term, start, end }) => {
+          if (!this.postings.has(term)) {
+            this.postings.set(term, new Map());
+          }
+          const docs = this.postings.get(term);
+          if (!docs.has(doc)) {
+            docs.set(doc, {});
+          }
+          const spans = docs.get(doc);
+          spans[field] = spans[field] || [];
+          spans[field].push([start, end]);
+        });
+      });
+      this.fieldLengths.push(lengths);
+    });
+
+    Object.keys(totals).forEach(field => {
+      this.averageLengths[field] = this.services.length ? totals[field] / this.services.length : 0;
+    });
+    this.terms = Array.from(this.postings.keys()).sort();
+    this.stale = false;
+  }
+
+  // Find services matching every query word, or a synonym of it, best match first
+  // Returns [{ service, score, matches: { field: [[start, end], ...] } }]
+  search(query) {
+    const words = queryTerms(query);
+    if (words.length === 0) {
+      return [];
+    }
+
+    const { synonyms } = this.options;
+    const groups = synonyms
+      ? synonyms.expand(words)
+      : words.map(word => ({ words: [word], alternatives: [] }));
+
+    const results = groups
+      .map(group => this.scoreGroup(group))
+      .reduce((combined, scores) => intersect(combined, scores));
+
+    return Array.from(results.entries())
+      .sort(([docA, a], [docB, b]) => b.score - a.score || docA - docB)
+      .map(([doc, { score, matches }]) => ({
+        service: this.services[doc],
+        score: Math.round(score * 1000) / 1000,
+        matches: sortSpans(matches)
+      }));
+  }
+
+  // Score the services matching a query phrase or any of its synonyms
+  scoreGroup({ words, alternatives }) {
+    const scores = this.scoreWords(words, 1);
+
+    alternatives.forEach(alternative => {
+      this.scoreWords(alternative, SYNONYM_BOOST).forEach((next, doc) => {
+        const existing = scores.get(doc);
+        if (!existing) {
+          scores.set(doc, next);
+          return;
+        }
+        existing.score = Math.max(existing.score, next.score);
+        mergeSpans(existing.matches, next.matches);
+      });
+    });
+    return scores;
+  }
+
+  // Score the services matching all of the words
+  // A phrase scores by its average word, so long synonyms do not outrank the word searched for
+  scoreWords(words, boost) {
+    return words
+      .map(word => this.scoreWord(word, boost / words.length))
+      .reduce((combined, scores) => intersect(combined, scores));
+  }
+
+  // Score every service matching one stemmed query word
+  scoreWord(word, wordBoost = 1) {
+    const scores = new Map();
+
+    this.expandWord(word).forEach(({ term, boost }) => {
+      const docs = this.postings.get(term);
+      const idf = Math.log(1 + (this.services.length - docs.size + 0.5) / (docs.size + 0.5));
+
+      docs.forEach((spans, doc) => {
+        const score = wordBoost * boost * idf * this.saturate(doc, spans);
+        const existing = scores.get(doc);
+        if (!existing) {
+          scores.set(doc, { score, matches: copySpans(spans) });
+          return;
+        }
+        existing.score = Math.max(existing.score, score);
+        mergeSpans(existing.matches, spans);
+      });
+    });
+
+    return scores;
+  }
+
+  // BM25F term frequency: weighted, length-normalized counts across fields, then saturated
+  saturate(doc, spans) {
+    const { fields, k1, b } = this.options;
+    let frequency = 0;
+
+    Object.entries(spans).forEach(([field, fieldSpans]) => {
+      const average = this.averageLengths[field] || 1;
+      const normalization = 1 - b + (b * this.fieldLengths[doc][field]) / average;
+      frequency += (fields[field] * fieldSpans.length) / normalization;
+    });
+
+    return (frequency * (k1 + 1)) / (frequency + k1);
+  }
+
+  // Index terms a stemmed query word matches: itself, terms starting with it, or when neither
+  // exists, terms within a small edit distance so typos still find something
+  expandWord(word) {
+    const matches = [];
+
+    for (let i = lowerBound(this.terms, word); i < this.terms.length; i++) {
+      const term = this.terms[i];
+      if (!term.startsWith(word)) {
+        break;
+      }
+      matches.push({ term, boost: term === word ? 1 : PREFIX_BOOST });
+    }
+
+    const maxDistance = allowedTypos(word);
+    if (matches.length > 0 || maxDistance === 0) {
+      return matches;
+    }
+
+    this.terms.forEach(term => {
+      if (Math.abs(term.length - word.length) <= maxDistance) {
+        const distance = editDistance(word, term, maxDistance);
+        if (distance <= maxDistance) {
+          matches.push({ term, boost: FUZZY_BOOST / distance });
+        }
+      }
+    });
+    return matches;
+  }
+}
+
+// Typos tolerated in a word: none in short words, where they change the meaning too easily
+function allowedTypos(word) {
+  if (word.length < 4 || /\d/.test(word)) {
+    return 0;
+  }
+  return word.length < 8 ? 1 : 2;
+}
+
+// Edit distance counting insertions, deletions, substitutions and swapped neighbours
+// Stops early and returns maxDistance + 1 once the distance is known to exceed maxDistance
+export function editDistance(a, b, maxDistance = Infinity) {
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMinimum = Math.min(rowMinimum, value);
+    }
+
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+// Whether the words of a phrase appear together, in order, in one of the service's fields
+// Words are compared after stemming, so "food banks" contains "food bank"
+export function containsPhrase(service, phrase, fields = Object.keys(SEARCH_FIELDS)) {
+  const words = tokenize(phrase).map(token => token.term);
+  if (words.length === 0) {
+    return false;
+  }
+
+  return fields.some(field => {
+    const terms = tokenize(service[field]).map(token => token.term);
+    for (let i = 0; i + words.length <= terms.length; i++) {
+      if (words.every((word, offset) => terms[i + offset] === word)) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+// Split text into lowercase, stemmed terms with their character offsets
+export function tokenize(text) {
+  const tokens = [];
+  const source = String(text ?? '');
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    tokens.push({
+      term: stem(match[0].toLowerCase()),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+// Light suffix stripping so "pantries", "pantry" and "families", "family" meet
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+  if (word.endsWith('ies') && word.length > 4) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.endsWith('sses')) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('ing') && word.length > 5) {
+    return undouble(word.slice(0, -3));
+  }
+  if (word.endsWith('ed') && word.length > 4) {
+    return undouble(word.slice(0, -2));
+  }
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+// "shopp" -> "shop", but "fill" stays "fill"
+function undouble(word) {
+  return /([^aeiouls])\1$/.test(word) ? word.slice(0, -1) : word;
+}
+
+// Stemmed query words without stopwords, unless stopwords are all there is
+function queryTerms(query) {
+  const words =
+    String(query ?? '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu) || [];
+  const significant = words.filter(word => !STOPWORDS.has(word));
+
+  return (significant.length > 0 ? significant : words)
+    .map(stem)
+    .filter((word, index, all) => all.indexOf(word) === index);
+}
+
+// Keep the services present in both result maps, adding up their scores and spans
+function intersect(results, scores) {
+  results.forEach((result, doc) => {
+    const next = scores.get(doc);
+    if (!next) {
+      results.delete(doc);
+      return;
+    }
+    result.score += next.score;
+    mergeSpans(result.matches, next.matches);
+  });
+  return results;
+}
+
+function lowerBound(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function copySpans(spans) {
+  const copy = {};
+  Object.entries(spans).forEach(([field, fieldSpans]) => {
+    copy[field] = [...fieldSpans];
+  });
+  return copy;
+}
+
+function mergeSpans(target, spans) {
+  Object.entries(spans).forEach(([field, fieldSpans]) => {
+    target[field] = [...(target[field] || []), ...fieldSpans];
+  });
+}
+
+// Order spans by position and drop repeats from words matching the same text
+function sortSpans(matches) {
+  const sorted = {};
+  Object.entries(matches).forEach(([field, spans]) => {
+    sorted[field] = spans
+      .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+      .filter((span, index, all) => index === 0 || span[0] !== all[index - 1][0]);
+  });
+  return sorted;
+}
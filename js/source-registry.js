@@ -0,0 +1,351 @@
+// SourceRegistry - Tracks the federated data sources behind the navigator
+// Each source has an endpoint, file or inline data, a loader and a load status
+// Sources registered with delta: true are synced incrementally: after the first load only the
+// records modified since the last sync are requested, along with the records deleted since
+
+import { HSDSImporter } from './hsds-import.js';
+import { importDataPackage } from './hsds-csv.js';
+
+// Source load states
+export const SOURCE_STATUS = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  READY: 'ready',
+  ERROR: 'error',
+  DISABLED: 'disabled'
+};
+
+// Built-in loaders: each resolves to { services, report } for one source
+const defaultLoaders = {
+  // HSDS 3.0 JSON (tables, nested services or an API page)
+  'hsds-json': async source => {
+    const json = source.data || (await fetchJSON(sourceLocation(source)));
+    return new HSDSImporter({ ...source.options, sourceOrg: source.name }).importJSON(json);
+  },
+
+  // HSDS CSV data package (folder URL, zip URL or file map)
+  'hsds-csv': async source =>
+    importDataPackage(source.data || sourceLocation(source), {
+      ...source.options,
+      sourceOrg: source.name
+    }),
+
+  // Services already in the navigator's own shape, such as js/data.js
+  navigator: async source => {
+    const services = source.data || (await fetchJSON(sourceLocation(source)));
+    if (!Array.isArray(services)) {
+      throw new Error('Navigator source must provide an array of services');
+    }
+    return {
+      services: services.map(service => ({
+        ...holidayClosures(source),
+        ...service,
+        sourceOrg: service.sourceOrg || source.name
+      })),
+      report: { imported: services.length, skipped: 0, issues: [] }
+    };
+  }
+};
+
+export class SourceRegistry {
+  constructor(sources = [], options = {}) {
+    this.sources = new Map();
+    this.loaders = { ...defaultLoaders };
+    this.config = {
+      timeout: 15000,
+      ...options
+    };
+
+    sources.forEach(source => this.register(source));
+  }
+
+  // Register a source; returns the tracked source record
+  register(source) {
+    if (!source || !source.id || !source.name) {
+      throw new Error('Source requires an id and a name');
+    }
+    if (this.sources.has(source.id)) {
+      throw new Error(`Source already registered: ${source.id}`);
+    }
+    if (!source.endpoint && !source.file && !source.data) {
+      throw new Error(`Source ${source.id} needs an endpoint, file or data`);
+    }
+
+    const record = {
+      loader: 'hsds-json',
+      enabled: true,
+      options: {},
+      ...source,
+      status: source.enabled === false ? SOURCE_STATUS.DISABLED : SOURCE_STATUS.IDLE,
+      error: null,
+      serviceCount: 0,
+      report: null,
+      lastLoaded: null,
+      syncedAt: null,
+      etag: null
+    };
+
+    if (!this.loaders[record.loader]) {
+      throw new Error(`Unknown loader "${record.loader}" for source ${source.id}`);
+    }
+
+    this.sources.set(record.id, record);
+    return record;
+  }
+
+  // Remove a source from the registry
+  unregister(id) {
+    return this.sources.delete(id);
+  }
+
+  // Add a custom loader: async (source) => ({ services, report })
+  registerLoader(name, loader) {
+    this.loaders[name] = loader;
+  }
+
+  get(id) {
+    return this.sources.get(id);
+  }
+
+  getAll() {
+    return Array.from(this.sources.values());
+  }
+
+  get size() {
+    return this.sources.size;
+  }
+
+  // Enable or disable a source without unregistering it
+  setEnabled(id, enabled) {
+    const source = this.sources.get(id);
+    if (!source) {
+      return false;
+    }
+    source.enabled = enabled;
+    source.status = enabled ? SOURCE_STATUS.IDLE : SOURCE_STATUS.DISABLED;
+    return true;
+  }
+
+  // Load every enabled source in parallel
+  // A failing or slow source is marked as errored without affecting the others
+  async loadAll() {
+    const sources = this.getAll().filter(source => source.enabled);
+    return Promise.all(sources.map(source => this.load(source.id)));
+  }
+
+  // Load one source; resolves to { source, services } and never rejects
+  async load(id) {
+    const source = this.sources.get(id);
+    if (!source) {
+      throw new Error(`Unknown source: ${id}`);
+    }
+
+    source.status = SOURCE_STATUS.LOADING;
+    source.error = null;
+
+    try {
+      const { services, report } = await withTimeout(
+        this.loaders[source.loader](source),
+        source.timeout || this.config.timeout,
+        `Source ${source.name} timed out`
+      );
+
+      source.status = SOURCE_STATUS.READY;
+      source.serviceCount = services.length;
+      source.report = report;
+      source.lastLoaded = new Date().toISOString();
+      return { source, services: services.map(service => ({ ...service, sourceId: source.id })) };
+    } catch (error) {
+      source.status = SOURCE_STATUS.ERROR;
+      source.error = error.message;
+      return { source, services: null };
+    }
+  }
+
+  // Sync every enabled source in parallel; see sync()
+  async syncAll() {
+    const sources = this.getAll().filter(source => source.enabled);
+    return Promise.all(sources.map(source => this.sync(source.id)));
+  }
+
+  // Fetch what changed in one source since its last sync. Resolves to { source, services,
+  // deleted, full }: services to add or replace, the ids of records deleted upstream, and
+  // whether services is the whole source rather than the changes. Sources without delta: true
+  // and an HSDS JSON endpoint are loaded in full every time. Like load(), services is null when
+  // the source fails, and it never rejects
+  async sync(id) {
+    const source = this.sources.get(id);
+    if (!source) {
+      throw new Error(`Unknown source: ${id}`);
+    }
+    if (!source.delta || !source.endpoint || source.loader !== 'hsds-json') {
+      return { ...(await this.load(id)), deleted: [], full: true };
+    }
+
+    source.status = SOURCE_STATUS.LOADING;
+    source.error = null;
+    const full = !source.syncedAt;
+
+    try {
+      const changes = await withTimeout(
+        fetchChanges(source),
+        source.timeout || this.config.timeout,
+        `Source ${source.name} timed out`
+      );
+      const { services, report } = changes.notModified
+        ? { services: [], report: source.report }
+        : new HSDSImporter({ ...source.options, sourceOrg: source.name }).importJSON(changes.json);
+
+      source.status = SOURCE_STATUS.READY;
+      source.report = report;
+      source.lastLoaded = new Date().toISOString();
+      source.syncedAt = changes.syncedAt;
+      source.etag = changes.etag;
+      return {
+        source,
+        services: services.map(service => ({ ...service, sourceId: source.id })),
+        deleted: changes.deleted,
+        full
+      };
+    } catch (error) {
+      source.status = SOURCE_STATUS.ERROR;
+      source.error = error.message;
+      return { source, services: null, deleted: [], full };
+    }
+  }
+
+  // Where each source's incremental sync left off, as { [id]: { syncedAt, etag } }, for saving
+  getSyncState() {
+    return Object.fromEntries(
+      this.getAll()
+        .filter(source => source.syncedAt)
+        .map(({ id, syncedAt, etag }) => [id, { syncedAt, etag }])
+    );
+  }
+
+  // Pick up incremental syncs where getSyncState() left them; unknown sources are ignored
+  restoreSyncState(state) {
+    Object.entries(state).forEach(([id, { syncedAt, etag }]) => {
+      const source = this.sources.get(id);
+      if (source) {
+        source.syncedAt = syncedAt;
+        source.etag = etag;
+      }
+    });
+  }
+
+  // Summary of each source's state for display
+  getStatus() {
+    return this.getAll().map(
+      ({ id, name, status, error, serviceCount, lastLoaded, syncedAt, report }) => ({
+        id,
+        name,
+        status,
+        error,
+        serviceCount,
+        lastLoaded,
+        syncedAt,
+        issueCount: report ? report.issues.length : 0
+      })
+    );
+  }
+}
+
+// A source's closedOnHolidays option, as services in the navigator's shape carry it; services
+// that set their own keep it
+function holidayClosures(source) {
+  const closedOnHolidays = (source.options || {}).closedOnHolidays;
+  return closedOnHolidays ? { closedOnHolidays } : {};
+}
+
+function sourceLocation(source) {
+  return source.endpoint || source.file;
+}
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Request a source's records modified since its last sync, following the pages of an HSDS API
+// response. The ETag of the last response is sent back, and a 304 means nothing changed.
+// Deleted records are listed by id, or as { id }, in the response's deleted array. The next
+// sync starts from the point syncPoint() picks
+async function fetchChanges(source) {
+  const startedAt = new Date();
+  const query = source.syncedAt ? [`modified_after=${encodeURIComponent(source.syncedAt)}`] : [];
+  const url = withQuery(source.endpoint, query);
+  const response = await fetch(url, {
+    headers: source.etag ? { 'If-None-Match': source.etag } : {}
+  });
+
+  const date = response.headers.get('Date');
+  if (response.status === 304) {
+    const syncedAt = syncPoint(date, [], source.syncedAt, startedAt);
+    return { notModified: true, deleted: [], etag: source.etag, syncedAt };
+  }
+
+  const pages = [await readPage(response, url)];
+  while (pages[pages.length - 1].last_page === false) {
+    const next = withQuery(source.endpoint, [
+      ...query,
+      `page=${pages[pages.length - 1].page_number + 1}`
+    ]);
+    pages.push(await readPage(await fetch(next), next));
+  }
+
+  const deleted = pages
+    .flatMap(page => page.deleted || [])
+    .map(entry => (entry && typeof entry === 'object' ? entry.id : entry));
+  return {
+    json: pages.length > 1 ? { contents: pages.flatMap(page => page.contents) } : pages[0],
+    deleted,
+    etag: response.headers.get('ETag'),
+    syncedAt: syncPoint(date, pages, source.syncedAt, startedAt)
+  };
+}
+
+// The server's Date header, when it can be read; a cross-origin feed has to list Date (and ETag)
+// in Access-Control-Expose-Headers. Without it, the newest last_modified or deleted_at in the
+// changes, then where the last sync left off, and only then this device's clock, which may be off
+function syncPoint(date, pages, previous, startedAt) {
+  if (date) {
+    return new Date(date).toISOString();
+  }
+  const stamps = pages
+    .flatMap(page => [
+      ...(page.contents || []).map(service => service.last_modified),
+      ...(page.deleted || []).map(entry => entry && entry.deleted_at)
+    ])
+    .map(stamp => new Date(stamp || NaN).getTime())
+    .filter(time => !Number.isNaN(time));
+  if (stamps.length > 0) {
+    return new Date(Math.max(...stamps)).toISOString();
+  }
+  return previous || startedAt.toISOString();
+}
+
+async function readPage(response, url) {
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+function withQuery(url, params) {
+  if (params.length === 0) {
+    return url;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}${params.join('&')}`;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,278 @@
+// Storage adapters - Where DataService keeps the services added, changed and removed through it
+// Every adapter stores plain records keyed by their id and has the same asynchronous interface:
+//   getAll()     all stored records
+//   put(records) add records, replacing any with the same id
+//   delete(ids)  remove records; unknown ids are ignored
+//   clear()      remove every record
+// Records are copied on the way in and out, so changing one afterwards doesn't change the store
+
+// In memory only; everything is gone when the page closes
+export class MemoryAdapter {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async getAll() {
+    return Array.from(this.records.values()).map(copy);
+  }
+
+  async put(records) {
+    records.forEach(record => this.records.set(record.id, copy(record)));
+  }
+
+  async delete(ids) {
+    ids.forEach(id => this.records.delete(id));
+  }
+
+  async clear() {
+    this.records.clear();
+  }
+}
+
+// In a Web Storage object such as localStorage, as one JSON array under a key
+export class LocalStorageAdapter {
+  constructor(options = {}) {
+    this.config = {
+      storage: typeof localStorage !== 'undefined' ? localStorage : null,
+      key: 'navigator.services',
+      ...options
+    };
+    if (!this.config.storage) {
+      throw new Error('localStorage is not available');
+    }
+  }
+
+  async getAll() {
+    const records = JSON.parse(this.config.storage.getItem(this.config.key) || '[]');
+    if (!Array.isArray(records)) {
+      throw new Error(`Stored services under ${this.config.key} are not a list`);
+    }
+    return records;
+  }
+
+  async put(records) {
+    const stored = new Map((await this.getAll()).map(record => [record.id, record]));
+    records.forEach(record => stored.set(record.id, record));
+    this.write(Array.from(stored.values()));
+  }
+
+  async delete(ids) {
+    const removing = new Set(ids);
+    this.write((await this.getAll()).filter(record => !removing.has(record.id)));
+  }
+
+  async clear() {
+    this.config.storage.removeItem(this.config.key);
+  }
+
+  write(records) {
+    this.config.storage.setItem(this.config.key, JSON.stringify(records));
+  }
+}
+
+// In an IndexedDB object store keyed by id, which holds far more than localStorage
+export class IndexedDBAdapter {
+  constructor(options = {}) {
+    this.config = {
+      indexedDB: typeof indexedDB !== 'undefined' ? indexedDB : null,
+      database: 'navigator',
+      store: 'services',
+      ...options
+    };
+    if (!this.config.indexedDB) {
+      throw new Error('IndexedDB is not available');
+    }
+    this.db = null;
+  }
+
+  // Open the database, adding the object store when it doesn't have it yet. Adapters can share
+  // a database with a store each: adding a store upgrades the database to its next version, and
+  // the other adapters close their connections for it and reopen on their next call. An open
+  // that fails, say while another tab blocks an upgrade, is tried again on the next call
+  open() {
+    if (!this.db) {
+      const opening = this.connect();
+      this.db = opening;
+      opening.catch(() => {
+        if (this.db === opening) {
+          this.db = null;
+        }
+      });
+    }
+    return this.db;
+  }
+
+  // Open the database at a version, or at its current one, until it has the store
+  async connect(version) {
+    let db;
+    try {
+      db = await this.request(version);
+    } catch (error) {
+      // Another adapter upgraded the database past this version first
+      if (version && error.name === 'VersionError') {
+        return this.connect();
+      }
+      throw error;
+    }
+
+    if (db.objectStoreNames.contains(this.config.store)) {
+      return db;
+    }
+    db.close();
+    return this.connect(db.version + 1);
+  }
+
+  request(version) {
+    const { indexedDB, database, store } = this.config;
+    return new Promise((resolve, reject) => {
+      const request = version ? indexedDB.open(database, version) : indexedDB.open(database);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(store)) {
+          request.result.createObjectStore(store, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          this.db = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAll() {
+    return this.transaction('readonly', store => store.getAll());
+  }
+
+  async put(records) {
+    await this.transaction('readwrite', store => records.forEach(record => store.put(record)));
+  }
+
+  async delete(ids) {
+    await this.transaction('readwrite', store => ids.forEach(id => store.delete(id)));
+  }
+
+  async clear() {
+    await this.transaction('readwrite', store => store.clear());
+  }
+
+  // Run work(store) in one transaction; resolves with the result of the request work returns,
+  // once the transaction has completed. If work throws, nothing it did is kept
+  async transaction(mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.config.store, mode);
+      let request;
+      try {
+        request = work(transaction.objectStore(this.config.store));
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+        return;
+      }
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Close the database connection
+  close() {
+    if (this.db) {
+      // A failed open has nothing to close
+      this.db.then(db => db.close()).catch(() => {});
+      this.db = null;
+    }
+  }
+}
+
+// On a server with a JSON API:
+//   GET    {baseUrl}/services       all records
+//   PUT    {baseUrl}/services/:id   add or replace a record
+//   DELETE {baseUrl}/services/:id   remove a record
+//   DELETE {baseUrl}/services       remove every record
+export class RESTAdapter {
+  constructor(options = {}) {
+    this.config = {
+      baseUrl: '',
+      headers: {},
+      fetch: typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null,
+      ...options
+    };
+    if (!this.config.fetch) {
+      throw new Error('fetch is not available');
+    }
+  }
+
+  async getAll() {
+    const response = await this.request('GET', '/services');
+    return response.json();
+  }
+
+  async put(records) {
+    await Promise.all(
+      records.map(record =>
+        this.request('PUT', `/services/${encodeURIComponent(record.id)}`, record)
+      )
+    );
+  }
+
+  async delete(ids) {
+    await Promise.all(
+      ids.map(id => this.request('DELETE', `/services/${encodeURIComponent(id)}`, null, [404]))
+    );
+  }
+
+  async clear() {
+    await this.request('DELETE', '/services');
+  }
+
+  // Send a request; statuses other than 2xx and those listed in allowed throw
+  async request(method, path, body = null, allowed = []) {
+    const url = `${this.config.baseUrl}${path}`;
+    const response = await this.config.fetch(url, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...this.config.headers
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+
+    if (!response.ok && !allowed.includes(response.status)) {
+      throw new Error(`${method} ${url} failed: ${response.status}`);
+    }
+    return response;
+  }
+}
+
+// Storage types for createStorageAdapter()
+export const STORAGE_TYPES = {
+  memory: MemoryAdapter,
+  localStorage: LocalStorageAdapter,
+  indexedDB: IndexedDBAdapter,
+  rest: RESTAdapter
+};
+
+// An adapter from configuration: a type name such as 'indexedDB', { type, ...options } such as
+// { type: 'rest', baseUrl: '/api' }, or an adapter object, which is used as it is
+export function createStorageAdapter(config) {
+  if (config && typeof config.getAll === 'function') {
+    return config;
+  }
+
+  const { type, ...options } = typeof config === 'string' ? { type: config } : config || {};
+  const Adapter = STORAGE_TYPES[type];
+  if (!Adapter) {
+    throw new Error(`Unknown storage type: ${type}`);
+  }
+  return new Adapter(options);
+}
+
+function copy(record) {
+  return JSON.parse(JSON.stringify(record));
+}
@@ -0,0 +1,392 @@
+// SubmissionQueue - Services contributed through the Contribute form, held for review
+// Each submission is checked field by field, given a tracking id and queued as pending; it only
+// reaches Browse once a moderator approves it. Moderators can also edit it first, reject it with
+// a reason or ask the contributor for more information, and each decision is kept in the
+// submission's history with who made it and when. The form's unfinished fields are kept as a
+// draft so a contributor can leave and pick up where they stopped
+
+import { EventEmitter, reportWarning } from './events.js';
+
+// Submission review states; pending and needs-info submissions are still open for review
+export const SUBMISSION_STATUS = {
+  PENDING: 'pending',
+  NEEDS_INFO: 'needs-info',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const OPEN_STATUSES = [SUBMISSION_STATUS.PENDING, SUBMISSION_STATUS.NEEDS_INFO];
+
+// Contribute form fields, in form order
+export const SUBMISSION_FIELDS = [
+  'name',
+  'organization',
+  'address',
+  'description',
+  'category',
+  'phone',
+  'email',
+  'website',
+  'eligibility'
+];
+
+// Message shown when a required field is left empty
+const REQUIRED_FIELDS = {
+  name: 'Enter the name of the service',
+  organization: 'Enter the organization that runs the service',
+  address: 'Enter the address where the service is offered',
+  category: 'Choose a category'
+};
+
+const MAX_LENGTHS = {
+  name: 120,
+  organization: 120,
+  address: 200,
+  description: 2000,
+  eligibility: 1000
+};
+
+// Tracking ids leave out letters and digits that are easily confused, like O and 0
+const TRACKING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TRACKING_LENGTH = 6;
+
+// Storage keys for the queue and the draft
+const SUBMISSIONS_KEY = 'navigator.submissions';
+const DRAFT_KEY = 'navigator.submission-draft';
+
+// Trimmed form fields, leaving out unknown and empty ones
+export function cleanSubmission(fields = {}) {
+  const clean = {};
+  SUBMISSION_FIELDS.forEach(field => {
+    const value = typeof fields[field] === 'string' ? fields[field].trim() : '';
+    if (value) {
+      clean[field] = value;
+    }
+  });
+  return clean;
+}
+
+// Problems with the form fields as { field: message }; empty when the submission can be sent
+export function validateSubmission(fields = {}) {
+  const clean = cleanSubmission(fields);
+  const errors = {};
+
+  Object.entries(REQUIRED_FIELDS).forEach(([field, message]) => {
+    if (!clean[field]) {
+      errors[field] = message;
+    }
+  });
+  Object.entries(MAX_LENGTHS).forEach(([field, length]) => {
+    if (clean[field] && clean[field].length > length) {
+      errors[field] = `Keep this under ${length} characters`;
+    }
+  });
+
+  if (clean.phone && !isPhone(clean.phone)) {
+    errors.phone = 'Enter a 10-digit phone number, like (314) 555-1234';
+  }
+  if (clean.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(clean.email)) {
+    errors.email = 'Enter an email address, like contact@example.org';
+  }
+  if (clean.website && !isWebsite(clean.website)) {
+    errors.website = 'Enter a web address, like example.org';
+  }
+
+  return errors;
+}
+
+// Service fields for an approved submission, with the contact details grouped as DataService
+// stores them
+export function toService(fields) {
+  const { phone, email, website, ...service } = cleanSubmission(fields);
+  const contact = Object.fromEntries(
+    Object.entries({ phone, email, website }).filter(([, value]) => value)
+  );
+  return { ...service, contact };
+}
+
+// A random tracking id like CS-7K2Q9F
+export function generateTrackingId(random = Math.random) {
+  let code = '';
+  for (let i = 0; i < TRACKING_LENGTH; i++) {
+    code += TRACKING_ALPHABET[Math.floor(random() * TRACKING_ALPHABET.length)];
+  }
+  return `CS-${code}`;
+}
+
+export class SubmissionQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      storage: null,
+      now: () => new Date(),
+      generateId: generateTrackingId,
+      ...options
+    };
+    this.submissions = new Map();
+    this.draft = null;
+
+    this.load();
+  }
+
+  // Keep the queue and draft in a Web Storage-like store, such as localStorage, and read back
+  // what it already holds
+  setStorage(storage) {
+    this.config.storage = storage;
+    this.load();
+  }
+
+  // Queue a submission for review; returns the pending submission with its tracking id
+  // Throws when a field is invalid, with the messages as error.fieldErrors. A tracking id given
+  // up front, such as one shown while offline, is kept; submitting it again returns the
+  // submission already queued under it
+  submit(fields, { trackingId = null } = {}) {
+    if (trackingId && this.submissions.has(trackingId)) {
+      return copy(this.submissions.get(trackingId));
+    }
+
+    const errors = validateSubmission(fields);
+    if (Object.keys(errors).length > 0) {
+      const error = new Error('Submission has invalid fields: ' + Object.keys(errors).join(', '));
+      error.fieldErrors = errors;
+      throw error;
+    }
+
+    if (!trackingId) {
+      trackingId = this.newTrackingId();
+    }
+
+    const submittedAt = this.now();
+    const submission = {
+      trackingId,
+      status: SUBMISSION_STATUS.PENDING,
+      submittedAt,
+      fields: cleanSubmission(fields),
+      history: [{ action: 'submit', status: SUBMISSION_STATUS.PENDING, at: submittedAt }]
+    };
+
+    this.submissions.set(trackingId, submission);
+    this.draft = null;
+    this.save();
+    this.emit('submitted', copy(submission));
+    return copy(submission);
+  }
+
+  // A tracking id no queued submission has
+  newTrackingId() {
+    let trackingId = this.config.generateId();
+    while (this.submissions.has(trackingId)) {
+      trackingId = this.config.generateId();
+    }
+    return trackingId;
+  }
+
+  // The submission with a tracking id, or null; ids are matched ignoring case and spaces
+  get(trackingId) {
+    const submission = this.submissions.get(
+      String(trackingId || '')
+        .trim()
+        .toUpperCase()
+    );
+    return submission ? copy(submission) : null;
+  }
+
+  // Submissions in the order they were sent, optionally only those with a status
+  list({ status = null } = {}) {
+    return Array.from(this.submissions.values())
+      .filter(submission => !status || submission.status === status)
+      .map(copy);
+  }
+
+  // Submissions waiting for a decision, oldest first
+  listOpen() {
+    return this.list().filter(submission => OPEN_STATUSES.includes(submission.status));
+  }
+
+  // Every decision on every submission, newest first, as { trackingId, name, action, status,
+  // by, at, reason }
+  getDecisions() {
+    return this.list()
+      .flatMap(({ trackingId, fields, history }) =>
+        history
+          .filter(entry => entry.by)
+          .map(entry => ({ trackingId, name: fields.name, reason: null, ...entry }))
+      )
+      .sort((a, b) => b.at.localeCompare(a.at));
+  }
+
+  // Change an open submission's fields before it is published; the edited fields must still be
+  // valid. by names the moderator
+  edit(trackingId, fields, { by } = {}) {
+    const submission = this.requireOpen(trackingId, by);
+    const edited = cleanSubmission({ ...submission.fields, ...fields });
+    const errors = validateSubmission(edited);
+    if (Object.keys(errors).length > 0) {
+      const error = new Error('Submission has invalid fields: ' + Object.keys(errors).join(', '));
+      error.fieldErrors = errors;
+      throw error;
+    }
+
+    const changes = SUBMISSION_FIELDS.filter(field => edited[field] !== submission.fields[field]);
+    if (changes.length === 0) {
+      return copy(submission);
+    }
+    submission.fields = edited;
+    return this.record(submission, { action: 'edit', status: submission.status, by, changes });
+  }
+
+  // Mark an open submission approved as the service it was published as;
+  // DataService.approveSubmission() publishes it first. at is the time of the decision
+  approve(trackingId, { by, serviceId = null, at } = {}) {
+    const submission = this.requireOpen(trackingId, by);
+    submission.serviceId = serviceId;
+    return this.record(submission, {
+      action: 'approve',
+      status: SUBMISSION_STATUS.APPROVED,
+      by,
+      at
+    });
+  }
+
+  // Turn down an open submission; the reason is kept for the contributor
+  reject(trackingId, { by, reason } = {}) {
+    const submission = this.requireOpen(trackingId, by);
+    if (!reason || !reason.trim()) {
+      throw new Error('Give a reason for rejecting the submission');
+    }
+    return this.record(submission, {
+      action: 'reject',
+      status: SUBMISSION_STATUS.REJECTED,
+      by,
+      reason: reason.trim()
+    });
+  }
+
+  // Ask the contributor for more information; the submission stays open until a decision
+  requestInfo(trackingId, { by, reason } = {}) {
+    const submission = this.requireOpen(trackingId, by);
+    if (!reason || !reason.trim()) {
+      throw new Error('Say what information is needed');
+    }
+    return this.record(submission, {
+      action: 'request-info',
+      status: SUBMISSION_STATUS.NEEDS_INFO,
+      by,
+      reason: reason.trim()
+    });
+  }
+
+  // The queue's clock as an ISO timestamp, for submissions and decisions
+  now() {
+    return this.config.now().toISOString();
+  }
+
+  // The stored submission, when it can still be decided on by a named moderator
+  requireOpen(trackingId, by) {
+    const submission = this.submissions.get(trackingId);
+    if (!submission) {
+      throw new Error(`Unknown submission: ${trackingId}`);
+    }
+    if (!OPEN_STATUSES.includes(submission.status)) {
+      throw new Error(`Submission ${trackingId} has already been ${submission.status}`);
+    }
+    if (!by || !String(by).trim()) {
+      throw new Error('Decisions need the name of the moderator making them');
+    }
+    return submission;
+  }
+
+  // Add a decision to the submission's history and announce it
+  record(submission, { status, by, at = this.now(), ...entry }) {
+    const decision = { ...entry, status, by: String(by).trim(), at };
+    submission.status = status;
+    submission.history.push(decision);
+    this.save();
+    this.emit('decided', copy(submission), copy(decision));
+    return copy(submission);
+  }
+
+  // Keep unfinished form fields; an empty form clears the draft
+  saveDraft(fields) {
+    const clean = cleanSubmission(fields);
+    this.draft = Object.keys(clean).length > 0 ? { fields: clean, savedAt: this.now() } : null;
+    this.save();
+    return this.getDraft();
+  }
+
+  // The saved draft as { fields, savedAt }, or null
+  getDraft() {
+    return this.draft ? copy(this.draft) : null;
+  }
+
+  clearDraft() {
+    this.draft = null;
+    this.save();
+  }
+
+  // Read the queue and draft from storage; anything unreadable is left out
+  load() {
+    const { storage } = this.config;
+    if (!storage) {
+      return;
+    }
+
+    const submissions = readJSON(storage, SUBMISSIONS_KEY);
+    if (Array.isArray(submissions)) {
+      this.submissions = new Map(
+        submissions
+          .filter(submission => submission && submission.trackingId)
+          .map(submission => [submission.trackingId, submission])
+      );
+    }
+    const draft = readJSON(storage, DRAFT_KEY);
+    this.draft = draft && draft.fields ? draft : null;
+  }
+
+  // Write the queue and draft to storage; a full or blocked store keeps them in memory only
+  save() {
+    const { storage } = this.config;
+    if (!storage) {
+      return;
+    }
+
+    try {
+      storage.setItem(SUBMISSIONS_KEY, JSON.stringify(Array.from(this.submissions.values())));
+      if (this.draft) {
+        storage.setItem(DRAFT_KEY, JSON.stringify(this.draft));
+      } else {
+        storage.removeItem(DRAFT_KEY);
+      }
+    } catch (error) {
+      reportWarning('Submissions could not be saved:', error);
+    }
+  }
+}
+
+// 10 digits, or 11 with a leading 1
+function isPhone(text) {
+  const digits = text.replace(/\D/g, '');
+  return digits.length === 10 || (digits.length === 11 && digits.startsWith('1'));
+}
+
+// A web address, with or without http(s)://
+function isWebsite(text) {
+  try {
+    const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    return ['http:', 'https:'].includes(url.protocol) && /\.[a-z]{2,}$/i.test(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function readJSON(storage, key) {
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch (error) {
+    return null;
+  }
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
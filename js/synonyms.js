@@ -0,0 +1,102 @@
+// SynonymMap - Query expansion for search
+// Maps words clients use ("groceries", "lawyer", "eviction help") onto the words services use
+// Loaded from data/synonyms.json so staff can extend it without code changes
+
+import { tokenize } from './search-index.js';
+
+// Longest phrase, in words, looked up as a single entry
+const MAX_PHRASE_WORDS = 3;
+
+export class SynonymMap {
+  constructor(config = {}) {
+    this.entries = new Map();
+    this.load(config);
+  }
+
+  // Merge a configuration into the map
+  //   concepts: { "Legal Aid": ["lawyer", "attorney", "eviction help"] }
+  //     Searching any listed phrase also finds the concept
+  //   synonyms: [["doctor", "physician", "clinic"]]
+  //     Every phrase in a group finds the others
+  load(config = {}) {
+    const { concepts = {}, synonyms = [] } = config;
+
+    if (typeof concepts !== 'object' || Array.isArray(concepts) || !Array.isArray(synonyms)) {
+      throw new Error('Synonyms must have a concepts object and a synonyms list');
+    }
+
+    Object.entries(concepts).forEach(([concept, phrases]) => {
+      if (!Array.isArray(phrases)) {
+        throw new Error(`Concept "${concept}" must list its phrases in an array`);
+      }
+      phrases.forEach(phrase => this.add(phrase, [concept]));
+    });
+
+    synonyms.forEach(group => {
+      if (!Array.isArray(group)) {
+        throw new Error('Each synonym group must be an array of phrases');
+      }
+      group.forEach(phrase =>
+        this.add(
+          phrase,
+          group.filter(other => other !== phrase)
+        )
+      );
+    });
+
+    return this;
+  }
+
+  // Let a phrase also find each of the given phrases
+  add(phrase, alternatives) {
+    const key = phraseKey(phrase);
+    if (!key) {
+      return;
+    }
+    if (!this.entries.has(key)) {
+      this.entries.set(key, new Map());
+    }
+
+    const existing = this.entries.get(key);
+    alternatives.forEach(alternative => {
+      const words = tokenize(alternative).map(token => token.term);
+      if (words.length > 0 && words.join(' ') !== key) {
+        existing.set(words.join(' '), words);
+      }
+    });
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Group stemmed query words into phrases with their alternatives, longest phrase first
+  // Returns [{ words: ['eviction', 'help'], alternatives: [['legal', 'aid'], ['housing']] }]
+  expand(words) {
+    const groups = [];
+
+    let position = 0;
+    while (position < words.length) {
+      let length = Math.min(MAX_PHRASE_WORDS, words.length - position);
+      while (length > 1 && !this.entries.has(words.slice(position, position + length).join(' '))) {
+        length--;
+      }
+
+      const phrase = words.slice(position, position + length);
+      const alternatives = this.entries.get(phrase.join(' '));
+      groups.push({
+        words: phrase,
+        alternatives: alternatives ? Array.from(alternatives.values()) : []
+      });
+      position += length;
+    }
+
+    return groups;
+  }
+}
+
+function phraseKey(phrase) {
+  return tokenize(phrase)
+    .map(token => token.term)
+    .join(' ');
+}
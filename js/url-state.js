@@ -0,0 +1,177 @@
+// URLState - Keeps the Browse search in the address bar so it can be shared and bookmarked
+// The filters, sort order, map view and open service are written to the query string, so a
+// link like ?q=food&open=now&near=63043 opens the same search, and each search is a history
+// entry that the back and forward buttons step through. Eligibility answers stay on the device
+// and are never put in the URL; a device location is rounded to about a kilometre
+
+import { SORT_MODES } from './result-sort.js';
+import { EventEmitter } from './events.js';
+
+// Decimal places kept for a shared device location
+const POINT_PRECISION = 2;
+
+const OPEN_FILTERS = ['now', 'today'];
+
+// Query string for { filters, view, serviceId }, without the leading "?"
+// filters are FilterState values; view is a ServiceMap.getView() result
+export function encodeURLState({ filters = {}, view = null, serviceId = null } = {}) {
+  const params = new URLSearchParams();
+
+  if (filters.keyword) {
+    params.set('q', filters.keyword);
+  }
+  if (filters.place) {
+    params.set('near', encodePlace(filters.place));
+    if (filters.radius) {
+      params.set('radius', String(filters.radius));
+    }
+  }
+  (filters.categories || []).forEach(category => params.append('category', category));
+  (filters.sourceOrgs || []).forEach(source => params.append('source', source));
+  if (filters.open) {
+    params.set('open', filters.open);
+  }
+  if (filters.sort && filters.sort !== SORT_MODES.RELEVANCE) {
+    params.set('sort', filters.sort);
+  }
+  if (view) {
+    params.set('map', [view.lat.toFixed(4), view.lng.toFixed(4), Math.round(view.zoom)].join(','));
+  }
+  if (serviceId !== null && serviceId !== undefined && serviceId !== '') {
+    params.set('service', String(serviceId));
+  }
+
+  return params.toString();
+}
+
+// Read a query string back into { filters, view, serviceId }
+// filters only has the fields the URL sets; values that don't make sense are left out.
+// geocode(text) resolves near= to a place, as DataService.geocode() does
+export function decodeURLState(search, { geocode = () => null } = {}) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+
+  if (params.has('q')) {
+    filters.keyword = params.get('q');
+  }
+  const near = params.get('near');
+  if (near) {
+    filters.place = decodePoint(near) || geocode(near) || null;
+    filters.radius = filters.place ? positiveNumber(params.get('radius')) : null;
+  }
+  if (params.has('category')) {
+    filters.categories = params.getAll('category');
+  }
+  if (params.has('source')) {
+    filters.sourceOrgs = params.getAll('source');
+  }
+  if (OPEN_FILTERS.includes(params.get('open'))) {
+    filters.open = params.get('open');
+  }
+  if (Object.values(SORT_MODES).includes(params.get('sort'))) {
+    filters.sort = params.get('sort');
+  }
+
+  return {
+    filters,
+    view: decodeView(params.get('map')),
+    serviceId: params.get('service') || null
+  };
+}
+
+export class URLState extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      window: typeof window !== 'undefined' ? window : null,
+      geocode: () => null,
+      ...options
+    };
+
+    // Back and forward restore the state saved with the history entry
+    this.handlePopState = () => this.emit('restore', this.read());
+    if (this.config.window) {
+      this.config.window.addEventListener('popstate', this.handlePopState);
+    }
+  }
+
+  // The state in the current URL, as decodeURLState() returns it
+  read() {
+    return decodeURLState(this.config.window.location.search, { geocode: this.config.geocode });
+  }
+
+  // Save the state in the URL, keeping the path and hash; adds a history entry unless replace is
+  // set, for changes like panning the map that shouldn't each take a press of back
+  // Returns false when the URL already holds the state
+  write(state, { replace = false } = {}) {
+    const { location, history } = this.config.window;
+    const query = encodeURLState(state);
+    const url = `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+    if (url === `${location.pathname}${location.search}${location.hash}`) {
+      return false;
+    }
+
+    if (replace) {
+      history.replaceState(history.state, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+    return true;
+  }
+
+  // Stop listening to back and forward
+  destroy() {
+    if (this.config.window) {
+      this.config.window.removeEventListener('popstate', this.handlePopState);
+    }
+    this.removeAllListeners();
+  }
+}
+
+export function createURLState(options = {}) {
+  return new URLState(options);
+}
+
+// A ZIP code or city is shared by name; any other place, like the device's position, as a
+// rounded "lat,lng" pair
+function encodePlace(place) {
+  if (place.kind === 'zip') {
+    return place.zip;
+  }
+  if (place.kind === 'city') {
+    return place.name;
+  }
+  return place.coordinates.map(value => value.toFixed(POINT_PRECISION)).join(',');
+}
+
+function decodePoint(text) {
+  const match = /^(-?\d{1,2}(?:\.\d+)?),(-?\d{1,3}(?:\.\d+)?)$/.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [lat, lng] = [Number(match[1]), Number(match[2])];
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { kind: 'point', name: 'the shared location', coordinates: [lat, lng] };
+}
+
+// "lat,lng,zoom" as a ServiceMap view
+function decodeView(text) {
+  const parts = (text || '').split(',').map(Number);
+  if (parts.length !== 3 || parts.some(Number.isNaN)) {
+    return null;
+  }
+
+  const [lat, lng, zoom] = parts;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180 || zoom < 0 || zoom > 22) {
+    return null;
+  }
+  return { lat, lng, zoom };
+}
+
+function positiveNumber(text) {
+  const value = Number(text);
+  return value > 0 ? value : null;
+}
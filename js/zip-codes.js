@@ -0,0 +1,257 @@
+// ZIP code centroids for the St. Louis region, bundled so location search works offline
+// Each ZIP lists its primary city; cities resolve to the average of their ZIP centroids
+
+export const ZIP_CODES = [
+  {
+    zip: '63005',
+    city: 'Chesterfield',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.6413, -90.6425]
+  },
+  {
+    zip: '63010',
+    city: 'Arnold',
+    state: 'MO',
+    county: 'Jefferson County',
+    coordinates: [38.4268, -90.3878]
+  },
+  {
+    zip: '63011',
+    city: 'Ballwin',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.6045, -90.559]
+  },
+  {
+    zip: '63017',
+    city: 'Chesterfield',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.6527, -90.5383]
+  },
+  {
+    zip: '63021',
+    city: 'Ballwin',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.5685, -90.5436]
+  },
+  {
+    zip: '63031',
+    city: 'Florissant',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.8067, -90.3406]
+  },
+  {
+    zip: '63033',
+    city: 'Florissant',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.795, -90.274]
+  },
+  {
+    zip: '63034',
+    city: 'Florissant',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.8442, -90.2881]
+  },
+  {
+    zip: '63042',
+    city: 'Hazelwood',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.7843, -90.3697]
+  },
+  {
+    zip: '63043',
+    city: 'Maryland Heights',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.7236, -90.4516]
+  },
+  {
+    zip: '63044',
+    city: 'Bridgeton',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.7506, -90.4272]
+  },
+  {
+    zip: '63074',
+    city: 'St. Ann',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.7258, -90.3879]
+  },
+  {
+    zip: '63101',
+    city: 'St. Louis',
+    state: 'MO',
+    county: 'St. Louis City',
+    coordinates: [38.6312, -90.1922]
+  },
+  {
+    zip: '63103',
+    city: 'St. Louis',
+    state: 'MO',
+    county: 'St. Louis City',
+    coordinates: [38.6317, -90.2166]
+  },
+  {
+    zip: '63104',
+    city: 'St. Louis',
+    state: 'MO',
+    county: 'St. Louis City',
+    coordinates: [38.6123, -90.2184]
+  },
+  {
+    zip: '63108',
+    city: 'St. Louis',
+    state: 'MO',
+    county: 'St. Louis City',
+    coordinates: [38.6447, -90.2537]
+  },
+  {
+    zip: '63110',
+    city: 'St. Louis',
+    state: 'MO',
+    county: 'St. Louis City',
+    coordinates: [38.6265, -90.2671]
+  },
+  {
+    zip: '63114',
+    city: 'Overland',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.7013, -90.3637]
+  },
+  {
+    zip: '63116',
+    city: 'St. Louis',
+    state: 'MO',
+    county: 'St. Louis City',
+    coordinates: [38.5813, -90.2628]
+  },
+  {
+    zip: '63117',
+    city: 'Richmond Heights',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.629, -90.3275]
+  },
+  {
+    zip: '63118',
+    city: 'St. Louis',
+    state: 'MO',
+    county: 'St. Louis City',
+    coordinates: [38.5943, -90.2272]
+  },
+  {
+    zip: '63119',
+    city: 'Webster Groves',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.589, -90.3516]
+  },
+  {
+    zip: '63121',
+    city: 'Normandy',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.7069, -90.3]
+  },
+  {
+    zip: '63122',
+    city: 'Kirkwood',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.5784, -90.4213]
+  },
+  {
+    zip: '63123',
+    city: 'Affton',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.549, -90.325]
+  },
+  {
+    zip: '63124',
+    city: 'Ladue',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.6372, -90.378]
+  },
+  {
+    zip: '63126',
+    city: 'Crestwood',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.5496, -90.3805]
+  },
+  {
+    zip: '63130',
+    city: 'University City',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.666, -90.3243]
+  },
+  {
+    zip: '63132',
+    city: 'Olivette',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.6737, -90.3771]
+  },
+  {
+    zip: '63135',
+    city: 'Ferguson',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.7506, -90.301]
+  },
+  {
+    zip: '63136',
+    city: 'Jennings',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.7381, -90.2614]
+  },
+  {
+    zip: '63141',
+    city: 'Creve Coeur',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.6617, -90.4562]
+  },
+  {
+    zip: '63146',
+    city: 'Creve Coeur',
+    state: 'MO',
+    county: 'St. Louis County',
+    coordinates: [38.6988, -90.4766]
+  },
+  {
+    zip: '63301',
+    city: 'St. Charles',
+    state: 'MO',
+    county: 'St. Charles County',
+    coordinates: [38.8012, -90.496]
+  },
+  {
+    zip: '63376',
+    city: 'St. Peters',
+    state: 'MO',
+    county: 'St. Charles County',
+    coordinates: [38.7819, -90.6144]
+  },
+  {
+    zip: '62201',
+    city: 'East St. Louis',
+    state: 'IL',
+    county: 'St. Clair County',
+    coordinates: [38.642, -90.1378]
+  }
+];
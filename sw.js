@@ -0,0 +1,26 @@
+// Service worker - Keeps the app working without a connection; see js/app-cache.js
+// Registered by index.html as a module worker
+
+import { cacheStrategy, precache, removeOldCaches, respond } from './js/app-cache.js';
+
+self.addEventListener('install', event => {
+  event.waitUntil(precache(self.caches).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(removeOldCaches(self.caches).then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+  const strategy = cacheStrategy(event.request, self.location.href);
+  if (strategy) {
+    event.respondWith(
+      respond(event.request, {
+        caches: self.caches,
+        fetch: request => self.fetch(request),
+        strategy,
+        waitUntil: promise => event.waitUntil(promise)
+      })
+    );
+  }
+});
@@ -0,0 +1,158 @@
+/**
+ * Sample HSDS 3.0 datasets shared by importer, federation and export tests
+ */
+
+// Table collections, as published in an HSDS JSON data dump
+export const hsdsTables = {
+  organization: [
+    {
+      id: 'org-1',
+      name: 'Maryland Heights Community Center',
+      email: 'contact@mhcc.org',
+      website: 'mhcc.org'
+    },
+    {
+      id: 'org-2',
+      name: 'St. Louis Legal Services',
+      email: 'info@stlls.org',
+      website: 'stlls.org'
+    }
+  ],
+  service: [
+    {
+      id: 'svc-1',
+      organization_id: 'org-1',
+      name: 'Community Food Pantry',
+      description: 'Provides non-perishable food items to families and individuals in need.',
+      status: 'active',
+      eligibility_description: 'Residents of 63043 zip code.',
+      application_process: 'Walk-in during open hours.',
+      last_modified: '2024-05-01T12:00:00Z'
+    },
+    {
+      id: 'svc-2',
+      organization_id: 'org-2',
+      name: 'West County Legal Aid Clinic',
+      description: 'Free legal advice for low-income individuals in civil cases.',
+      status: 'active',
+      url: 'stlls.org/clinic'
+    },
+    {
+      id: 'svc-3',
+      organization_id: 'org-2',
+      name: 'Retired Tenant Hotline',
+      description: 'No longer operating.',
+      status: 'defunct'
+    }
+  ],
+  location: [
+    { id: 'loc-1', name: 'MHCC Main Building', latitude: 38.719, longitude: -90.4218 },
+    { id: 'loc-2', name: 'Bridgeton Office', latitude: '38.7661', longitude: '-90.4218' }
+  ],
+  service_at_location: [
+    { id: 'sal-1', service_id: 'svc-1', location_id: 'loc-1' },
+    { id: 'sal-2', service_id: 'svc-2', location_id: 'loc-2' }
+  ],
+  address: [
+    {
+      id: 'addr-1',
+      location_id: 'loc-1',
+      address_1: '2344 McKelvey Rd',
+      city: 'Maryland Heights',
+      state_province: 'MO',
+      postal_code: '63043',
+      country: 'US',
+      address_type: 'physical'
+    },
+    {
+      id: 'addr-2',
+      location_id: 'loc-2',
+      address_1: '11977 St Charles Rock Rd',
+      city: 'Bridgeton',
+      state_province: 'MO',
+      postal_code: '63044',
+      country: 'US',
+      address_type: 'physical'
+    }
+  ],
+  phone: [
+    { id: 'ph-1', service_id: 'svc-1', number: '(314) 555-1234' },
+    { id: 'ph-2', organization_id: 'org-2', number: '(314) 555-5678', extension: '12' }
+  ],
+  schedule: [
+    {
+      id: 'sch-1',
+      service_id: 'svc-1',
+      freq: 'WEEKLY',
+      byday: 'MO,TU',
+      opens_at: '09:00',
+      closes_at: '15:00'
+    },
+    {
+      id: 'sch-2',
+      service_id: 'svc-1',
+      freq: 'WEEKLY',
+      byday: 'TH',
+      opens_at: '13:00',
+      closes_at: '18:00'
+    },
+    {
+      id: 'sch-3',
+      service_id: 'svc-2',
+      freq: 'WEEKLY',
+      byday: 'TU,WE',
+      opens_at: '09:00',
+      closes_at: '16:30'
+    }
+  ],
+  taxonomy_term: [
+    { id: 'tax-food', code: 'BD-1800', name: 'food' },
+    { id: 'tax-legal', code: 'FT', name: 'Legal Aid' }
+  ],
+  attribute: [
+    { id: 'attr-1', link_id: 'svc-1', link_type: 'service', taxonomy_term_id: 'tax-food' },
+    { id: 'attr-2', link_id: 'svc-2', link_type: 'service', taxonomy_term_id: 'tax-legal' }
+  ]
+};
+
+// The same kind of data as HSDS 3.0 API service objects with nested records
+export const hsdsNestedServices = [
+  {
+    id: 'svc-10',
+    name: 'Creve Coeur Mobile Food Market',
+    description: 'Mobile market offering fresh produce and groceries at no cost.',
+    status: 'active',
+    organization: {
+      id: 'org-10',
+      name: 'Operation Food Search',
+      website: 'operationfoodsearch.org',
+      phones: [{ id: 'ph-10', number: '(314) 555-9999' }]
+    },
+    schedules: [
+      { id: 'sch-10', freq: 'MONTHLY', byday: '1SA,3SA', opens_at: '10:00', closes_at: '13:00' }
+    ],
+    attributes: [
+      { id: 'attr-10', taxonomy_term: { id: 'tax-food', code: 'BD-1800', name: 'Food' } }
+    ],
+    service_at_locations: [
+      {
+        id: 'sal-10',
+        location: {
+          id: 'loc-10',
+          latitude: 38.662,
+          longitude: -90.4218,
+          addresses: [
+            {
+              id: 'addr-10',
+              address_1: '12301 Olive Blvd',
+              city: 'Creve Coeur',
+              state_province: 'MO',
+              postal_code: '63141',
+              address_type: 'physical'
+            }
+          ]
+        }
+      }
+    ]
+  }
+];
@@ -0,0 +1,188 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for the service worker's caching: the app shell, old caches and how requests are
+ * answered with and without a connection
+ * Runs in the node environment for its Response class
+ */
+/* eslint-env node */
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { readdirSync } from 'fs';
+import { join, relative } from 'path';
+import {
+  APP_SHELL,
+  CACHE_NAME,
+  cacheStrategy,
+  precache,
+  removeOldCaches,
+  respond
+} from '../../js/app-cache.js';
+import { MemoryCacheStorage } from '../utils/cache-storage.js';
+
+const origin = 'https://navigator.example';
+
+// Requests as the worker sees them; only the fields the caching code reads
+const page = url => ({ url: `${origin}${url}`, method: 'GET', mode: 'navigate' });
+const asset = url => ({ url: url.startsWith('http') ? url : `${origin}${url}`, method: 'GET' });
+
+const offline = () => Promise.reject(new TypeError('Failed to fetch'));
+
+function modulesUnder(directory) {
+  return readdirSync(directory, { withFileTypes: true }).flatMap(entry =>
+    entry.isDirectory()
+      ? modulesUnder(join(directory, entry.name))
+      : entry.name.endsWith('.js')
+        ? [join(directory, entry.name)]
+        : []
+  );
+}
+
+describe('APP_SHELL', () => {
+  test('should list every module the app can import', () => {
+    const root = join(__dirname, '../..');
+    const modules = modulesUnder(join(root, 'js')).map(file => `./${relative(root, file)}`);
+
+    expect(APP_SHELL).toEqual(expect.arrayContaining(modules));
+  });
+});
+
+describe('precache', () => {
+  test('should cache the whole app shell', async () => {
+    const fetch = jest.fn(async () => new Response('cached'));
+    const caches = new MemoryCacheStorage({ fetch });
+
+    await precache(caches);
+
+    const cache = await caches.open(CACHE_NAME);
+    expect(cache.urls()).toHaveLength(APP_SHELL.length);
+    expect(await (await cache.match('./index.html')).text()).toBe('cached');
+  });
+
+  test('should fail when part of the shell is missing', async () => {
+    const fetch = jest.fn(
+      async url => new Response('', { status: url.endsWith('.svg') ? 404 : 200 })
+    );
+
+    await expect(precache(new MemoryCacheStorage({ fetch }))).rejects.toThrow('icon.svg');
+  });
+});
+
+describe('removeOldCaches', () => {
+  test('should delete earlier versions only', async () => {
+    const caches = new MemoryCacheStorage();
+    await Promise.all(['navigator-v0', CACHE_NAME, 'other-app'].map(name => caches.open(name)));
+
+    expect(await removeOldCaches(caches)).toEqual(['navigator-v0']);
+    expect(await caches.keys()).toEqual([CACHE_NAME, 'other-app']);
+  });
+});
+
+describe('cacheStrategy', () => {
+  test.each([
+    ['a page', page('/?category=Food'), 'network-first'],
+    ['an app module', asset('/js/data-service.js'), 'stale-while-revalidate'],
+    [
+      'a CDN library',
+      asset('https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'),
+      'stale-while-revalidate'
+    ],
+    ['a data file', asset('/data/synonyms.json'), 'stale-while-revalidate'],
+    ['a map tile', asset('https://a.tile.openstreetmap.org/12/1000/1500.png'), null],
+    ['an API request', asset('/api/services'), null],
+    ['a service feed', asset('/data/services.json'), null],
+    ['a delta sync', asset('/api/services?modified_after=2026-10-01T00:00:00Z'), null],
+    ['a shell file with a query', asset('/js/data-service.js?v=2'), null],
+    ['a POST', { ...asset('/api/submissions'), method: 'POST' }, null]
+  ])('should answer %s with %p', (_, request, strategy) => {
+    expect(cacheStrategy(request, origin)).toBe(strategy);
+  });
+
+  test('should resolve the shell against the worker when the app lives under a path', () => {
+    const worker = `${origin}/navigator/sw.js`;
+
+    expect(cacheStrategy(asset('/navigator/js/router.js'), worker)).toBe('stale-while-revalidate');
+    expect(cacheStrategy(asset('/js/router.js'), worker)).toBeNull();
+  });
+});
+
+describe('respond', () => {
+  let caches;
+  let cache;
+
+  beforeEach(async () => {
+    caches = new MemoryCacheStorage({ baseUrl: `${origin}/` });
+    cache = await caches.open(CACHE_NAME);
+    await cache.put('./index.html', new Response('shell'));
+  });
+
+  test('should fetch pages first and keep the latest copy', async () => {
+    const fetch = jest.fn(async () => new Response('new shell'));
+
+    const response = await respond(page('/'), { caches, fetch, strategy: 'network-first' });
+
+    expect(await response.text()).toBe('new shell');
+    expect(await (await cache.match(`${origin}/`)).text()).toBe('new shell');
+  });
+
+  test('should serve the cached shell for any page when offline', async () => {
+    const response = await respond(page('/?category=Food'), {
+      caches,
+      fetch: offline,
+      strategy: 'network-first'
+    });
+
+    expect(await response.text()).toBe('shell');
+  });
+
+  test('should answer from the cache and refresh it in the background', async () => {
+    await cache.put(asset('/js/data.js'), new Response('old'));
+    const fetch = jest.fn(async () => new Response('new'));
+    const waitUntil = jest.fn();
+
+    const response = await respond(asset('/js/data.js'), {
+      caches,
+      fetch,
+      strategy: 'stale-while-revalidate',
+      waitUntil
+    });
+    await waitUntil.mock.calls[0][0];
+
+    expect(await response.text()).toBe('old');
+    expect(await (await cache.match(`${origin}/js/data.js`)).text()).toBe('new');
+  });
+
+  test('should fetch and cache files it does not have yet', async () => {
+    const fetch = jest.fn(async () => new Response('lucide'));
+    const request = asset('https://unpkg.com/lucide@latest');
+
+    await respond(request, { caches, fetch, strategy: 'stale-while-revalidate' });
+
+    expect(cache.urls()).toContain('https://unpkg.com/lucide@latest');
+  });
+
+  test('should keep the cached copy when the refresh fails', async () => {
+    await cache.put(asset('/js/data.js'), new Response('old'));
+    const fetch = jest.fn(async () => new Response('', { status: 500 }));
+    const waitUntil = jest.fn();
+
+    await respond(asset('/js/data.js'), {
+      caches,
+      fetch,
+      strategy: 'stale-while-revalidate',
+      waitUntil
+    });
+    await waitUntil.mock.calls[0][0];
+
+    expect(await (await cache.match(`${origin}/js/data.js`)).text()).toBe('old');
+  });
+
+  test('should fail offline for files it never cached', async () => {
+    await expect(
+      respond(asset('/js/missing.js'), {
+        caches,
+        fetch: offline,
+        strategy: 'stale-while-revalidate'
+      })
+    ).rejects.toThrow('Failed to fetch');
+  });
+});
@@ -3,6 +3,7 @@
  */
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
 import { DataService } from '../../js/data-service.js';
+import { MemoryAdapter } from '../../js/storage-adapters.js';
 import { 
   ConditionTester, 
   DataConditions, 
@@ -10,6 +11,7 @@ import {
   PerformanceConditions,
   describeConditions 
 } from '../utils/condition-tester.js';
+import { hsdsTables, hsdsNestedServices } from '../fixtures/hsds-dataset.js';
 
 // Mock the data import
 jest.mock('../../js/data.js', () => ({
@@ -208,7 +210,7 @@ describe('DataService', () => {
       { id: 999, shouldExist: false },
       { id: -1, shouldExist: false },
       { id: 0, shouldExist: false },
-      { id: '1', shouldExist: true }, // String ID (loose equality)
+      { id: '1', shouldExist: true }, // String ID, as read from a route
       { id: null, shouldExist: false },
       { id: undefined, shouldExist: false }
     ];
@@ -410,6 +412,299 @@ describe('DataService', () => {
     );
   });
 
+  describe('Changes and change events', () => {
+    const pantry = {
+      name: 'Northside Pantry',
+      organization: 'Northside Church',
+      address: '12 Elm St',
+      category: 'Food'
+    };
+    let events;
+
+    beforeEach(() => {
+      events = [];
+      ['service-added', 'service-updated', 'service-removed', 'services-changed'].forEach(event => {
+        dataService.on(event, (...args) => events.push([event, ...args]));
+      });
+    });
+
+    test('should announce an added service', async () => {
+      const service = await dataService.addService(pantry);
+
+      expect(events.map(([event]) => event)).toEqual(['service-added', 'services-changed']);
+      expect(events[0][1]).toBe(service);
+      expect(events[1][1]).toEqual({ added: [service], updated: [], removed: [] });
+      expect(dataService.searchServices('northside')).toEqual([service]);
+    });
+
+    test('should add a batch only when every service is valid', async () => {
+      await expect(
+        dataService.addServices([pantry, { ...pantry, coordinates: [138, -90] }])
+      ).rejects.toThrow('Invalid coordinates');
+      await expect(dataService.addServices([{ ...pantry, id: 2 }])).rejects.toThrow(
+        'Service already exists: 2'
+      );
+      expect(dataService.services).toHaveLength(3);
+      expect(events).toEqual([]);
+
+      const added = await dataService.addServices([pantry, { ...pantry, name: 'Eastside' }]);
+
+      expect(added.map(service => service.id)).toEqual([4, 5]);
+      expect(events.filter(([event]) => event === 'services-changed')).toHaveLength(1);
+    });
+
+    test('should update a service and keep the indices in step', async () => {
+      const previous = dataService.getServiceById(3);
+
+      const changes = { category: 'Shelter', id: 99 };
+      const service = await dataService.updateService(3, changes, { by: 'Sam' });
+
+      expect(service).toMatchObject({ id: 3, category: 'Shelter', name: previous.name });
+      expect(service.provenance).toEqual([
+        expect.objectContaining({ action: 'update', by: 'Sam' })
+      ]);
+      expect(dataService.getCategories()).toEqual(['Food', 'Legal Aid', 'Shelter']);
+      expect(dataService.filterServices({ categories: ['Shelter'] })).toEqual([service]);
+      expect(events[0]).toEqual(['service-updated', service, previous]);
+    });
+
+    test('should refuse updates that clear required fields or miss a service', async () => {
+      await expect(dataService.updateService(1, { name: '' })).rejects.toThrow(
+        'Missing required field: name'
+      );
+      await expect(
+        dataService.updateServices([
+          { id: 1, name: 'Renamed' },
+          { id: 42, name: 'Nope' }
+        ])
+      ).rejects.toThrow('Unknown service: 42');
+
+      expect(dataService.getServiceById(1).name).toBe('Community Food Pantry');
+      expect(events).toEqual([]);
+    });
+
+    test('should remove services and drop emptied categories and sources', async () => {
+      const removed = await dataService.removeServices([2]);
+
+      expect(removed.map(service => service.id)).toEqual([2]);
+      expect(dataService.getServiceById(2)).toBeUndefined();
+      expect(dataService.getCategories()).not.toContain('Legal Aid');
+      expect(dataService.getSourceOrganizations()).toEqual(['Alpha Org']);
+      expect(dataService.searchServices('legal')).toEqual([]);
+      expect(events.map(([event]) => event)).toEqual(['service-removed', 'services-changed']);
+      await expect(dataService.removeService(2)).rejects.toThrow('Unknown service: 2');
+    });
+
+    test('should stop calling a listener once it is removed', async () => {
+      const listener = jest.fn();
+      dataService.on('service-added', listener);
+      dataService.off('service-added', listener);
+
+      await dataService.addService(pantry);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Persistence', () => {
+    const pantry = {
+      name: 'Northside Pantry',
+      organization: 'Northside Church',
+      address: '12 Elm St',
+      category: 'Food'
+    };
+    let storage;
+
+    // A new DataService over the same storage, as after a reload
+    const reload = async () => {
+      const reloaded = new DataService();
+      await reloaded.init({ storage });
+      return reloaded;
+    };
+
+    beforeEach(async () => {
+      storage = new MemoryAdapter();
+      dataService = new DataService();
+      await dataService.init({ storage });
+    });
+
+    test('should keep added, updated and removed services across reloads', async () => {
+      const added = await dataService.addService(pantry);
+      await dataService.updateService(1, { name: 'Eastside Pantry' });
+      await dataService.removeService(2);
+
+      const reloaded = await reload();
+
+      expect(reloaded.getServiceById(added.id)).toMatchObject(pantry);
+      expect(reloaded.getServiceById(1).name).toBe('Eastside Pantry');
+      expect(reloaded.getServiceById(2)).toBeUndefined();
+      expect(reloaded.getCategories()).toEqual(['Food', 'Housing']);
+      expect(reloaded.searchServices('eastside').map(service => service.id)).toEqual([1]);
+    });
+
+    test('should store removed services as markers', async () => {
+      await dataService.removeServices([2, 3]);
+
+      expect(await storage.getAll()).toEqual([
+        { id: 2, deleted: true, lastModified: expect.any(String) },
+        { id: 3, deleted: true, lastModified: expect.any(String) }
+      ]);
+    });
+
+    test('should leave the services unchanged when storage fails', async () => {
+      storage.put = jest.fn().mockRejectedValue(new Error('Quota exceeded'));
+      const changed = jest.fn();
+      dataService.on('services-changed', changed);
+
+      await expect(dataService.addService(pantry)).rejects.toThrow('Quota exceeded');
+      await expect(dataService.updateService(1, { name: 'Renamed' })).rejects.toThrow();
+      await expect(dataService.removeService(2)).rejects.toThrow();
+
+      expect(dataService.services).toHaveLength(3);
+      expect(dataService.getServiceById(1).name).toBe('Community Food Pantry');
+      expect(changed).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to memory when storage cannot be read', async () => {
+      const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      storage.getAll = jest.fn().mockRejectedValue(new Error('Blocked'));
+
+      const reloaded = await reload();
+      await reloaded.addService(pantry);
+
+      expect(reloaded.storageError.message).toBe('Blocked');
+      expect(reloaded.services).toHaveLength(4);
+      expect(consoleWarn).toHaveBeenCalled();
+      consoleWarn.mockRestore();
+    });
+
+    test('should fall back to memory when storage cannot be opened', async () => {
+      const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      // The test environment has no IndexedDB
+      const offline = new DataService();
+      await offline.init({ storage: 'indexedDB', cache: 'indexedDB' });
+      await offline.addService(pantry);
+
+      expect(offline.storageError.message).toBe('IndexedDB is not available');
+      expect(offline.storage).toBeInstanceOf(MemoryAdapter);
+      expect(offline.datasetCache).toBeNull();
+      expect(offline.services).toHaveLength(4);
+      expect(consoleWarn).toHaveBeenCalledTimes(2);
+      consoleWarn.mockRestore();
+    });
+
+    test('should apply concurrent changes in order', async () => {
+      const [added] = await Promise.all([
+        dataService.addService(pantry),
+        dataService.updateService(4, { name: 'Renamed' })
+      ]);
+
+      expect(dataService.getServiceById(added.id).name).toBe('Renamed');
+    });
+  });
+
+  describe('Offline dataset', () => {
+    let cache;
+
+    beforeEach(() => {
+      cache = new MemoryAdapter();
+    });
+
+    test('should save the loaded services with the time they were loaded', async () => {
+      const online = new DataService();
+      await online.init({ cache });
+
+      const [saved] = await cache.getAll();
+      expect(saved.services).toHaveLength(3);
+      expect(saved.syncedAt).toBe(online.syncedAt);
+      expect(online.usingSavedDataset).toBe(false);
+    });
+
+    test('should fall back to the saved services when loading fails', async () => {
+      await cache.put([{ id: 'services', services: [], syncedAt: '2026-03-01T08:00:00.000Z' }]);
+      const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      globalThis.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      const offline = new DataService();
+      await offline.init({ cache, hsds: '/data/hsds.json' });
+
+      expect(offline.services).toEqual([]);
+      expect(offline.syncedAt).toBe('2026-03-01T08:00:00.000Z');
+      expect(offline.usingSavedDataset).toBe(true);
+      consoleWarn.mockRestore();
+    });
+
+    test('should use the saved services without loading when offline', async () => {
+      const online = new DataService();
+      await online.init({ cache });
+      globalThis.fetch.mockClear();
+
+      const offline = new DataService();
+      await offline.init({ cache, offline: true, hsds: '/data/hsds.json' });
+
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+      expect(offline.getAllServices()).toHaveLength(3);
+      expect(offline.getCategories()).toEqual(['Food', 'Housing', 'Legal Aid']);
+    });
+
+    test('should still report a failed load when nothing was saved', async () => {
+      globalThis.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(new DataService().init({ cache, hsds: '/data/hsds.json' })).rejects.toThrow(
+        'Failed to fetch'
+      );
+    });
+  });
+
+  describe('loadHSDS', () => {
+    test('should initialize from an HSDS dataset instead of mock data', async () => {
+      const hsdsService = new DataService();
+      await hsdsService.init({ hsds: hsdsTables, sourceOrg: 'Alpha Org' });
+
+      expect(hsdsService.getAllServices().map(s => s.id)).toEqual(['svc-1', 'svc-2']);
+      expect(hsdsService.getSourceOrganizations()).toEqual(['Alpha Org']);
+      expect(hsdsService.lastImportReport.skipped).toBe(1);
+    });
+
+    test('should fetch a dataset by URL', async () => {
+      globalThis.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve(hsdsNestedServices)
+      });
+
+      const report = await dataService.loadHSDS('/data/hsds.json', {
+        sourceOrg: 'Gamma County Services'
+      });
+
+      expect(globalThis.fetch).toHaveBeenCalledWith('/data/hsds.json');
+      expect(report.imported).toBe(1);
+      expect(dataService.getServiceById('svc-10').sourceOrg).toBe('Gamma County Services');
+      expect(dataService.getAllServices()).toHaveLength(4);
+    });
+
+    test('should reject when the dataset cannot be fetched', async () => {
+      globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+      await expect(dataService.loadHSDS('/missing.json')).rejects.toThrow('404');
+    });
+
+    test('should replace services that are imported again', async () => {
+      await dataService.loadHSDS(hsdsTables);
+      await dataService.loadHSDS(hsdsTables);
+      expect(dataService.getAllServices()).toHaveLength(5);
+    });
+
+    test('should keep numeric IDs for added services alongside HSDS IDs', async () => {
+      await dataService.loadHSDS(hsdsTables);
+      const added = await dataService.addService({
+        name: 'After Import',
+        organization: 'Org',
+        address: '1 Main St',
+        category: 'Food'
+      });
+      expect(added.id).toBe(4);
+    });
+  });
+
   describe('getStats', () => {
     test('should return accurate statistics', () => {
       const stats = dataService.getStats();
@@ -0,0 +1,274 @@
+/**
+ * Unit tests for cross-source duplicate detection and merging
+ */
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import {
+  Deduplicator,
+  addressSimilarity,
+  nameSimilarity,
+  normalizeAddress,
+  normalizePhone,
+  pairKey
+} from '../../js/dedup.js';
+import { DataService } from '../../js/data-service.js';
+import { MemoryAdapter } from '../../js/storage-adapters.js';
+import { SafeDOM } from '../../js/dom-utils.js';
+import { StubServer } from '../utils/stub-server.js';
+import { hsdsTables } from '../fixtures/hsds-dataset.js';
+
+const pantry = {
+  id: 'svc-1',
+  name: 'Community Food Pantry',
+  organization: 'Maryland Heights Community Center',
+  address: '2344 McKelvey Rd, Maryland Heights, MO 63043',
+  description: 'Free groceries.',
+  category: 'Food',
+  sourceOrg: 'Alpha Org',
+  sourceId: 'alpha',
+  contact: { phone: '(314) 555-1234', email: '', website: '' },
+  hours: {},
+  coordinates: [38.719, -90.4218]
+};
+
+const countyPantry = {
+  ...pantry,
+  id: 'county-77',
+  name: 'Community Food Pantry - MHCC',
+  address: '2344 McKelvey Road, Maryland Heights, MO 63043',
+  description: '',
+  sourceOrg: 'Gamma County Services',
+  sourceId: 'gamma',
+  contact: { phone: '314-555-1234', email: 'pantry@mhcc.org', website: '' },
+  hours: { Monday: '9am - 5pm' },
+  coordinates: [38.7191, -90.4219]
+};
+
+// Same building and phone, but a different program: a borderline match
+const countyMeals = {
+  ...countyPantry,
+  id: 'county-78',
+  name: 'Senior Meals Program',
+  contact: { phone: '(314) 555-1234' }
+};
+
+const miles = ([lat1, lng1], [lat2, lng2]) =>
+  new DataService().calculateDistance(lat1, lng1, lat2, lng2);
+
+describe('normalization', () => {
+  test('should expand street abbreviations', () => {
+    expect(normalizeAddress('2344 McKelvey Rd., Ste 4')).toBe('2344 mckelvey road suite 4');
+  });
+
+  test('should compare phone numbers by their last ten digits', () => {
+    expect(normalizePhone('+1 (314) 555-1234')).toBe('3145551234');
+    expect(normalizePhone('555-1234')).toBe('');
+  });
+
+  test('should score names that differ only in punctuation and stopwords as equal', () => {
+    expect(nameSimilarity('The Food Pantry, Inc.', 'food pantry')).toBe(1);
+    expect(nameSimilarity('Food Pantry', 'Legal Aid Clinic')).toBeLessThan(0.3);
+  });
+
+  test('should not match addresses with different street numbers', () => {
+    expect(addressSimilarity('12 Main St, X, MO 63043', '14 Main St, X, MO 63043')).toBe(0);
+  });
+
+  test('should compare a ZIP+4 code by its first five digits', () => {
+    expect(addressSimilarity('12 Main St, X, MO 63043-1234', '12 Main St, X, MO 63043')).toBe(1);
+    expect(addressSimilarity('12 Main St, X, MO 63043-1234', '12 Main St, X, MO 63044')).toBe(0);
+  });
+});
+
+describe('Deduplicator', () => {
+  let deduplicator;
+
+  beforeEach(() => {
+    deduplicator = new Deduplicator({ distance: miles });
+  });
+
+  test('should score the same pantry from two sources as a match', () => {
+    const { score, signals } = deduplicator.scorePair(pantry, countyPantry);
+
+    expect(score).toBeGreaterThanOrEqual(0.85);
+    expect(signals).toMatchObject({ address: 1, phone: 1 });
+    expect(signals.distance).toBeGreaterThan(0.9);
+  });
+
+  test('should leave out signals missing from either record', () => {
+    const withoutPhone = { ...countyPantry, contact: {}, coordinates: null };
+    const { signals } = deduplicator.scorePair(pantry, withoutPhone);
+
+    expect(signals.phone).toBeNull();
+    expect(signals.distance).toBeNull();
+  });
+
+  test('should only compare records from different sources', () => {
+    const sameSource = { ...countyPantry, sourceId: 'alpha', sourceOrg: 'Alpha Org' };
+    expect(deduplicator.findCandidates([pantry, sameSource])).toEqual([]);
+  });
+
+  test('should merge matches into the most complete record', () => {
+    const { services } = deduplicator.run([pantry, countyPantry]);
+
+    expect(services).toHaveLength(1);
+    expect(services[0]).toMatchObject({
+      id: 'county-77',
+      sourceOrg: 'Gamma County Services',
+      description: 'Free groceries.',
+      alsoListedBy: [{ sourceOrg: 'Alpha Org', sourceId: 'alpha', id: 'svc-1' }]
+    });
+    expect(services[0].mergedRecords).toEqual([pantry, countyPantry]);
+  });
+
+  test('should queue borderline matches for review without merging them', () => {
+    const { services, review } = deduplicator.run([pantry, countyMeals]);
+
+    expect(services).toHaveLength(2);
+    expect(review).toHaveLength(1);
+    expect(review[0]).toMatchObject({ key: pairKey(pantry, countyMeals), decision: null });
+    expect(review[0].score).toBeGreaterThanOrEqual(0.6);
+    expect(review[0].score).toBeLessThan(0.85);
+  });
+
+  test('should apply admin overrides in both directions', () => {
+    deduplicator.setOverride(pairKey(pantry, countyMeals), 'merge');
+    deduplicator.setOverride(pairKey(pantry, countyPantry), 'separate');
+
+    const { services, review } = deduplicator.run([pantry, countyPantry, countyMeals]);
+
+    expect(services.map(service => service.name).sort()).toEqual([
+      'Community Food Pantry',
+      'Community Food Pantry - MHCC'
+    ]);
+    expect(review.map(pair => pair.decision).sort()).toEqual(['merge', 'separate']);
+  });
+
+  test('should re-run on already merged services', () => {
+    const first = deduplicator.run([pantry, countyPantry]).services;
+    deduplicator.setOverride(pairKey(pantry, countyPantry), 'separate');
+
+    expect(deduplicator.run(first).services).toEqual([pantry, countyPantry]);
+  });
+
+  test('should not compare services that only share common name words', () => {
+    const feed = Array.from({ length: 200 }, (_, index) => ({
+      id: `site-${index}`,
+      name: `Community Center ${index}`,
+      sourceId: index % 2 === 0 ? 'alpha' : 'gamma',
+      address: `${100 + index} Main St, St. Louis, MO 63101`,
+      contact: { phone: `314555${String(1000 + index)}` }
+    }));
+    const scorePair = jest.spyOn(deduplicator, 'scorePair');
+
+    const candidates = deduplicator.findCandidates([...feed, countyPantry, pantry]);
+
+    expect(scorePair).toHaveBeenCalledTimes(1);
+    expect(candidates.map(candidate => candidate.key)).toEqual([pairKey(pantry, countyPantry)]);
+  });
+
+  test('should skip blocks larger than maxBlockSize', () => {
+    const crowded = new Deduplicator({ distance: miles, maxBlockSize: 1 });
+
+    expect(crowded.findCandidates([pantry, countyPantry])).toEqual([]);
+  });
+
+  test('should reject unknown decisions', () => {
+    expect(() => deduplicator.setOverride('a | b', 'ignore')).toThrow('Unknown duplicate decision');
+  });
+});
+
+describe('DataService deduplication', () => {
+  const ALPHA = { id: 'alpha', name: 'Alpha Org', endpoint: 'http://stub/alpha/hsds.json' };
+  const GAMMA = {
+    id: 'gamma',
+    name: 'Gamma County Services',
+    endpoint: 'http://stub/gamma/services.json',
+    loader: 'navigator'
+  };
+  let dataService;
+  let storage;
+
+  beforeEach(async () => {
+    const server = new StubServer({
+      [ALPHA.endpoint]: { body: hsdsTables },
+      [GAMMA.endpoint]: { body: [countyPantry, countyMeals] }
+    });
+    globalThis.fetch = server.fetch;
+
+    storage = new MemoryAdapter();
+    dataService = new DataService();
+    await dataService.init({ sources: [ALPHA, GAMMA], storage });
+  });
+
+  test('should show one record for a service listed by two sources', () => {
+    const pantries = dataService.searchServices('Food Pantry');
+
+    expect(dataService.getAllServices()).toHaveLength(3);
+    expect(pantries).toHaveLength(1);
+    expect(pantries[0].sourceOrg).toBe('Alpha Org');
+    expect(pantries[0].alsoListedBy.map(entry => entry.sourceOrg)).toEqual([
+      'Gamma County Services'
+    ]);
+  });
+
+  test('should find merged services by any source ID and source organization', () => {
+    expect(dataService.getServiceById('county-77').id).toBe('svc-1');
+    expect(dataService.filterServices({ sourceOrgs: ['Gamma County Services'] })).toHaveLength(2);
+    expect(dataService.getServicesBySourceOrgs(['Gamma County Services'])).toHaveLength(2);
+  });
+
+  test('should let admins split a merge and merge a borderline pair', async () => {
+    const [borderline] = dataService.getDuplicateReview();
+
+    await dataService.resolveDuplicate(borderline.key, 'merge');
+    expect(dataService.getAllServices()).toHaveLength(2);
+
+    await dataService.resolveDuplicate(borderline.key, null);
+    expect(dataService.getAllServices()).toHaveLength(3);
+  });
+
+  test('should keep admin decisions when sources reload', async () => {
+    const merged = dataService.getServiceById('svc-1');
+    const key = pairKey(...merged.mergedRecords);
+    await dataService.resolveDuplicate(key, 'separate');
+
+    await dataService.loadSources();
+
+    expect(dataService.getAllServices()).toHaveLength(4);
+    expect(dataService.getDuplicateReview().find(pair => pair.key === key).decision).toBe(
+      'separate'
+    );
+  });
+
+  test('should keep admin decisions in storage for the next start', async () => {
+    const key = pairKey(...dataService.getServiceById('svc-1').mergedRecords);
+    await dataService.resolveDuplicate(key, 'separate');
+
+    const reloaded = new DataService();
+    await reloaded.init({ sources: [ALPHA, GAMMA], storage });
+
+    expect(reloaded.getAllServices()).toHaveLength(4);
+    expect(reloaded.getDuplicateReview().find(pair => pair.key === key).decision).toBe('separate');
+    expect(reloaded.getServiceById('duplicate-decisions')).toBeUndefined();
+  });
+
+  test('should leave a decision unchanged when storage fails', async () => {
+    const [borderline] = dataService.getDuplicateReview();
+    jest.spyOn(storage, 'put').mockRejectedValue(new Error('Quota exceeded'));
+
+    await expect(dataService.resolveDuplicate(borderline.key, 'merge')).rejects.toThrow(
+      'Quota exceeded'
+    );
+    expect(dataService.getAllServices()).toHaveLength(3);
+    expect(dataService.getDuplicateReview()[0].decision).toBeNull();
+  });
+
+  test('should render review entries with merge and keep separate actions', () => {
+    const [pair] = dataService.getDuplicateReview();
+    const item = SafeDOM.createDuplicateReviewItem(pair);
+    const buttons = item.children[2].children;
+
+    expect(item.dataset.pairKey).toBe(pair.key);
+    expect(buttons.map(button => button.dataset.decision)).toEqual(['merge', 'separate']);
+  });
+});
@@ -171,6 +171,78 @@ describe('SafeDOM', () => {
     );
   });
 
+  describe('createFilterChip', () => {
+    test('should create a labelled remove button for the filter', () => {
+      const chip = SafeDOM.createFilterChip({ key: 'categories', value: 'Food', label: 'Food' });
+
+      expect(globalThis.document.createElement).toHaveBeenCalledWith('button');
+      expect(chip.dataset.chipKey).toBe('categories');
+      expect(chip.dataset.chipValue).toBe('Food');
+      expect(chip.setAttribute).toHaveBeenCalledWith('aria-label', 'Remove filter: Food');
+    });
+
+    test('should leave the value empty for filters without one', () => {
+      const chip = SafeDOM.createFilterChip({ key: 'eligibility', value: null, label: 'Answers' });
+
+      expect(chip.dataset.chipValue).toBe('');
+    });
+  });
+
+  describe('createSubmissionReviewItem', () => {
+    const submission = {
+      trackingId: 'CS-7K2Q9F',
+      status: 'needs-info',
+      submittedAt: '2026-03-02T15:00:00.000Z',
+      fields: { name: 'Northside Pantry', organization: 'Northside Church', category: 'Food' },
+      history: [
+        { action: 'submit', status: 'pending', at: '2026-03-02T15:00:00.000Z' },
+        {
+          action: 'request-info',
+          status: 'needs-info',
+          by: 'Sam',
+          at: '2026-03-03T09:30:00.000Z',
+          reason: 'What are the hours?'
+        }
+      ]
+    };
+    const descendants = element =>
+      element.children.flatMap(child => [child, ...descendants(child)]);
+
+    test('should list the fields, decisions and moderation actions', () => {
+      const item = SafeDOM.createSubmissionReviewItem(submission);
+      const nodes = descendants(item);
+      const buttons = nodes.filter(node => node.tagName === 'BUTTON');
+
+      expect(item.dataset.trackingId).toBe('CS-7K2Q9F');
+      expect(nodes.map(node => node.textContent)).toEqual(
+        expect.arrayContaining([
+          'Waiting for more info',
+          'Organization: Northside Church',
+          expect.stringMatching(/^Asked for more info by Sam · .+: What are the hours\?$/)
+        ])
+      );
+      expect(buttons.map(button => button.dataset.action)).toEqual([
+        'approve',
+        'edit',
+        'request-info',
+        'reject'
+      ]);
+      expect(nodes.find(node => node.name === 'reason').tagName).toBe('TEXTAREA');
+    });
+
+    test('should show the fields as inputs while editing', () => {
+      const item = SafeDOM.createSubmissionReviewItem(submission, { editing: true });
+      const nodes = descendants(item);
+
+      expect(item.tagName).toBe('FORM');
+      expect(nodes.find(node => node.name === 'organization').value).toBe('Northside Church');
+      expect(nodes.find(node => node.name === 'phone').value).toBe('');
+      expect(
+        nodes.filter(node => node.tagName === 'BUTTON').map(button => button.dataset.action)
+      ).toEqual(['publish', 'cancel-edit']);
+    });
+  });
+
   describe('getCategoryColor', () => {
     // Condition-based testing for category colors
     const categoryConditions = [
@@ -0,0 +1,261 @@
+/**
+ * Unit tests for structured eligibility rules and the "Am I eligible?" screener
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { readFileSync } from 'fs';
+import {
+  ELIGIBILITY,
+  EligibilityScreener,
+  RULE_RESULTS,
+  hasAnswers,
+  normalizeProfile
+} from '../../js/eligibility.js';
+import { DataService } from '../../js/data-service.js';
+import { HSDSImporter } from '../../js/hsds-import.js';
+import { HSDSExporter } from '../../js/hsds-export.js';
+import { SafeDOM } from '../../js/dom-utils.js';
+import { StubServer } from '../utils/stub-server.js';
+import { hsdsTables } from '../fixtures/hsds-dataset.js';
+
+const pantry = {
+  id: 1,
+  name: 'Community Food Pantry',
+  eligibilityRules: [{ type: 'zip', values: ['63043'] }]
+};
+
+const legal = {
+  id: 2,
+  name: 'Legal Aid Clinic',
+  eligibilityRules: [{ type: 'income', maxPercentFPL: 125 }]
+};
+
+const market = { id: 3, name: 'Mobile Market', eligibilityRules: [] };
+
+const shelter = {
+  id: 4,
+  name: 'Emergency Shelter',
+  eligibilityRules: [{ type: 'county', values: ['St. Louis County'] }]
+};
+
+const seniors = {
+  id: 5,
+  name: 'Senior Lunch',
+  eligibility: 'Ages 60 and up'
+};
+
+describe('EligibilityScreener rules', () => {
+  const screener = new EligibilityScreener();
+  const result = (rule, profile) => screener.checkRule(rule, profile).result;
+
+  test.each([
+    [{ type: 'zip', values: ['63043'] }, { zip: '63043-1234' }, RULE_RESULTS.PASS],
+    [{ type: 'zip', values: ['63043'] }, { zip: '63146' }, RULE_RESULTS.FAIL],
+    [{ type: 'zip', values: ['63043'] }, { zip: ' ' }, RULE_RESULTS.UNKNOWN],
+    [{ type: 'county', values: ['St. Louis County'] }, { county: 'st. louis' }, RULE_RESULTS.PASS],
+    [{ type: 'county', values: ['St. Louis County'] }, { county: 'Jefferson' }, RULE_RESULTS.FAIL],
+    [{ type: 'age', min: 18, max: 64 }, { age: '64' }, RULE_RESULTS.PASS],
+    [{ type: 'age', min: 60 }, { age: 59 }, RULE_RESULTS.FAIL],
+    [{ type: 'age', max: 17 }, {}, RULE_RESULTS.UNKNOWN],
+    [{ type: 'householdSize', min: 2 }, { householdSize: 1 }, RULE_RESULTS.FAIL],
+    [{ type: 'veteran' }, { veteran: 'yes' }, RULE_RESULTS.PASS],
+    [{ type: 'veteran' }, { veteran: false }, RULE_RESULTS.FAIL],
+    [{ type: 'veteran' }, { veteran: '' }, RULE_RESULTS.UNKNOWN]
+  ])('should check rule %# against the profile', (rule, profile, expected) => {
+    expect(result(rule, profile)).toBe(expected);
+  });
+
+  test('should compare income with the poverty line for the household size', () => {
+    const rule = { type: 'income', maxPercentFPL: 125 };
+
+    expect(result(rule, { income: '$19,562' })).toBe(RULE_RESULTS.PASS);
+    expect(result(rule, { income: 19563 })).toBe(RULE_RESULTS.FAIL);
+    expect(result(rule, { income: 26000, householdSize: 2 })).toBe(RULE_RESULTS.PASS);
+    expect(screener.checkRule(rule, { householdSize: 2 }).message).toBe(
+      'Household income at or below 125% of the federal poverty line ' +
+        '($26,437 a year for 2 people); enter your household income'
+    );
+  });
+
+  test('should use other poverty guidelines when given', () => {
+    const custom = new EligibilityScreener({ guidelines: { base: 20000, perPerson: 7000 } });
+    expect(custom.povertyLine(3)).toBe(34000);
+    expect(custom.guidelines.year).toBe(2025);
+  });
+
+  test('should reject poverty guidelines without a year or amounts', () => {
+    expect(() => screener.setGuidelines({ base: 15650, perPerson: 5500 })).toThrow('year');
+    expect(() => screener.setGuidelines({ year: 2026, base: '16000', perPerson: 5600 })).toThrow(
+      'positive base and perPerson'
+    );
+    expect(screener.guidelines.year).toBe(2025);
+  });
+
+  test('should tell when newer poverty guidelines have been published', () => {
+    expect(screener.guidelinesOutdated(new Date(2025, 11, 31))).toBe(false);
+    expect(screener.guidelinesOutdated(new Date(2026, 0, 20))).toBe(true);
+  });
+
+  test('should describe each rule in plain language', () => {
+    const message = (rule, profile = {}) => screener.checkRule(rule, profile).message;
+
+    expect(message({ type: 'age', min: 18, max: 64 }, { age: 30 })).toBe('Ages 18-64');
+    expect(message({ type: 'age', min: 60 }, { age: 30 })).toBe('Ages 60 and up');
+    expect(message({ type: 'zip', values: ['63043'] })).toBe(
+      'Only for ZIP code 63043; enter your ZIP code'
+    );
+    expect(message({ type: 'county', values: ['St. Louis County'] }, { county: 'x' })).toBe(
+      'Only for residents of St. Louis County'
+    );
+    expect(message({ type: 'citizenship' })).toBe('Unknown eligibility rule "citizenship"');
+  });
+});
+
+describe('EligibilityScreener.check', () => {
+  const screener = new EligibilityScreener();
+
+  test('should be ineligible when any rule fails', () => {
+    const service = {
+      eligibilityRules: [
+        { type: 'zip', values: ['63043'] },
+        { type: 'age', min: 60 }
+      ]
+    };
+
+    expect(screener.check(service, { zip: '63043', age: 30 }).status).toBe(ELIGIBILITY.INELIGIBLE);
+    expect(screener.check(service, { zip: '63043' }).status).toBe(ELIGIBILITY.UNKNOWN);
+    expect(screener.check(service, { zip: '63043', age: 61 }).status).toBe(ELIGIBILITY.ELIGIBLE);
+  });
+
+  test('should treat services without rules as unknown and an empty list as open to all', () => {
+    expect(screener.check(seniors, { age: 30 })).toEqual({
+      status: ELIGIBILITY.UNKNOWN,
+      rules: []
+    });
+    expect(screener.check(market, {}).status).toBe(ELIGIBILITY.ELIGIBLE);
+  });
+
+  test('should screen a list of services', () => {
+    const results = screener.screen([pantry, shelter], { zip: '63043', county: 'Jefferson' });
+    expect(results.get(pantry).status).toBe(ELIGIBILITY.ELIGIBLE);
+    expect(results.get(shelter).status).toBe(ELIGIBILITY.INELIGIBLE);
+  });
+});
+
+describe('normalizeProfile', () => {
+  test('should read questionnaire form values', () => {
+    expect(
+      normalizeProfile({
+        zip: ' 63043 ',
+        county: '',
+        age: '42',
+        householdSize: '3',
+        income: '$31,000',
+        veteran: 'no'
+      })
+    ).toEqual({
+      zip: '63043',
+      county: undefined,
+      age: 42,
+      householdSize: 3,
+      income: 31000,
+      veteran: false
+    });
+  });
+
+  test('should ignore answers that are not numbers', () => {
+    expect(normalizeProfile({ age: 'forty' }).age).toBeUndefined();
+  });
+
+  test('should tell whether any question was answered', () => {
+    expect(hasAnswers({ zip: '', veteran: '' })).toBe(false);
+    expect(hasAnswers({ veteran: 'yes' })).toBe(true);
+  });
+});
+
+describe('DataService eligibility', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = [pantry, legal, market, shelter, seniors];
+  });
+
+  const ids = services => services.map(service => service.id);
+
+  test('should hide only services the client does not qualify for', () => {
+    const profile = { zip: '63146', income: '40000' };
+    expect(ids(dataService.filterServices({ eligibility: profile }))).toEqual([3, 4, 5]);
+  });
+
+  test('should keep every service when no question is answered', () => {
+    expect(dataService.filterServices({ eligibility: { zip: '' } })).toHaveLength(5);
+  });
+
+  test('should check a service by id', () => {
+    expect(dataService.checkEligibility(1, { zip: '63043' }).status).toBe(ELIGIBILITY.ELIGIBLE);
+    expect(() => dataService.checkEligibility(99, {})).toThrow('Service not found: 99');
+  });
+
+  test('should load poverty guidelines and say which year they are for', async () => {
+    const server = new StubServer({
+      'data/poverty-guidelines.json': { body: { year: 2026, base: 16000, perPerson: 5600 } }
+    });
+    globalThis.fetch = server.fetch;
+
+    const guidelines = await dataService.loadPovertyGuidelines('data/poverty-guidelines.json');
+
+    expect(guidelines).toEqual({ year: 2026, base: 16000, perPerson: 5600, outdated: false });
+    expect(dataService.getPovertyGuidelines(new Date(2027, 1, 1)).outdated).toBe(true);
+    expect(dataService.eligibility.povertyLine(2)).toBe(21600);
+  });
+
+  test('should load the bundled data/poverty-guidelines.json', async () => {
+    const bundled = JSON.parse(readFileSync('data/poverty-guidelines.json', 'utf8'));
+
+    expect((await dataService.loadPovertyGuidelines(bundled)).year).toBe(bundled.year);
+  });
+});
+
+describe('HSDS age eligibility', () => {
+  const tables = {
+    ...hsdsTables,
+    service: hsdsTables.service.map(service =>
+      service.id === 'svc-1' ? { ...service, minimum_age: '18', maximum_age: '' } : service
+    )
+  };
+  const { services } = new HSDSImporter().importTables(tables);
+
+  test('should import minimum_age and maximum_age as an age rule', () => {
+    expect(services.find(s => s.id === 'svc-1').eligibilityRules).toEqual([
+      { type: 'age', min: 18 }
+    ]);
+    expect(services.find(s => s.id === 'svc-2').eligibilityRules).toBeUndefined();
+  });
+
+  test('should export the age rule to the service table', () => {
+    const [row] = new HSDSExporter().toTables(services).service;
+    expect(row).toMatchObject({ minimum_age: 18, maximum_age: '' });
+  });
+});
+
+describe('SafeDOM eligibility note', () => {
+  const screener = new EligibilityScreener();
+
+  test('should summarise the check and mark each rule', () => {
+    const note = SafeDOM.createEligibilityNote(screener.check(pantry, { zip: '63146' }));
+    const [summary, list] = note.children;
+
+    expect(note.dataset.eligibility).toBe('ineligible');
+    expect(summary.textContent).toBe('You may not qualify');
+    expect(list.children.map(item => item.textContent)).toEqual(['✗ Only for ZIP code 63043']);
+  });
+
+  test('should point clients to the provider when there are no rules', () => {
+    const note = SafeDOM.createEligibilityNote(screener.check(seniors, { age: 70 }));
+    expect(note.children[0].textContent).toBe(
+      'No eligibility rules listed; check with the provider'
+    );
+    expect(note.children).toHaveLength(1);
+  });
+});
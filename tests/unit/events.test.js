@@ -0,0 +1,97 @@
+/**
+ * Unit tests for the shared event system and problem reporting
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { EventEmitter, reportError, reportWarning, setProblemReporter } from '../../js/events.js';
+
+describe('EventEmitter', () => {
+  let emitter;
+  let reporter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter();
+    reporter = jest.fn();
+    setProblemReporter(reporter);
+  });
+
+  afterEach(() => {
+    setProblemReporter(null);
+  });
+
+  test('should call listeners with the event arguments in order', () => {
+    const calls = [];
+    emitter.on('changed', (...args) => calls.push(['first', ...args]));
+    emitter.on('changed', (...args) => calls.push(['second', ...args]));
+
+    emitter.emit('changed', 1, 'two');
+
+    expect(calls).toEqual([
+      ['first', 1, 'two'],
+      ['second', 1, 'two']
+    ]);
+  });
+
+  test('should stop calling a listener once it is removed', () => {
+    const listener = jest.fn();
+    emitter.on('changed', listener);
+    emitter.off('changed', listener);
+    emitter.off('missing', listener);
+
+    emitter.emit('changed');
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should report a listener that throws and still call the others', () => {
+    const error = new Error('broken');
+    const after = jest.fn();
+    emitter.on('changed', () => {
+      throw error;
+    });
+    emitter.on('changed', after);
+
+    emitter.emit('changed');
+
+    expect(after).toHaveBeenCalled();
+    expect(reporter).toHaveBeenCalledWith('error', 'Error in changed event listener:', error);
+  });
+
+  test('should remove every listener', () => {
+    const listener = jest.fn();
+    emitter.on('changed', listener);
+
+    emitter.removeAllListeners();
+    emitter.emit('changed');
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('problem reporting', () => {
+  afterEach(() => {
+    setProblemReporter(null);
+  });
+
+  test('should send problems to the reporter with their level', () => {
+    const reporter = jest.fn();
+    const error = new Error('quota');
+    setProblemReporter(reporter);
+
+    reportWarning('Could not save', error);
+    reportError('Could not load', error);
+
+    expect(reporter.mock.calls).toEqual([
+      ['warn', 'Could not save', error],
+      ['error', 'Could not load', error]
+    ]);
+  });
+
+  test('should fall back to the console', () => {
+    const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    reportWarning('Could not save', 'quota');
+
+    expect(consoleWarn).toHaveBeenCalledWith('Could not save', 'quota');
+    consoleWarn.mockRestore();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for the FilterPanel component and the facet counts behind it
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { FilterPanel, createFilterPanel } from '../../js/components/filter-panel.js';
+import { DataService } from '../../js/data-service.js';
+
+describe('FilterPanel', () => {
+  let container;
+  let panel;
+
+  beforeEach(() => {
+    // The global setup swaps in mock elements; the panel needs real ones to click
+    delete document.createElement;
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    panel = createFilterPanel(container, { name: 'category', selected: ['Food'] });
+    panel.setOptions([
+      { value: 'Food', count: 2 },
+      { value: 'Housing', count: 1 },
+      { value: 'Legal Aid', count: 0 }
+    ]);
+  });
+
+  afterEach(() => {
+    panel.destroy();
+    container.remove();
+  });
+
+  const input = value => container.querySelector(`input[value="${value}"]`);
+  const labels = () => Array.from(container.querySelectorAll('label'), label => label.textContent);
+
+  test('should build a checkbox with a count for each option', () => {
+    expect(panel).toBeInstanceOf(FilterPanel);
+    expect(labels()).toEqual(['Food2', 'Housing1', 'Legal Aid0']);
+    expect(input('Food').checked).toBe(true);
+    expect(input('Housing').checked).toBe(false);
+    expect(input('Food').name).toBe('category');
+  });
+
+  test('should disable options that match nothing', () => {
+    expect(input('Legal Aid').disabled).toBe(true);
+    expect(input('Housing').disabled).toBe(false);
+  });
+
+  test('should keep a checked option enabled so it can be cleared', () => {
+    panel.setOptions([
+      { value: 'Food', count: 0 },
+      { value: 'Housing', count: 1 }
+    ]);
+
+    expect(input('Food').disabled).toBe(false);
+    expect(input('Food').checked).toBe(true);
+  });
+
+  test('should emit the selection when a checkbox changes', () => {
+    const onChange = jest.fn();
+    panel.on('change', onChange);
+
+    input('Housing').click();
+    expect(onChange).toHaveBeenLastCalledWith(['Food', 'Housing']);
+
+    input('Food').click();
+    expect(onChange).toHaveBeenLastCalledWith(['Housing']);
+    expect(panel.getSelected()).toEqual(['Housing']);
+  });
+
+  test('should update counts in place and add new values', () => {
+    const food = input('Food');
+    food.focus();
+    panel.setOptions([
+      { value: 'Education', count: 3 },
+      { value: 'Food', count: 5 },
+      { value: 'Housing', count: 1 },
+      { value: 'Legal Aid', count: 0 }
+    ]);
+
+    expect(labels()).toEqual(['Education3', 'Food5', 'Housing1', 'Legal Aid0']);
+    expect(input('Food')).toBe(food);
+    expect(document.activeElement).toBe(food);
+  });
+
+  test('should drop checked values that are no longer in the data', () => {
+    panel.setOptions([{ value: 'Housing', count: 1 }]);
+    panel.setOptions([
+      { value: 'Food', count: 2 },
+      { value: 'Housing', count: 1 }
+    ]);
+
+    expect(panel.getSelected()).toEqual([]);
+  });
+
+  test('should check exactly the given values', () => {
+    panel.setSelected(['Housing']);
+
+    expect(input('Food').checked).toBe(false);
+    expect(input('Housing').checked).toBe(true);
+    expect(panel.getSelected()).toEqual(['Housing']);
+  });
+
+  test('should say when there are no options', () => {
+    const empty = container.querySelector('p');
+    expect(empty.classList.contains('hidden')).toBe(true);
+
+    panel.setOptions([]);
+    expect(empty.classList.contains('hidden')).toBe(false);
+    expect(empty.textContent).toBe('None available');
+  });
+});
+
+describe('DataService facet counts', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = [
+      { id: 1, name: 'Pantry', category: 'Food', sourceOrg: 'Alpha Org' },
+      { id: 2, name: 'Legal Clinic', category: 'Legal Aid', sourceOrg: 'Beta Community Group' },
+      {
+        id: 3,
+        name: 'Food Market',
+        category: 'Food',
+        sourceOrg: 'Gamma County Services',
+        alsoListedBy: [{ sourceOrg: 'Alpha Org' }]
+      },
+      { id: 4, name: 'Shelter', category: 'Housing', sourceOrg: 'Gamma County Services' }
+    ];
+    dataService.rebuildIndices();
+  });
+
+  const counts = facet => Object.fromEntries(facet.map(({ value, count }) => [value, count]));
+
+  test('should count every value without filters', () => {
+    const facets = dataService.getFacetCounts();
+
+    expect(counts(facets.categories)).toEqual({ Food: 2, Housing: 1, 'Legal Aid': 1 });
+    expect(counts(facets.sourceOrgs)).toEqual({
+      'Alpha Org': 2,
+      'Beta Community Group': 1,
+      'Gamma County Services': 2
+    });
+  });
+
+  test('should count each facet against the other filters only', () => {
+    const facets = dataService.getFacetCounts({
+      categories: ['Food'],
+      sourceOrgs: ['Gamma County Services']
+    });
+
+    expect(counts(facets.categories)).toEqual({ Food: 1, Housing: 1, 'Legal Aid': 0 });
+    expect(counts(facets.sourceOrgs)).toEqual({
+      'Alpha Org': 2,
+      'Beta Community Group': 0,
+      'Gamma County Services': 1
+    });
+  });
+
+  test('should reflect keyword and exclusion filters', () => {
+    const facets = dataService.getFacetCounts({
+      keyword: 'market',
+      excludeCategories: ['Housing']
+    });
+
+    expect(counts(facets.categories)).toEqual({ Food: 1, Housing: 0, 'Legal Aid': 0 });
+  });
+
+  test('should list categories added by later data', async () => {
+    await dataService.addService({
+      name: 'Tutoring',
+      organization: 'Library',
+      address: '1 Library Way',
+      category: 'Education'
+    });
+
+    expect(dataService.getFacetCounts().categories.map(facet => facet.value)).toContain(
+      'Education'
+    );
+  });
+});
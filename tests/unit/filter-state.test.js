@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the unified Browse filter state: criteria, debounced search, chips and reset
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { DEFAULT_FILTERS, FilterState } from '../../js/filter-state.js';
+import { DataService } from '../../js/data-service.js';
+
+const chesterfield = { kind: 'city', name: 'Chesterfield, MO', coordinates: [38.6631, -90.5771] };
+
+describe('FilterState', () => {
+  let filterState;
+  let onChange;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    filterState = new FilterState({ categories: ['Food'] });
+    onChange = jest.fn();
+    filterState.on('change', onChange);
+  });
+
+  afterEach(() => {
+    filterState.destroy();
+    jest.useRealTimers();
+  });
+
+  test('should start from the defaults plus the initial filters', () => {
+    expect(filterState.get()).toEqual({ ...DEFAULT_FILTERS, categories: ['Food'] });
+  });
+
+  test('should announce changes with the changed keys', () => {
+    expect(filterState.set({ open: 'now', sourceOrgs: ['Alpha Org'] })).toBe(true);
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0]).toMatchObject({ open: 'now', sourceOrgs: ['Alpha Org'] });
+    expect(onChange.mock.calls[0][1]).toEqual(['sourceOrgs', 'open']);
+  });
+
+  test('should ignore changes that leave the filters as they are', () => {
+    expect(filterState.set({ categories: ['Food'], keyword: '  ' })).toBe(false);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown filters', () => {
+    expect(() => filterState.set({ colour: 'blue' })).toThrow('Unknown filter: colour');
+  });
+
+  test('should not hand out its own state', () => {
+    filterState.get().categories.push('Housing');
+    expect(filterState.get().categories).toEqual(['Food']);
+  });
+
+  test('should debounce search-as-you-type', () => {
+    filterState.set({ keyword: 'f' }, { debounce: true });
+    filterState.set({ keyword: 'fo' }, { debounce: true });
+    jest.advanceTimersByTime(299);
+    filterState.set({ keyword: 'food' }, { debounce: true });
+    jest.advanceTimersByTime(299);
+    expect(onChange).not.toHaveBeenCalled();
+    expect(filterState.get().keyword).toBe('food');
+
+    jest.advanceTimersByTime(1);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][0].keyword).toBe('food');
+  });
+
+  test('should send a debounced change straight away on a plain set', () => {
+    filterState.set({ keyword: 'food' }, { debounce: true });
+    filterState.set({ keyword: 'food' });
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    jest.runAllTimers();
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('should drop the radius along with the place', () => {
+    filterState.set({ place: chesterfield, radius: '5' });
+    expect(filterState.get().radius).toBe(5);
+
+    filterState.set({ place: null });
+    expect(filterState.get().radius).toBeNull();
+  });
+
+  test('should keep blank questionnaire answers out of the state', () => {
+    filterState.set({ eligibility: { zip: '63043', age: '', veteran: '' } });
+    expect(filterState.get().eligibility).toEqual({ zip: '63043' });
+  });
+
+  test('should list a chip for each active filter', () => {
+    filterState.set({
+      keyword: 'pantry',
+      place: chesterfield,
+      radius: 10,
+      categories: ['Food', 'Housing'],
+      sourceOrgs: ['Alpha Org'],
+      open: 'today',
+      eligibility: { age: '70' }
+    });
+
+    expect(filterState.getChips().map(chip => chip.label)).toEqual([
+      '“pantry”',
+      'Near Chesterfield, MO',
+      'Within 10 mi',
+      'Food',
+      'Housing',
+      'Alpha Org',
+      'Open today',
+      'Eligibility answers'
+    ]);
+  });
+
+  test('should clear the filter behind a removed chip', () => {
+    filterState.set({ categories: ['Food', 'Housing'], open: 'now' });
+
+    filterState.removeChip({ key: 'categories', value: 'Food' });
+    filterState.removeChip({ key: 'open', value: 'now' });
+
+    expect(filterState.get()).toMatchObject({ categories: ['Housing'], open: '' });
+  });
+
+  test('should clear everything but the sort order', () => {
+    filterState.set({ keyword: 'food', place: chesterfield, open: 'now', sort: 'name' });
+    onChange.mockClear();
+
+    expect(filterState.reset()).toBe(true);
+    expect(filterState.get()).toEqual({ ...DEFAULT_FILTERS, sort: 'name' });
+    expect(filterState.getChips()).toEqual([]);
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  describe('toCriteria', () => {
+    test('should turn the filters into filterServices() criteria', () => {
+      filterState.set({
+        place: chesterfield,
+        radius: 5,
+        sourceOrgs: ['Alpha Org'],
+        open: 'now',
+        sort: 'name'
+      });
+
+      expect(filterState.toCriteria()).toEqual({
+        categories: ['Food'],
+        sourceOrgs: ['Alpha Org'],
+        open: 'now',
+        near: chesterfield,
+        radius: 5,
+        eligibility: {},
+        sort: 'name'
+      });
+    });
+
+    test('should let fields in the search query take precedence', () => {
+      const near = { name: 'Florissant, MO', coordinates: [38.8, -90.3] };
+      const criteria = filterState.toCriteria({ keyword: 'pantry', categories: ['Housing'], near });
+
+      expect(criteria).toMatchObject({ keyword: 'pantry', categories: ['Housing'], near });
+    });
+
+    test('should leave out distance sorting until there is a location', () => {
+      filterState.set({ sort: 'distance' });
+      expect(filterState.toCriteria().sort).toBeUndefined();
+
+      filterState.set({ place: chesterfield });
+      expect(filterState.toCriteria().sort).toBe('distance');
+    });
+
+    test('should feed DataService.filterServices()', async () => {
+      const dataService = new DataService();
+      await dataService.init();
+      const { criteria } = dataService.parseQuery('source:"Gamma County Services"');
+
+      const services = dataService.filterServices(filterState.toCriteria(criteria));
+
+      expect(services.map(service => service.name)).toEqual(['Creve Coeur Mobile Food Market']);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for offline ZIP/city geocoding and distances from a searched location
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { Gazetteer, normalizePlace } from '../../js/gazetteer.js';
+import { ZIP_CODES } from '../../js/zip-codes.js';
+import { DataService } from '../../js/data-service.js';
+
+const pantry = {
+  id: 1,
+  name: 'Community Food Pantry',
+  category: 'Food',
+  coordinates: [38.719, -90.4218]
+};
+
+const clinic = {
+  id: 2,
+  name: 'Legal Aid Clinic',
+  category: 'Legal',
+  coordinates: [38.7301, -90.2259]
+};
+
+const hotline = { id: 3, name: 'Crisis Hotline', category: 'Health' };
+
+const market = {
+  id: 4,
+  name: 'Mobile Food Market',
+  category: 'Food',
+  coordinates: [38.662, -90.4218]
+};
+
+describe('Gazetteer', () => {
+  const gazetteer = new Gazetteer();
+
+  test('should resolve a ZIP code to its centroid and county', () => {
+    expect(gazetteer.lookup('63043')).toEqual({
+      kind: 'zip',
+      name: 'Maryland Heights, MO 63043',
+      zip: '63043',
+      city: 'Maryland Heights',
+      state: 'MO',
+      county: 'St. Louis County',
+      coordinates: [38.7236, -90.4516]
+    });
+    expect(gazetteer.lookup('63043-1234').zip).toBe('63043');
+  });
+
+  test('should resolve a city to the centre of its ZIP codes', () => {
+    const place = gazetteer.lookup('florissant, mo');
+
+    expect(place).toMatchObject({ kind: 'city', name: 'Florissant, MO', zip: null });
+    expect(place.coordinates).toEqual([38.8153, -90.3009]);
+  });
+
+  test.each([
+    ['Saint Louis', 'St. Louis, MO'],
+    ['st louis', 'St. Louis, MO'],
+    ['East St. Louis, IL', 'East St. Louis, IL'],
+    ['12301 Olive Blvd, Creve Coeur', 'Creve Coeur, MO'],
+    ['2344 McKelvey Rd, Maryland Heights, MO 63043', 'Maryland Heights, MO 63043'],
+    ['11977 St Charles Rock Rd, Bridgeton, MO 63044', 'Bridgeton, MO 63044'],
+    ['12345 Main St, Maryland Heights, MO 63043-1234', 'Maryland Heights, MO 63043'],
+    ['100 Main St, Kirkwood, MO 99999', 'Kirkwood, MO']
+  ])('should resolve %s', (query, name) => {
+    expect(gazetteer.lookup(query).name).toBe(name);
+  });
+
+  test.each(['', '   ', 'Springfield', '99999', null])('should not resolve %p', query => {
+    expect(gazetteer.lookup(query)).toBeNull();
+  });
+
+  test('should list each city once for suggestions', () => {
+    const cities = gazetteer.cities();
+    expect(cities).toContain('Chesterfield, MO');
+    expect(new Set(cities).size).toBe(cities.length);
+  });
+
+  test('should accept another ZIP table', () => {
+    const custom = new Gazetteer([{ ...ZIP_CODES[0], zip: '10001', city: 'Elsewhere' }]);
+    expect(custom.lookup('Elsewhere').coordinates).toEqual(ZIP_CODES[0].coordinates);
+    expect(custom.lookup('63043')).toBeNull();
+  });
+
+  test('should normalise place names', () => {
+    expect(normalizePlace('  Saint   Ann, MO.')).toBe('st ann mo');
+  });
+});
+
+describe('DataService location search', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = [pantry, clinic, hotline, market].map(service => ({ ...service }));
+  });
+
+  const ids = services => services.map(service => service.id);
+
+  test('should label each service with its distance from the origin', () => {
+    const origin = dataService.setOrigin(dataService.geocode('63043'));
+    const [first, second, third] = dataService.services;
+
+    expect(origin.zip).toBe('63043');
+    expect(first.distance).toBe('1.6 mi');
+    expect(first.distanceMiles).toBeCloseTo(
+      dataService.calculateDistance(38.7236, -90.4516, 38.719, -90.4218)
+    );
+    expect(second.distance).toBe('12.2 mi');
+    expect(third.distance).toBe('Unknown');
+  });
+
+  test('should clear the labels with the origin', () => {
+    dataService.setOrigin({ coordinates: pantry.coordinates });
+    expect(dataService.services[0].distance).toBe('< 0.1 mi');
+
+    expect(dataService.setOrigin(null)).toBeNull();
+    expect(dataService.services[0].distance).toBe('');
+    expect(dataService.services[0].distanceMiles).toBeUndefined();
+  });
+
+  test('should label services added while an origin is set', async () => {
+    dataService.setOrigin(dataService.geocode('Creve Coeur'));
+    const added = await dataService.addService({
+      name: 'Tutoring',
+      organization: 'Library',
+      address: '1 Library Way',
+      category: 'Education',
+      coordinates: [38.6617, -90.4562]
+    });
+
+    expect(added.distance).toMatch(/ mi$/);
+  });
+
+  test('should list the nearest services first without a keyword', () => {
+    const near = dataService.geocode('Normandy');
+
+    expect(ids(dataService.filterServices({ near }))).toEqual([2, 1, 4, 3]);
+    expect(ids(dataService.filterServices({ near, keyword: 'food' }))).toEqual(
+      ids(dataService.filterServices({ keyword: 'food' }))
+    );
+  });
+
+  test('should leave out services beyond the radius', () => {
+    const near = dataService.geocode('63043');
+
+    expect(ids(dataService.filterServices({ near, radius: 5 }))).toEqual([1, 4]);
+    expect(ids(dataService.filterServices({ near, radius: 1 }))).toEqual([]);
+    expect(dataService.filterServices({ radius: 1 })).toHaveLength(4);
+  });
+
+  test('should accept near: in search queries', () => {
+    const { criteria, errors } = dataService.parseQuery('near:"St. Charles" food');
+
+    expect(errors).toEqual([]);
+    expect(criteria.near.name).toBe('St. Charles, MO');
+    expect(criteria.keyword).toBe('food');
+    expect(dataService.parseQuery('near:Springfield').errors[0].message).toBe(
+      'Unknown location "Springfield"; try a ZIP code or city name'
+    );
+  });
+});
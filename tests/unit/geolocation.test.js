@@ -0,0 +1,57 @@
+/**
+ * Unit tests for "Use my location" and its handling of denied permission
+ */
+import { describe, test, expect, jest } from '@jest/globals';
+import { GEOLOCATION_ERRORS, getCurrentLocation } from '../../js/geolocation.js';
+
+// A Geolocation API stand-in that answers with a position or a GeolocationPositionError code
+const fakeGeolocation = answer => ({
+  getCurrentPosition: jest.fn((success, failure) => {
+    if (typeof answer === 'number') {
+      failure({ code: answer, message: 'failed' });
+    } else {
+      success({ coords: answer });
+    }
+  })
+});
+
+describe('getCurrentLocation', () => {
+  test('should resolve to the device position', async () => {
+    const geolocation = fakeGeolocation({ latitude: 38.72, longitude: -90.45, accuracy: 30 });
+
+    await expect(getCurrentLocation({}, geolocation)).resolves.toEqual({
+      kind: 'device',
+      name: 'your location',
+      coordinates: [38.72, -90.45],
+      accuracy: 30
+    });
+  });
+
+  test('should pass options through to the browser', async () => {
+    const geolocation = fakeGeolocation({ latitude: 0, longitude: 0, accuracy: 1 });
+    await getCurrentLocation({ timeout: 500 }, geolocation);
+
+    expect(geolocation.getCurrentPosition.mock.calls[0][2]).toMatchObject({
+      timeout: 500,
+      enableHighAccuracy: false
+    });
+  });
+
+  test.each([
+    [1, 'denied'],
+    [2, 'unavailable'],
+    [3, 'timeout']
+  ])('should explain error code %i', async (code, expected) => {
+    const error = await getCurrentLocation({}, fakeGeolocation(code)).catch(caught => caught);
+
+    expect(error.code).toBe(expected);
+    expect(error.message).toBe(GEOLOCATION_ERRORS[expected]);
+  });
+
+  test('should reject when the browser has no Geolocation API', async () => {
+    await expect(getCurrentLocation({}, null)).rejects.toMatchObject({
+      code: 'unsupported',
+      message: GEOLOCATION_ERRORS.unsupported
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for HSDS CSV data package loading
+ * Runs in the node environment for TextDecoder, Blob and DecompressionStream
+ */
+/* eslint-env node */
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { deflateRawSync } from 'zlib';
+import { parseCSV, readDataPackage, readZip } from '../../js/hsds-csv.js';
+import { DataService } from '../../js/data-service.js';
+
+const descriptor = JSON.stringify({
+  name: 'county-hsds',
+  resources: [
+    { name: 'organization', path: 'organization.csv' },
+    { name: 'service', path: 'service.csv' },
+    { name: 'location', path: 'location.csv' },
+    { name: 'service_at_location', path: 'service_at_location.csv' },
+    { name: 'address', path: 'address.csv' },
+    { name: 'phone', path: 'phone.csv' },
+    { name: 'schedule', path: 'schedule.csv' },
+    { name: 'contact', path: 'contact.csv' }
+  ]
+});
+
+const packageFiles = {
+  'datapackage.json': descriptor,
+  'organization.csv':
+    'id,name,email,website\norg-1,Maryland Heights Community Center,contact@mhcc.org,mhcc.org\n',
+  'service.csv':
+    'id,organization_id,name,description,status\r\n' +
+    'svc-1,org-1,Community Food Pantry,"Groceries, produce and ""fresh"" bread",active\r\n' +
+    'svc-2,org-9,Orphaned Service,Belongs to no known organization,active\r\n',
+  'location.csv': 'id,name,latitude,longitude\nloc-1,Main Building,38.719,-90.4218\n',
+  'service_at_location.csv': 'id,service_id,location_id\nsal-1,svc-1,loc-1\nsal-2,svc-404,loc-1\n',
+  'address.csv':
+    'id,location_id,address_1,address_2,city,state_province,postal_code,address_type\n' +
+    'addr-1,loc-1,2344 McKelvey Rd,,Maryland Heights,MO,63043,physical\n',
+  'phone.csv':
+    'id,service_id,location_id,number\nph-1,svc-1,,(314) 555-1234\nph-2,,,(314) 555-0000\n',
+  'schedule.csv':
+    'id,service_id,freq,byday,opens_at,closes_at\nsch-1,svc-1,WEEKLY,"MO,TU",09:00,15:00\nsch-2,svc-1,WEEKLY,TH\n'
+};
+
+// Build a zip archive in memory; entries are deflated unless stored is set
+function createZip(files, { stored = false } = {}) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const data = stored ? raw : deflateRawSync(raw);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(stored ? 0 : 8, 8);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(raw.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    local.push(header, nameBytes, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(stored ? 0 : 8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, nameBytes);
+
+    offset += header.length + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  const zip = Buffer.concat([...local, ...central, end]);
+  return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.length);
+}
+
+describe('parseCSV', () => {
+  const csvConditions = [
+    {
+      name: 'simple rows',
+      text: 'a,b\n1,2\n3,4',
+      expected: [
+        { a: '1', b: '2' },
+        { a: '3', b: '4' }
+      ]
+    },
+    { name: 'CRLF line endings', text: 'a,b\r\n1,2\r\n', expected: [{ a: '1', b: '2' }] },
+    { name: 'quoted commas', text: 'a,b\n"x, y",2', expected: [{ a: 'x, y', b: '2' }] },
+    { name: 'escaped quotes', text: 'a\n"say ""hi"""', expected: [{ a: 'say "hi"' }] },
+    {
+      name: 'newline inside quotes',
+      text: 'a,b\n"line1\nline2",2',
+      expected: [{ a: 'line1\nline2', b: '2' }]
+    },
+    { name: 'byte order mark', text: '\uFEFFid\n7', expected: [{ id: '7' }] },
+    { name: 'blank lines', text: 'a\n\n1\n\n', expected: [{ a: '1' }] },
+    { name: 'empty input', text: '', expected: [] }
+  ];
+
+  test.each(csvConditions)('should parse condition: $name', ({ text, expected }) => {
+    const { rows, errors } = parseCSV(text);
+    expect(rows).toEqual(expected);
+    expect(errors).toEqual([]);
+  });
+
+  test('should report rows with the wrong number of fields', () => {
+    const { rows, errors } = parseCSV('a,b\n1,2\n3\n"x\ny",4,5');
+    expect(rows).toEqual([{ a: '1', b: '2' }]);
+    expect(errors).toEqual([
+      { line: 3, message: 'Expected 2 fields but found 1' },
+      { line: 4, message: 'Expected 2 fields but found 3' }
+    ]);
+  });
+
+  test('should report an unterminated quoted field', () => {
+    const { errors } = parseCSV('a\n"open');
+    expect(errors[0].message).toBe('Unterminated quoted field');
+  });
+});
+
+describe('readDataPackage', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn(url => {
+      const name = url.replace('https://county.example.org/hsds/', '');
+      if (packageFiles[name] === undefined) {
+        return Promise.resolve({ ok: false, status: 404 });
+      }
+      return Promise.resolve({ ok: true, text: () => Promise.resolve(packageFiles[name]) });
+    });
+  });
+
+  test('should read tables listed in the descriptor from a file map', async () => {
+    const { tables, issues } = await readDataPackage(packageFiles);
+
+    expect(tables.service).toHaveLength(2);
+    expect(tables.service[0].description).toBe('Groceries, produce and "fresh" bread');
+    expect(tables.contact).toBeUndefined();
+    expect(issues).toEqual([
+      { table: 'schedule', id: null, message: 'schedule.csv line 3: Expected 6 fields but found 4' }
+    ]);
+  });
+
+  test('should fetch resources relative to a folder URL', async () => {
+    const { tables } = await readDataPackage('https://county.example.org/hsds/');
+
+    expect(global.fetch).toHaveBeenCalledWith('https://county.example.org/hsds/datapackage.json');
+    expect(global.fetch).toHaveBeenCalledWith('https://county.example.org/hsds/service.csv');
+    expect(tables.service).toHaveLength(2);
+  });
+
+  test('should report missing resources', async () => {
+    const { tables, issues } = await readDataPackage({ ...packageFiles, 'phone.csv': undefined });
+    expect(tables.phone).toEqual([]);
+    expect(issues[0]).toMatchObject({
+      table: 'phone',
+      message: expect.stringContaining('phone.csv')
+    });
+  });
+
+  test('should reject packages without a descriptor or service table', async () => {
+    await expect(readDataPackage({ 'service.csv': 'id' })).rejects.toThrow('datapackage.json');
+    await expect(
+      readDataPackage({ 'datapackage.json': JSON.stringify({ resources: [] }) })
+    ).rejects.toThrow('service');
+  });
+
+  test.each([
+    ['deflated', false],
+    ['stored', true]
+  ])('should read a %s zip archive with files in a subfolder', async (_, stored) => {
+    const zipFiles = {};
+    Object.entries(packageFiles).forEach(([name, text]) => {
+      zipFiles[`export/${name}`] = text;
+    });
+
+    const { tables } = await readDataPackage(createZip(zipFiles, { stored }));
+    expect(tables.organization[0].name).toBe('Maryland Heights Community Center');
+  });
+
+  test('should reject data that is not a zip archive', async () => {
+    await expect(readZip(new ArrayBuffer(40))).rejects.toThrow('Not a zip archive');
+  });
+});
+
+describe('DataService.loadHSDSDataPackage', () => {
+  test('should join CSV tables into services and report unjoined rows', async () => {
+    const dataService = new DataService();
+    await dataService.init({ hsdsPackage: packageFiles, sourceOrg: 'Beta Community Group' });
+
+    const pantry = dataService.getServiceById('svc-1');
+    expect(pantry).toMatchObject({
+      organization: 'Maryland Heights Community Center',
+      address: '2344 McKelvey Rd, Maryland Heights, MO 63043',
+      coordinates: [38.719, -90.4218],
+      sourceOrg: 'Beta Community Group'
+    });
+    expect(pantry.contact.phone).toBe('(314) 555-1234');
+    expect(pantry.hours.Monday).toBe('9am - 3pm');
+
+    const messages = dataService.lastImportReport.issues.map(issue => issue.message);
+    expect(messages).toEqual(
+      expect.arrayContaining([
+        'schedule.csv line 3: Expected 6 fields but found 4',
+        'organization_id references unknown organization org-9',
+        'service_id references unknown service svc-404',
+        'phone is not linked to any record'
+      ])
+    );
+  });
+});
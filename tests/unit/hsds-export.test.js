@@ -0,0 +1,214 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for HSDS JSON and CSV data package export
+ * Runs in the node environment for TextEncoder and TextDecoder
+ */
+/* eslint-env node */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { HSDSExporter, hoursToSchedules, parseAddress } from '../../js/hsds-export.js';
+import { HSDSImporter } from '../../js/hsds-import.js';
+import { parseCSV, readDataPackage, readZip } from '../../js/hsds-csv.js';
+import { DataService } from '../../js/data-service.js';
+import { hsdsTables } from '../fixtures/hsds-dataset.js';
+
+const contributed = {
+  name: 'Neighborhood Diaper Bank',
+  organization: 'Maryland Heights Community Center',
+  address: '2344 McKelvey Rd, Maryland Heights, MO 63043',
+  description: 'Free diapers and wipes, no appointment needed.',
+  category: 'Food',
+  contact: { phone: '(314) 555-0142 ext 12', email: 'diapers@mhcc.org' },
+  hours: { Tuesday: '9am - 3pm', Thursday: '9am - 3pm', Saturday: 'By appointment' },
+  coordinates: [38.719, -90.4218]
+};
+
+describe('hoursToSchedules', () => {
+  test('should group days with the same hours into one weekly schedule', () => {
+    const schedules = hoursToSchedules({
+      Monday: '9am - 5pm',
+      Wednesday: '9am - 5pm',
+      Friday: '10:30am - 1pm',
+      Sunday: 'Closed'
+    });
+
+    expect(schedules).toEqual([
+      { freq: 'WEEKLY', opens_at: '09:00', closes_at: '17:00', description: '', byday: 'MO,WE' },
+      { freq: 'WEEKLY', opens_at: '10:30', closes_at: '13:00', description: '', byday: 'FR' }
+    ]);
+  });
+
+  test('should write monthly sessions with an ordinal day', () => {
+    const [schedule] = hoursToSchedules({
+      Saturday: '10am - 1pm (Every 1st Saturday), 10am - 1pm (Every 3rd Saturday)'
+    });
+
+    expect(schedule).toMatchObject({ freq: 'MONTHLY', byday: '1SA,3SA', opens_at: '10:00' });
+  });
+
+  test('should keep hours it cannot read as a description', () => {
+    expect(hoursToSchedules({ Monday: '24/7 hotline' })).toEqual([
+      { freq: 'WEEKLY', opens_at: '', closes_at: '', description: '24/7 hotline', byday: 'MO' }
+    ]);
+  });
+});
+
+describe('parseAddress', () => {
+  test('should split street, city, state and postal code', () => {
+    expect(parseAddress('1 Main St, Suite 2, St. Louis, MO 63101')).toEqual({
+      address_1: '1 Main St, Suite 2',
+      city: 'St. Louis',
+      state_province: 'MO',
+      postal_code: '63101'
+    });
+  });
+
+  test('should keep unrecognized addresses whole', () => {
+    expect(parseAddress('Mobile route')).toMatchObject({ address_1: 'Mobile route', city: '' });
+  });
+});
+
+describe('HSDSExporter', () => {
+  let exporter;
+  let services;
+
+  beforeEach(() => {
+    exporter = new HSDSExporter();
+    services = new HSDSImporter({ sourceOrg: 'Alpha Org' }).importTables(hsdsTables).services;
+  });
+
+  test('should share one organization record between its services', () => {
+    const tables = exporter.toTables([
+      ...services,
+      { ...services[0], id: 'svc-copy', name: 'Second Pantry' }
+    ]);
+
+    expect(tables.organization).toHaveLength(2);
+    expect(tables.service).toHaveLength(3);
+    expect(tables.service[0].organization_id).toBe(tables.service[2].organization_id);
+  });
+
+  test('should link categories through taxonomy terms', () => {
+    const tables = exporter.toTables(services);
+
+    expect(tables.taxonomy_term.map(term => term.name).sort()).toEqual(['Food', 'Legal Aid']);
+    expect(tables.attribute[0]).toMatchObject({ link_id: 'svc-1', link_type: 'service' });
+  });
+
+  test('should survive a round trip through the importer', () => {
+    const json = exporter.toJSON(services);
+    const { services: reimported, report } = new HSDSImporter({
+      sourceOrg: 'Alpha Org'
+    }).importJSON(json);
+
+    expect(report.issues).toEqual([]);
+    reimported.forEach((service, index) => {
+      const original = services[index];
+      expect(service).toMatchObject({
+        id: original.id,
+        name: original.name,
+        organization: original.organization,
+        address: original.address,
+        category: original.category,
+        hours: original.hours,
+        coordinates: original.coordinates
+      });
+    });
+  });
+
+  test('should export imported schedules in place of the hours strings', () => {
+    const summer = {
+      ...services[0],
+      schedules: [
+        {
+          freq: 'WEEKLY',
+          byday: 'WE',
+          opens_at: '09:00',
+          closes_at: '11:00',
+          valid_from: '2026-06-01',
+          valid_to: '2026-06-30'
+        }
+      ]
+    };
+
+    expect(exporter.toTables([summer]).schedule).toEqual([
+      { id: 'svc-1-schedule-1', service_id: 'svc-1', ...summer.schedules[0] }
+    ]);
+  });
+
+  test('should write a data package with every table and a descriptor', () => {
+    const files = exporter.toDataPackage(services);
+    const descriptor = JSON.parse(files['datapackage.json']);
+
+    expect(descriptor.resources.map(resource => resource.path)).toEqual(
+      Object.keys(files).filter(name => name.endsWith('.csv'))
+    );
+    expect(parseCSV(files['service.csv']).rows).toHaveLength(2);
+  });
+});
+
+describe('DataService.exportHSDS', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    await dataService.addService(contributed);
+  });
+
+  test('should export every service as HSDS JSON by default', () => {
+    const json = dataService.exportHSDS();
+    expect(json).toHaveLength(dataService.getAllServices().length);
+  });
+
+  test('should export only services matching the filters', () => {
+    const json = dataService.exportHSDS({ filters: { sourceOrgs: ['User Contributed'] } });
+
+    expect(json).toHaveLength(1);
+    expect(json[0]).toMatchObject({ name: contributed.name, email: 'diapers@mhcc.org' });
+    expect(json[0].phones[0]).toMatchObject({ number: '(314) 555-0142', extension: '12' });
+  });
+
+  test('should include provenance for user-contributed services', () => {
+    const [service] = dataService.exportHSDS({ filters: { sourceOrgs: ['User Contributed'] } });
+
+    expect(service.last_modified).toBeTruthy();
+    expect(service.metadata).toEqual([
+      expect.objectContaining({
+        resource_type: 'service',
+        last_action_type: 'create',
+        updated_by: 'User Contributed',
+        last_action_date: service.last_modified
+      })
+    ]);
+  });
+
+  test('should export a CSV data package that loads back into a new DataService', async () => {
+    const files = dataService.exportHSDS({ format: 'csv' });
+    const { tables, issues } = await readDataPackage(files);
+
+    expect(issues).toEqual([]);
+    expect(tables.metadata.some(row => row.updated_by === 'User Contributed')).toBe(true);
+
+    const copy = new DataService();
+    await copy.init({ hsdsPackage: files });
+    expect(copy.getAllServices()).toHaveLength(dataService.getAllServices().length);
+    const [diaperBank] = copy.searchServices('Diaper');
+    expect(diaperBank.hours.Tuesday).toBe('9am - 3pm');
+    expect(diaperBank.provenance).toEqual([
+      { action: 'create', by: 'User Contributed', at: diaperBank.lastModified }
+    ]);
+  });
+
+  test('should zip the CSV data package on request', async () => {
+    const archive = dataService.exportHSDS({ format: 'csv', zip: true });
+    const files = await readZip(archive);
+
+    expect(Object.keys(files)).toContain('datapackage.json');
+    expect(files['metadata.csv']).toContain('User Contributed');
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => dataService.exportHSDS({ format: 'xml' })).toThrow('Unsupported export format');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for HSDSImporter with condition-based testing
+ */
+import { describe, test, expect } from '@jest/globals';
+import { HSDSImporter, schedulesToHours } from '../../js/hsds-import.js';
+import { hsdsTables, hsdsNestedServices } from '../fixtures/hsds-dataset.js';
+
+describe('HSDSImporter', () => {
+  describe('importJSON with table collections', () => {
+    const { services, report } = new HSDSImporter({ sourceOrg: 'Alpha Org' }).importJSON(
+      hsdsTables
+    );
+    const pantry = services.find(s => s.id === 'svc-1');
+    const clinic = services.find(s => s.id === 'svc-2');
+
+    test('should import active services and skip defunct ones', () => {
+      expect(services.map(s => s.id)).toEqual(['svc-1', 'svc-2']);
+      expect(report.imported).toBe(2);
+      expect(report.skipped).toBe(1);
+      expect(report.issues[0]).toMatchObject({ table: 'service', id: 'svc-3' });
+    });
+
+    test('should produce the navigator service shape', () => {
+      expect(pantry).toMatchObject({
+        name: 'Community Food Pantry',
+        organization: 'Maryland Heights Community Center',
+        address: '2344 McKelvey Rd, Maryland Heights, MO 63043',
+        category: 'Food',
+        sourceOrg: 'Alpha Org',
+        eligibility: 'Residents of 63043 zip code.',
+        application: 'Walk-in during open hours.',
+        coordinates: [38.719, -90.4218]
+      });
+      expect(pantry.contact).toEqual({
+        phone: '(314) 555-1234',
+        email: 'contact@mhcc.org',
+        website: 'mhcc.org'
+      });
+    });
+
+    test('should convert weekly schedules into hours', () => {
+      expect(pantry.hours).toMatchObject({
+        Monday: '9am - 3pm',
+        Tuesday: '9am - 3pm',
+        Wednesday: 'Closed',
+        Thursday: '1pm - 6pm',
+        Sunday: 'Closed'
+      });
+      expect(clinic.hours.Tuesday).toBe('9am - 4:30pm');
+    });
+
+    test('should fall back to organization contact details', () => {
+      expect(clinic.contact.phone).toBe('(314) 555-5678 ext. 12');
+      expect(clinic.contact.website).toBe('stlls.org/clinic');
+      expect(clinic.eligibility).toBe('Not specified');
+      expect(clinic.coordinates).toEqual([38.7661, -90.4218]);
+    });
+  });
+
+  describe('importJSON with nested services', () => {
+    test('should flatten nested API records', () => {
+      const { services, report } = new HSDSImporter().importJSON(hsdsNestedServices);
+      const [market] = services;
+
+      expect(report.issues).toEqual([]);
+      expect(market).toMatchObject({
+        id: 'svc-10',
+        organization: 'Operation Food Search',
+        address: '12301 Olive Blvd, Creve Coeur, MO 63141',
+        category: 'Food',
+        sourceOrg: 'HSDS Import',
+        coordinates: [38.662, -90.4218]
+      });
+      expect(market.contact.phone).toBe('(314) 555-9999');
+      expect(market.hours.Saturday).toBe(
+        '10am - 1pm (Every 1st Saturday), 10am - 1pm (Every 3rd Saturday)'
+      );
+      expect(market.schedules).toEqual([
+        { freq: 'MONTHLY', byday: '1SA,3SA', opens_at: '10:00', closes_at: '13:00' }
+      ]);
+    });
+
+    test('should accept a paginated API response', () => {
+      const { services } = new HSDSImporter().importJSON({
+        total_items: 1,
+        page_number: 1,
+        contents: hsdsNestedServices
+      });
+      expect(services).toHaveLength(1);
+    });
+  });
+
+  describe('import report', () => {
+    test('should report rows whose foreign keys cannot be joined', () => {
+      const { services, report } = new HSDSImporter().importJSON({
+        ...hsdsTables,
+        phone: [...hsdsTables.phone, { id: 'ph-x', service_id: 'svc-missing', number: '555' }],
+        address: [...hsdsTables.address, { id: 'addr-x', city: 'Nowhere' }]
+      });
+
+      expect(services).toHaveLength(2);
+      expect(report.issues).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ table: 'phone', id: 'ph-x' }),
+          expect.objectContaining({ table: 'address', id: 'addr-x' })
+        ])
+      );
+    });
+
+    test('should keep services whose organization is missing', () => {
+      const { services, report } = new HSDSImporter().importJSON({
+        service: [{ id: 's', name: 'Orphan Service', organization_id: 'nope' }]
+      });
+
+      expect(services[0].organization).toBe('');
+      expect(services[0].address).toBe('');
+      expect(services[0].coordinates).toBeNull();
+      expect(report.issues[0].message).toContain('unknown organization nope');
+    });
+  });
+
+  describe('categories', () => {
+    const categoryConditions = [
+      {
+        name: 'category map by code',
+        options: { categoryMap: { 'BD-1800': 'Groceries' } },
+        expected: 'Groceries'
+      },
+      { name: 'case-insensitive known category', options: {}, expected: 'Food' },
+      { name: 'unmatched term name', options: { categories: ['Housing'] }, expected: 'food' }
+    ];
+
+    test.each(categoryConditions)('should resolve category: $name', ({ options, expected }) => {
+      const { services } = new HSDSImporter(options).importJSON(hsdsTables);
+      expect(services[0].category).toBe(expected);
+    });
+
+    test('should use the default category without taxonomy terms', () => {
+      const { services } = new HSDSImporter().importJSON({ service: [{ id: 'a', name: 'A' }] });
+      expect(services[0].category).toBe('Other');
+    });
+  });
+
+  describe('holiday closures', () => {
+    test('should leave services open on holidays unless the source closes for them', () => {
+      const open = new HSDSImporter().importJSON(hsdsTables).services[0];
+      const closed = new HSDSImporter({ closedOnHolidays: ['Thanksgiving Day'] }).importJSON(
+        hsdsTables
+      ).services[0];
+
+      expect(open).not.toHaveProperty('closedOnHolidays');
+      expect(closed.closedOnHolidays).toEqual(['Thanksgiving Day']);
+    });
+  });
+
+  describe('invalid input', () => {
+    const invalidConditions = [null, undefined, 'text', 42, {}, { organization: [] }];
+
+    test.each(invalidConditions)('should reject dataset: %p', dataset => {
+      expect(() => new HSDSImporter().importJSON(dataset)).toThrow();
+    });
+  });
+
+  describe('schedulesToHours', () => {
+    test('should return empty hours without weekly schedules', () => {
+      expect(schedulesToHours([])).toEqual({});
+      expect(schedulesToHours([{ description: 'Call ahead' }])).toEqual({});
+    });
+
+    test('should use the description when no times are given', () => {
+      const hours = schedulesToHours([{ byday: 'MO', description: 'By Appointment' }]);
+      expect(hours.Monday).toBe('By Appointment');
+      expect(hours.Tuesday).toBe('Closed');
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Unit tests for offline support: the outbox of contributions waiting for a connection and the
+ * age shown for saved data
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Outbox, formatDataAge } from '../../js/offline.js';
+import { DataService } from '../../js/data-service.js';
+import { StubServer } from '../utils/stub-server.js';
+
+const url = 'https://api.example.org/submissions';
+
+// A Web Storage stand-in that keeps items in a Map
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+describe('Outbox', () => {
+  let server;
+  let storage;
+  let online;
+  let outbox;
+
+  beforeEach(() => {
+    server = new StubServer({ [url]: { status: 201 } });
+    storage = createStorage();
+    online = false;
+    outbox = new Outbox({
+      url,
+      fetch: server.fetch,
+      storage,
+      isOnline: () => online,
+      now: () => new Date('2026-03-02T15:00:00Z')
+    });
+  });
+
+  test('should need a URL or a deliver function to send to', async () => {
+    expect(() => new Outbox()).toThrow('URL or a deliver function');
+    await expect(new Outbox({ deliver: () => {} }).post({ id: 'CS-AAAAAA' })).rejects.toThrow(
+      'no URL'
+    );
+  });
+
+  test('should hold items while offline', () => {
+    const onQueued = jest.fn();
+    outbox.on('queued', onQueued);
+
+    const item = outbox.add('CS-AAAAAA', { name: 'Pantry' });
+
+    expect(item).toEqual({
+      id: 'CS-AAAAAA',
+      payload: { name: 'Pantry' },
+      queuedAt: '2026-03-02T15:00:00.000Z',
+      attempts: 0
+    });
+    expect(onQueued).toHaveBeenCalledWith(item);
+    expect(outbox.size).toBe(1);
+    expect(server.requests).toEqual([]);
+  });
+
+  test('should send waiting items in order once back online', async () => {
+    outbox.add('CS-AAAAAA', { name: 'Pantry' });
+    outbox.add('CS-BBBBBB', { name: 'Clinic' });
+    const onSent = jest.fn();
+    outbox.on('sent', onSent);
+
+    online = true;
+    const sent = await outbox.flush();
+
+    expect(sent.map(item => item.id)).toEqual(['CS-AAAAAA', 'CS-BBBBBB']);
+    expect(server.requests.map(request => JSON.parse(request.body).name)).toEqual([
+      'Pantry',
+      'Clinic'
+    ]);
+    expect(server.requests[0].headers).toMatchObject({
+      'content-type': 'application/json',
+      'idempotency-key': 'CS-AAAAAA'
+    });
+    expect(onSent).toHaveBeenCalledTimes(2);
+    expect(outbox.size).toBe(0);
+  });
+
+  test('should send straight away when online', async () => {
+    online = true;
+
+    outbox.add('CS-AAAAAA', { name: 'Pantry' });
+    await outbox.flush();
+
+    expect(server.requests).toHaveLength(1);
+    expect(outbox.size).toBe(0);
+  });
+
+  test('should keep an item and those behind it when sending fails', async () => {
+    server.route(url, { networkError: true });
+    outbox.add('CS-AAAAAA', { name: 'Pantry' });
+    outbox.add('CS-BBBBBB', { name: 'Clinic' });
+    const onFailed = jest.fn();
+    outbox.on('failed', onFailed);
+
+    expect(await outbox.flush()).toEqual([]);
+
+    expect(server.requests).toHaveLength(1);
+    expect(outbox.list()[0]).toMatchObject({ attempts: 1, lastError: 'Failed to fetch' });
+    expect(onFailed).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'CS-AAAAAA' }),
+      expect.any(Error)
+    );
+  });
+
+  test('should retry server errors but drop items the server refuses', async () => {
+    const statuses = [400, 503];
+    server.route(url, () => ({ status: statuses.shift() || 201 }));
+    outbox.add('CS-AAAAAA', { name: '' });
+    outbox.add('CS-BBBBBB', { name: 'Clinic' });
+    const onRejected = jest.fn();
+    outbox.on('rejected', onRejected);
+
+    await outbox.flush();
+    expect(onRejected).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'CS-AAAAAA' }),
+      expect.objectContaining({ status: 400 })
+    );
+    expect(outbox.list().map(item => item.id)).toEqual(['CS-BBBBBB']);
+
+    expect((await outbox.flush()).map(item => item.id)).toEqual(['CS-BBBBBB']);
+  });
+
+  test('should share a flush that is already running', async () => {
+    outbox.add('CS-AAAAAA', { name: 'Pantry' });
+
+    await Promise.all([outbox.flush(), outbox.flush()]);
+
+    expect(server.requests).toHaveLength(1);
+  });
+
+  test('should replace a waiting item with the same id', () => {
+    outbox.add('CS-AAAAAA', { name: 'Pantry' });
+    outbox.add('CS-AAAAAA', { name: 'Northside Pantry' });
+
+    expect(outbox.list().map(item => item.payload.name)).toEqual(['Northside Pantry']);
+  });
+
+  test('should pick up the items waiting in storage', () => {
+    outbox.add('CS-AAAAAA', { name: 'Pantry' });
+
+    const reopened = new Outbox({ url, storage });
+
+    expect(reopened.list().map(item => item.id)).toEqual(['CS-AAAAAA']);
+  });
+
+  test('should ignore unreadable storage', () => {
+    const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    storage.setItem('navigator.outbox', '{not json');
+
+    expect(new Outbox({ url, storage }).size).toBe(0);
+    consoleWarn.mockRestore();
+  });
+});
+
+describe('Outbox delivering contributions to the review queue', () => {
+  const pantry = {
+    name: 'Northside Food Pantry',
+    organization: 'Northside Church',
+    address: '12 Elm St, Florissant, MO 63031',
+    category: 'Food'
+  };
+  let onLine;
+  let dataService;
+  let outbox;
+  let flushOnline;
+
+  // Wired up as the page does: the queue gets each contribution under the tracking id the
+  // contributor was shown, and the outbox is flushed when the connection returns
+  beforeEach(() => {
+    onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+    dataService = new DataService();
+    outbox = new Outbox({
+      storage: createStorage(),
+      deliver: ({ id, payload }) => {
+        dataService.submitService(payload, { trackingId: id });
+      }
+    });
+    flushOnline = () => outbox.flush();
+    window.addEventListener('online', flushOnline);
+  });
+
+  afterEach(() => {
+    window.removeEventListener('online', flushOnline);
+    onLine.mockRestore();
+  });
+
+  test('should queue a contribution made offline once back online', async () => {
+    const trackingId = dataService.submissions.newTrackingId();
+    outbox.add(trackingId, pantry);
+
+    expect(outbox.size).toBe(1);
+    expect(dataService.getSubmission(trackingId)).toBeNull();
+
+    onLine.mockReturnValue(true);
+    window.dispatchEvent(new Event('online'));
+    await outbox.flush();
+
+    expect(outbox.size).toBe(0);
+    expect(dataService.getSubmission(trackingId)).toMatchObject({
+      status: 'pending',
+      fields: { name: 'Northside Food Pantry' }
+    });
+  });
+
+  test('should not queue a contribution twice when it is delivered again', async () => {
+    onLine.mockReturnValue(true);
+    outbox.add('CS-AAAAAA', pantry);
+    await outbox.flush();
+    outbox.add('CS-AAAAAA', { ...pantry, name: 'Resent' });
+    await outbox.flush();
+
+    expect(dataService.submissions.list().map(submission => submission.fields.name)).toEqual([
+      'Northside Food Pantry'
+    ]);
+  });
+
+  test('should POST from the deliver function once the contribution is queued', async () => {
+    const server = new StubServer({ [url]: { status: 201 } });
+    const posting = new Outbox({
+      url,
+      fetch: server.fetch,
+      deliver: async ({ id, payload }) => {
+        const submission = dataService.submitService(payload, { trackingId: id });
+        await posting.post({ id, payload: submission });
+      }
+    });
+    onLine.mockReturnValue(true);
+
+    posting.add('CS-AAAAAA', pantry);
+    await posting.flush();
+
+    expect(JSON.parse(server.requests[0].body)).toMatchObject({
+      trackingId: 'CS-AAAAAA',
+      status: 'pending'
+    });
+  });
+});
+
+describe('formatDataAge', () => {
+  const now = new Date('2026-03-02T15:00:00Z');
+
+  test.each([
+    ['2026-03-02T14:59:30Z', 'just now'],
+    ['2026-03-02T14:59:00Z', '1 minute ago'],
+    ['2026-03-02T14:15:00Z', '45 minutes ago'],
+    ['2026-03-02T12:00:00Z', '3 hours ago'],
+    ['2026-03-01T15:00:00Z', '1 day ago'],
+    ['2026-02-20T09:00:00Z', '10 days ago']
+  ])('should describe data saved at %s as %s', (since, age) => {
+    expect(formatDataAge(since, now)).toBe(age);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Unit tests for opening-hours parsing and the open now / open today filters
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  OPEN_STATES,
+  describeOpenStatus,
+  isOpenAt,
+  isOpenOn,
+  nextOpening,
+  openStatus,
+  parseDayHours,
+  parseHours
+} from '../../js/opening-hours.js';
+import { DataService } from '../../js/data-service.js';
+import { SafeDOM } from '../../js/dom-utils.js';
+
+// October 2026: Monday the 19th; the 2nd Tuesday is the 13th and the 4th Saturday the 24th
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute);
+
+const pantry = {
+  id: 1,
+  name: 'Community Food Pantry',
+  hours: {
+    Monday: '9am - 3pm',
+    Tuesday: '9am - 3pm',
+    Wednesday: 'Closed',
+    Thursday: '1pm - 6pm',
+    Friday: '9am - 12pm',
+    Saturday: 'Closed',
+    Sunday: 'Closed'
+  }
+};
+
+const market = {
+  id: 2,
+  name: 'Mobile Market',
+  hours: {
+    Tuesday: '10am - 1pm (Every 2nd Tuesday)',
+    Saturday: '10am - 1pm (Every 4th Saturday)'
+  }
+};
+
+const shelter = {
+  id: 3,
+  name: 'Emergency Shelter',
+  hours: Object.fromEntries(
+    ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].map(day => [
+      day,
+      '24/7'
+    ])
+  )
+};
+
+const legal = {
+  id: 4,
+  name: 'Legal Aid Clinic',
+  hours: { Monday: 'By Appointment', Thursday: 'By Appointment' }
+};
+
+const lateNight = {
+  id: 5,
+  name: 'Warming Center',
+  hours: { Friday: '8pm - 2am', Saturday: 'Call ahead' }
+};
+
+describe('parseDayHours', () => {
+  test.each([
+    ['9am - 3pm', [{ opens: 540, closes: 900, week: null }]],
+    ['9:30 a.m. to 5 p.m.', [{ opens: 570, closes: 1020, week: null }]],
+    ['9-11am', [{ opens: 540, closes: 660, week: null }]],
+    ['9 - 3pm', [{ opens: 540, closes: 900, week: null }]],
+    ['noon - 4pm', [{ opens: 720, closes: 960, week: null }]],
+    ['8pm - 2am', [{ opens: 1200, closes: 1560, week: null }]],
+    [
+      '9am - 12pm, 1pm - 5pm',
+      [
+        { opens: 540, closes: 720, week: null },
+        { opens: 780, closes: 1020, week: null }
+      ]
+    ],
+    ['10am - 1pm (Every 2nd Tuesday)', [{ opens: 600, closes: 780, week: 2 }]],
+    ['10am - 1pm (Every last Monday)', [{ opens: 600, closes: 780, week: -1 }]],
+    ['24/7', [{ opens: 0, closes: 1440, week: null }]],
+    ['Closed', []],
+    ['', []]
+  ])('should read %s', (text, intervals) => {
+    const day = parseDayHours(text);
+    expect(day.intervals).toEqual(intervals);
+    expect(day.unparsed).toEqual([]);
+  });
+
+  test('should recognise appointment-only days', () => {
+    expect(parseDayHours('By Appointment')).toEqual({
+      intervals: [],
+      appointment: true,
+      unparsed: []
+    });
+  });
+
+  test.each(['Call for hours', '9 - 3', '13pm - 5pm', 'Mornings'])(
+    'should report %s as unreadable',
+    text => {
+      expect(parseDayHours(text).unparsed).toEqual([text]);
+    }
+  );
+});
+
+describe('parseHours', () => {
+  test('should index days by Date#getDay and accept abbreviations', () => {
+    const { days } = parseHours({ mon: '9am - 3pm', 'Sat.': '10am - 2pm' });
+    expect(days[1].intervals).toHaveLength(1);
+    expect(days[6].intervals).toHaveLength(1);
+    expect(days[0].intervals).toHaveLength(0);
+  });
+
+  test('should list unreadable text and unknown days', () => {
+    expect(parseHours({ Monday: 'Call first', Holidays: 'Closed' }).unparsed).toEqual([
+      { day: 'Monday', text: 'Call first' },
+      { day: 'Holidays', text: 'Unknown day "Holidays": Closed' }
+    ]);
+  });
+});
+
+describe('isOpenAt and isOpenOn', () => {
+  test.each([
+    [pantry, at(19, 10), true],
+    [pantry, at(19, 15), false],
+    [pantry, at(19, 8, 59), false],
+    [pantry, at(21, 10), false],
+    [market, at(13, 11), true],
+    [market, at(20, 11), false],
+    [market, at(24, 12, 30), true],
+    [shelter, at(25, 3), true],
+    [legal, at(19, 10), false],
+    [lateNight, at(23, 23), true],
+    [lateNight, at(24, 1, 30), true],
+    [lateNight, at(24, 2), false]
+  ])('should work out whether service %# is open', (service, date, expected) => {
+    expect(isOpenAt(service, date)).toBe(expected);
+  });
+
+  test('should count a service as open today before and after its hours', () => {
+    expect(isOpenOn(pantry, at(19, 20))).toBe(true);
+    expect(isOpenOn(pantry, at(21, 10))).toBe(false);
+    expect(isOpenOn(market, at(20, 9))).toBe(false);
+  });
+});
+
+describe('nextOpening', () => {
+  test('should find the next opening later today or on a later day', () => {
+    expect(nextOpening(pantry, at(19, 7))).toEqual(at(19, 9));
+    expect(nextOpening(pantry, at(20, 16))).toEqual(at(22, 13));
+    expect(nextOpening(pantry, at(23, 13))).toEqual(at(26, 9));
+  });
+
+  test('should return the current opening while open', () => {
+    expect(nextOpening(pantry, at(19, 10))).toEqual(at(19, 9));
+  });
+
+  test('should find monthly hours weeks ahead', () => {
+    expect(nextOpening(market, at(25, 9))).toEqual(new Date(2026, 10, 10, 10));
+  });
+
+  test('should return null for services that never open', () => {
+    expect(nextOpening(legal, at(19, 9))).toBeNull();
+  });
+});
+
+describe('openStatus', () => {
+  test.each([
+    [pantry, at(19, 10), 'Open until 3pm'],
+    [pantry, at(19, 16), 'Closed · Opens tomorrow 9am'],
+    [pantry, at(19, 7), 'Closed · Opens 9am'],
+    [pantry, at(23, 13), 'Closed · Opens Mon 9am'],
+    [market, at(25, 9), 'Closed · Opens 11/10 10am'],
+    [shelter, at(19, 3), 'Open 24 hours'],
+    [legal, at(19, 10), 'By appointment']
+  ])('should describe service %# as %s', (service, date, label) => {
+    expect(describeOpenStatus(openStatus(service, date), date)).toBe(label);
+  });
+
+  test('should be unknown without readable hours', () => {
+    expect(openStatus({ hours: {} }).state).toBe(OPEN_STATES.UNKNOWN);
+    expect(openStatus({ hours: { Monday: 'Call first' } }).state).toBe(OPEN_STATES.UNKNOWN);
+  });
+});
+
+describe('DataService opening hours', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = [pantry, market, shelter, legal, lateNight];
+  });
+
+  const ids = services => services.map(service => service.id);
+
+  test('should filter services open now or today', () => {
+    expect(ids(dataService.filterServices({ open: 'now', at: at(19, 10) }))).toEqual([1, 3]);
+    expect(ids(dataService.filterServices({ open: 'today', at: at(19, 20) }))).toEqual([1, 3]);
+  });
+
+  test('should accept open: in search queries', () => {
+    const { criteria, errors } = dataService.parseQuery('open:Now pantry');
+    expect(errors).toEqual([]);
+    expect(criteria.open).toBe('now');
+    expect(dataService.parseQuery('open:later').errors[0].message).toBe(
+      'Use open:now or open:today instead of open:later'
+    );
+  });
+
+  test('should list hours admins need to fix', () => {
+    expect(dataService.getUnparsedHours()).toEqual([
+      { service: lateNight, day: 'Saturday', text: 'Call ahead' }
+    ]);
+  });
+});
+
+describe('SafeDOM open badge', () => {
+  test('should add an open badge to result cards', () => {
+    const card = SafeDOM.createResultCard({ ...pantry, contact: {} }, {}, at(19, 10));
+    const footer = card.children[card.children.length - 1];
+    const badge = footer.children.find(child => child.dataset.openState);
+
+    expect(badge.dataset.openState).toBe('open');
+    expect(badge.textContent).toBe('Open until 3pm');
+  });
+
+  test('should leave the badge out when hours are unknown', () => {
+    expect(SafeDOM.createOpenBadge({ hours: { Monday: 'Call first' } })).toBeNull();
+  });
+});
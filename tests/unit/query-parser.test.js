@@ -0,0 +1,209 @@
+/**
+ * Unit tests for the advanced search query syntax
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { QueryParser, tokenizeQuery } from '../../js/query-parser.js';
+import { containsPhrase } from '../../js/search-index.js';
+import { DataService } from '../../js/data-service.js';
+
+const context = {
+  categories: ['Food', 'Housing', 'Legal Aid'],
+  sourceOrgs: ['Alpha Org', 'Gamma County Services']
+};
+
+const services = [
+  {
+    id: 1,
+    name: 'Community Food Bank',
+    organization: 'Maryland Heights Community Center',
+    category: 'Food',
+    description: 'Groceries and fresh produce for families.',
+    address: '2344 McKelvey Rd, Maryland Heights, MO 63043',
+    sourceOrg: 'Alpha Org'
+  },
+  {
+    id: 2,
+    name: 'Bank Street Food Pantry',
+    organization: 'Northside Churches',
+    category: 'Food',
+    description: 'Emergency food boxes and shelter referrals.',
+    address: '15 Bank St, St. Louis, MO 63101',
+    sourceOrg: 'Gamma County Services'
+  },
+  {
+    id: 3,
+    name: 'Emergency Shelter',
+    organization: 'County Crisis Intervention',
+    category: 'Housing',
+    description: 'Temporary shelter and meals.',
+    address: '7150 Natural Bridge Rd, St. Louis, MO 63121',
+    sourceOrg: 'Gamma County Services',
+    alsoListedBy: [{ sourceOrg: 'Alpha Org', sourceId: 'alpha', id: 'a-3' }]
+  },
+  {
+    id: 4,
+    name: 'Tenant Legal Clinic',
+    organization: 'St. Louis Legal Services',
+    category: 'Legal Aid',
+    description: 'Help for tenants facing eviction.',
+    address: '11977 St Charles Rock Rd, Bridgeton, MO 63044',
+    sourceOrg: 'Alpha Org'
+  }
+];
+
+describe('tokenizeQuery', () => {
+  test('should split words, phrases, fields and negations with their positions', () => {
+    expect(tokenizeQuery('food -shelter cat:"Legal Aid"').tokens).toEqual([
+      { field: null, value: 'food', negated: false, quoted: false, start: 0, end: 4 },
+      { field: null, value: 'shelter', negated: true, quoted: false, start: 5, end: 13 },
+      { field: 'cat', value: 'Legal Aid', negated: false, quoted: true, start: 14, end: 29 }
+    ]);
+  });
+
+  test('should report a missing closing quote', () => {
+    const { tokens, errors } = tokenizeQuery('pantry "food bank');
+    expect(tokens).toHaveLength(1);
+    expect(errors).toEqual([
+      { message: 'Missing closing quote after "food bank', start: 7, end: 17 }
+    ]);
+  });
+
+  test.each([
+    ['category:', 'category: needs a value'],
+    ['food -', '"-" must be followed'],
+    ['""', 'Empty quotes match nothing']
+  ])('should report the empty value in %s', (query, message) => {
+    expect(tokenizeQuery(query).errors[0].message).toContain(message);
+  });
+});
+
+describe('QueryParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new QueryParser();
+  });
+
+  test('should compile a query into filter criteria', () => {
+    const query =
+      'category:food -source:"gamma county services" "food bank" -shelter org:community';
+    const { criteria, errors } = parser.parse(query, context);
+
+    expect(errors).toEqual([]);
+    expect(criteria).toMatchObject({
+      keyword: 'food bank',
+      categories: ['Food'],
+      excludeSourceOrgs: ['Gamma County Services'],
+      phrases: ['food bank'],
+      exclude: ['shelter'],
+      fieldTerms: [{ field: 'organization', text: 'community', negated: false }]
+    });
+  });
+
+  test('should suggest the closest category for a typo', () => {
+    const { errors } = parser.parse('pantry category:Fod', context);
+    expect(errors).toEqual([
+      { message: 'Unknown category "Fod". Did you mean "Food"?', start: 7, end: 19 }
+    ]);
+  });
+
+  test('should list the choices when nothing is close', () => {
+    const { errors } = parser.parse('source:xyz', context);
+    expect(errors[0].message).toBe(
+      'Unknown source "xyz". Choose one of: Alpha Org, Gamma County Services.'
+    );
+  });
+
+  test('should report mistyped fields with the fields available', () => {
+    const { errors } = parser.parse('categry:Food', context);
+    expect(errors[0].message).toMatch(/^Unknown search field "categry"\. Try category:, source:/);
+  });
+
+  test.each([
+    ['a URL', 'https://food.example.org/pantry', 'https://food.example.org/pantry'],
+    ['a time', 'pantry 10:30', 'pantry 10:30'],
+    ['a time after a word', 'open at:10:30', 'open at:10:30'],
+    ['a colon in a name', 'Agency: Food Bank', 'Agency: Food Bank'],
+    ['a word that is not a field', 'color:blue', 'color:blue']
+  ])('should search for %s as written', (_, query, keyword) => {
+    const { criteria, errors } = parser.parse(query, context);
+
+    expect(errors).toEqual([]);
+    expect(criteria.keyword).toBe(keyword);
+  });
+
+  test('should exclude a word with a colon as written', () => {
+    expect(parser.parse('pantry -Re:closed', context).criteria.exclude).toEqual(['Re:closed']);
+  });
+
+  test('should accept fields registered later', () => {
+    parser.registerField('zip', {
+      description: 'Five-digit ZIP code',
+      apply: (criteria, value) => {
+        if (!/^\d{5}$/.test(value)) {
+          throw new Error(`"${value}" is not a ZIP code`);
+        }
+        criteria.zip = value;
+      }
+    });
+
+    expect(parser.parse('zip:63101').criteria.zip).toBe('63101');
+    expect(parser.parse('zip:abc').errors[0].message).toBe('"abc" is not a ZIP code');
+    expect(parser.getFields().map(field => field.name)).toContain('zip');
+  });
+});
+
+describe('containsPhrase', () => {
+  test('should require the words together and in order', () => {
+    expect(containsPhrase(services[0], 'food bank')).toBe(true);
+    expect(containsPhrase(services[1], 'food bank')).toBe(false);
+  });
+
+  test('should compare stemmed words', () => {
+    expect(containsPhrase(services[0], 'food banks')).toBe(true);
+  });
+
+  test('should only look in the given fields', () => {
+    expect(containsPhrase(services[1], 'bank', ['name'])).toBe(true);
+    expect(containsPhrase(services[1], 'churches', ['name'])).toBe(false);
+  });
+});
+
+describe('DataService query search', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = [...services];
+    dataService.rebuildIndices();
+  });
+
+  const ids = query => dataService.queryServices(query).services.map(service => service.id);
+
+  test.each([
+    { query: 'category:food', expected: [1, 2] },
+    { query: '-cat:food', expected: [3, 4] },
+    { query: 'source:"alpha org"', expected: [1, 3, 4] },
+    { query: '-source:"alpha org"', expected: [2] },
+    { query: 'food -shelter', expected: [1] },
+    { query: '"food bank"', expected: [1] },
+    { query: 'bank -"food bank"', expected: [2] },
+    { query: 'name:bank', expected: [1, 2] },
+    { query: 'addr:bank', expected: [2] },
+    { query: '-desc:shelter category:food', expected: [1] },
+    { query: 'cat:"legal aid" eviction', expected: [4] }
+  ])('should find $expected for $query', ({ query, expected }) => {
+    expect(ids(query).sort()).toEqual(expected);
+  });
+
+  test('should return no services and the errors for an invalid query', () => {
+    const { services: found, errors } = dataService.queryServices('category:Fod');
+    expect(found).toEqual([]);
+    expect(errors[0].message).toContain('Did you mean "Food"?');
+  });
+
+  test('should behave like a keyword search without any syntax', () => {
+    expect(dataService.queryServices('food').services).toEqual(dataService.searchServices('food'));
+  });
+});
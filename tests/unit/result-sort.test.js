@@ -0,0 +1,137 @@
+/**
+ * Unit tests for result sorting modes and their tie-break order
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { SORT_MODES, compareServices, sortServices } from '../../js/result-sort.js';
+import { DataService } from '../../js/data-service.js';
+import { ServiceMap } from '../../js/components/service-map.js';
+
+// Monday 19 October 2026, 8am
+const at = new Date(2026, 9, 19, 8);
+
+const pantry = {
+  id: 1,
+  name: 'Community Food Pantry',
+  category: 'Food',
+  lastModified: '2026-09-14T15:30:00Z',
+  hours: { Monday: '9am - 3pm' },
+  coordinates: [38.719, -90.4218]
+};
+
+const clinic = {
+  id: 2,
+  name: 'Legal Aid Clinic',
+  category: 'Legal Aid',
+  lastModified: '2026-10-02T18:05:00Z',
+  hours: { Tuesday: '9am - 5pm' },
+  coordinates: [38.7301, -90.2259]
+};
+
+const shelter = {
+  id: 3,
+  name: 'Emergency Shelter',
+  category: 'Housing',
+  hours: { Monday: '24/7' }
+};
+
+const market = {
+  id: 4,
+  name: 'community food pantry',
+  category: 'Food',
+  lastModified: '2026-10-02T18:05:00Z',
+  hours: { Monday: '7:30am - 8:30am' },
+  coordinates: [38.662, -90.4218]
+};
+
+const services = [pantry, clinic, shelter, market];
+const ids = list => list.map(service => service.id);
+
+describe('sortServices', () => {
+  test('should keep the incoming order for relevance', () => {
+    expect(ids(sortServices(services))).toEqual([1, 2, 3, 4]);
+    expect(sortServices(services)).not.toBe(services);
+  });
+
+  test('should sort by name, breaking ties by ID', () => {
+    expect(ids(sortServices([market, clinic, pantry, shelter], SORT_MODES.NAME))).toEqual([
+      1, 4, 3, 2
+    ]);
+  });
+
+  test('should sort the most recently updated first, undated services last', () => {
+    expect(ids(sortServices(services, SORT_MODES.UPDATED))).toEqual([4, 2, 1, 3]);
+  });
+
+  test('should sort by the next opening, with services open now first', () => {
+    expect(ids(sortServices(services, SORT_MODES.OPENS, { at }))).toEqual([4, 3, 1, 2]);
+  });
+
+  test('should sort by distance with services without one last', () => {
+    const distance = service => (service.coordinates ? Math.abs(service.coordinates[1]) : null);
+    expect(ids(sortServices(services, SORT_MODES.DISTANCE, { distance }))).toEqual([2, 1, 4, 3]);
+  });
+
+  test('should fall back to name order for distance without a location', () => {
+    expect(ids(sortServices(services, SORT_MODES.DISTANCE))).toEqual([1, 4, 3, 2]);
+  });
+
+  test('should give the same order whatever the input order', () => {
+    const reversed = [...services].reverse();
+    Object.values(SORT_MODES)
+      .filter(mode => mode !== SORT_MODES.RELEVANCE)
+      .forEach(mode => {
+        expect(ids(sortServices(reversed, mode, { at }))).toEqual(
+          ids(sortServices(services, mode, { at }))
+        );
+      });
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => sortServices(services, 'rating')).toThrow('Unknown sort mode: rating');
+  });
+
+  test('should compare IDs numerically when names match', () => {
+    expect(compareServices({ name: 'A', id: 10 }, { name: 'a', id: 9 })).toBeGreaterThan(0);
+  });
+});
+
+describe('DataService sorting', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = services.map(service => ({ ...service }));
+  });
+
+  test('should sort filtered services', () => {
+    expect(ids(dataService.filterServices({ sort: 'name', categories: ['Food'] }))).toEqual([1, 4]);
+    expect(ids(dataService.filterServices({ sort: 'opens', at }))).toEqual([4, 3, 1, 2]);
+  });
+
+  test('should sort by real distance from the searched location', () => {
+    const near = dataService.geocode('Normandy');
+    expect(ids(dataService.filterServices({ near, sort: 'distance' }))).toEqual([2, 1, 4, 3]);
+    expect(ids(dataService.filterServices({ near, sort: 'name' }))).toEqual([1, 4, 3, 2]);
+  });
+
+  test('should keep relevance order for keyword searches', () => {
+    const ranked = ids(dataService.filterServices({ keyword: 'legal' }));
+    expect(ids(dataService.filterServices({ keyword: 'legal', sort: 'relevance' }))).toEqual(
+      ranked
+    );
+  });
+});
+
+describe('ServiceMap marker order', () => {
+  test('should keep markers in result order and draw the first result on top', async () => {
+    const serviceMap = new ServiceMap('map');
+    await serviceMap.init();
+    const sorted = sortServices(services, SORT_MODES.NAME);
+    serviceMap.updateServices(sorted);
+
+    expect(serviceMap.markers.map(marker => marker.serviceId)).toEqual([1, 4, 2]);
+    const drawn = serviceMap.markers.map(marker => marker.addTo.mock.invocationCallOrder[0]);
+    expect(drawn).toEqual([...drawn].sort((a, b) => b - a));
+  });
+});
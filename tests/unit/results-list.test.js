@@ -0,0 +1,217 @@
+/**
+ * Unit tests for the virtualized, paginated ResultsList component and data-side paging
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { LIST_MODES, ResultsList, createResultsList } from '../../js/components/results-list.js';
+import { DataService } from '../../js/data-service.js';
+import { EventEmitter } from '../../js/events.js';
+
+const services = Array.from({ length: 1000 }, (_, index) => ({
+  id: index + 1,
+  name: `Service ${index + 1}`
+}));
+
+// Cards are 100px tall with the default 12px gap, so each takes 112px
+const renderItem = jest.fn(service => {
+  const card = document.createElement('div');
+  card.dataset.serviceId = service.id;
+  Object.defineProperty(card, 'offsetHeight', { value: 100 });
+  return card;
+});
+
+describe('ResultsList', () => {
+  let container;
+  let list;
+
+  beforeEach(() => {
+    // The global setup swaps in mock elements; the list needs real ones to scroll
+    delete document.createElement;
+    container = document.createElement('div');
+    Object.defineProperty(container, 'clientHeight', { value: 560 });
+    document.body.appendChild(container);
+    list = createResultsList(container, { renderItem, overscan: 2, estimatedItemHeight: 100 });
+  });
+
+  afterEach(() => {
+    list.destroy();
+    container.remove();
+  });
+
+  const renderedIds = () =>
+    Array.from(list.itemsElement.children, card => Number(card.dataset.serviceId));
+
+  const scrollTo = top => {
+    container.scrollTop = top;
+    container.dispatchEvent(new Event('scroll'));
+  };
+
+  test('should render only the cards in view plus the overscan', () => {
+    list.setItems(services);
+
+    expect(renderedIds()).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(renderItem).toHaveBeenCalledTimes(8);
+    expect(list.bottomSpacer.style.height).toBe(`${(1000 - 8) * 112}px`);
+  });
+
+  test('should fill the view once cards turn out smaller than estimated', () => {
+    const other = document.createElement('div');
+    Object.defineProperty(other, 'clientHeight', { value: 560 });
+    const estimated = createResultsList(other, { renderItem, overscan: 2 });
+    estimated.setItems(services);
+
+    expect(estimated.itemsElement.children).toHaveLength(8);
+    expect(estimated.bottomSpacer.style.height).toBe(`${(1000 - 8) * 192}px`);
+  });
+
+  test('should render the cards for the scroll position', () => {
+    list.setItems(services);
+    scrollTo(112 * 500);
+
+    expect(renderedIds()).toEqual([499, 500, 501, 502, 503, 504, 505, 506, 507, 508]);
+    expect(list.topSpacer.style.height).toBe(`${498 * 112}px`);
+    expect(list.itemsElement.children[0].getAttribute('aria-posinset')).toBe('499');
+  });
+
+  test('should reuse cards that stay in view', () => {
+    list.setItems(services);
+    renderItem.mockClear();
+    scrollTo(112);
+
+    expect(renderItem).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep the card at the top of the view when the items change', () => {
+    list.setItems(services);
+    scrollTo(112 * 300 + 40);
+
+    list.setItems(services.slice(200));
+    expect(list.getScrollState()).toEqual({ key: 301, offset: 40 });
+    expect(container.scrollTop).toBe(112 * 100 + 40);
+  });
+
+  test('should return to the top when asked', () => {
+    list.setItems(services);
+    scrollTo(112 * 300);
+
+    list.setItems(services, { scroll: 'top' });
+    expect(container.scrollTop).toBe(0);
+  });
+
+  test('should scroll an item into view', () => {
+    list.setItems(services);
+
+    expect(list.scrollToItem(750)).toBe(true);
+    expect(list.getElement(750).dataset.serviceId).toBe('750');
+    expect(list.scrollToItem(5000)).toBe(false);
+  });
+
+  test('should show a page at a time with load more', () => {
+    const loaded = jest.fn();
+    list.on('load-more', loaded);
+    list.setMode(LIST_MODES.PAGES, { pageSize: 20 });
+    list.setItems(services.slice(0, 45));
+
+    expect(renderedIds()).toHaveLength(20);
+    expect(list.loadMoreButton.textContent).toBe('Load 20 more (showing 20 of 45)');
+
+    list.loadMoreButton.click();
+    list.loadMore();
+    expect(renderedIds()).toHaveLength(45);
+    expect(list.loadMoreButton.classList.contains('hidden')).toBe(true);
+    expect(list.loadMore()).toBe(false);
+    expect(loaded).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep loaded pages when the items are refreshed', () => {
+    list.setMode(LIST_MODES.PAGES, { pageSize: 20 });
+    list.setItems(services);
+    list.loadMore();
+
+    list.setItems(services.slice(0, 100));
+    expect(renderedIds()).toHaveLength(40);
+  });
+
+  test('should place and remove single items without moving the view', () => {
+    list.setItems(services);
+    scrollTo(112 * 300 + 40);
+
+    list.placeItem({ id: 5000, name: 'New service' }, 0);
+    list.placeItem({ id: 310, name: 'Renamed' }, 2);
+    expect(list.items.slice(0, 3).map(item => item.id)).toEqual([5000, 1, 310]);
+    expect(list.getScrollState()).toEqual({ key: 301, offset: 40 });
+
+    expect(list.removeItem(5000)).toBe(true);
+    expect(list.removeItem(5000)).toBe(false);
+    expect(list.items).toHaveLength(1000);
+    expect(list.getScrollState()).toEqual({ key: 301, offset: 40 });
+  });
+
+  test('should follow services added, changed and removed in result order', () => {
+    const [a, x, y] = services;
+    const dataService = new EventEmitter();
+    const changed = jest.fn();
+    let results = [a];
+    const rank = service => results.findIndex(result => result.id === service.id);
+    list.setItems(results);
+    list.on('items-changed', changed);
+    const stop = list.followServices(dataService, rank);
+    const listedIds = () => list.items.map(item => item.id);
+
+    // A batch is announced in any order once every service in it has changed
+    results = [x, y, a];
+    dataService.emit('service-added', y);
+    dataService.emit('service-added', x);
+    expect(listedIds()).toEqual([2, 3, 1]);
+
+    results = [{ ...a, name: 'Renamed' }, x, y];
+    dataService.emit('service-updated', results[0], a);
+    expect(listedIds()).toEqual([1, 2, 3]);
+    expect(list.items[0].name).toBe('Renamed');
+
+    results = [results[0], x];
+    dataService.emit('service-updated', y, y);
+    dataService.emit('service-removed', x);
+    expect(listedIds()).toEqual([1]);
+    expect(changed).toHaveBeenLastCalledWith(1);
+
+    stop();
+    dataService.emit('service-removed', a);
+    expect(listedIds()).toEqual([1]);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => list.setMode('infinite')).toThrow('Unknown list mode: infinite');
+    expect(() => new ResultsList(container, { mode: 'grid' })).toThrow('Unknown list mode: grid');
+  });
+});
+
+describe('DataService paging', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = services.map(service => ({ ...service, category: 'Food' }));
+  });
+
+  test('should return a page of filtered services with the total', () => {
+    const page = dataService.filterServicesPage(
+      { categories: ['Food'] },
+      { offset: 990, limit: 20 }
+    );
+
+    expect(page.services.map(service => service.id)).toEqual([
+      991, 992, 993, 994, 995, 996, 997, 998, 999, 1000
+    ]);
+    expect(page).toMatchObject({ total: 1000, offset: 990, limit: 20, hasMore: false });
+    expect(dataService.filterServicesPage().hasMore).toBe(true);
+  });
+
+  test.each([
+    [{ offset: -1 }, 'Invalid offset: -1'],
+    [{ limit: 0 }, 'Invalid limit: 0'],
+    [{ limit: 2.5 }, 'Invalid limit: 2.5']
+  ])('should reject paging %#', (paging, message) => {
+    expect(() => dataService.filterServicesPage({}, paging)).toThrow(message);
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Unit tests for the hash router behind section and service detail URLs
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Router, createRouter } from '../../js/router.js';
+
+// Setting location.hash fires hashchange on a later task, when the router enters the route
+const entered = (router, path) =>
+  new Promise(resolve => {
+    router.on('route-changed', match => {
+      if (match.path === path) {
+        resolve(match);
+      }
+    });
+  });
+
+describe('Router', () => {
+  let router;
+  let hooks;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/?q=food');
+    hooks = {
+      browseEnter: jest.fn(),
+      browseLeave: jest.fn(),
+      serviceEnter: jest.fn(),
+      serviceLeave: jest.fn()
+    };
+    router = createRouter()
+      .add('/browse', { enter: hooks.browseEnter, leave: hooks.browseLeave })
+      .add('/admin')
+      .add('/service/:id', { enter: hooks.serviceEnter, leave: hooks.serviceLeave });
+  });
+
+  afterEach(() => {
+    router.destroy();
+  });
+
+  test('should match paths and their params', () => {
+    expect(router).toBeInstanceOf(Router);
+    expect(router.match('/service/42').params).toEqual({ id: '42' });
+    expect(router.match('/service/a%20b/').params).toEqual({ id: 'a b' });
+    expect(router.match('/admin').route.pattern).toBe('/admin');
+    expect(router.match('/service')).toBeNull();
+    expect(router.match('/service/1/edit')).toBeNull();
+  });
+
+  test('should enter the default route when the URL has no hash', () => {
+    router.start();
+
+    expect(router.current.path).toBe('/browse');
+    expect(hooks.browseEnter).toHaveBeenCalledWith({}, null);
+  });
+
+  test('should enter the route in the URL hash', () => {
+    window.history.replaceState(null, '', '/#/service/7');
+    router.start();
+
+    expect(hooks.serviceEnter).toHaveBeenCalledWith({ id: '7' }, null);
+    expect(hooks.browseEnter).not.toHaveBeenCalled();
+  });
+
+  test('should leave one route before entering the next', async () => {
+    const order = [];
+    hooks.browseLeave.mockImplementation(() => order.push('leave browse'));
+    hooks.serviceEnter.mockImplementation(() => order.push('enter service'));
+    router.start();
+
+    const changed = entered(router, '/service/3');
+    router.navigate('/service/3');
+    await changed;
+
+    expect(order).toEqual(['leave browse', 'enter service']);
+    expect(hooks.browseLeave.mock.calls[0][1].path).toBe('/service/3');
+    expect(hooks.serviceEnter.mock.calls[0][1].path).toBe('/browse');
+  });
+
+  test('should add a history entry and keep the query string', async () => {
+    router.start();
+    const length = window.history.length;
+
+    const changed = entered(router, '/admin');
+    router.navigate('/admin');
+    await changed;
+
+    expect(window.location.search).toBe('?q=food');
+    expect(window.location.hash).toBe('#/admin');
+    expect(window.history.length).toBe(length + 1);
+  });
+
+  test('should replace the history entry when asked', () => {
+    router.start();
+    const length = window.history.length;
+
+    router.navigate('/service/5', { replace: true });
+
+    expect(window.location.hash).toBe('#/service/5');
+    expect(window.history.length).toBe(length);
+    expect(hooks.serviceEnter).toHaveBeenCalledWith({ id: '5' }, expect.anything());
+  });
+
+  test('should re-enter a route when its params change', () => {
+    router.start();
+    router.navigate('/service/1', { replace: true });
+    router.navigate('/service/2', { replace: true });
+
+    expect(hooks.serviceLeave).toHaveBeenCalledWith({ id: '1' }, expect.anything());
+    expect(hooks.serviceEnter).toHaveBeenLastCalledWith({ id: '2' }, expect.anything());
+  });
+
+  test('should not re-enter the current route', () => {
+    router.start();
+    router.navigate('/browse');
+    router.resolve();
+
+    expect(hooks.browseEnter).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send unknown paths to the default route', () => {
+    const onNotFound = jest.fn();
+    router.on('not-found', onNotFound);
+    window.history.replaceState(null, '', '/#/nowhere');
+
+    router.start();
+
+    expect(onNotFound).toHaveBeenCalledWith('/nowhere');
+    expect(window.location.hash).toBe('#/browse');
+    expect(hooks.browseEnter).toHaveBeenCalled();
+  });
+
+  test('should send paths with malformed escapes to the default route', () => {
+    const onNotFound = jest.fn();
+    router.on('not-found', onNotFound);
+    window.history.replaceState(null, '', '/#/service/%E0%A4');
+
+    router.start();
+
+    expect(router.match('/service/%E0%A4')).toBeNull();
+    expect(onNotFound).toHaveBeenCalledWith('/service/%E0%A4');
+    expect(window.location.hash).toBe('#/browse');
+    expect(hooks.serviceEnter).not.toHaveBeenCalled();
+  });
+
+  test('should keep going when a hook throws', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onChange = jest.fn();
+    hooks.browseEnter.mockImplementation(() => {
+      throw new Error('broken');
+    });
+    router.on('route-changed', onChange);
+
+    router.start();
+
+    expect(onChange).toHaveBeenCalled();
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  test('should follow back and forward', async () => {
+    router.start();
+    let changed = entered(router, '/admin');
+    router.navigate('/admin');
+    await changed;
+
+    changed = entered(router, '/browse');
+    window.history.back();
+    await changed;
+
+    expect(router.current.path).toBe('/browse');
+    expect(hooks.browseEnter).toHaveBeenCalledTimes(2);
+  });
+});
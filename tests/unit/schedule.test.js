@@ -0,0 +1,321 @@
+/**
+ * Unit tests for recurring HSDS schedules, holidays and upcoming sessions
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  closureOn,
+  expandRule,
+  holidayOn,
+  parseRRule,
+  scheduleIssues,
+  toRule,
+  upcomingSessions
+} from '../../js/schedule.js';
+import { describeOpenStatus, isOpenAt, isOpenOn, openStatus } from '../../js/opening-hours.js';
+import { DataService } from '../../js/data-service.js';
+import { SafeDOM } from '../../js/dom-utils.js';
+
+const day = (year, month, date, hour = 0, minute = 0) =>
+  new Date(year, month - 1, date, hour, minute);
+
+const rule = text => toRule(parseRRule(text));
+
+const dates = (rrule, from, to) =>
+  expandRule(rule(rrule), from, to).map(date => `${date.getMonth() + 1}/${date.getDate()}`);
+
+const market = {
+  id: 'market',
+  name: 'Mobile Food Market',
+  schedules: [
+    {
+      freq: 'MONTHLY',
+      byday: '1SA,3SA',
+      opens_at: '10:00',
+      closes_at: '13:00',
+      description: 'Parking lot of St. Ann Church'
+    }
+  ]
+};
+
+const pantry = {
+  id: 'pantry',
+  name: 'Community Food Pantry',
+  hours: { Thursday: '1pm - 6pm', Friday: '9am - 12pm' },
+  closedOnHolidays: true
+};
+
+describe('parseRRule', () => {
+  test('should read RRULE text into HSDS schedule fields', () => {
+    expect(parseRRule('RRULE:FREQ=MONTHLY;BYDAY=1SA,3SA;UNTIL=20271231')).toEqual({
+      freq: 'MONTHLY',
+      byday: '1SA,3SA',
+      until: '20271231'
+    });
+  });
+
+  test.each([
+    ['FREQ', () => parseRRule('FREQ;BYDAY=MO')],
+    ['HOURLY', () => rule('FREQ=HOURLY')],
+    ['XX', () => rule('FREQ=WEEKLY;BYDAY=XX')]
+  ])('should reject %s', (value, parse) => {
+    expect(parse).toThrow(value);
+  });
+});
+
+describe('expandRule', () => {
+  test.each([
+    ['FREQ=MONTHLY;BYDAY=1SA,3SA', ['11/7', '11/21', '12/5', '12/19']],
+    ['FREQ=MONTHLY;BYDAY=-1MO', ['11/30', '12/28']],
+    ['FREQ=MONTHLY;BYMONTHDAY=-1', ['11/30', '12/31']],
+    ['FREQ=MONTHLY;BYMONTHDAY=1,15', ['11/1', '11/15', '12/1', '12/15']],
+    [
+      'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;DTSTART=2026-10-19',
+      ['11/2', '11/16', '11/30', '12/14', '12/28']
+    ],
+    ['FREQ=WEEKLY;BYDAY=TU;COUNT=6;DTSTART=2026-10-06', ['11/3', '11/10']],
+    ['FREQ=DAILY;DTSTART=2026-12-29;UNTIL=2026-12-31', ['12/29', '12/30', '12/31']],
+    ['FREQ=YEARLY;BYMONTH=11;BYDAY=4TH', ['11/26']]
+  ])('should expand %s in November and December 2026', (rrule, expected) => {
+    expect(dates(rrule, day(2026, 11, 1), day(2026, 12, 31))).toEqual(expected);
+  });
+
+  test('should repeat on the start date without BYDAY or BYMONTHDAY', () => {
+    expect(dates('FREQ=MONTHLY;DTSTART=2026-01-10', day(2026, 11, 1), day(2026, 12, 31))).toEqual([
+      '11/10',
+      '12/10'
+    ]);
+  });
+});
+
+describe('holidays and closures', () => {
+  test.each([
+    [day(2026, 11, 26), 'Thanksgiving Day'],
+    [day(2026, 5, 25), 'Memorial Day'],
+    [day(2027, 1, 18), 'Martin Luther King Jr. Day'],
+    [day(2026, 7, 3), 'Independence Day (observed)'],
+    [day(2027, 12, 31), 'New Year’s Day (observed)'],
+    [day(2026, 10, 20), null]
+  ])('should find the holiday on %s', (date, expected) => {
+    expect(holidayOn(date)).toBe(expected);
+  });
+
+  test('should close services on listed closures and holidays', () => {
+    const service = {
+      closedOnHolidays: true,
+      closures: [{ from: '2026-12-24', to: '2026-12-31', reason: 'Winter break' }]
+    };
+
+    expect(closureOn(service, day(2026, 12, 28))).toEqual({
+      reason: 'Winter break',
+      holiday: false
+    });
+    expect(closureOn(service, day(2026, 11, 26))).toEqual({
+      reason: 'Thanksgiving Day',
+      holiday: true
+    });
+    expect(closureOn(service, day(2027, 1, 4))).toBeNull();
+  });
+
+  test('should keep services that stay open on holidays open', () => {
+    expect(closureOn({ closedOnHolidays: false }, day(2026, 11, 26))).toBeNull();
+  });
+
+  test('should keep services open on holidays unless they say they close', () => {
+    expect(closureOn({ name: 'Crisis Hotline' }, day(2026, 11, 26))).toBeNull();
+    expect(isOpenAt({ hours: pantry.hours }, day(2026, 11, 26, 14))).toBe(true);
+  });
+
+  test('should only close for the holidays a service lists', () => {
+    const service = { closedOnHolidays: ['Thanksgiving Day', 'Independence Day'] };
+
+    expect(closureOn(service, day(2026, 11, 26))).toEqual({
+      reason: 'Thanksgiving Day',
+      holiday: true
+    });
+    expect(closureOn(service, day(2026, 7, 3))).toEqual({
+      reason: 'Independence Day (observed)',
+      holiday: true
+    });
+    expect(closureOn(service, day(2026, 10, 12))).toBeNull();
+  });
+
+  test('should treat a closure as closed for the opening-hours checks', () => {
+    const thanksgiving = day(2026, 11, 26, 14);
+
+    expect(isOpenAt(pantry, thanksgiving)).toBe(false);
+    expect(describeOpenStatus(openStatus(pantry, thanksgiving), thanksgiving)).toBe(
+      'Closed for Thanksgiving Day · Opens tomorrow 9am'
+    );
+  });
+});
+
+describe('upcomingSessions', () => {
+  test('should list dated sessions from HSDS schedules', () => {
+    const sessions = upcomingSessions(market, { from: day(2026, 11, 1), limit: 3 });
+
+    expect(sessions.map(session => session.start)).toEqual([
+      day(2026, 11, 7, 10),
+      day(2026, 11, 21, 10),
+      day(2026, 12, 5, 10)
+    ]);
+    expect(sessions[0]).toMatchObject({
+      end: day(2026, 11, 7, 13),
+      description: 'Parking lot of St. Ann Church',
+      closure: null
+    });
+  });
+
+  test('should derive sessions from weekly hours and mark holiday closures', () => {
+    const sessions = upcomingSessions(pantry, { from: day(2026, 11, 19, 9), limit: 3 });
+
+    expect(sessions.map(session => [session.start, session.closure])).toEqual([
+      [day(2026, 11, 19, 13), null],
+      [day(2026, 11, 20, 9), null],
+      [day(2026, 11, 26, 13), { reason: 'Thanksgiving Day', holiday: true }]
+    ]);
+  });
+
+  test('should leave out sessions that have already ended', () => {
+    const [next] = upcomingSessions(pantry, { from: day(2026, 11, 19, 19) });
+    expect(next.start).toEqual(day(2026, 11, 20, 9));
+  });
+
+  test('should only run schedules within their valid dates', () => {
+    const summer = {
+      schedules: [
+        {
+          freq: 'WEEKLY',
+          byday: 'WE',
+          opens_at: '09:00',
+          closes_at: '11:00',
+          valid_from: '2026-06-01',
+          valid_to: '2026-06-30'
+        }
+      ]
+    };
+
+    const june = upcomingSessions(summer, { from: day(2026, 5, 20) });
+    expect(june.map(session => session.start.getDate())).toEqual([3, 10, 17, 24]);
+    expect(upcomingSessions(summer, { from: day(2026, 10, 1) })).toEqual([]);
+  });
+
+  test('should report schedules that cannot be expanded', () => {
+    const service = {
+      schedules: [
+        { freq: 'HOURLY', opens_at: '09:00', closes_at: '10:00' },
+        { freq: 'WEEKLY', byday: 'MO', opens_at: '09:00' },
+        market.schedules[0]
+      ]
+    };
+
+    expect(scheduleIssues(service).map(issue => issue.message)).toEqual([
+      'Unsupported schedule frequency "HOURLY"',
+      'Schedule needs both opens_at and closes_at'
+    ]);
+  });
+});
+
+describe('open status from schedules', () => {
+  // Imported with the weekly hours HSDS import flattens the schedules into
+  const everyOtherSaturday = {
+    id: 'farmers-market',
+    hours: { Saturday: '10am - 1pm' },
+    schedules: [
+      {
+        freq: 'WEEKLY',
+        interval: 2,
+        byday: 'SA',
+        dtstart: '2026-11-07',
+        opens_at: '10:00',
+        closes_at: '13:00'
+      }
+    ]
+  };
+  const summerOnly = {
+    id: 'summer-meals',
+    hours: { Wednesday: '9am - 11am' },
+    schedules: [
+      {
+        freq: 'WEEKLY',
+        byday: 'WE',
+        opens_at: '09:00',
+        closes_at: '11:00',
+        valid_from: '2026-06-01',
+        valid_to: '2026-08-31'
+      }
+    ]
+  };
+
+  test('should be closed on the off weeks of a schedule that runs every other week', () => {
+    const offWeek = day(2026, 11, 14, 11);
+
+    expect(isOpenAt(everyOtherSaturday, day(2026, 11, 7, 11))).toBe(true);
+    expect(isOpenAt(everyOtherSaturday, offWeek)).toBe(false);
+    expect(isOpenOn(everyOtherSaturday, offWeek)).toBe(false);
+    expect(openStatus(everyOtherSaturday, offWeek)).toMatchObject({
+      state: 'closed',
+      opensAt: day(2026, 11, 21, 10)
+    });
+    expect(upcomingSessions(everyOtherSaturday, { from: offWeek })[0].start).toEqual(
+      day(2026, 11, 21, 10)
+    );
+  });
+
+  test('should be closed once a schedule is past its valid dates', () => {
+    const october = day(2026, 10, 7, 10);
+
+    expect(isOpenAt(summerOnly, day(2026, 8, 26, 10))).toBe(true);
+    expect(isOpenAt(summerOnly, october)).toBe(false);
+    expect(openStatus(summerOnly, october)).toMatchObject({ state: 'closed', opensAt: null });
+    expect(upcomingSessions(summerOnly, { from: october })).toEqual([]);
+  });
+
+  test('should filter by the schedules', async () => {
+    const dataService = new DataService();
+    await dataService.init();
+    dataService.services = [everyOtherSaturday, summerOnly];
+
+    const openAt = at => dataService.filterServices({ open: 'now', at }).map(s => s.id);
+    expect(openAt(day(2026, 11, 7, 11))).toEqual(['farmers-market']);
+    expect(openAt(day(2026, 11, 14, 11))).toEqual([]);
+    expect(dataService.filterServices({ open: 'today', at: day(2026, 10, 7, 8) })).toEqual([]);
+  });
+});
+
+describe('DataService upcoming sessions', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = [market, { ...pantry, schedules: [{ freq: 'FORTNIGHTLY' }] }];
+  });
+
+  test('should return the sessions of a service by id', () => {
+    const sessions = dataService.getUpcomingSessions('market', { from: day(2026, 11, 1) });
+    expect(sessions).toHaveLength(4);
+    expect(dataService.getUpcomingSessions('missing')).toEqual([]);
+  });
+
+  test('should flag unusable schedules with unreadable hours', () => {
+    expect(dataService.getUnparsedHours()).toEqual([
+      {
+        service: dataService.services[1],
+        day: 'Schedule',
+        text: 'Unsupported schedule frequency "FORTNIGHTLY"'
+      }
+    ]);
+  });
+});
+
+describe('SafeDOM upcoming sessions', () => {
+  test('should list sessions and show closures as closed', () => {
+    const sessions = upcomingSessions(pantry, { from: day(2026, 11, 25), limit: 2 });
+    const list = SafeDOM.createUpcomingSessions(sessions).children[1];
+
+    expect(list.children.map(item => item.textContent)).toEqual([
+      'Thu, Nov 26 · Closed (Thanksgiving Day)',
+      'Fri, Nov 27 · 9am - 12pm'
+    ]);
+  });
+});
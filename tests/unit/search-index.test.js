@@ -0,0 +1,215 @@
+/**
+ * Unit tests for the ranked full-text search index
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { SearchIndex, editDistance, stem, tokenize } from '../../js/search-index.js';
+import { DataService } from '../../js/data-service.js';
+import { SafeDOM } from '../../js/dom-utils.js';
+
+const services = [
+  {
+    id: 1,
+    name: 'Westside Legal Clinic',
+    organization: 'Bar Association',
+    category: 'Legal Aid',
+    description: 'Help with food stamp appeals and benefits paperwork.',
+    address: '10 Food Court Dr, St. Louis, MO 63101'
+  },
+  {
+    id: 2,
+    name: 'Community Food Pantry',
+    organization: 'Maryland Heights Community Center',
+    category: 'Food',
+    description: 'Groceries and fresh produce for families.',
+    address: '2344 McKelvey Rd, Maryland Heights, MO 63043'
+  },
+  {
+    id: 3,
+    name: 'Senior Meals',
+    organization: 'Food Outreach',
+    category: 'Food',
+    description: 'Hot meals delivered to seniors.',
+    address: '3015 Locust St, St. Louis, MO 63103'
+  }
+];
+
+describe('tokenize', () => {
+  test('should return stemmed terms with character offsets', () => {
+    expect(tokenize('Food Pantries, Inc.')).toEqual([
+      { term: 'food', start: 0, end: 4 },
+      { term: 'pantry', start: 5, end: 13 },
+      { term: 'inc', start: 15, end: 18 }
+    ]);
+  });
+
+  test('should handle missing text', () => {
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('stem', () => {
+  test.each([
+    ['pantries', 'pantry'],
+    ['families', 'family'],
+    ['meals', 'meal'],
+    ['shopping', 'shop'],
+    ['delivered', 'deliver'],
+    ['address', 'address'],
+    ['bus', 'bus'],
+    ['63043', '63043']
+  ])('should stem %s to %s', (word, expected) => {
+    expect(stem(word)).toBe(expected);
+  });
+});
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.build(services);
+  });
+
+  test('should rank name matches above description and address matches', () => {
+    const ids = index.search('food').map(result => result.service.id);
+    expect(ids).toEqual([2, 3, 1]);
+  });
+
+  test('should require every query word to match', () => {
+    expect(index.search('food pantry').map(result => result.service.id)).toEqual([2]);
+    expect(index.search('food xyz')).toEqual([]);
+  });
+
+  test('should match word forms through stemming', () => {
+    expect(index.search('pantries')[0].service.id).toBe(2);
+    expect(index.search('family')[0].service.id).toBe(2);
+  });
+
+  test('should match words being typed as prefixes, below whole words', () => {
+    const results = index.search('sen');
+    expect(results.map(result => result.service.id)).toEqual([3]);
+    expect(results[0].score).toBeLessThan(index.search('senior')[0].score);
+  });
+
+  test('should ignore stopwords unless the query has nothing else', () => {
+    expect(index.search('meals for seniors')).toHaveLength(1);
+    expect(index.search('for').map(result => result.service.id)).toEqual([2]);
+  });
+
+  test('should return match spans for each field', () => {
+    const [result] = index.search('community food');
+
+    expect(result.matches).toEqual({
+      name: [
+        [0, 9],
+        [10, 14]
+      ],
+      organization: [[17, 26]],
+      category: [[0, 4]]
+    });
+  });
+
+  test('should rebuild after the service list changes', () => {
+    index.sync(services);
+    const grown = [...services, { id: 4, name: 'Diaper Bank', description: '', address: '' }];
+
+    index.sync(grown);
+    expect(index.search('diaper')).toHaveLength(1);
+  });
+});
+
+describe('DataService search', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = [...services];
+  });
+
+  test('should return services in relevance order', () => {
+    expect(dataService.searchServices('food').map(service => service.id)).toEqual([2, 3, 1]);
+  });
+
+  test('should rank the keyword branch of filterServices', () => {
+    const results = dataService.filterServices({
+      categories: ['Food', 'Legal Aid'],
+      keyword: 'food'
+    });
+    expect(results.map(service => service.id)).toEqual([2, 3, 1]);
+  });
+
+  test('should reindex services added later', async () => {
+    await dataService.addService({
+      name: 'Neighborhood Food Closet',
+      organization: 'Church',
+      address: '1 Elm St',
+      category: 'Food'
+    });
+
+    expect(dataService.searchServices('closet')).toHaveLength(1);
+  });
+
+  test('should reindex services replaced by a merge', () => {
+    dataService.searchServices('food');
+    dataService.mergeServices([{ ...services[2], name: 'Senior Lunch Club' }]);
+
+    expect(dataService.searchServices('lunch')).toHaveLength(1);
+  });
+});
+
+describe('SafeDOM highlighting', () => {
+  test('should wrap matched spans in mark elements', () => {
+    const title = SafeDOM.setHighlightedText(document.createElement('h3'), 'Community Food', [
+      [10, 14]
+    ]);
+
+    expect(title.children.map(child => [child.tagName, child.textContent])).toEqual([
+      ['SPAN', 'Community '],
+      ['MARK', 'Food']
+    ]);
+  });
+
+  test('should highlight matches on result cards', () => {
+    const card = SafeDOM.createResultCard({ ...services[1], contact: {} }, { name: [[10, 14]] });
+    const title = card.children[0].children[0];
+    expect(title.children[1]).toMatchObject({ tagName: 'MARK', textContent: 'Food' });
+  });
+});
+
+describe('typo tolerance', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.build(services);
+  });
+
+  test.each([
+    ['pantry', 'pantrey', 1],
+    ['pantry', 'pnatry', 1],
+    ['groceries', 'grocreies', 1],
+    ['legal', 'lgeal', 1],
+    ['food', 'fodo', 1],
+    ['senior', 'junior', 2]
+  ])('should measure the edit distance from %s to %s as %i', (a, b, expected) => {
+    expect(editDistance(a, b)).toBe(expected);
+  });
+
+  test('should stop early once the distance exceeds the limit', () => {
+    expect(editDistance('community', 'pantry', 2)).toBe(3);
+  });
+
+  test('should find services despite a typo', () => {
+    expect(index.search('pantrey').map(result => result.service.id)).toEqual([2]);
+    expect(index.search('comunity food pantrey')[0].service.id).toBe(2);
+  });
+
+  test('should rank typo matches below exact matches', () => {
+    expect(index.search('pantrey')[0].score).toBeLessThan(index.search('pantry')[0].score);
+  });
+
+  test('should not correct short words', () => {
+    expect(index.search('fod')).toEqual([]);
+  });
+});
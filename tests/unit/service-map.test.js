@@ -3,6 +3,7 @@
  */
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { ServiceMap, createServiceMap } from '../../js/components/service-map.js';
+import { EventEmitter } from '../../js/events.js';
 import { 
   ConditionTester, 
   DataConditions, 
@@ -214,6 +215,41 @@ describe('ServiceMap', () => {
       expect(mockMap.removeLayer).toHaveBeenCalled();
     });
 
+    test('should redraw the marker of an updated service in its place', () => {
+      serviceMap.updateServices(mockServices);
+      const renamed = { ...mockServices[1], name: 'Legal Aid Clinic' };
+
+      expect(serviceMap.updateService(renamed)).toBe(true);
+      expect(serviceMap.services[1]).toBe(renamed);
+      expect(serviceMap.markers.map(marker => marker.serviceId)).toEqual([1, 2, 3]);
+      expect(serviceMap.markers[1].latLng).toEqual(mockServices[1].coordinates);
+      expect(serviceMap.updateService({ ...mockServices[0], id: 99 })).toBe(false);
+    });
+
+    test('should follow services added, changed and removed in a DataService', () => {
+      const dataService = new EventEmitter();
+      const shown = new Set([1, 2]);
+      const rank = service => (shown.has(service.id) ? service.id : -1);
+      serviceMap.updateServices(mockServices.slice(0, 2));
+      const stop = serviceMap.followServices(dataService, rank);
+      const shownIds = () => serviceMap.services.map(service => service.id);
+
+      dataService.emit('service-added', mockServices[2]);
+      expect(shownIds()).toEqual([1, 2]);
+
+      shown.add(3);
+      dataService.emit('service-updated', mockServices[2], mockServices[2]);
+      shown.delete(1);
+      dataService.emit('service-updated', { ...mockServices[0], category: 'Housing' });
+      dataService.emit('service-removed', mockServices[1]);
+      expect(shownIds()).toEqual([3]);
+      expect(serviceMap.markers.map(marker => marker.serviceId)).toEqual([3]);
+
+      stop();
+      dataService.emit('service-removed', mockServices[2]);
+      expect(shownIds()).toEqual([3]);
+    });
+
     // Condition-based testing for service data variations
     const serviceDataConditions = new ConditionTester(serviceMap)
       .when('valid services array', () => mockServices)
@@ -279,6 +315,15 @@ describe('ServiceMap', () => {
       expect(serviceMap.map.setZoom).toHaveBeenCalledWith(15);
     });
 
+    test('should restore a saved view', async () => {
+      await serviceMap.init();
+      const result = serviceMap.setView({ lat: 38.63, lng: -90.2, zoom: 13 });
+      
+      expect(result).toBe(true);
+      expect(serviceMap.map.setView).toHaveBeenLastCalledWith([38.63, -90.2], 13);
+      expect(new ServiceMap('other').setView({ lat: 0, lng: 0, zoom: 1 })).toBe(false);
+    });
+
     // Condition-based testing for navigation scenarios
     const navigationConditions = [
       { serviceId: 1, shouldFind: true },
@@ -375,6 +420,55 @@ describe('ServiceMap', () => {
     });
   });
 
+  describe('Search Area', () => {
+    beforeEach(async () => {
+      globalThis.L.circle = jest.fn((latLng, options = {}) => {
+        const circle = testUtils.createMockMarker();
+        circle.latLng = latLng;
+        circle.options = options;
+        circle.getBounds = jest.fn(() => 'circle-bounds');
+        return circle;
+      });
+      await serviceMap.init();
+    });
+
+    test('should draw the search centre and radius circle', () => {
+      expect(serviceMap.setSearchArea([38.72, -90.45], 5)).toBe(true);
+
+      expect(L.circle).toHaveBeenCalledWith(
+        [38.72, -90.45],
+        expect.objectContaining({ radius: 5 * 1609.344 })
+      );
+      expect(L.circleMarker).toHaveBeenCalledWith([38.72, -90.45], expect.any(Object));
+      expect(serviceMap.map.fitBounds).toHaveBeenCalledWith('circle-bounds', expect.any(Object));
+      expect(serviceMap.searchAreaLayers).toHaveLength(2);
+    });
+
+    test('should centre on the point without a radius', () => {
+      serviceMap.setSearchArea([38.72, -90.45]);
+
+      expect(L.circle).not.toHaveBeenCalled();
+      expect(serviceMap.map.setView).toHaveBeenCalledWith([38.72, -90.45], 12);
+    });
+
+    test('should skip redrawing an unchanged area and clear it with null', () => {
+      const listener = jest.fn();
+      serviceMap.on('search-area-changed', listener);
+
+      serviceMap.setSearchArea([38.72, -90.45], 10);
+      const layers = serviceMap.searchAreaLayers;
+      expect(serviceMap.setSearchArea([38.72, -90.45], 10)).toBe(false);
+
+      serviceMap.setSearchArea(null);
+      layers.forEach(layer => expect(serviceMap.map.removeLayer).toHaveBeenCalledWith(layer));
+      expect(serviceMap.searchAreaLayers).toEqual([]);
+      expect(listener.mock.calls).toEqual([
+        [{ center: [38.72, -90.45], radiusMiles: 10 }],
+        [null]
+      ]);
+    });
+  });
+
   describe('Utility Methods', () => {
     beforeEach(async () => {
       await serviceMap.init();
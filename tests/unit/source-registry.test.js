@@ -0,0 +1,450 @@
+/**
+ * Unit tests for SourceRegistry, federated loading and delta sync in DataService
+ */
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { SourceRegistry, SOURCE_STATUS } from '../../js/source-registry.js';
+import { DataService } from '../../js/data-service.js';
+import { StubServer } from '../utils/stub-server.js';
+import { HSDSServer, hsdsService } from '../utils/hsds-server.js';
+import { MemoryAdapter } from '../../js/storage-adapters.js';
+import { hsdsTables, hsdsNestedServices } from '../fixtures/hsds-dataset.js';
+
+const ALPHA = { id: 'alpha', name: 'Alpha Org', endpoint: 'http://stub/alpha/hsds.json' };
+const BETA = { id: 'beta', name: 'Beta Community Group', endpoint: 'http://stub/beta/hsds.json' };
+const GAMMA = {
+  id: 'gamma',
+  name: 'Gamma County Services',
+  endpoint: 'http://stub/gamma/services.json',
+  loader: 'navigator'
+};
+
+const gammaServices = [
+  {
+    id: 'svc-1',
+    name: 'Emergency Shelter Assistance',
+    organization: 'County Crisis Intervention',
+    address: '7150 Natural Bridge Rd, St. Louis, MO 63121',
+    description: 'Temporary emergency shelter placement.',
+    category: 'Housing',
+    coordinates: [38.7301, -90.2259]
+  }
+];
+
+describe('SourceRegistry', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new StubServer({
+      [ALPHA.endpoint]: { body: hsdsTables },
+      [BETA.endpoint]: { body: hsdsNestedServices },
+      [GAMMA.endpoint]: { body: gammaServices }
+    });
+    globalThis.fetch = server.fetch;
+  });
+
+  describe('register', () => {
+    const invalidSources = [
+      { name: 'missing id', source: { name: 'X', endpoint: 'x' } },
+      { name: 'missing name', source: { id: 'x', endpoint: 'x' } },
+      { name: 'missing location', source: { id: 'x', name: 'X' } },
+      { name: 'unknown loader', source: { id: 'x', name: 'X', data: [], loader: 'xml' } }
+    ];
+
+    test.each(invalidSources)('should reject source with $name', ({ source }) => {
+      expect(() => new SourceRegistry().register(source)).toThrow();
+    });
+
+    test('should reject duplicate source IDs', () => {
+      const registry = new SourceRegistry([ALPHA]);
+      expect(() => registry.register(ALPHA)).toThrow('already registered');
+    });
+
+    test('should track new sources as idle with the HSDS JSON loader', () => {
+      const source = new SourceRegistry().register(ALPHA);
+      expect(source).toMatchObject({
+        status: SOURCE_STATUS.IDLE,
+        loader: 'hsds-json',
+        error: null
+      });
+    });
+  });
+
+  describe('loadAll', () => {
+    test('should fetch all enabled sources in parallel', async () => {
+      const registry = new SourceRegistry([ALPHA, BETA, GAMMA]);
+      const results = await registry.loadAll();
+
+      expect(server.requests).toHaveLength(3);
+      expect(results.map(r => r.services.length)).toEqual([2, 1, 1]);
+      expect(results[0].services[0]).toMatchObject({ sourceOrg: 'Alpha Org', sourceId: 'alpha' });
+      expect(results[2].services[0].sourceOrg).toBe('Gamma County Services');
+      expect(registry.getStatus().every(s => s.status === SOURCE_STATUS.READY)).toBe(true);
+    });
+
+    const failureConditions = [
+      { name: 'HTTP error', response: { status: 500 }, error: '500' },
+      { name: 'network failure', response: { networkError: true }, error: 'Failed to fetch' },
+      { name: 'invalid JSON', response: { body: '{not json' }, error: 'JSON' },
+      { name: 'timeout', response: { delay: 200, body: hsdsTables }, error: 'timed out' }
+    ];
+
+    test.each(failureConditions)(
+      'should isolate a source failing with $name',
+      async ({ response, error }) => {
+        server.route(BETA.endpoint, response);
+        const registry = new SourceRegistry([ALPHA, BETA], { timeout: 50 });
+
+        const [alpha, beta] = await registry.loadAll();
+
+        expect(alpha.services).toHaveLength(2);
+        expect(beta.services).toBeNull();
+        expect(registry.get('beta').status).toBe(SOURCE_STATUS.ERROR);
+        expect(registry.get('beta').error).toContain(error);
+        expect(registry.get('alpha').status).toBe(SOURCE_STATUS.READY);
+      }
+    );
+
+    test('should skip disabled sources', async () => {
+      const registry = new SourceRegistry([ALPHA, { ...BETA, enabled: false }]);
+      const results = await registry.loadAll();
+
+      expect(results).toHaveLength(1);
+      expect(server.requestsTo(BETA.endpoint)).toHaveLength(0);
+      expect(registry.get('beta').status).toBe(SOURCE_STATUS.DISABLED);
+    });
+
+    test('should use inline data and custom loaders', async () => {
+      const registry = new SourceRegistry();
+      registry.registerLoader('static', async source => ({
+        services: source.data,
+        report: { imported: source.data.length, skipped: 0, issues: [] }
+      }));
+      registry.register({ id: 'inline', name: 'Inline', data: gammaServices, loader: 'static' });
+
+      const [result] = await registry.loadAll();
+      expect(result.services[0].sourceId).toBe('inline');
+      expect(server.requests).toHaveLength(0);
+    });
+
+    test('should close services for the holidays their source closes for', async () => {
+      const registry = new SourceRegistry([
+        { ...GAMMA, options: { closedOnHolidays: true } },
+        { ...ALPHA, options: { closedOnHolidays: ['Christmas Day'] } }
+      ]);
+      const [gamma, alpha] = await registry.loadAll();
+
+      expect(gamma.services[0].closedOnHolidays).toBe(true);
+      expect(alpha.services[0].closedOnHolidays).toEqual(['Christmas Day']);
+    });
+  });
+});
+
+describe('DataService federation', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new StubServer({
+      [ALPHA.endpoint]: { body: hsdsTables },
+      [BETA.endpoint]: { body: hsdsNestedServices },
+      [GAMMA.endpoint]: { body: gammaServices }
+    });
+    globalThis.fetch = server.fetch;
+  });
+
+  test('should merge all sources and report per-source status', async () => {
+    const dataService = new DataService();
+    await dataService.init({ sources: [ALPHA, BETA, GAMMA] });
+
+    expect(dataService.getAllServices()).toHaveLength(4);
+    expect(dataService.getSourceOrganizations()).toEqual([
+      'Alpha Org',
+      'Beta Community Group',
+      'Gamma County Services'
+    ]);
+    expect(dataService.getSourceStatus().map(s => [s.id, s.status, s.serviceCount])).toEqual([
+      ['alpha', 'ready', 2],
+      ['beta', 'ready', 1],
+      ['gamma', 'ready', 1]
+    ]);
+  });
+
+  test('should namespace IDs that collide across sources', async () => {
+    const dataService = new DataService();
+    await dataService.init({ sources: [ALPHA, GAMMA] });
+
+    expect(dataService.getServiceById('svc-1').sourceOrg).toBe('Alpha Org');
+    expect(dataService.getServiceById('gamma:svc-1').sourceOrg).toBe('Gamma County Services');
+  });
+
+  test('should keep the other sources when one feed is broken', async () => {
+    server.route(BETA.endpoint, { status: 503 });
+    const dataService = new DataService();
+    await dataService.init({ sources: [ALPHA, BETA, GAMMA] });
+
+    const status = dataService.getSourceStatus();
+    expect(dataService.getAllServices()).toHaveLength(3);
+    expect(status.find(s => s.id === 'beta')).toMatchObject({ status: 'error' });
+    expect(status.find(s => s.id === 'beta').error).toContain('503');
+  });
+
+  test('should keep last loaded services when a reload fails', async () => {
+    const dataService = new DataService();
+    await dataService.init({ sources: [ALPHA, BETA] });
+
+    server.route(BETA.endpoint, { status: 500 });
+    await dataService.loadSources();
+
+    expect(dataService.getServiceById('svc-10')).toBeDefined();
+    expect(dataService.getAllServices()).toHaveLength(3);
+  });
+
+  test('should drop services of a disabled source on reload', async () => {
+    const dataService = new DataService();
+    await dataService.init({ sources: [ALPHA, BETA] });
+
+    dataService.sources.setEnabled('beta', false);
+    await dataService.loadSources();
+
+    expect(dataService.getAllServices()).toHaveLength(2);
+    expect(dataService.getSourceOrganizations()).toEqual(['Alpha Org']);
+  });
+});
+
+describe('Delta sync', () => {
+  let upstream;
+  let county;
+
+  beforeEach(() => {
+    upstream = new HSDSServer().upsert(
+      hsdsService('svc-1', 'Northside Pantry'),
+      hsdsService('svc-2', 'Eastside Pantry'),
+      hsdsService('svc-3', 'Legal Clinic', { category: 'Legal Aid' })
+    );
+    county = { id: 'county', name: 'County Feed', endpoint: upstream.endpoint, delta: true };
+    globalThis.fetch = upstream.fetch;
+  });
+
+  describe('SourceRegistry.sync', () => {
+    test('should load a source in full the first time and remember where it left off', async () => {
+      const registry = new SourceRegistry([county]);
+
+      const result = await registry.sync('county');
+
+      expect(result.full).toBe(true);
+      expect(result.services.map(service => service.id)).toEqual(['svc-1', 'svc-2', 'svc-3']);
+      expect(registry.get('county')).toMatchObject({
+        status: SOURCE_STATUS.READY,
+        syncedAt: '2026-03-01T09:00:00.000Z',
+        etag: 'W/"1"'
+      });
+    });
+
+    test('should ask only for changes since the last sync', async () => {
+      const registry = new SourceRegistry([county]);
+      await registry.sync('county');
+      upstream.advance(60).upsert(hsdsService('svc-1', 'Northside Food Pantry')).delete('svc-2');
+
+      const result = await registry.sync('county');
+
+      const [, request] = upstream.server.requests;
+      expect(request.query.get('modified_after')).toBe('2026-03-01T09:00:00.000Z');
+      expect(request.headers['if-none-match']).toBe('W/"1"');
+      expect(result.full).toBe(false);
+      expect(result.services.map(service => service.name)).toEqual(['Northside Food Pantry']);
+      expect(result.deleted).toEqual(['svc-2']);
+      expect(registry.get('county').syncedAt).toBe('2026-03-01T10:00:00.000Z');
+    });
+
+    test('should accept a 304 when nothing changed', async () => {
+      const registry = new SourceRegistry([county]);
+      await registry.sync('county');
+      upstream.advance(30);
+
+      const result = await registry.sync('county');
+
+      expect(upstream.server.requests[1].headers['if-none-match']).toBe('W/"1"');
+      expect(result).toMatchObject({ services: [], deleted: [], full: false });
+      expect(registry.get('county').syncedAt).toBe('2026-03-01T09:30:00.000Z');
+    });
+
+    test('should follow every page of the changes', async () => {
+      upstream.perPage = 2;
+      const registry = new SourceRegistry([county]);
+
+      const result = await registry.sync('county');
+
+      expect(upstream.server.requests.map(request => request.query.get('page'))).toEqual([
+        null,
+        '2'
+      ]);
+      expect(result.services).toHaveLength(3);
+    });
+
+    test('should load sources without delta in full every time', async () => {
+      const registry = new SourceRegistry([{ ...county, delta: false }]);
+      await registry.sync('county');
+
+      const result = await registry.sync('county');
+
+      expect(result.full).toBe(true);
+      expect(upstream.server.requests[1].query.get('modified_after')).toBeNull();
+    });
+
+    test('should keep its place when a sync fails', async () => {
+      const registry = new SourceRegistry([county]);
+      await registry.sync('county');
+      upstream.server.route(upstream.endpoint, { status: 503 });
+
+      const result = await registry.sync('county');
+
+      expect(result.services).toBeNull();
+      expect(registry.get('county')).toMatchObject({
+        status: SOURCE_STATUS.ERROR,
+        syncedAt: '2026-03-01T09:00:00.000Z'
+      });
+    });
+
+    test('should take the sync point from the changes when the headers are hidden', async () => {
+      upstream.exposeHeaders = false;
+      const registry = new SourceRegistry([county]);
+      await registry.sync('county');
+      expect(registry.get('county')).toMatchObject({
+        syncedAt: '2026-03-01T09:00:00.000Z',
+        etag: null
+      });
+
+      upstream.advance(60).upsert(hsdsService('svc-1', 'Northside Food Pantry'));
+      const result = await registry.sync('county');
+
+      const [, request] = upstream.server.requests;
+      expect(request.query.get('modified_after')).toBe('2026-03-01T09:00:00.000Z');
+      expect(request.headers['if-none-match']).toBeUndefined();
+      expect(result.services.map(service => service.name)).toEqual(['Northside Food Pantry']);
+      expect(registry.get('county').syncedAt).toBe('2026-03-01T10:00:00.000Z');
+    });
+
+    test('should keep its place, or use the device clock, without a Date or changes', async () => {
+      upstream.exposeHeaders = false;
+      const registry = new SourceRegistry([county]);
+      await registry.sync('county');
+      upstream.advance(60);
+
+      await registry.sync('county');
+      expect(registry.get('county').syncedAt).toBe('2026-03-01T09:00:00.000Z');
+
+      const empty = new HSDSServer({ exposeHeaders: false });
+      globalThis.fetch = empty.fetch;
+      const before = Date.now();
+      const fresh = new SourceRegistry([{ ...county, endpoint: empty.endpoint }]);
+      await fresh.sync('county');
+
+      expect(Date.parse(fresh.get('county').syncedAt)).toBeGreaterThanOrEqual(before);
+    });
+
+    test('should pick up a saved sync state', async () => {
+      const registry = new SourceRegistry([county]);
+      await registry.sync('county');
+
+      const restored = new SourceRegistry([county]);
+      restored.restoreSyncState({ ...registry.getSyncState(), gone: { syncedAt: 'x' } });
+
+      expect(restored.getSyncState()).toEqual({
+        county: { syncedAt: '2026-03-01T09:00:00.000Z', etag: 'W/"1"' }
+      });
+    });
+  });
+
+  describe('DataService.syncSources', () => {
+    let dataService;
+
+    beforeEach(async () => {
+      dataService = new DataService();
+      await dataService.init({ sources: [county] });
+    });
+
+    test('should apply changes and deletions and report them', async () => {
+      const changed = jest.fn();
+      dataService.on('services-changed', changed);
+      upstream
+        .advance(60)
+        .upsert(hsdsService('svc-1', 'Northside Food Pantry'), hsdsService('svc-4', 'Shelter'))
+        .delete('svc-3');
+
+      const [report] = await dataService.syncSources();
+
+      expect(report).toMatchObject({
+        id: 'county',
+        status: 'ready',
+        full: false,
+        added: ['svc-4'],
+        updated: ['svc-1'],
+        removed: ['svc-3']
+      });
+      expect(dataService.getServiceById('svc-1').name).toBe('Northside Food Pantry');
+      expect(dataService.getServiceById('svc-2').name).toBe('Eastside Pantry');
+      expect(dataService.getServiceById('svc-3')).toBeUndefined();
+      expect(dataService.getCategories()).not.toContain('Legal Aid');
+      expect(changed).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report nothing when nothing changed', async () => {
+      const changed = jest.fn();
+      dataService.on('services-changed', changed);
+
+      const [report] = await dataService.syncSources();
+
+      expect(report).toMatchObject({ added: [], updated: [], removed: [] });
+      expect(dataService.getAllServices()).toHaveLength(3);
+      expect(changed).not.toHaveBeenCalled();
+    });
+
+    test('should keep namespaced services in step with their source', async () => {
+      const other = { id: 'other', name: 'Other Feed', data: gammaServices, loader: 'navigator' };
+      dataService = new DataService();
+      await dataService.init({ sources: [other, county] });
+      expect(dataService.getServiceById('county:svc-1').name).toBe('Northside Pantry');
+
+      upstream.advance(60).upsert(hsdsService('svc-1', 'Northside Food Pantry'));
+      const [, report] = await dataService.syncSources();
+
+      expect(report.updated).toEqual(['svc-1']);
+      expect(dataService.getServiceById('county:svc-1').name).toBe('Northside Food Pantry');
+      expect(dataService.getAllServices()).toHaveLength(4);
+    });
+  });
+
+  describe('DataService.init with a dataset cache', () => {
+    test('should pick up from the saved dataset on the next visit', async () => {
+      const cache = new MemoryAdapter();
+      await new DataService().init({ sources: [county], cache });
+      upstream.advance(60).delete('svc-2');
+
+      const nextVisit = new DataService();
+      await nextVisit.init({ sources: [county], cache });
+
+      const [, request] = upstream.server.requests;
+      expect(request.query.get('modified_after')).toBe('2026-03-01T09:00:00.000Z');
+      expect(nextVisit.getAllServices().map(service => service.id)).toEqual(['svc-1', 'svc-3']);
+      expect(nextVisit.usingSavedDataset).toBe(false);
+
+      const [saved] = await cache.getAll();
+      expect(saved.services).toHaveLength(2);
+      expect(saved.sourceSync.county.syncedAt).toBe('2026-03-01T10:00:00.000Z');
+    });
+
+    test('should show the saved dataset when the sync fails', async () => {
+      const cache = new MemoryAdapter();
+      await new DataService().init({ sources: [county], cache });
+      upstream.server.route(upstream.endpoint, { networkError: true });
+      const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const offline = new DataService();
+      await offline.init({ sources: [county], cache });
+
+      expect(offline.getAllServices()).toHaveLength(3);
+      expect(offline.usingSavedDataset).toBe(true);
+      expect(offline.getSourceStatus()[0].status).toBe('error');
+      consoleWarn.mockRestore();
+    });
+  });
+});
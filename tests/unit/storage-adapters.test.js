@@ -0,0 +1,194 @@
+/**
+ * @jest-environment node
+ *
+ * Unit tests for the DataService storage adapters, each run through the shared conformance suite
+ * Runs in the node environment for the structuredClone that IndexedDB copies records with
+ */
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  IndexedDBAdapter,
+  LocalStorageAdapter,
+  MemoryAdapter,
+  RESTAdapter,
+  createStorageAdapter
+} from '../../js/storage-adapters.js';
+import { describeStorageAdapter } from '../utils/storage-conformance.js';
+import { ServiceAPI } from '../utils/service-api.js';
+
+// A Web Storage stand-in that keeps items in a Map
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+describeStorageAdapter('MemoryAdapter', { create: () => new MemoryAdapter() });
+
+let storage;
+describeStorageAdapter('LocalStorageAdapter', {
+  create: () => {
+    storage = createStorage();
+    return new LocalStorageAdapter({ storage });
+  },
+  reopen: () => new LocalStorageAdapter({ storage })
+});
+
+let indexedDB;
+describeStorageAdapter('IndexedDBAdapter', {
+  create: () => {
+    indexedDB = new IDBFactory();
+    return new IndexedDBAdapter({ indexedDB });
+  },
+  reopen: () => new IndexedDBAdapter({ indexedDB })
+});
+
+// A store added to a database another adapter already uses
+let sharedDB;
+describeStorageAdapter('IndexedDBAdapter sharing a database', {
+  create: async () => {
+    sharedDB = new IDBFactory();
+    await new IndexedDBAdapter({ indexedDB: sharedDB }).put([{ id: 1, name: 'Pantry' }]);
+    return new IndexedDBAdapter({ indexedDB: sharedDB, store: 'submissions' });
+  },
+  reopen: () => new IndexedDBAdapter({ indexedDB: sharedDB, store: 'submissions' })
+});
+
+let api;
+describeStorageAdapter('RESTAdapter', {
+  create: () => {
+    api = new ServiceAPI();
+    return new RESTAdapter({ baseUrl: api.baseUrl, fetch: api.fetch });
+  },
+  reopen: () => new RESTAdapter({ baseUrl: api.baseUrl, fetch: api.fetch })
+});
+
+describe('LocalStorageAdapter', () => {
+  test('should refuse stored data that is not a list of records', async () => {
+    const storage = createStorage();
+    storage.setItem('navigator.services', '{"id":1}');
+
+    await expect(new LocalStorageAdapter({ storage }).getAll()).rejects.toThrow('not a list');
+  });
+});
+
+describe('IndexedDBAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new IndexedDBAdapter({ indexedDB: new IDBFactory(), database: 'test' });
+  });
+
+  afterEach(() => {
+    adapter.close();
+  });
+
+  test('should write a batch in one transaction', async () => {
+    // The record without an id fails the store's key path, so none of the batch is kept
+    await expect(adapter.put([{ id: 1, name: 'Pantry' }, { name: 'No id' }])).rejects.toThrow();
+
+    expect(await adapter.getAll()).toEqual([]);
+  });
+
+  test('should keep a store for each adapter sharing the database', async () => {
+    const indexedDB = new IDBFactory();
+    const services = new IndexedDBAdapter({ indexedDB, database: 'shared' });
+    const submissions = new IndexedDBAdapter({
+      indexedDB,
+      database: 'shared',
+      store: 'submissions'
+    });
+
+    await services.put([{ id: 1, name: 'Pantry' }]);
+    await submissions.put([{ id: 'CS-1', name: 'Northside Pantry' }]);
+    await services.put([{ id: 2, name: 'Clinic' }]);
+
+    expect(await services.getAll()).toEqual([
+      { id: 1, name: 'Pantry' },
+      { id: 2, name: 'Clinic' }
+    ]);
+    expect(await submissions.getAll()).toEqual([{ id: 'CS-1', name: 'Northside Pantry' }]);
+    services.close();
+    submissions.close();
+  });
+
+  test('should open the database again after a failed open', async () => {
+    const factory = new IDBFactory();
+    let failures = 1;
+    const indexedDB = {
+      open: (...args) => {
+        if (failures-- > 0) {
+          const request = {};
+          setTimeout(() => {
+            request.error = new Error('Blocked');
+            request.onerror();
+          });
+          return request;
+        }
+        return factory.open(...args);
+      }
+    };
+    const retrying = new IndexedDBAdapter({ indexedDB, database: 'retry' });
+
+    await expect(retrying.getAll()).rejects.toThrow('Blocked');
+    await retrying.put([{ id: 1, name: 'Pantry' }]);
+
+    expect(await retrying.getAll()).toEqual([{ id: 1, name: 'Pantry' }]);
+    retrying.close();
+  });
+});
+
+describe('RESTAdapter', () => {
+  let api;
+  let adapter;
+
+  beforeEach(() => {
+    api = new ServiceAPI();
+    adapter = new RESTAdapter({
+      baseUrl: api.baseUrl,
+      fetch: api.fetch,
+      headers: { Authorization: 'Bearer token' }
+    });
+  });
+
+  test('should send one request per record with JSON and the configured headers', async () => {
+    await adapter.put([{ id: 'a/b', name: 'Pantry' }]);
+
+    const [request] = api.server.requests;
+    expect(request).toMatchObject({ method: 'PUT', url: `${api.baseUrl}/services/a%2Fb` });
+    expect(request.headers).toMatchObject({
+      'content-type': 'application/json',
+      authorization: 'Bearer token'
+    });
+    expect(JSON.parse(request.body)).toEqual({ id: 'a/b', name: 'Pantry' });
+  });
+
+  test('should report failed requests', async () => {
+    api.server.route(`${api.baseUrl}/services`, { status: 503 });
+
+    await expect(adapter.getAll()).rejects.toThrow(`GET ${api.baseUrl}/services failed: 503`);
+  });
+});
+
+describe('createStorageAdapter', () => {
+  test.each([
+    ['memory', MemoryAdapter],
+    [{ type: 'localStorage', storage: createStorage() }, LocalStorageAdapter],
+    [{ type: 'indexedDB', indexedDB: new IDBFactory() }, IndexedDBAdapter],
+    [{ type: 'rest', baseUrl: '/api', fetch: () => null }, RESTAdapter]
+  ])('should build the adapter configured by %p', (config, Adapter) => {
+    expect(createStorageAdapter(config)).toBeInstanceOf(Adapter);
+  });
+
+  test('should use an adapter object as it is', () => {
+    const adapter = new MemoryAdapter();
+    expect(createStorageAdapter(adapter)).toBe(adapter);
+  });
+
+  test('should reject unknown storage types', () => {
+    expect(() => createStorageAdapter('floppy')).toThrow('Unknown storage type: floppy');
+  });
+});
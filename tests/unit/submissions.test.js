@@ -0,0 +1,396 @@
+/**
+ * Unit tests for Contribute form submissions: validation, the review queue and drafts
+ */
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import {
+  SUBMISSION_STATUS,
+  SubmissionQueue,
+  generateTrackingId,
+  toService,
+  validateSubmission
+} from '../../js/submissions.js';
+import { DataService } from '../../js/data-service.js';
+import { MemoryAdapter } from '../../js/storage-adapters.js';
+
+const pantry = {
+  name: ' Northside Food Pantry ',
+  organization: 'Northside Church',
+  address: '12 Elm St, Florissant, MO 63031',
+  category: 'Food',
+  phone: '(314) 555-0199',
+  email: 'pantry@northside.org',
+  website: 'northside.org/pantry',
+  description: ''
+};
+
+// A Web Storage stand-in that keeps items in a Map
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+describe('validateSubmission', () => {
+  test('should accept a complete submission', () => {
+    expect(validateSubmission(pantry)).toEqual({});
+  });
+
+  test('should name each missing required field', () => {
+    expect(Object.keys(validateSubmission({ name: '   ', description: 'Hot meals' }))).toEqual([
+      'name',
+      'organization',
+      'address',
+      'category'
+    ]);
+  });
+
+  test.each([
+    ['phone', '555-0199'],
+    ['phone', '(314) 555-01999'],
+    ['email', 'pantry@northside'],
+    ['website', 'northside'],
+    ['website', 'ftp://northside.org']
+  ])('should reject the %s %s', (field, value) => {
+    expect(validateSubmission({ ...pantry, [field]: value })).toEqual({
+      [field]: expect.any(String)
+    });
+  });
+
+  test('should cap the length of text fields', () => {
+    expect(validateSubmission({ ...pantry, name: 'x'.repeat(121) })).toEqual({
+      name: 'Keep this under 120 characters'
+    });
+  });
+
+  test.each([
+    ['phone', '1-314-555-0199'],
+    ['website', 'https://www.northside.org'],
+    ['website', 'http://northside.org/pantry?day=tue']
+  ])('should accept the %s %s', (field, value) => {
+    expect(validateSubmission({ ...pantry, [field]: value })).toEqual({});
+  });
+});
+
+describe('generateTrackingId', () => {
+  test('should avoid characters that are easily confused', () => {
+    expect(generateTrackingId()).toMatch(/^CS-[A-HJ-NP-Z2-9]{6}$/);
+    expect(generateTrackingId(() => 0)).toBe('CS-AAAAAA');
+  });
+});
+
+describe('SubmissionQueue', () => {
+  let queue;
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage();
+    queue = new SubmissionQueue({
+      storage,
+      now: () => new Date('2026-03-02T15:00:00Z')
+    });
+  });
+
+  test('should queue a valid submission as pending with a tracking id', () => {
+    const onSubmitted = jest.fn();
+    queue.on('submitted', onSubmitted);
+
+    const submission = queue.submit(pantry);
+
+    expect(submission).toMatchObject({
+      trackingId: expect.stringMatching(/^CS-/),
+      status: SUBMISSION_STATUS.PENDING,
+      submittedAt: '2026-03-02T15:00:00.000Z',
+      history: [{ status: 'pending', at: '2026-03-02T15:00:00.000Z' }]
+    });
+    expect(submission.fields.name).toBe('Northside Food Pantry');
+    expect(submission.fields).not.toHaveProperty('description');
+    expect(onSubmitted).toHaveBeenCalledWith(submission);
+  });
+
+  test('should refuse an invalid submission with the field errors', () => {
+    let error;
+    try {
+      queue.submit({ ...pantry, email: 'nope' });
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error.fieldErrors).toEqual({ email: expect.any(String) });
+    expect(queue.list()).toEqual([]);
+  });
+
+  test('should give each submission its own tracking id', () => {
+    const ids = ['CS-AAAAAA', 'CS-AAAAAA', 'CS-BBBBBB'];
+    queue.config.generateId = () => ids.shift();
+
+    expect(queue.submit(pantry).trackingId).toBe('CS-AAAAAA');
+    expect(queue.submit(pantry).trackingId).toBe('CS-BBBBBB');
+  });
+
+  test('should keep a tracking id given up front and queue it only once', () => {
+    const submitted = jest.fn();
+    queue.on('submitted', submitted);
+
+    expect(queue.submit(pantry, { trackingId: 'CS-CCCCCC' }).trackingId).toBe('CS-CCCCCC');
+    expect(queue.submit({ name: '' }, { trackingId: 'CS-CCCCCC' }).fields.name).toBe(
+      'Northside Food Pantry'
+    );
+    expect(queue.list()).toHaveLength(1);
+    expect(submitted).toHaveBeenCalledTimes(1);
+  });
+
+  test('should look up a submission by tracking id as typed', () => {
+    const { trackingId } = queue.submit(pantry);
+
+    expect(queue.get(` ${trackingId.toLowerCase()} `).trackingId).toBe(trackingId);
+    expect(queue.get('CS-ZZZZZZ')).toBeNull();
+  });
+
+  test('should list submissions by status', () => {
+    queue.submit(pantry);
+
+    expect(queue.list({ status: 'pending' })).toHaveLength(1);
+    expect(queue.list({ status: 'approved' })).toEqual([]);
+  });
+
+  test('should not hand out its own records', () => {
+    const { trackingId } = queue.submit(pantry);
+    queue.get(trackingId).status = 'approved';
+
+    expect(queue.get(trackingId).status).toBe('pending');
+  });
+
+  test('should keep a draft until the submission is sent', () => {
+    expect(queue.saveDraft({ name: 'Northside', address: ' ' })).toEqual({
+      fields: { name: 'Northside' },
+      savedAt: '2026-03-02T15:00:00.000Z'
+    });
+
+    queue.submit(pantry);
+    expect(queue.getDraft()).toBeNull();
+  });
+
+  test('should clear the draft when the form is emptied', () => {
+    queue.saveDraft({ name: 'Northside' });
+
+    expect(queue.saveDraft({ name: '' })).toBeNull();
+    expect(storage.getItem('navigator.submission-draft')).toBeNull();
+  });
+
+  test('should pick up the queue and draft saved in storage', () => {
+    const { trackingId } = queue.submit(pantry);
+    queue.saveDraft({ organization: 'Eastside Mission' });
+
+    const reopened = new SubmissionQueue({ storage });
+
+    expect(reopened.get(trackingId).status).toBe('pending');
+    expect(reopened.getDraft().fields).toEqual({ organization: 'Eastside Mission' });
+  });
+
+  test('should ignore unreadable storage', () => {
+    storage.setItem('navigator.submissions', '{not json');
+
+    expect(new SubmissionQueue({ storage }).list()).toEqual([]);
+  });
+
+  test('should keep working when storage is full', () => {
+    const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    storage.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+
+    expect(queue.submit(pantry).status).toBe('pending');
+    expect(queue.list()).toHaveLength(1);
+    expect(consoleWarn).toHaveBeenCalled();
+    consoleWarn.mockRestore();
+  });
+});
+
+describe('toService', () => {
+  test('should group the contact details', () => {
+    expect(toService(pantry)).toEqual({
+      name: 'Northside Food Pantry',
+      organization: 'Northside Church',
+      address: '12 Elm St, Florissant, MO 63031',
+      category: 'Food',
+      contact: {
+        phone: '(314) 555-0199',
+        email: 'pantry@northside.org',
+        website: 'northside.org/pantry'
+      }
+    });
+  });
+});
+
+describe('SubmissionQueue moderation', () => {
+  let queue;
+  let trackingId;
+  let clock;
+
+  beforeEach(() => {
+    clock = new Date('2026-03-02T15:00:00Z');
+    queue = new SubmissionQueue({ now: () => clock });
+    ({ trackingId } = queue.submit(pantry));
+    clock = new Date('2026-03-03T09:30:00Z');
+  });
+
+  test('should record who approved a submission and when', () => {
+    const onDecided = jest.fn();
+    queue.on('decided', onDecided);
+
+    const approved = queue.approve(trackingId, { by: ' Sam ' });
+
+    expect(approved.status).toBe(SUBMISSION_STATUS.APPROVED);
+    expect(approved.history[1]).toEqual({
+      action: 'approve',
+      status: 'approved',
+      by: 'Sam',
+      at: '2026-03-03T09:30:00.000Z'
+    });
+    expect(onDecided).toHaveBeenCalledWith(approved, approved.history[1]);
+  });
+
+  test('should need a reason to reject or ask for more info', () => {
+    expect(() => queue.reject(trackingId, { by: 'Sam', reason: ' ' })).toThrow('reason');
+    expect(() => queue.requestInfo(trackingId, { by: 'Sam' })).toThrow('information');
+
+    expect(
+      queue.reject(trackingId, { by: 'Sam', reason: 'Closed in 2025' }).history[1]
+    ).toMatchObject({ action: 'reject', status: 'rejected', reason: 'Closed in 2025' });
+  });
+
+  test('should need the moderator’s name for every decision', () => {
+    expect(() => queue.approve(trackingId)).toThrow('name of the moderator');
+    expect(() => queue.edit(trackingId, { name: 'Pantry' }, { by: '' })).toThrow('moderator');
+  });
+
+  test('should keep a submission open while waiting for more info', () => {
+    queue.requestInfo(trackingId, { by: 'Sam', reason: 'What are the hours?' });
+
+    expect(queue.listOpen().map(submission => submission.status)).toEqual(['needs-info']);
+    expect(queue.approve(trackingId, { by: 'Ana' }).status).toBe('approved');
+    expect(queue.listOpen()).toEqual([]);
+  });
+
+  test('should not decide on a submission twice', () => {
+    queue.reject(trackingId, { by: 'Sam', reason: 'Duplicate' });
+
+    expect(() => queue.approve(trackingId, { by: 'Ana' })).toThrow('already been rejected');
+    expect(() => queue.approve('CS-ZZZZZZ', { by: 'Ana' })).toThrow('Unknown submission');
+  });
+
+  test('should record the fields a moderator edits', () => {
+    const edited = queue.edit(trackingId, { name: 'Northside Pantry', email: '' }, { by: 'Sam' });
+
+    expect(edited.fields.name).toBe('Northside Pantry');
+    expect(edited.fields).not.toHaveProperty('email');
+    expect(edited.status).toBe('pending');
+    expect(edited.history[1]).toMatchObject({ action: 'edit', changes: ['name', 'email'] });
+  });
+
+  test('should refuse edits that make the submission invalid', () => {
+    expect(() => queue.edit(trackingId, { address: '' }, { by: 'Sam' })).toThrow('address');
+    expect(queue.get(trackingId).fields.address).toBe(pantry.address);
+  });
+
+  test('should log every decision, newest first', () => {
+    const second = queue.submit({ ...pantry, name: 'Eastside Pantry' }).trackingId;
+    queue.requestInfo(trackingId, { by: 'Sam', reason: 'Hours?' });
+    clock = new Date('2026-03-04T10:00:00Z');
+    queue.reject(second, { by: 'Ana', reason: 'Duplicate' });
+
+    expect(queue.getDecisions()).toEqual([
+      expect.objectContaining({ trackingId: second, name: 'Eastside Pantry', by: 'Ana' }),
+      expect.objectContaining({ trackingId, action: 'request-info', reason: 'Hours?' })
+    ]);
+  });
+});
+
+describe('DataService.submitService', () => {
+  test('should keep pending submissions out of Browse', async () => {
+    const dataService = new DataService();
+    await dataService.init();
+    const count = dataService.getAllServices().length;
+
+    const { trackingId } = dataService.submitService(pantry);
+
+    expect(dataService.getSubmission(trackingId).status).toBe('pending');
+    expect(dataService.getAllServices()).toHaveLength(count);
+    expect(dataService.filterServices({ keyword: 'Northside' })).toEqual([]);
+  });
+
+  test('should publish an approved submission as User Contributed', async () => {
+    const dataService = new DataService();
+    await dataService.init();
+    const { trackingId } = dataService.submitService(pantry);
+
+    const { submission, service } = await dataService.approveSubmission(trackingId, {
+      by: 'Sam',
+      fields: { name: 'Northside Pantry' }
+    });
+
+    expect(service).toMatchObject({
+      name: 'Northside Pantry',
+      sourceOrg: 'User Contributed',
+      contact: { email: 'pantry@northside.org' }
+    });
+    expect(service.provenance.map(entry => entry.action)).toEqual(['create', 'approve']);
+    expect(service.provenance[1].by).toBe('Sam');
+    expect(submission).toMatchObject({ status: 'approved', serviceId: service.id });
+    expect(dataService.filterServices({ keyword: 'Northside' })).toEqual([service]);
+    expect(dataService.getSourceOrganizations()).toContain('User Contributed');
+  });
+
+  test('should keep a submission open when its service cannot be saved', async () => {
+    const storage = new MemoryAdapter();
+    const dataService = new DataService();
+    await dataService.init({ storage });
+    const { trackingId } = dataService.submitService(pantry);
+    const put = storage.put;
+    storage.put = jest.fn().mockRejectedValue(new Error('Quota exceeded'));
+
+    await expect(dataService.approveSubmission(trackingId, { by: 'Sam' })).rejects.toThrow(
+      'Quota exceeded'
+    );
+    expect(dataService.getSubmission(trackingId).status).toBe('pending');
+    expect(dataService.getSubmission(trackingId).serviceId).toBeUndefined();
+    expect(dataService.filterServices({ keyword: 'Northside' })).toEqual([]);
+
+    storage.put = put;
+    const { submission, service } = await dataService.approveSubmission(trackingId, { by: 'Sam' });
+    expect(submission).toMatchObject({ status: 'approved', serviceId: service.id });
+  });
+
+  test('should publish a submission approved twice at once only once', async () => {
+    const dataService = new DataService();
+    await dataService.init();
+    const { trackingId } = dataService.submitService(pantry);
+
+    const results = await Promise.allSettled([
+      dataService.approveSubmission(trackingId, { by: 'Sam' }),
+      dataService.approveSubmission(trackingId, { by: 'Ana' })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.message).toContain('already been approved');
+    expect(dataService.filterServices({ keyword: 'Northside' })).toEqual([
+      results[0].value.service
+    ]);
+  });
+
+  test('should leave rejected submissions out of Browse', async () => {
+    const dataService = new DataService();
+    await dataService.init();
+    const { trackingId } = dataService.submitService(pantry);
+
+    dataService.rejectSubmission(trackingId, { by: 'Sam', reason: 'Duplicate' });
+
+    await expect(dataService.approveSubmission(trackingId, { by: 'Sam' })).rejects.toThrow(
+      'already been rejected'
+    );
+    expect(dataService.filterServices({ keyword: 'Northside' })).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the search synonym and concept map
+ */
+/* eslint-env node */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { SynonymMap } from '../../js/synonyms.js';
+import { DataService } from '../../js/data-service.js';
+import { StubServer } from '../utils/stub-server.js';
+
+const config = {
+  concepts: {
+    Food: ['groceries', 'food stamps'],
+    'Legal Aid': ['lawyer', 'eviction help'],
+    Housing: ['eviction help']
+  },
+  synonyms: [['clinic', 'health center']]
+};
+
+const services = [
+  {
+    id: 1,
+    name: 'Community Food Pantry',
+    organization: 'Maryland Heights Community Center',
+    category: 'Food',
+    description: 'Fresh produce and pantry staples.',
+    address: '2344 McKelvey Rd, Maryland Heights, MO 63043'
+  },
+  {
+    id: 2,
+    name: 'West County Legal Aid Clinic',
+    organization: 'St. Louis Legal Services',
+    category: 'Legal Aid',
+    description: 'Free consultations for tenants facing eviction.',
+    address: '11977 St Charles Rock Rd, Bridgeton, MO 63044'
+  },
+  {
+    id: 3,
+    name: 'Emergency Shelter Assistance',
+    organization: 'County Crisis Intervention',
+    category: 'Housing',
+    description: 'Temporary shelter placement.',
+    address: '7150 Natural Bridge Rd, St. Louis, MO 63121'
+  },
+  {
+    id: 4,
+    name: 'Northside Health Center',
+    organization: 'Family Care Health Centers',
+    category: 'Healthcare',
+    description: 'Primary care for adults and children.',
+    address: '1 Main St, St. Louis, MO 63101'
+  }
+];
+
+describe('SynonymMap', () => {
+  let synonyms;
+
+  beforeEach(() => {
+    synonyms = new SynonymMap(config);
+  });
+
+  test('should map concept phrases onto the concept', () => {
+    expect(synonyms.expand(['lawyer'])).toEqual([
+      { words: ['lawyer'], alternatives: [['legal', 'aid']] }
+    ]);
+  });
+
+  test('should match stemmed forms of listed phrases', () => {
+    const [group] = synonyms.expand(['grocery']);
+    expect(group.alternatives).toEqual([['food']]);
+  });
+
+  test('should prefer the longest listed phrase', () => {
+    expect(synonyms.expand(['eviction', 'help', 'now'])).toEqual([
+      { words: ['eviction', 'help'], alternatives: [['legal', 'aid'], ['hous']] },
+      { words: ['now'], alternatives: [] }
+    ]);
+  });
+
+  test('should make every phrase in a synonym group find the others', () => {
+    expect(synonyms.expand(['clinic'])[0].alternatives).toEqual([['health', 'center']]);
+    expect(synonyms.expand(['health', 'center'])[0].alternatives).toEqual([['clinic']]);
+  });
+
+  test('should add to entries already loaded', () => {
+    synonyms.load({ concepts: { Food: ['lawyer'] } });
+    expect(synonyms.expand(['lawyer'])[0].alternatives).toEqual([['legal', 'aid'], ['food']]);
+  });
+
+  const invalidConfigs = [
+    { name: 'concepts as a list', config: { concepts: ['Food'] } },
+    { name: 'concept phrases as a string', config: { concepts: { Food: 'groceries' } } },
+    { name: 'synonyms as an object', config: { synonyms: { clinic: 'health center' } } },
+    { name: 'synonym group as a string', config: { synonyms: ['clinic'] } }
+  ];
+
+  test.each(invalidConfigs)('should reject $name', ({ config: invalid }) => {
+    expect(() => new SynonymMap(invalid)).toThrow();
+  });
+
+  test('should load the bundled data/synonyms.json', () => {
+    const bundled = JSON.parse(readFileSync('data/synonyms.json', 'utf8'));
+    expect(new SynonymMap(bundled).size).toBeGreaterThan(0);
+  });
+});
+
+describe('DataService synonym search', () => {
+  let dataService;
+
+  beforeEach(async () => {
+    dataService = new DataService();
+    await dataService.init();
+    dataService.services = [...services];
+    await dataService.loadSynonyms(config);
+  });
+
+  const searchConditions = [
+    { query: 'groceries', expected: [1] },
+    { query: 'grocerys', expected: [1] },
+    { query: 'lawyer', expected: [2] },
+    { query: 'eviction help', expected: [2, 3] },
+    { query: 'clinic', expected: [2, 4] },
+    { query: 'pantrey', expected: [1] }
+  ];
+
+  test.each(searchConditions)('should find $expected for "$query"', ({ query, expected }) => {
+    const ids = dataService.searchServices(query).map(service => service.id);
+    expect(ids.sort()).toEqual(expected);
+  });
+
+  test('should only expand the listed phrase, not its single words', () => {
+    expect(dataService.searchServices('eviction').map(service => service.id)).toEqual([2]);
+  });
+
+  test('should rank direct matches above synonym matches', () => {
+    expect(dataService.searchServices('clinic')[0].id).toBe(2);
+  });
+
+  test('should load synonyms from a URL', async () => {
+    const server = new StubServer({
+      'data/synonyms.json': { body: { concepts: { Healthcare: ['doctor'] } } }
+    });
+    global.fetch = server.fetch;
+
+    await dataService.loadSynonyms('data/synonyms.json');
+    expect(dataService.searchServices('doctor').map(service => service.id)).toEqual([4]);
+  });
+});
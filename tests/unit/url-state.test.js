@@ -0,0 +1,185 @@
+/**
+ * Unit tests for shareable deep links: filters, map view and open service in the URL
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { URLState, createURLState, decodeURLState, encodeURLState } from '../../js/url-state.js';
+import { Gazetteer } from '../../js/gazetteer.js';
+
+const gazetteer = new Gazetteer();
+const geocode = query => gazetteer.lookup(query);
+
+describe('encodeURLState', () => {
+  test('should write the filters, sort, map view and service', () => {
+    const query = encodeURLState({
+      filters: {
+        keyword: 'food pantry',
+        place: geocode('63043'),
+        radius: 5,
+        categories: ['Food', 'Legal Aid'],
+        sourceOrgs: ['Alpha Org'],
+        open: 'now',
+        eligibility: { age: '70' },
+        sort: 'name'
+      },
+      view: { lat: 38.72361234, lng: -90.4516, zoom: 12.6 },
+      serviceId: 3
+    });
+
+    expect(query).toBe(
+      'q=food+pantry&near=63043&radius=5&category=Food&category=Legal+Aid&source=Alpha+Org' +
+        '&open=now&sort=name&map=38.7236%2C-90.4516%2C13&service=3'
+    );
+  });
+
+  test('should leave out empty filters and the default sort', () => {
+    expect(
+      encodeURLState({ filters: { keyword: '', categories: [], open: '', sort: 'relevance' } })
+    ).toBe('');
+  });
+
+  test('should never put eligibility answers in the URL', () => {
+    expect(encodeURLState({ filters: { eligibility: { income: '18000' } } })).toBe('');
+  });
+
+  test('should share a city by name and a device location rounded', () => {
+    const city = encodeURLState({ filters: { place: geocode('Florissant') } });
+    const device = encodeURLState({
+      filters: {
+        place: { kind: 'device', name: 'your location', coordinates: [38.72361, -90.45159] }
+      }
+    });
+
+    expect(city).toBe('near=Florissant%2C+MO');
+    expect(device).toBe('near=38.72%2C-90.45');
+  });
+});
+
+describe('decodeURLState', () => {
+  test('should read back what encodeURLState writes', () => {
+    const state = {
+      filters: {
+        keyword: 'food',
+        place: geocode('63043'),
+        radius: 10,
+        categories: ['Food'],
+        sourceOrgs: ['Alpha Org', 'Gamma County Services'],
+        open: 'today',
+        sort: 'opens'
+      },
+      view: { lat: 38.6, lng: -90.2, zoom: 11 },
+      serviceId: '2'
+    };
+
+    expect(decodeURLState(encodeURLState(state), { geocode })).toEqual(state);
+  });
+
+  test('should only set the filters in the URL', () => {
+    expect(decodeURLState('?open=now')).toEqual({
+      filters: { open: 'now' },
+      view: null,
+      serviceId: null
+    });
+  });
+
+  test('should resolve a shared ZIP code, city or point', () => {
+    expect(decodeURLState('near=63043', { geocode }).filters.place.name).toBe(
+      'Maryland Heights, MO 63043'
+    );
+    expect(decodeURLState('near=florissant', { geocode }).filters.place.name).toBe(
+      'Florissant, MO'
+    );
+    expect(decodeURLState('near=38.72,-90.45').filters.place).toEqual({
+      kind: 'point',
+      name: 'the shared location',
+      coordinates: [38.72, -90.45]
+    });
+  });
+
+  test.each([
+    ['near=Springfield&radius=5', { place: null, radius: null }],
+    ['open=later', {}],
+    ['sort=random', {}],
+    ['near=63043&radius=-1', { radius: null }]
+  ])('should drop values that make no sense in %s', (search, expected) => {
+    expect(decodeURLState(search, { geocode }).filters).toMatchObject(expected);
+    expect(decodeURLState(search, { geocode }).filters.open).toBeUndefined();
+  });
+
+  test.each(['map=1,2', 'map=a,b,c', 'map=95,0,10', 'map=38,-90,40'])(
+    'should ignore the map view %s',
+    search => {
+      expect(decodeURLState(search).view).toBeNull();
+    }
+  );
+});
+
+describe('URLState', () => {
+  let urlState;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/index.html#/browse');
+    urlState = createURLState({ geocode });
+  });
+
+  afterEach(() => {
+    urlState.destroy();
+  });
+
+  test('should add a history entry for each new state, keeping the path and hash', () => {
+    const pushState = jest.spyOn(window.history, 'pushState');
+
+    expect(urlState).toBeInstanceOf(URLState);
+    expect(urlState.write({ filters: { open: 'now' } })).toBe(true);
+    expect(window.location.pathname + window.location.search + window.location.hash).toBe(
+      '/index.html?open=now#/browse'
+    );
+    expect(urlState.write({ filters: { open: 'now' } })).toBe(false);
+    expect(pushState).toHaveBeenCalledTimes(1);
+    pushState.mockRestore();
+  });
+
+  test('should replace the entry when asked', () => {
+    const pushState = jest.spyOn(window.history, 'pushState');
+    const length = window.history.length;
+
+    urlState.write({ view: { lat: 38.6, lng: -90.2, zoom: 11 } }, { replace: true });
+
+    expect(window.location.search).toBe('?map=38.6000%2C-90.2000%2C11');
+    expect(window.history.length).toBe(length);
+    expect(pushState).not.toHaveBeenCalled();
+    pushState.mockRestore();
+  });
+
+  test('should read the current URL', () => {
+    window.history.replaceState(null, '', '/?q=shelter&service=4');
+
+    expect(urlState.read()).toEqual({
+      filters: { keyword: 'shelter' },
+      view: null,
+      serviceId: '4'
+    });
+  });
+
+  test('should restore the state when the user goes back or forward', () => {
+    const onRestore = jest.fn();
+    urlState.on('restore', onRestore);
+
+    window.history.replaceState(null, '', '/?category=Housing');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(onRestore).toHaveBeenCalledWith({
+      filters: { categories: ['Housing'] },
+      view: null,
+      serviceId: null
+    });
+  });
+
+  test('should stop listening once destroyed', () => {
+    const onRestore = jest.fn();
+    urlState.on('restore', onRestore);
+    urlState.destroy();
+
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    expect(onRestore).not.toHaveBeenCalled();
+  });
+});
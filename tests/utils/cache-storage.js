@@ -0,0 +1,84 @@
+/**
+ * In-Memory Cache Storage
+ * A CacheStorage stand-in for service worker code, keyed by absolute URL
+ */
+
+class MemoryCache {
+  /**
+   * @param {string} baseUrl - URL relative paths are resolved against, like the worker's location
+   * @param {Function} fetch - Used by add() and addAll()
+   */
+  constructor(baseUrl, fetch) {
+    this.baseUrl = baseUrl;
+    this.fetch = fetch;
+    this.entries = new Map();
+  }
+
+  key(request, { ignoreSearch = false } = {}) {
+    const url = new URL(typeof request === 'string' ? request : request.url, this.baseUrl);
+    if (ignoreSearch) {
+      url.search = '';
+    }
+    return url.href;
+  }
+
+  async match(request, options = {}) {
+    const key = this.key(request, options);
+    const found = options.ignoreSearch
+      ? [...this.entries.keys()].find(url => this.key(url, options) === key)
+      : key;
+    const response = this.entries.get(found);
+    return response ? response.clone() : undefined;
+  }
+
+  async put(request, response) {
+    this.entries.set(this.key(request), response.clone());
+  }
+
+  async addAll(requests) {
+    const responses = await Promise.all(
+      requests.map(request => this.fetch(new URL(request, this.baseUrl).href))
+    );
+    responses.forEach((response, index) => {
+      if (!response.ok) {
+        throw new TypeError(`Request for ${requests[index]} failed: ${response.status}`);
+      }
+    });
+    responses.forEach((response, index) => this.entries.set(this.key(requests[index]), response));
+  }
+
+  /**
+   * URLs held in the cache
+   */
+  urls() {
+    return [...this.entries.keys()];
+  }
+}
+
+export class MemoryCacheStorage {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - URL relative paths are resolved against
+   * @param {Function} [options.fetch] - Used to fill caches through addAll()
+   */
+  constructor({ baseUrl = 'https://navigator.example/', fetch = null } = {}) {
+    this.baseUrl = baseUrl;
+    this.fetch = fetch;
+    this.caches = new Map();
+  }
+
+  async open(name) {
+    if (!this.caches.has(name)) {
+      this.caches.set(name, new MemoryCache(this.baseUrl, this.fetch));
+    }
+    return this.caches.get(name);
+  }
+
+  async keys() {
+    return [...this.caches.keys()];
+  }
+
+  async delete(name) {
+    return this.caches.delete(name);
+  }
+}
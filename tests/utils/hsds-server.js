@@ -0,0 +1,143 @@
+/**
+ * Mock HSDS Server
+ * An upstream HSDS 3.0 API for sync tests, answering GET {baseUrl}/services through a StubServer
+ * Supports modified_after, page and per_page, ETags with If-None-Match, and lists the records
+ * deleted since modified_after as tombstones
+ */
+import { StubServer } from './stub-server.js';
+
+export class HSDSServer {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - URL the API is served under
+   * @param {number} [options.perPage] - Page size when a request doesn't give per_page
+   * @param {Date} [options.now] - Starting time of the server's clock
+   * @param {boolean} [options.exposeHeaders] - false to hide the Date and ETag headers, like a
+   *   cross-origin response without Access-Control-Expose-Headers
+   */
+  constructor({
+    baseUrl = 'https://hsds.example.org',
+    perPage = 50,
+    now = new Date('2026-03-01T09:00:00Z'),
+    exposeHeaders = true
+  } = {}) {
+    this.endpoint = `${baseUrl}/services`;
+    this.perPage = perPage;
+    this.exposeHeaders = exposeHeaders;
+    this.clock = now;
+    this.services = new Map();
+    this.tombstones = new Map();
+    this.version = 0;
+    this.server = new StubServer().route(this.endpoint, request => this.handleServices(request));
+    this.fetch = this.server.fetch;
+  }
+
+  /**
+   * Add or change services, stamping them with the current time
+   */
+  upsert(...services) {
+    services.forEach(service => {
+      this.services.set(service.id, { ...service, last_modified: this.clock.toISOString() });
+      this.tombstones.delete(service.id);
+    });
+    this.version++;
+    return this;
+  }
+
+  /**
+   * Delete services, leaving a tombstone for each
+   */
+  delete(...ids) {
+    ids.forEach(id => {
+      if (this.services.delete(id)) {
+        this.tombstones.set(id, this.clock.toISOString());
+      }
+    });
+    this.version++;
+    return this;
+  }
+
+  /**
+   * Move the clock forward
+   */
+  advance(minutes) {
+    this.clock = new Date(this.clock.getTime() + minutes * 60000);
+    return this;
+  }
+
+  get etag() {
+    return `W/"${this.version}"`;
+  }
+
+  handleServices(request) {
+    const headers = this.exposeHeaders ? { ETag: this.etag, Date: this.clock.toUTCString() } : {};
+    if (request.method !== 'GET') {
+      return { status: 405, headers };
+    }
+    if (request.headers['if-none-match'] === this.etag) {
+      return { status: 304, headers };
+    }
+
+    const since = request.query.get('modified_after');
+    const after = at => !since || new Date(at) > new Date(since);
+    const changed = [...this.services.values()].filter(service => after(service.last_modified));
+    const deleted = [...this.tombstones]
+      .filter(([, at]) => since && after(at))
+      .map(([id, at]) => ({ id, deleted_at: at }));
+
+    const perPage = Number(request.query.get('per_page')) || this.perPage;
+    const page = Number(request.query.get('page')) || 1;
+    const totalPages = Math.max(1, Math.ceil(changed.length / perPage));
+    const contents = changed.slice((page - 1) * perPage, page * perPage);
+
+    return {
+      status: 200,
+      headers,
+      body: {
+        total_items: changed.length,
+        total_pages: totalPages,
+        page_number: page,
+        size: contents.length,
+        first_page: page === 1,
+        last_page: page >= totalPages,
+        empty: contents.length === 0,
+        contents,
+        ...(page === 1 ? { deleted } : {})
+      }
+    };
+  }
+}
+
+/**
+ * A nested HSDS service record with an organization, a category and one location
+ */
+export function hsdsService(id, name, { category = 'Food', description = '' } = {}) {
+  return {
+    id,
+    name,
+    description,
+    status: 'active',
+    organization: { id: `org-${id}`, name: `${name} Inc.` },
+    attributes: [{ id: `attr-${id}`, taxonomy_term: { id: `tax-${category}`, name: category } }],
+    service_at_locations: [
+      {
+        id: `sal-${id}`,
+        location: {
+          id: `loc-${id}`,
+          latitude: 38.63,
+          longitude: -90.2,
+          addresses: [
+            {
+              id: `addr-${id}`,
+              address_1: '100 Market St',
+              city: 'St. Louis',
+              state_province: 'MO',
+              postal_code: '63101',
+              address_type: 'physical'
+            }
+          ]
+        }
+      }
+    ]
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Mock Service API
+ * An in-memory server for the REST storage adapter, answering through a StubServer
+ */
+import { StubServer } from './stub-server.js';
+
+export class ServiceAPI {
+  /**
+   * @param {string} baseUrl - URL the API is served under
+   */
+  constructor(baseUrl = 'https://api.example.org') {
+    this.baseUrl = baseUrl;
+    this.records = new Map();
+    this.server = new StubServer()
+      .route(`${baseUrl}/services`, request => this.handleCollection(request))
+      .route(`${baseUrl}/services/*`, request => this.handleRecord(request));
+    this.fetch = this.server.fetch;
+  }
+
+  /**
+   * GET lists every record; DELETE removes them all
+   */
+  handleCollection(request) {
+    if (request.method === 'GET') {
+      return { status: 200, body: [...this.records.values()] };
+    }
+    if (request.method === 'DELETE') {
+      this.records.clear();
+      return { status: 204 };
+    }
+    return { status: 405 };
+  }
+
+  /**
+   * PUT stores the record in the body; DELETE removes it
+   */
+  handleRecord(request) {
+    const key = decodeURIComponent(request.path.slice(`${this.baseUrl}/services/`.length));
+    if (request.method === 'PUT') {
+      const record = JSON.parse(request.body);
+      if (String(record.id) !== key) {
+        return { status: 400, body: { error: 'Record id does not match the URL' } };
+      }
+      const created = !this.records.has(key);
+      this.records.set(key, record);
+      return { status: created ? 201 : 200, body: record };
+    }
+    if (request.method === 'DELETE') {
+      return this.records.delete(key) ? { status: 204 } : { status: 404 };
+    }
+    return { status: 405 };
+  }
+}
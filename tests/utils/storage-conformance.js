@@ -0,0 +1,88 @@
+/**
+ * Storage Adapter Conformance Suite
+ * The behaviour every DataService storage adapter must share, run against each implementation
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const pantry = { id: 1, name: 'Community Food Pantry', category: 'Food', hours: { Monday: '9-5' } };
+const clinic = { id: 'hsds-7', name: 'Free Clinic', category: 'Healthcare' };
+const shelter = { id: 2, name: 'Family Shelter', category: 'Housing' };
+
+const byName = records => [...records].sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Describe the shared adapter behaviour
+ * @param {string} name - Adapter name for the test titles
+ * @param {Object} factory
+ * @param {Function} factory.create - Returns a new, empty adapter
+ * @param {Function} [factory.reopen] - Returns another adapter over the same stored data, for
+ *   adapters that keep records beyond the page
+ */
+export function describeStorageAdapter(name, { create, reopen = null }) {
+  describe(`${name} conformance`, () => {
+    let adapter;
+
+    beforeEach(async () => {
+      adapter = await create();
+    });
+
+    test('should start empty', async () => {
+      expect(await adapter.getAll()).toEqual([]);
+    });
+
+    test('should return the records put in, with their ids as given', async () => {
+      await adapter.put([pantry, clinic]);
+
+      expect(byName(await adapter.getAll())).toEqual([pantry, clinic]);
+    });
+
+    test('should replace a record with the same id', async () => {
+      await adapter.put([pantry, shelter]);
+      await adapter.put([{ ...pantry, name: 'Northside Pantry' }]);
+
+      const records = await adapter.getAll();
+      expect(records).toHaveLength(2);
+      expect(records.find(record => record.id === 1).name).toBe('Northside Pantry');
+    });
+
+    test('should keep its own copies of the records', async () => {
+      const record = { ...pantry, hours: { ...pantry.hours } };
+      await adapter.put([record]);
+      record.hours.Monday = 'Closed';
+      (await adapter.getAll())[0].name = 'Changed';
+
+      expect(await adapter.getAll()).toEqual([pantry]);
+    });
+
+    test('should delete the given ids and ignore unknown ones', async () => {
+      await adapter.put([pantry, clinic, shelter]);
+      await adapter.delete([1, 'hsds-7', 'missing']);
+
+      expect(await adapter.getAll()).toEqual([shelter]);
+    });
+
+    test('should clear every record', async () => {
+      await adapter.put([pantry, clinic]);
+      await adapter.clear();
+
+      expect(await adapter.getAll()).toEqual([]);
+    });
+
+    test('should accept empty batches', async () => {
+      await adapter.put([]);
+      await adapter.delete([]);
+
+      expect(await adapter.getAll()).toEqual([]);
+    });
+
+    if (reopen) {
+      test('should keep the records for the next visit', async () => {
+        await adapter.put([pantry, clinic]);
+        await adapter.delete(['hsds-7']);
+
+        const reopened = await reopen();
+        expect(await reopened.getAll()).toEqual([pantry]);
+      });
+    }
+  });
+}
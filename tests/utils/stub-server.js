@@ -0,0 +1,100 @@
+/**
+ * Local Stub Server
+ * Serves canned HTTP responses through a fetch-compatible function and records requests
+ */
+
+export class StubServer {
+  /**
+   * @param {Object} routes - Map of URL to response definition or handler function
+   */
+  constructor(routes = {}) {
+    this.routes = new Map();
+    this.requests = [];
+    this.fetch = this.fetch.bind(this);
+
+    Object.entries(routes).forEach(([url, response]) => this.route(url, response));
+  }
+
+  /**
+   * Register a route
+   * @param {string} url - Exact URL, URL without its query string, or a URL prefix ending in "*"
+   * @param {Object|Function} response - { status, body, headers, delay, networkError }
+   *   or a function receiving the request and returning such an object
+   */
+  route(url, response) {
+    this.routes.set(url, response);
+    return this;
+  }
+
+  /**
+   * Fetch-compatible request handler, suitable for assigning to global.fetch
+   */
+  async fetch(url, init = {}) {
+    const [path, query = ''] = String(url).split('?');
+    const request = {
+      url: String(url),
+      path,
+      query: new URLSearchParams(query),
+      method: init.method || 'GET',
+      headers: normalizeHeaders(init.headers),
+      body: init.body
+    };
+    this.requests.push(request);
+
+    let definition =
+      this.routes.get(request.url) || this.routes.get(path) || this.prefixRoute(path);
+    if (typeof definition === 'function') {
+      definition = definition(request);
+    }
+    definition = definition || { status: 404, body: 'Not found' };
+
+    if (definition.delay) {
+      await new Promise(resolve => setTimeout(resolve, definition.delay));
+    }
+    if (definition.networkError) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    return createResponse(definition);
+  }
+
+  /**
+   * Response for the longest "*" route the path starts with
+   */
+  prefixRoute(path) {
+    const prefixes = [...this.routes.keys()]
+      .filter(url => url.endsWith('*') && path.startsWith(url.slice(0, -1)))
+      .sort((a, b) => b.length - a.length);
+    return prefixes.length > 0 ? this.routes.get(prefixes[0]) : undefined;
+  }
+
+  /**
+   * Requests made to a given path
+   */
+  requestsTo(path) {
+    return this.requests.filter(request => request.path === path);
+  }
+}
+
+function normalizeHeaders(headers = {}) {
+  const normalized = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    normalized[name.toLowerCase()] = value;
+  });
+  return normalized;
+}
+
+function createResponse({ status = 200, body = '', headers = {} }) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  const responseHeaders = normalizeHeaders(headers);
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {
+      get: name => responseHeaders[name.toLowerCase()] ?? null
+    },
+    json: async () => JSON.parse(text),
+    text: async () => text
+  };
+}